@@ -122,4 +122,407 @@ CREATE TABLE `posts` (
   PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
   KEY `fk_posts_user` (`user_id`),
   CONSTRAINT `fk_posts_user` FOREIGN KEY (`user_id`) REFERENCES `kick_off_hub_db`.`users` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
\ No newline at end of file
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table fixtures
+CREATE TABLE `fixtures` (
+  `id` int(11) NOT NULL,
+  `league_id` int(11) NOT NULL,
+  `season` int(11) NOT NULL,
+  `round` varchar(100) DEFAULT NULL,
+  `referee` varchar(255) DEFAULT NULL,
+  `timezone` varchar(50) DEFAULT NULL,
+  `kickoff_at` datetime NOT NULL,
+  `status_short` varchar(10) DEFAULT NULL,
+  `status_long` varchar(50) DEFAULT NULL,
+  `elapsed` int(11) DEFAULT NULL,
+  `venue_id` int(11) DEFAULT NULL,
+  `venue_name` varchar(255) DEFAULT NULL,
+  `venue_city` varchar(255) DEFAULT NULL,
+  `home_team_id` int(11) NOT NULL,
+  `away_team_id` int(11) NOT NULL,
+  `home_goals` int(11) DEFAULT NULL,
+  `away_goals` int(11) DEFAULT NULL,
+  `halftime_home` int(11) DEFAULT NULL,
+  `halftime_away` int(11) DEFAULT NULL,
+  `fulltime_home` int(11) DEFAULT NULL,
+  `fulltime_away` int(11) DEFAULT NULL,
+  `extratime_home` int(11) DEFAULT NULL,
+  `extratime_away` int(11) DEFAULT NULL,
+  `penalty_home` int(11) DEFAULT NULL,
+  `penalty_away` int(11) DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `fixtures_league_id_season` (`league_id`, `season`),
+  KEY `fixtures_home_team_id` (`home_team_id`),
+  KEY `fixtures_away_team_id` (`away_team_id`),
+  KEY `fixtures_kickoff_at` (`kickoff_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table standings
+CREATE TABLE `standings` (
+  `league_id` int(11) NOT NULL,
+  `season` int(11) NOT NULL,
+  `team_id` int(11) NOT NULL,
+  `group_name` varchar(100) DEFAULT NULL,
+  `rank` int(11) NOT NULL,
+  `points` int(11) NOT NULL DEFAULT '0',
+  `goals_diff` int(11) NOT NULL DEFAULT '0',
+  `form` varchar(20) DEFAULT NULL,
+  `status` varchar(20) DEFAULT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `played` int(11) NOT NULL DEFAULT '0',
+  `win` int(11) NOT NULL DEFAULT '0',
+  `draw` int(11) NOT NULL DEFAULT '0',
+  `lose` int(11) NOT NULL DEFAULT '0',
+  `goals_for` int(11) NOT NULL DEFAULT '0',
+  `goals_against` int(11) NOT NULL DEFAULT '0',
+  `home_played` int(11) NOT NULL DEFAULT '0',
+  `home_win` int(11) NOT NULL DEFAULT '0',
+  `home_draw` int(11) NOT NULL DEFAULT '0',
+  `home_lose` int(11) NOT NULL DEFAULT '0',
+  `home_goals_for` int(11) NOT NULL DEFAULT '0',
+  `home_goals_against` int(11) NOT NULL DEFAULT '0',
+  `away_played` int(11) NOT NULL DEFAULT '0',
+  `away_win` int(11) NOT NULL DEFAULT '0',
+  `away_draw` int(11) NOT NULL DEFAULT '0',
+  `away_lose` int(11) NOT NULL DEFAULT '0',
+  `away_goals_for` int(11) NOT NULL DEFAULT '0',
+  `away_goals_against` int(11) NOT NULL DEFAULT '0',
+  `source` enum('api','computed') NOT NULL DEFAULT 'api',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`league_id`, `season`, `team_id`) /*T![clustered_index] CLUSTERED */,
+  KEY `standings_league_id_season_rank` (`league_id`, `season`, `rank`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table fixture_events
+CREATE TABLE `fixture_events` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `fixture_id` int(11) NOT NULL,
+  `sequence` int(11) NOT NULL,
+  `team_id` int(11) DEFAULT NULL,
+  `player_id` int(11) DEFAULT NULL,
+  `player_name` varchar(255) DEFAULT NULL,
+  `assist_id` int(11) DEFAULT NULL,
+  `assist_name` varchar(255) DEFAULT NULL,
+  `elapsed` int(11) DEFAULT NULL,
+  `extra` int(11) DEFAULT NULL,
+  `type` varchar(20) NOT NULL,
+  `detail` varchar(100) DEFAULT NULL,
+  `comments` varchar(255) DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `fixture_events_fixture_id_sequence` (`fixture_id`, `sequence`),
+  KEY `fixture_events_player_id` (`player_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table fixture_lineups
+CREATE TABLE `fixture_lineups` (
+  `fixture_id` int(11) NOT NULL,
+  `team_id` int(11) NOT NULL,
+  `formation` varchar(20) DEFAULT NULL,
+  `coach_id` int(11) DEFAULT NULL,
+  `coach_name` varchar(255) DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`fixture_id`, `team_id`) /*T![clustered_index] CLUSTERED */
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table fixture_lineup_players
+CREATE TABLE `fixture_lineup_players` (
+  `fixture_id` int(11) NOT NULL,
+  `team_id` int(11) NOT NULL,
+  `player_id` int(11) NOT NULL,
+  `player_name` varchar(255) DEFAULT NULL,
+  `number` int(11) DEFAULT NULL,
+  `position` varchar(10) DEFAULT NULL,
+  `grid` varchar(10) DEFAULT NULL,
+  `is_starter` tinyint(1) NOT NULL DEFAULT '1',
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`fixture_id`, `team_id`, `player_id`) /*T![clustered_index] CLUSTERED */
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table fixture_player_stats
+CREATE TABLE `fixture_player_stats` (
+  `fixture_id` int(11) NOT NULL,
+  `player_id` int(11) NOT NULL,
+  `team_id` int(11) NOT NULL,
+  `player_name` varchar(255) DEFAULT NULL,
+  `number` int(11) DEFAULT NULL,
+  `position` varchar(10) DEFAULT NULL,
+  `rating` decimal(4,2) DEFAULT NULL,
+  `captain` tinyint(1) NOT NULL DEFAULT '0',
+  `substitute` tinyint(1) NOT NULL DEFAULT '0',
+  `minutes` int(11) DEFAULT NULL,
+  `goals` int(11) DEFAULT NULL,
+  `assists` int(11) DEFAULT NULL,
+  `conceded` int(11) DEFAULT NULL,
+  `saves` int(11) DEFAULT NULL,
+  `shots_total` int(11) DEFAULT NULL,
+  `shots_on` int(11) DEFAULT NULL,
+  `passes_total` int(11) DEFAULT NULL,
+  `passes_key` int(11) DEFAULT NULL,
+  `passes_accuracy` int(11) DEFAULT NULL,
+  `tackles` int(11) DEFAULT NULL,
+  `interceptions` int(11) DEFAULT NULL,
+  `duels_total` int(11) DEFAULT NULL,
+  `duels_won` int(11) DEFAULT NULL,
+  `dribbles_attempts` int(11) DEFAULT NULL,
+  `dribbles_success` int(11) DEFAULT NULL,
+  `fouls_drawn` int(11) DEFAULT NULL,
+  `fouls_committed` int(11) DEFAULT NULL,
+  `yellow_cards` int(11) DEFAULT NULL,
+  `red_cards` int(11) DEFAULT NULL,
+  `penalty_scored` int(11) DEFAULT NULL,
+  `penalty_missed` int(11) DEFAULT NULL,
+  `penalty_saved` int(11) DEFAULT NULL,
+  `offsides` int(11) DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`fixture_id`, `player_id`) /*T![clustered_index] CLUSTERED */,
+  KEY `fixture_player_stats_player_id` (`player_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table player_season_stats
+CREATE TABLE `player_season_stats` (
+  `player_id` int(11) NOT NULL,
+  `league_id` int(11) NOT NULL,
+  `team_id` int(11) NOT NULL,
+  `season` int(11) NOT NULL,
+  `position` varchar(100) DEFAULT NULL,
+  `appearances` int(11) NOT NULL DEFAULT '0',
+  `lineups` int(11) NOT NULL DEFAULT '0',
+  `minutes` int(11) NOT NULL DEFAULT '0',
+  `rating` decimal(6,3) DEFAULT NULL,
+  `goals` int(11) NOT NULL DEFAULT '0',
+  `assists` int(11) NOT NULL DEFAULT '0',
+  `yellow_cards` int(11) NOT NULL DEFAULT '0',
+  `yellowred_cards` int(11) NOT NULL DEFAULT '0',
+  `red_cards` int(11) NOT NULL DEFAULT '0',
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`player_id`, `league_id`, `team_id`, `season`) /*T![clustered_index] CLUSTERED */,
+  KEY `player_season_stats_league_id_season` (`league_id`, `season`),
+  KEY `player_season_stats_team_id_season` (`team_id`, `season`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table league_leaders
+CREATE TABLE `league_leaders` (
+  `league_id` int(11) NOT NULL,
+  `season` int(11) NOT NULL,
+  `type` enum('goals','assists','yellow','red') NOT NULL,
+  `player_id` int(11) NOT NULL,
+  `rank` int(11) NOT NULL,
+  `player_name` varchar(255) DEFAULT NULL,
+  `team_id` int(11) DEFAULT NULL,
+  `team_name` varchar(255) DEFAULT NULL,
+  `value` int(11) NOT NULL DEFAULT '0',
+  `appearances` int(11) DEFAULT NULL,
+  `minutes` int(11) DEFAULT NULL,
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`league_id`, `season`, `type`, `player_id`) /*T![clustered_index] CLUSTERED */
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table team_head_to_head
+CREATE TABLE `team_head_to_head` (
+  `team_low_id` int(11) NOT NULL,
+  `team_high_id` int(11) NOT NULL,
+  `meetings` int(11) NOT NULL DEFAULT '0',
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`team_low_id`, `team_high_id`) /*T![clustered_index] CLUSTERED */
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table coaches
+CREATE TABLE `coaches` (
+  `id` int(11) NOT NULL,
+  `name` varchar(255) DEFAULT NULL,
+  `firstname` varchar(255) DEFAULT NULL,
+  `lastname` varchar(255) DEFAULT NULL,
+  `age` int(11) DEFAULT NULL,
+  `birth_date` date DEFAULT NULL,
+  `birth_place` varchar(255) DEFAULT NULL,
+  `birth_country` varchar(255) DEFAULT NULL,
+  `nationality` varchar(255) DEFAULT NULL,
+  `height` varchar(20) DEFAULT NULL,
+  `weight` varchar(20) DEFAULT NULL,
+  `photo` varchar(1024) DEFAULT NULL,
+  `team_id` int(11) DEFAULT NULL,
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `coaches_team_id` (`team_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table coach_careers
+CREATE TABLE `coach_careers` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `coach_id` int(11) NOT NULL,
+  `team_id` int(11) DEFAULT NULL,
+  `team_name` varchar(255) DEFAULT NULL,
+  `team_logo` varchar(1024) DEFAULT NULL,
+  `start_date` date DEFAULT NULL,
+  `end_date` date DEFAULT NULL,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `coach_careers_coach_id` (`coach_id`),
+  KEY `coach_careers_team_id` (`team_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table transfers
+CREATE TABLE `transfers` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `player_id` int(11) NOT NULL,
+  `player_name` varchar(255) DEFAULT NULL,
+  `transfer_date` date DEFAULT NULL,
+  `type` varchar(100) DEFAULT NULL,
+  `team_in_id` int(11) DEFAULT NULL,
+  `team_in_name` varchar(255) DEFAULT NULL,
+  `team_in_logo` varchar(1024) DEFAULT NULL,
+  `team_out_id` int(11) DEFAULT NULL,
+  `team_out_name` varchar(255) DEFAULT NULL,
+  `team_out_logo` varchar(1024) DEFAULT NULL,
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `transfers_player_id` (`player_id`),
+  KEY `transfers_team_in_id_transfer_date` (`team_in_id`, `transfer_date`),
+  KEY `transfers_team_out_id_transfer_date` (`team_out_id`, `transfer_date`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table injuries
+CREATE TABLE `injuries` (
+  `player_id` int(11) NOT NULL,
+  `fixture_id` int(11) NOT NULL,
+  `player_name` varchar(255) DEFAULT NULL,
+  `player_photo` varchar(1024) DEFAULT NULL,
+  `team_id` int(11) NOT NULL,
+  `league_id` int(11) DEFAULT NULL,
+  `season` int(11) DEFAULT NULL,
+  `fixture_date` datetime DEFAULT NULL,
+  `type` varchar(100) DEFAULT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`player_id`, `fixture_id`) /*T![clustered_index] CLUSTERED */,
+  KEY `injuries_team_id_fixture_date` (`team_id`, `fixture_date`),
+  KEY `injuries_fixture_id` (`fixture_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table trophies
+CREATE TABLE `trophies` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `subject_type` varchar(10) NOT NULL,
+  `subject_id` int(11) NOT NULL,
+  `league` varchar(255) DEFAULT NULL,
+  `country` varchar(255) DEFAULT NULL,
+  `season` varchar(50) DEFAULT NULL,
+  `place` varchar(100) DEFAULT NULL,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `trophies_subject_type_subject_id` (`subject_type`, `subject_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table sidelined_periods
+CREATE TABLE `sidelined_periods` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `subject_type` varchar(10) NOT NULL,
+  `subject_id` int(11) NOT NULL,
+  `type` varchar(255) DEFAULT NULL,
+  `start_date` date DEFAULT NULL,
+  `end_date` date DEFAULT NULL,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `sidelined_periods_subject_type_subject_id` (`subject_type`, `subject_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table profile_history_syncs
+CREATE TABLE `profile_history_syncs` (
+  `subject_type` varchar(10) NOT NULL,
+  `subject_id` int(11) NOT NULL,
+  `kind` varchar(20) NOT NULL,
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`subject_type`, `subject_id`, `kind`) /*T![clustered_index] CLUSTERED */
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- leagues: API-Football dùng lại tên giải giữa các quốc gia (e.g., Premier League), tên không còn duy nhất
+ALTER TABLE `leagues` DROP INDEX `name`, ADD KEY `leagues_name` (`name`);
+
+-- table league_seasons
+CREATE TABLE `league_seasons` (
+  `league_id` int(11) NOT NULL,
+  `season` int(11) NOT NULL,
+  `start_date` date DEFAULT NULL,
+  `end_date` date DEFAULT NULL,
+  `is_current` tinyint(1) NOT NULL DEFAULT '0',
+  `coverage_standings` tinyint(1) NOT NULL DEFAULT '0',
+  `coverage_events` tinyint(1) NOT NULL DEFAULT '0',
+  `coverage_lineups` tinyint(1) NOT NULL DEFAULT '0',
+  `coverage_statistics` tinyint(1) NOT NULL DEFAULT '0',
+  `synced_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`league_id`, `season`) /*T![clustered_index] CLUSTERED */,
+  KEY `league_seasons_season` (`season`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- venues: quốc gia của sân (API-Football /venues?country=), dùng cho import và tìm kiếm
+ALTER TABLE `venues` ADD COLUMN `country` varchar(100) DEFAULT NULL AFTER `city`, ADD KEY `venues_country_city` (`country`, `city`);
+
+-- table import_job_runs
+CREATE TABLE `import_job_runs` (
+  `id` varchar(36) NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `state` varchar(20) NOT NULL DEFAULT 'queued',
+  `payload` json DEFAULT NULL,
+  `progress` json DEFAULT NULL,
+  `result` json DEFAULT NULL,
+  `failed_reason` text DEFAULT NULL,
+  `attempts_made` int(11) NOT NULL DEFAULT '0',
+  `max_attempts` int(11) DEFAULT NULL,
+  `retry_of` varchar(36) DEFAULT NULL,
+  `started_at` datetime DEFAULT NULL,
+  `finished_at` datetime DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `import_job_runs_name_state` (`name`, `state`),
+  KEY `import_job_runs_state` (`state`),
+  KEY `import_job_runs_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- import_job_runs: job bị hoãn khi quota API-Football xuống dưới mức dự trữ
+ALTER TABLE `import_job_runs` ADD COLUMN `deferred_until` datetime DEFAULT NULL AFTER `retry_of`, ADD COLUMN `deferred_reason` varchar(255) DEFAULT NULL AFTER `deferred_until`;
+
+-- table import_runs
+CREATE TABLE `import_runs` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `type` varchar(50) NOT NULL,
+  `params` json DEFAULT NULL,
+  `job_id` varchar(36) DEFAULT NULL,
+  `status` varchar(20) NOT NULL DEFAULT 'running',
+  `created_count` int(11) NOT NULL DEFAULT '0',
+  `updated_count` int(11) NOT NULL DEFAULT '0',
+  `unchanged_count` int(11) NOT NULL DEFAULT '0',
+  `error` text DEFAULT NULL,
+  `started_at` datetime NOT NULL,
+  `finished_at` datetime DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `import_runs_type_status` (`type`, `status`),
+  KEY `import_runs_job_id` (`job_id`),
+  KEY `import_runs_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- table import_changes
+CREATE TABLE `import_changes` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `run_id` int(11) NOT NULL,
+  `entity_type` varchar(20) NOT NULL,
+  `entity_id` int(11) NOT NULL,
+  `action` varchar(10) NOT NULL,
+  `changes` json DEFAULT NULL,
+  `created_at` timestamp DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`) /*T![clustered_index] CLUSTERED */,
+  KEY `import_changes_run_id_action` (`run_id`, `action`),
+  KEY `import_changes_entity_type_entity_id` (`entity_type`, `entity_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_bin;
+
+-- teams, players: các trường được sửa thủ công qua PUT, import không ghi đè (trừ khi force=true)
+ALTER TABLE `teams` ADD COLUMN `locked_fields` json DEFAULT NULL AFTER `is_popular`;
+ALTER TABLE `players` ADD COLUMN `locked_fields` json DEFAULT NULL AFTER `isPopular`;
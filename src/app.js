@@ -24,6 +24,7 @@ import registerInfrastructure from './bootstrap/registerInfrastructure.js';
 import loadModules from './bootstrap/moduleLoader.js';
 import buildHttpRouter from './pipelines/httpRouter.js';
 import runModuleTasks from './pipelines/jobScheduler.js';
+import { registerModuleJobs } from './pipelines/importJobs.js';
 import uploadRoutes from "./modules/upload/upload.routes.js";
 
 // ----------------------------
@@ -40,6 +41,10 @@ registerInfrastructure(container);
 const moduleManifests = await loadModules(container);
 const modularRouter = buildHttpRouter(moduleManifests);
 
+// Đăng ký import jobs để services có thể enqueue khi background=true
+registerModuleJobs(moduleManifests);
+
+// Startup tasks + schedules định kỳ (leader election qua Redis)
 runModuleTasks(moduleManifests).catch((err) => {
   logger.error({ err }, 'Failed to start module tasks');
 });
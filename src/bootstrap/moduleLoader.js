@@ -36,7 +36,9 @@
  *   publicRoutes: Router,   // Routes không cần auth
  *   privateRoutes: Router,  // Routes cần auth
  *   publicApi: {...},       // Services export ra ngoài
- *   tasks: [fn1, fn2]       // Background tasks
+ *   tasks: [fn1, fn2],      // Startup tasks (chạy một lần)
+ *   schedules: [...],       // Import jobs định kỳ (cron)
+ *   jobs: [{ name, handler }] // Import jobs (pipelines/importJobs)
  * }
  * ```
  * 
@@ -98,7 +100,9 @@ async function fileExists(filePath) {
  *   privateRoutes: null,
  *   basePath: '/',
  *   publicApi: {},
- *   tasks: []
+ *   tasks: [],
+ *   jobs: [],
+ *   schedules: []
  * }
  */
 function normalizeModuleManifest(input = {}, fallbackName) {
@@ -109,10 +113,12 @@ function normalizeModuleManifest(input = {}, fallbackName) {
     privateRoutes = null,       // Routes cần authentication
     basePath = '/',             // Base path để mount router
     publicApi = {},             // Services export ra ngoài
-    tasks = [],                 // Background tasks/cron jobs
+    tasks = [],                 // Startup tasks
+    jobs = [],                  // Import jobs chạy bởi import worker
+    schedules = [],             // Import jobs định kỳ (pipelines/jobScheduler)
   } = input;
 
-  return { name, routes, publicRoutes, privateRoutes, basePath, publicApi, tasks };
+  return { name, routes, publicRoutes, privateRoutes, basePath, publicApi, tasks, jobs, schedules };
 }
 
 /**
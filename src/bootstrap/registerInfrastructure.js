@@ -19,6 +19,7 @@
  * | 'sequelize' | Sequelize       | ORM instance, database access  |
  * | 'redis'     | Redis Client    | Caching và message queues      |
  * | 'logger'    | Pino Logger     | Structured logging             |
+ * | 'queues.imports' | Import jobs | Enqueue/list import jobs (BullMQ) |
  * 
  * ## Sử dụng trong modules:
  * 
@@ -34,6 +35,7 @@
  * @requires ../common/db.js
  * @requires ../common/redisClient.js
  * @requires ../common/logger.js
+ * @requires ../pipelines/importJobs.js
  * 
  * =============================================================================
  */
@@ -41,6 +43,7 @@
 import sequelize from '../common/db.js';
 import { redisClient } from '../common/redisClient.js';
 import { logger } from '../common/logger.js';
+import { getImportQueue, enqueueImportJob, listImportJobs } from '../pipelines/importJobs.js';
 
 /**
  * Đăng ký infrastructure services vào container
@@ -72,4 +75,11 @@ export default function registerInfrastructure(container) {
   // Đăng ký Pino logger - Structured JSON logging
   // Sử dụng cho logging với context (request ID, module name, etc.)
   container.set('logger', logger);
+
+  // Đăng ký import job queue dùng chung - modules khai báo jobs trong manifest
+  container.set('queues.imports', {
+    getQueue: getImportQueue,
+    enqueue: enqueueImportJob,
+    list: listImportJobs,
+  });
 }
@@ -0,0 +1,38 @@
+/**
+ * =============================================================================
+ * FILE: src/common/booleanFlags.js
+ * =============================================================================
+ *
+ * @fileoverview Boolean Flag Helpers
+ *
+ * @description
+ * Đọc các cờ boolean gửi qua query string hoặc body (`force`, `dryRun`,
+ * `import`, `upcoming`, ...). Query string luôn là chuỗi nên chỉ `true`
+ * (không phân biệt hoa thường, bỏ khoảng trắng) hoặc boolean `true` được coi là bật.
+ *
+ * @module common/booleanFlags
+ *
+ * @example
+ * import { parseBooleanFlag } from './common/booleanFlags.js';
+ *
+ * const dryRun = parseBooleanFlag(req.query.dryRun); // 'true' → true, '1' → false
+ *
+ * =============================================================================
+ */
+
+/**
+ * Kiểm tra một cờ boolean từ query hoặc body có bật không.
+ *
+ * @function parseBooleanFlag
+ * @param {boolean|string|*} value - Giá trị cờ
+ * @returns {boolean} true nếu là boolean true hoặc chuỗi 'true'
+ */
+export function parseBooleanFlag(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.trim().toLowerCase() === 'true';
+  }
+  return false;
+}
@@ -0,0 +1,112 @@
+/**
+ * =============================================================================
+ * FILE: src/common/fieldLocks.js
+ * =============================================================================
+ *
+ * @fileoverview Field Lock Helpers
+ *
+ * @description
+ * Helpers cho việc khóa từng trường của entity được đồng bộ từ API-Football
+ * (teams, players). Các trường được sửa thủ công qua PUT được lưu trong cột
+ * JSON `locked_fields`; khi import, giá trị hiện tại của các trường bị khóa
+ * được giữ nguyên thay vì bị ghi đè, trừ khi import với `force=true`.
+ *
+ * @module common/fieldLocks
+ *
+ * @example
+ * import { applyFieldLocks } from './common/fieldLocks.js';
+ *
+ * const { payloads, preserved } = applyFieldLocks(existingRows, importPayloads, { force: false });
+ *
+ * =============================================================================
+ */
+
+/**
+ * Chuẩn hóa giá trị cột `locked_fields` thành mảng tên trường.
+ *
+ * @function readLockedFields
+ * @param {*} value - Giá trị cột (mảng, chuỗi JSON hoặc null)
+ * @returns {string[]} Danh sách trường bị khóa
+ */
+export function readLockedFields(value) {
+  let fields = value;
+  if (typeof fields === 'string') {
+    try {
+      fields = JSON.parse(fields);
+    } catch {
+      fields = [];
+    }
+  }
+  return Array.isArray(fields) ? fields.filter((field) => typeof field === 'string') : [];
+}
+
+/**
+ * Parse danh sách trường cần mở khóa từ request (mảng hoặc chuỗi phân tách bởi dấu phẩy).
+ *
+ * @function parseFieldList
+ * @param {*} value - Giá trị từ request body
+ * @param {string[]} allowedFields - Các trường có thể khóa
+ * @returns {string[]|null} Danh sách trường, mảng rỗng nếu không truyền, null nếu có trường không hợp lệ
+ */
+export function parseFieldList(value, allowedFields) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const fields = (Array.isArray(value) ? value : String(value).split(','))
+    .map((field) => String(field).trim())
+    .filter(Boolean);
+  return fields.every((field) => allowedFields.includes(field)) ? [...new Set(fields)] : null;
+}
+
+/**
+ * Tính danh sách trường bị khóa sau một lần sửa thủ công: các trường được sửa
+ * bị khóa thêm, các trường trong `unlock` được mở khóa.
+ *
+ * @function mergeLockedFields
+ * @param {*} current - Giá trị `locked_fields` hiện tại
+ * @param {string[]} edited - Trường được sửa trong request
+ * @param {string[]} [unlocked=[]] - Trường cần mở khóa
+ * @returns {string[]} Danh sách trường bị khóa mới (đã sắp xếp)
+ */
+export function mergeLockedFields(current, edited, unlocked = []) {
+  const fields = new Set([...readLockedFields(current), ...edited]);
+  unlocked.forEach((field) => fields.delete(field));
+  return [...fields].sort();
+}
+
+/**
+ * Giữ lại giá trị hiện tại của các trường bị khóa trong payload import.
+ * Với `force`, payload được giữ nguyên (import ghi đè cả trường bị khóa, khóa vẫn còn).
+ *
+ * @function applyFieldLocks
+ * @param {Object[]} existingRows - Các dòng hiện có (instance hoặc object) kèm `id` và `locked_fields`
+ * @param {Object[]} payloads - Payload import
+ * @param {Object} [options={}] - Tùy chọn
+ * @param {boolean} [options.force=false] - Ghi đè cả trường bị khóa
+ * @returns {{payloads: Object[], preserved: Array<{id: number, fields: string[]}>}} Payload đã áp khóa và các trường được giữ lại
+ */
+export function applyFieldLocks(existingRows, payloads, { force = false } = {}) {
+  if (force) {
+    return { payloads, preserved: [] };
+  }
+  const existingById = new Map(existingRows.map((row) => {
+    const plain = typeof row.get === 'function' ? row.get({ plain: true }) : row;
+    return [Number(plain.id), plain];
+  }));
+
+  const preserved = [];
+  const lockedPayloads = payloads.map((payload) => {
+    const existing = existingById.get(Number(payload.id));
+    const fields = readLockedFields(existing?.locked_fields).filter((field) => field in payload);
+    if (!fields.length) {
+      return payload;
+    }
+    preserved.push({ id: payload.id, fields });
+    const kept = { ...payload };
+    fields.forEach((field) => {
+      kept[field] = existing[field];
+    });
+    return kept;
+  });
+  return { payloads: lockedPayloads, preserved };
+}
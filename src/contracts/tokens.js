@@ -16,16 +16,22 @@
  * - Post, Comment, Team, Country, Tag
  * - PostLike, PostReport, League, Season
  * - LeagueTeamSeason, Player, PlayerTeamLeagueSeason, User
+ * - Fixture, FixtureEvent, FixtureLineup, FixtureLineupPlayer, FixturePlayerStat
+ * - Standing, PlayerSeasonStat, LeagueLeader, TeamHeadToHead
+ * - Coach, CoachCareer, Transfer, Injury
+ * - Trophy, SidelinedPeriod, ProfileHistorySync, LeagueSeason, ImportJobRun, ImportRun, ImportChange
  * 
  * ### Services (TOKENS.services.*)
  * Business logic services:
  * - auth, posts, comments, teams, countries
  * - tags, postLikes, postReports, leagues, seasons
- * - apiFootball, leagueTeamSeason, players, playerTeamLeagueSeason, users
+ * - apiFootball, apiFootballQuota, leagueTeamSeason, players, playerTeamLeagueSeason, users
+ * - fixtures, fixtureDetails, standings, leagueLeaders, teamHeadToHead, teamSquad
+ * - coaches, transfers, injuries, leagueImport, leagueSeasons, jobs, admin, importRuns
  * 
  * ### Queues (TOKENS.queues.*)
  * Background job queues (BullMQ):
- * - teamImport: Queue để import teams từ API-Football
+ * - imports: Queue chung cho mọi import job từ API-Football (pipelines/importJobs)
  * 
  * ## Usage Pattern:
  * ```javascript
@@ -79,6 +85,26 @@ export const TOKENS = Object.freeze({
     Player: 'models.Player',                         // Cầu thủ
     PlayerTeamLeagueSeason: 'models.PlayerTeamLeagueSeason', // Quan hệ cầu thủ-đội-giải-mùa
     User: 'models.User',                             // Người dùng
+    Fixture: 'models.Fixture',                       // Trận đấu
+    FixtureEvent: 'models.FixtureEvent',             // Diễn biến trận đấu
+    FixtureLineup: 'models.FixtureLineup',           // Đội hình ra sân
+    FixtureLineupPlayer: 'models.FixtureLineupPlayer', // Cầu thủ trong đội hình
+    FixturePlayerStat: 'models.FixturePlayerStat',   // Thống kê cầu thủ trong trận
+    Standing: 'models.Standing',                     // Bảng xếp hạng
+    PlayerSeasonStat: 'models.PlayerSeasonStat',     // Thống kê mùa giải của cầu thủ
+    LeagueLeader: 'models.LeagueLeader',             // Bảng xếp hạng cầu thủ (ghi bàn, kiến tạo, thẻ)
+    TeamHeadToHead: 'models.TeamHeadToHead',         // Lần đồng bộ đối đầu của cặp đội
+    Coach: 'models.Coach',                           // Huấn luyện viên
+    CoachCareer: 'models.CoachCareer',               // Lịch sử sự nghiệp huấn luyện viên
+    Transfer: 'models.Transfer',                     // Chuyển nhượng cầu thủ
+    Injury: 'models.Injury',                         // Chấn thương / treo giò
+    Trophy: 'models.Trophy',                         // Danh hiệu cầu thủ / huấn luyện viên
+    SidelinedPeriod: 'models.SidelinedPeriod',       // Giai đoạn vắng mặt cầu thủ / huấn luyện viên
+    ProfileHistorySync: 'models.ProfileHistorySync', // Lần đồng bộ danh hiệu / vắng mặt
+    LeagueSeason: 'models.LeagueSeason',             // Mùa giải của giải đấu (ngày, coverage)
+    ImportJobRun: 'models.ImportJobRun',             // Lịch sử import jobs chạy nền
+    ImportRun: 'models.ImportRun',                   // Lần chạy import teams / players
+    ImportChange: 'models.ImportChange',             // Thay đổi từng dòng của một lần import
   },
   
   /**
@@ -97,10 +123,25 @@ export const TOKENS = Object.freeze({
     leagues: 'services.leagues',                     // Leagues management
     seasons: 'services.seasons',                     // Seasons management
     apiFootball: 'services.apiFootball',             // External API-Football integration
+    apiFootballQuota: 'services.apiFootballQuota',   // API-Football daily request budget
     leagueTeamSeason: 'services.leagueTeamSeason',   // League-Team-Season relations
     players: 'services.players',                     // Players management
     playerTeamLeagueSeason: 'services.playerTeamLeagueSeason', // Player relations
     users: 'services.users',                         // Users management
+    fixtures: 'services.fixtures',                   // Fixtures management
+    fixtureDetails: 'services.fixtureDetails',       // Events, lineups, match player stats
+    standings: 'services.standings',                 // League tables
+    leagueLeaders: 'services.leagueLeaders',         // Top scorers/assists/cards
+    teamHeadToHead: 'services.teamHeadToHead',       // Head-to-head between two teams
+    teamSquad: 'services.teamSquad',                 // Team squads by season
+    coaches: 'services.coaches',                     // Coaches and career history
+    transfers: 'services.transfers',                 // Player and team transfers
+    injuries: 'services.injuries',                   // Team injuries and suspensions
+    leagueImport: 'services.leagueImport',           // League import from API-Football
+    leagueSeasons: 'services.leagueSeasons',         // League seasons + season=current resolution
+    jobs: 'services.jobs',                           // Background import job status and history
+    admin: 'services.admin',                         // Operational info (schedules, API-Football quota)
+    importRuns: 'services.importRuns',               // Import provenance (runs and field-level changes)
   },
   
   /**
@@ -108,7 +149,7 @@ export const TOKENS = Object.freeze({
    * Background processing cho heavy tasks.
    */
   queues: {
-    teamImport: 'queues.teamImport', // Queue import teams từ API-Football
+    imports: 'queues.imports', // Queue chung cho import jobs (đăng ký qua manifest `jobs`)
   },
 });
 
@@ -0,0 +1,56 @@
+/**
+ * @file Admin Controller
+ * @description HTTP request handlers for admin endpoints. Delegates to the
+ * admin service and formats responses with ApiResponse.
+ * @module modules/admin/controllers/admin
+ */
+
+import ApiResponse from '../../../common/response.js';
+import toAppException from '../../../common/controllerError.js';
+import { getSchedules, getQuota } from '../services/admin.service.js';
+
+/**
+ * Controller object containing admin endpoint handlers.
+ * @namespace AdminController
+ */
+const AdminController = {
+  /**
+   * Lists scheduled syncs with their next run times.
+   * @async
+   * @function getSchedules
+   * @memberof AdminController
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the schedules
+   */
+  async getSchedules(req, res, next) {
+    try {
+      const payload = await getSchedules();
+      return ApiResponse.success(res, payload, 'Schedules retrieved');
+    } catch (err) {
+      next(toAppException(err, 'Lỗi khi lấy danh sách lịch đồng bộ', 'SCHEDULES_FETCH_FAILED'));
+    }
+  },
+
+  /**
+   * Reads today's API-Football request budget.
+   * @async
+   * @function getApiFootballQuota
+   * @memberof AdminController
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with used/remaining requests and the reserve
+   */
+  async getApiFootballQuota(req, res, next) {
+    try {
+      const payload = await getQuota();
+      return ApiResponse.success(res, payload, 'API-Football quota retrieved');
+    } catch (err) {
+      next(toAppException(err, 'Lỗi khi lấy quota API-Football', 'QUOTA_FETCH_FAILED'));
+    }
+  },
+};
+
+export default AdminController;
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Admin Module Registration
+ * @description Entry point for the admin module. Registers the admin service
+ * and exposes operational endpoints: scheduled syncs and the API-Football quota.
+ * @module modules/admin
+ */
+
+import router from './routes/admin.routes.js';
+import * as AdminService from './services/admin.service.js';
+import { TOKENS } from '../../contracts/tokens.js';
+
+/**
+ * Registers the admin module with the application container.
+ *
+ * @async
+ * @function registerAdminModule
+ * @param {Object} options - Registration options
+ * @param {Object} options.container - Dependency injection container
+ * @returns {Promise<Object>} Module configuration object
+ */
+export default async function registerAdminModule({ container }) {
+  container.set(TOKENS.services.admin, AdminService);
+
+  return {
+    name: 'admin',
+    basePath: '/',
+    routes: router,
+    publicApi: {
+      services: AdminService,
+    },
+  };
+}
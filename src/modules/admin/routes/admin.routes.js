@@ -0,0 +1,95 @@
+/**
+ * @file Admin Routes
+ * @description Express router for operational endpoints. All endpoints require
+ * authentication.
+ * @module modules/admin/routes/admin
+ */
+
+import express from 'express';
+import auth from '../../../common/authMiddleware.js';
+import AdminController from '../controllers/admin.controller.js';
+
+/**
+ * Router for admin endpoints (JWT required).
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/admin/schedules:
+ *   get:
+ *     summary: List scheduled syncs
+ *     description: Recurring import jobs declared by the modules, with their next run time. Schedules are stored as BullMQ job schedulers and synced by the leader instance.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Schedules retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Schedules retrieved"
+ *               data:
+ *                 enabled: true
+ *                 leader:
+ *                   instanceId: "api-1:4120:9f3a61c2"
+ *                   isLeader: true
+ *                   lastSyncedAt: "2024-05-01T10:00:00.000Z"
+ *                 total: 1
+ *                 schedules:
+ *                   - id: "leagues-current-daily"
+ *                     module: "leagues"
+ *                     cron: "0 4 * * *"
+ *                     tz: null
+ *                     job: "leagues-import"
+ *                     payload:
+ *                       current: true
+ *                     jitter: 600000
+ *                     nextRunAt: "2024-05-02T04:00:00.000Z"
+ *                     active: true
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: Unexpected error.
+ */
+router.get('/admin/schedules', auth, AdminController.getSchedules); // GET /api/admin/schedules
+
+/**
+ * @openapi
+ * /api/admin/api-football/quota:
+ *   get:
+ *     summary: API-Football request budget
+ *     description: Requests made today (UTC, counted across instances in Redis) and the remaining budget reported by the x-ratelimit-requests-* headers. Background imports are deferred while remaining is at or below the reserve (API_FOOTBALL_QUOTA_RESERVE).
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Quota retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "API-Football quota retrieved"
+ *               data:
+ *                 date: "2024-05-01"
+ *                 used: 412
+ *                 limit: 7500
+ *                 remaining: 7088
+ *                 reserve: 100
+ *                 updatedAt: "2024-05-01T10:00:04.000Z"
+ *                 source: "headers"
+ *                 backgroundAllowed: true
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: Unexpected error.
+ */
+router.get('/admin/api-football/quota', auth, AdminController.getApiFootballQuota); // GET /api/admin/api-football/quota
+
+export default router;
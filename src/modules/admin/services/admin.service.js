@@ -0,0 +1,35 @@
+/**
+ * @file Admin Service
+ * @description Operational information for administrators: scheduled syncs
+ * and the API-Football request budget.
+ * @module modules/admin/services/admin
+ */
+
+import { listSchedules } from '../../../pipelines/jobScheduler.js';
+import { getApiFootballQuota } from '../../apiFootball/services/apiFootballQuota.service.js';
+
+/**
+ * Lists the scheduled syncs declared by the modules with their next run times.
+ * @async
+ * @function getSchedules
+ * @returns {Promise<Object>} `{ enabled, leader, total, schedules }`
+ */
+export async function getSchedules() {
+  const { enabled, leader, schedules } = await listSchedules();
+  return {
+    enabled,
+    leader,
+    total: schedules.length,
+    schedules,
+  };
+}
+
+/**
+ * Reads today's API-Football request budget.
+ * @async
+ * @function getQuota
+ * @returns {Promise<Object>} `{ date, used, limit, remaining, reserve, updatedAt, source, backgroundAllowed }`
+ */
+export async function getQuota() {
+  return getApiFootballQuota();
+}
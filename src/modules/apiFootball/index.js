@@ -6,6 +6,8 @@
  */
 
 import * as ApiFootballService from './services/apiFootball.service.js';
+import * as ApiFootballQuotaService from './services/apiFootballQuota.service.js';
+import { addImportJobGate } from '../../pipelines/importJobs.js';
 import { TOKENS } from '../../contracts/tokens.js';
 
 /**
@@ -23,6 +25,10 @@ import { TOKENS } from '../../contracts/tokens.js';
  */
 export default async function registerApiFootballModule({ container }) {
   container.set(TOKENS.services.apiFootball, ApiFootballService);
+  container.set(TOKENS.services.apiFootballQuota, ApiFootballQuotaService);
+
+  // Background imports wait while the daily budget is down to the reserve
+  addImportJobGate(ApiFootballQuotaService.checkBackgroundBudget);
 
   return {
     name: 'apiFootball',
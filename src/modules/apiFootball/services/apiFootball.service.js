@@ -2,14 +2,22 @@
  * @file API Football Service
  * @description Service layer for interacting with the API-Football external API.
  *              Implements caching via Redis and circuit breaker pattern for resilience.
+ *              `API_FOOTBALL_MODE` switches between live calls (`live`), serving recorded
+ *              responses from `API_FOOTBALL_FIXTURES_DIR` (`replay`) and capturing live
+ *              responses to that directory (`record`). Identical concurrent lookups share
+ *              one upstream request (single-flight, across instances through a Redis lock).
  * @module modules/apiFootball/services/apiFootball.service
  */
 
 import CircuitBreaker from 'opossum';
 import crypto from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
 import { createHttpClient } from '../../../common/httpClient.js';
 import { redisClient } from '../../../common/redisClient.js';
 import { logger } from '../../../common/logger.js';
+import { recordApiFootballCall, getRateLimitWaitMs } from './apiFootballQuota.service.js';
 
 /**
  * Base URL for the API-Football service
@@ -36,6 +44,48 @@ const api = createHttpClient({
   timeout: Number.parseInt(process.env.API_FOOTBALL_TIMEOUT ?? '10000', 10),
 });
 
+/**
+ * Upstream mode: 'live' (default), 'replay' (recorded fixtures only) or 'record' (live + capture)
+ * @constant {string}
+ */
+const apiMode = (process.env.API_FOOTBALL_MODE ?? 'live').toLowerCase();
+
+/**
+ * Directory holding recorded API-Football responses, one JSON file per request
+ * @constant {string}
+ */
+const fixturesDir = path.resolve(process.env.API_FOOTBALL_FIXTURES_DIR ?? 'fixtures/api-football');
+
+/**
+ * How long in seconds a copy is still served (as stale) after its TTL expired
+ * @constant {number}
+ */
+const staleTtl = Number.parseInt(process.env.API_FOOTBALL_STALE_TTL ?? '86400', 10);
+
+/**
+ * Upstream lookups in flight in this process, keyed by cache key
+ * @type {Map<string, Promise<*>>}
+ */
+const inFlight = new Map();
+
+/**
+ * Interval in milliseconds at which an instance waiting on another instance's lookup polls the cache
+ * @constant {number}
+ */
+const LOCK_POLL_MS = 100;
+
+/**
+ * Delay in milliseconds between two pages fetched by apiFootballPages
+ * @constant {number}
+ */
+const pageDelayMs = Number.parseInt(process.env.API_FOOTBALL_PAGE_DELAY_MS ?? '250', 10);
+
+/**
+ * Maximum number of pages apiFootballPages walks for a single query
+ * @constant {number}
+ */
+const maxPages = Number.parseInt(process.env.API_FOOTBALL_MAX_PAGES ?? '50', 10);
+
 /**
  * Circuit breaker configuration options
  * @type {Object}
@@ -49,15 +99,146 @@ const breakerOptions = {
   resetTimeout: Number.parseInt(process.env.API_FOOTBALL_BREAKER_RESET_TIMEOUT ?? '30000', 10),
 };
 
+/**
+ * Lifetime of the cross-instance single-flight lock; outlasts one breaker-guarded request
+ * @constant {number}
+ */
+const lockTtlMs = breakerOptions.timeout + 1000;
+
+/**
+ * Releases a lock only if it is still held with the given token
+ * @constant {string}
+ */
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Hashes a request the same way for the Redis cache and the recorded fixtures.
+ *
+ * @function hashRequest
+ * @param {string} requestPath - The API endpoint path
+ * @param {Object} [params] - Query parameters for the request
+ * @returns {string} SHA-1 hex digest of path and params
+ * @private
+ */
+function hashRequest(requestPath, params) {
+  const hash = crypto.createHash('sha1');
+  hash.update(requestPath);
+  hash.update(JSON.stringify(params || {}));
+  return hash.digest('hex');
+}
+
+/**
+ * Resolves the fixture file of a request. GET requests are keyed on path+params
+ * exactly like buildCacheKey; other methods are prefixed with the method.
+ *
+ * @function fixturePath
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - The API endpoint path
+ * @param {Object} [params] - Query parameters for the request
+ * @returns {string} Absolute path of the fixture file
+ * @private
+ */
+function fixturePath(method, requestPath, params) {
+  const keyPath = method.toLowerCase() === 'get' ? requestPath : `${method.toLowerCase()}:${requestPath}`;
+  return path.join(fixturesDir, `${hashRequest(keyPath, params)}.json`);
+}
+
+/**
+ * Serves a recorded response in replay mode.
+ *
+ * @async
+ * @function readFixture
+ * @param {Object} request - Request passed to the circuit breaker
+ * @returns {Promise<Object>} Recorded response body
+ * @throws {Error} API_FOOTBALL_FIXTURE_MISSING (503) when nothing was recorded for the request
+ * @private
+ */
+async function readFixture({ method = 'get', path: requestPath, params }) {
+  const file = fixturePath(method, requestPath, params);
+  try {
+    const fixture = JSON.parse(await readFile(file, 'utf8'));
+    return fixture.data;
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      throw err;
+    }
+    const error = new Error(`No recorded API-Football response for ${method.toUpperCase()} ${requestPath} ${JSON.stringify(params || {})}`);
+    error.code = 'API_FOOTBALL_FIXTURE_MISSING';
+    error.status = 503;
+    error.details = { file };
+    throw error;
+  }
+}
+
+/**
+ * Captures a live response in record mode. Failures are logged, never thrown.
+ *
+ * @async
+ * @function writeFixture
+ * @param {Object} request - Request passed to the circuit breaker
+ * @param {Object} data - Response body
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeFixture({ method = 'get', path: requestPath, params }, data) {
+  const file = fixturePath(method, requestPath, params);
+  try {
+    await mkdir(fixturesDir, { recursive: true });
+    const fixture = {
+      method: method.toLowerCase(),
+      path: requestPath,
+      params: params || {},
+      recordedAt: new Date().toISOString(),
+      data,
+    };
+    await writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  } catch (err) {
+    logger.warn({ err, file }, 'Failed to record API Football response');
+  }
+}
+
 /**
  * Circuit breaker instance wrapping API-Football HTTP requests.
  * Provides fault tolerance by opening the circuit when error threshold is exceeded.
+ * Every call that reaches API-Football, including error responses, counts against the daily quota.
+ * In replay mode the network is never used.
  * @type {CircuitBreaker}
  */
-const breaker = new CircuitBreaker(async ({ method = 'get', path, params, data }) => {
-  const response = await api.request({ method, url: path, params, data });
-  return response.data;
-}, breakerOptions);
+const breaker = new CircuitBreaker(async (request) => {
+  if (apiMode === 'replay') {
+    return readFixture(request);
+  }
+
+  const { method = 'get', path: requestPath, params, data } = request;
+  try {
+    const response = await api.request({ method, url: requestPath, params, data });
+    await recordApiFootballCall(response.headers);
+    if (apiMode === 'record') {
+      await writeFixture(request, response.data);
+    }
+    return response.data;
+  } catch (err) {
+    if (err?.response) {
+      await recordApiFootballCall(err.response.headers);
+    }
+    throw err;
+  }
+}, {
+  ...breakerOptions,
+  // A missing recording is a setup problem, not an upstream failure
+  errorFilter: (err) => err?.code === 'API_FOOTBALL_FIXTURE_MISSING',
+});
+
+if (!['live', 'replay', 'record'].includes(apiMode)) {
+  logger.warn({ mode: apiMode }, 'Unknown API_FOOTBALL_MODE, using live requests');
+} else if (apiMode !== 'live') {
+  logger.info({ mode: apiMode, fixturesDir }, 'API Football recorded-response mode enabled');
+}
 
 breaker.on('open', () => logger.warn('API Football circuit breaker opened'));
 breaker.on('close', () => logger.info('API Football circuit breaker closed'));
@@ -74,14 +255,122 @@ breaker.on('timeout', () => logger.warn('API Football request timed out'));
  * @private
  */
 function buildCacheKey(path, params) {
-  const hash = crypto.createHash('sha1');
-  hash.update(path);
-  hash.update(JSON.stringify(params || {}));
-  return `api-football:${hash.digest('hex')}`;
+  return `api-football:${hashRequest(path, params)}`;
+}
+
+/**
+ * Reads and parses a cached JSON value.
+ *
+ * @async
+ * @function readCachedJson
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} Parsed value, or null when missing or unreadable
+ * @private
+ */
+async function readCachedJson(key) {
+  try {
+    const cached = await redisClient.get(key);
+    return cached ? JSON.parse(cached) : null;
+  } catch (err) {
+    logger.warn({ err, key }, 'Failed to read cached API Football response');
+    return null;
+  }
+}
+
+/**
+ * Waits for another instance holding the lock to publish its result.
+ *
+ * @async
+ * @function waitForLockHolder
+ * @param {string} lockKey - Lock key held by the other instance
+ * @param {Function} readShared - Returns the published result, or null while there is none
+ * @returns {Promise<*>} Published result, or null when the holder gave up or the wait timed out
+ * @private
+ */
+async function waitForLockHolder(lockKey, readShared) {
+  const deadline = Date.now() + lockTtlMs;
+  while (Date.now() < deadline) {
+    await sleep(LOCK_POLL_MS);
+    const shared = await readShared();
+    if (shared !== null) {
+      return shared;
+    }
+    if (!(await redisClient.exists(lockKey))) {
+      // The holder finished without publishing (e.g. upstream error): one last look, then fetch ourselves
+      return readShared();
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs `load` under a Redis lock so only one instance calls upstream for a key.
+ * Other instances wait for the result to appear through `readShared`; if it does
+ * not (lock holder failed, lock expired, Redis unavailable) they run `load` themselves.
+ *
+ * @async
+ * @function loadWithLock
+ * @param {string} key - Cache key of the lookup
+ * @param {Function} load - Calls upstream and publishes the result to the cache
+ * @param {Function} readShared - Returns the published result, or null while there is none
+ * @returns {Promise<*>} Loaded or shared result
+ * @private
+ */
+async function loadWithLock(key, load, readShared) {
+  const lockKey = `${key}:lock`;
+  const token = crypto.randomUUID();
+  let acquired;
+  try {
+    acquired = (await redisClient.set(lockKey, token, { NX: true, PX: lockTtlMs })) === 'OK';
+  } catch (err) {
+    logger.warn({ err, key }, 'Failed to take API Football single-flight lock');
+    return load();
+  }
+
+  if (!acquired) {
+    const shared = await waitForLockHolder(lockKey, readShared);
+    if (shared !== null) {
+      return shared;
+    }
+    return load();
+  }
+
+  try {
+    return await load();
+  } finally {
+    await redisClient
+      .eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] })
+      .catch((err) => logger.warn({ err, key }, 'Failed to release API Football single-flight lock'));
+  }
+}
+
+/**
+ * Collapses identical concurrent upstream lookups into one.
+ * Callers in this process share the pending promise; with Redis and a `readShared`
+ * reader, other instances wait on a lock instead of calling upstream too.
+ *
+ * @async
+ * @function singleFlight
+ * @param {string} key - Cache key of the lookup
+ * @param {Function} load - Calls upstream and publishes the result to the cache
+ * @param {Function|null} [readShared=null] - Reads the result published by another instance
+ * @returns {Promise<*>} Result of the shared lookup
+ * @private
+ */
+function singleFlight(key, load, readShared = null) {
+  const pending = inFlight.get(key);
+  if (pending) {
+    return pending;
+  }
+  const promise = (readShared && redisClient.isOpen ? loadWithLock(key, load, readShared) : load())
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
 }
 
 /**
  * Performs a GET request to the API-Football service with caching support.
+ * Concurrent cache misses for the same key share one upstream request.
  *
  * @async
  * @function apiFootballGet
@@ -107,18 +396,196 @@ export async function apiFootballGet(path, params = {}, { cacheKey, ttl } = {})
     }
   }
 
+  return singleFlight(key, async () => {
+    const data = await breaker.fire({ method: 'get', path, params });
+    if (shouldCache && redisClient.isOpen) {
+      await redisClient.set(key, JSON.stringify(data), { EX: resolvedTtl });
+    }
+    return data;
+  }, shouldCache ? () => readCachedJson(key) : null);
+}
+
+/**
+ * Fetches from API-Football and stores the stale-while-revalidate copy.
+ *
+ * @async
+ * @function fetchAndStore
+ * @param {string} key - Stale-while-revalidate cache key
+ * @param {string} path - The API endpoint path
+ * @param {Object} params - Query parameters
+ * @param {number} ttl - Fresh TTL in seconds
+ * @returns {Promise<{data: Object, fetchedAt: string}>} Stored entry
+ * @private
+ */
+async function fetchAndStore(key, path, params, ttl) {
   const data = await breaker.fire({ method: 'get', path, params });
+  const entry = { data, fetchedAt: new Date().toISOString() };
+  if (redisClient.isOpen) {
+    try {
+      await redisClient.set(key, JSON.stringify(entry), { EX: ttl + staleTtl });
+    } catch (err) {
+      logger.warn({ err, path }, 'Failed to store API Football response');
+    }
+  }
+  return entry;
+}
 
-  if (shouldCache && redisClient.isOpen) {
-    await redisClient.set(key, JSON.stringify(data), { EX: resolvedTtl });
+/**
+ * Checks whether a stale-while-revalidate copy is still within its fresh TTL.
+ *
+ * @function isFreshEntry
+ * @param {{fetchedAt: string}|null} entry - Stored entry
+ * @param {number} ttl - Fresh TTL in seconds
+ * @returns {boolean} True when the entry is fresh
+ * @private
+ */
+function isFreshEntry(entry, ttl) {
+  return Boolean(entry) && Date.now() - new Date(entry.fetchedAt).getTime() < ttl * 1000;
+}
+
+/**
+ * Fetches a stale-while-revalidate copy through single-flight, so concurrent
+ * misses and refreshes of the same key make one upstream request.
+ *
+ * @function fetchShared
+ * @param {string} key - Stale-while-revalidate cache key
+ * @param {string} path - The API endpoint path
+ * @param {Object} params - Query parameters
+ * @param {number} ttl - Fresh TTL in seconds
+ * @returns {Promise<{data: Object, fetchedAt: string}>} Fetched or shared entry
+ * @private
+ */
+function fetchShared(key, path, params, ttl) {
+  return singleFlight(key, () => fetchAndStore(key, path, params, ttl), async () => {
+    const entry = await readCachedJson(key);
+    return isFreshEntry(entry, ttl) ? entry : null;
+  });
+}
+
+/**
+ * Refreshes a stale copy without blocking the caller.
+ *
+ * @function revalidate
+ * @param {string} key - Stale-while-revalidate cache key
+ * @param {string} path - The API endpoint path
+ * @param {Object} params - Query parameters
+ * @param {number} ttl - Fresh TTL in seconds
+ * @returns {void}
+ * @private
+ */
+function revalidate(key, path, params, ttl) {
+  fetchShared(key, path, params, ttl)
+    .catch((err) => logger.warn({ err, path, params }, 'Failed to revalidate API Football response'));
+}
+
+/**
+ * Performs a GET request with stale-while-revalidate caching.
+ * A copy is fresh for `ttl` seconds and kept `API_FOOTBALL_STALE_TTL` seconds longer.
+ * A stale copy is returned immediately while a background refresh runs, and is also
+ * returned while the circuit breaker is open. Only a missing copy waits for upstream.
+ * Needs Redis; without it every call goes upstream.
+ *
+ * @async
+ * @function apiFootballGetWithFreshness
+ * @param {string} path - The API endpoint path to request
+ * @param {Object} [params={}] - Query parameters for the request
+ * @param {Object} [options={}] - Additional options
+ * @param {number} [options.ttl] - Fresh TTL in seconds (uses default if not provided)
+ * @returns {Promise<{data: Object, freshness: 'fresh'|'stale', fetchedAt: string}>} Response data and its freshness
+ * @example
+ * const { data, freshness } = await apiFootballGetWithFreshness('/teams/statistics', { team: 33, league: 39, season: 2023 });
+ */
+export async function apiFootballGetWithFreshness(path, params = {}, { ttl } = {}) {
+  const resolvedTtl = ttl ?? cacheTtl;
+  const key = `api-football:swr:${hashRequest(path, params)}`;
+
+  const entry = redisClient.isOpen ? await readCachedJson(key) : null;
+
+  if (entry) {
+    if (isFreshEntry(entry, resolvedTtl)) {
+      return { data: entry.data, freshness: 'fresh', fetchedAt: entry.fetchedAt };
+    }
+    if (!breaker.opened) {
+      revalidate(key, path, params, resolvedTtl);
+    }
+    return { data: entry.data, freshness: 'stale', fetchedAt: entry.fetchedAt };
   }
 
-  return data;
+  const fetched = await fetchShared(key, path, params, resolvedTtl);
+  return { data: fetched.data, freshness: 'fresh', fetchedAt: fetched.fetchedAt };
+}
+
+/**
+ * Returns the errors API-Football reported in a response body.
+ * Quota and parameter errors come back with HTTP 200, an `errors` object and an
+ * empty `response`, so callers that replace stored data must check this first.
+ *
+ * @function getApiFootballErrors
+ * @param {Object} data - API-Football response body
+ * @returns {Object|Array|null} The non-empty `errors` value, or null when there is none
+ * @example
+ * const errors = getApiFootballErrors(data);
+ * if (errors) {
+ *   // keep the stored copy
+ * }
+ */
+export function getApiFootballErrors(data) {
+  const errors = data?.errors;
+  if (!errors || typeof errors !== 'object') {
+    return null;
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Walks every page of a paginated API-Football endpoint.
+ * Pages are fetched one after another through apiFootballGet (so each page is cached),
+ * waiting `API_FOOTBALL_PAGE_DELAY_MS` between pages and longer when the per-minute
+ * rate limit is exhausted. Stops at `paging.total` or after `API_FOOTBALL_MAX_PAGES` pages.
+ *
+ * @async
+ * @generator
+ * @function apiFootballPages
+ * @param {string} path - The API endpoint path to request
+ * @param {Object} [params={}] - Query parameters (without `page`)
+ * @param {Object} [options={}] - Additional options
+ * @param {number} [options.startPage=1] - First page to fetch
+ * @param {number} [options.limit] - Maximum number of pages (defaults to API_FOOTBALL_MAX_PAGES)
+ * @param {number} [options.ttl] - Custom TTL in seconds for each page
+ * @yields {{page: number, totalPages: number, data: Object}} One API response per page
+ * @example
+ * for await (const { page, totalPages, data } of apiFootballPages('/players', { team: 33, season: 2023 })) {
+ *   console.log(`page ${page}/${totalPages}`, data.response.length);
+ * }
+ */
+export async function* apiFootballPages(path, params = {}, { startPage = 1, limit = maxPages, ttl } = {}) {
+  let page = startPage;
+  let fetched = 0;
+
+  while (fetched < limit) {
+    const wait = fetched > 0 ? Math.max(pageDelayMs, getRateLimitWaitMs()) : getRateLimitWaitMs();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    // Page 1 is requested without `page`: endpoints without pagination (e.g. /teams) reject the parameter
+    const pageParams = page > 1 ? { ...params, page } : params;
+    const data = await apiFootballGet(path, pageParams, { ttl });
+    fetched += 1;
+    const totalPages = Number.parseInt(data?.paging?.total, 10) || page;
+    yield { page, totalPages, data };
+
+    if (page >= totalPages) {
+      return;
+    }
+    page += 1;
+  }
+
+  logger.warn({ path, params, limit }, 'API Football pagination stopped at the page limit');
 }
 
 /**
  * Performs a flexible HTTP request to the API-Football service with optional caching.
- * Supports all HTTP methods but only caches GET requests.
+ * Supports all HTTP methods but only caches GET requests; concurrent identical GETs share one upstream request.
  *
  * @async
  * @function apiFootballRequest
@@ -171,13 +638,19 @@ export async function apiFootballRequest(options = {}) {
     }
   }
 
-  const payload = await breaker.fire({ method, path, params, data });
+  const fire = async () => {
+    const payload = await breaker.fire({ method, path, params, data });
+    if (shouldCache && redisClient.isOpen) {
+      await redisClient.set(resolvedKey, JSON.stringify(payload), { EX: resolvedTtl });
+    }
+    return payload;
+  };
 
-  if (shouldCache && redisClient.isOpen) {
-    await redisClient.set(resolvedKey, JSON.stringify(payload), { EX: resolvedTtl });
+  // Only reads are shared; other methods always reach upstream
+  if (method.toLowerCase() !== 'get') {
+    return fire();
   }
-
-  return payload;
+  return singleFlight(resolvedKey, fire, shouldCache ? () => readCachedJson(resolvedKey) : null);
 }
 
 /**
@@ -0,0 +1,305 @@
+/**
+ * @file API Football Quota Service
+ * @description Tracks the API-Football daily request budget. Every upstream call
+ *              is counted in a per-day Redis counter and the
+ *              `x-ratelimit-requests-*` response headers are kept as the
+ *              authoritative remaining budget. Background imports are deferred
+ *              when the remaining budget falls below a configurable reserve, so
+ *              interactive requests keep working.
+ * @module modules/apiFootball/services/apiFootballQuota.service
+ */
+
+import { Gauge } from 'prom-client';
+import { redisClient } from '../../../common/redisClient.js';
+import { logger } from '../../../common/logger.js';
+
+/**
+ * Reads an integer setting from the environment.
+ *
+ * @function readIntEnv
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @param {number} [min=0] - Smallest accepted value
+ * @returns {number} Parsed value or fallback
+ * @private
+ */
+function readIntEnv(name, fallback, min = 0) {
+  const parsed = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+}
+
+/**
+ * Requests kept for interactive traffic; background jobs pause below this budget
+ * @constant {number}
+ */
+const quotaReserve = readIntEnv('API_FOOTBALL_QUOTA_RESERVE', 100);
+
+/**
+ * Delay in milliseconds before a deferred background job is tried again
+ * @constant {number}
+ */
+const quotaDeferMs = readIntEnv('API_FOOTBALL_QUOTA_DEFER_MS', 900000, 1);
+
+/**
+ * Daily limit used when API-Football has not sent its headers yet (0 = unknown)
+ * @constant {number}
+ */
+const configuredDailyLimit = readIntEnv('API_FOOTBALL_DAILY_LIMIT', 0);
+
+/**
+ * Redis key prefix of the per-day request counters
+ * @constant {string}
+ */
+const COUNTER_KEY_PREFIX = 'api-football:quota:used:';
+
+/**
+ * Redis key of the last rate limit headers seen
+ * @constant {string}
+ */
+const SNAPSHOT_KEY = 'api-football:quota:snapshot';
+
+/**
+ * Counters are kept for two days so yesterday's usage can still be read
+ * @constant {number}
+ */
+const COUNTER_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+/**
+ * In-process copy of the quota state, used by /metrics and when Redis is disabled
+ * @type {{date: string, used: number, limit: number|null, remaining: number|null, updatedAt: string|null}}
+ */
+const localState = {
+  date: null,
+  used: 0,
+  limit: null,
+  remaining: null,
+  updatedAt: null,
+};
+
+/**
+ * Last per-minute rate limit seen (`x-ratelimit-remaining`), kept in-process only
+ * @type {{remaining: number|null, seenAt: number}}
+ */
+const minuteWindow = {
+  remaining: null,
+  seenAt: 0,
+};
+
+/**
+ * Returns the quota day. API-Football resets its daily counters at 00:00 UTC.
+ *
+ * @function quotaDay
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} Day as YYYY-MM-DD (UTC)
+ * @private
+ */
+function quotaDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses a rate limit header value.
+ *
+ * @function parseHeaderInt
+ * @param {*} value - Header value
+ * @returns {number|null} Non-negative integer or null when absent or invalid
+ * @private
+ */
+function parseHeaderInt(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+}
+
+/**
+ * Resets the in-process state when the quota day changes.
+ *
+ * @function rollLocalState
+ * @param {string} day - Current quota day
+ * @returns {void}
+ * @private
+ */
+function rollLocalState(day) {
+  if (localState.date !== day) {
+    Object.assign(localState, {
+      date: day,
+      used: 0,
+      limit: null,
+      remaining: null,
+      updatedAt: null,
+    });
+  }
+}
+
+/**
+ * Records one upstream API-Football call and the rate limit headers it returned.
+ * Failures to write to Redis are logged and never fail the request.
+ *
+ * @async
+ * @function recordApiFootballCall
+ * @param {Object} [headers={}] - Response headers (lower-case keys)
+ * @returns {Promise<void>}
+ */
+export async function recordApiFootballCall(headers = {}) {
+  const now = new Date();
+  const day = quotaDay(now);
+  rollLocalState(day);
+  localState.used += 1;
+
+  const minuteRemaining = parseHeaderInt(headers['x-ratelimit-remaining']);
+  if (minuteRemaining !== null) {
+    minuteWindow.remaining = minuteRemaining;
+    minuteWindow.seenAt = now.getTime();
+  }
+
+  const limit = parseHeaderInt(headers['x-ratelimit-requests-limit']);
+  const remaining = parseHeaderInt(headers['x-ratelimit-requests-remaining']);
+  if (remaining !== null) {
+    localState.remaining = remaining;
+    localState.limit = limit ?? localState.limit;
+    localState.updatedAt = now.toISOString();
+  }
+
+  if (!redisClient.isOpen) {
+    return;
+  }
+  try {
+    const counterKey = `${COUNTER_KEY_PREFIX}${day}`;
+    localState.used = await redisClient.incr(counterKey);
+    await redisClient.expire(counterKey, COUNTER_TTL_SECONDS);
+    if (remaining !== null) {
+      await redisClient.set(SNAPSHOT_KEY, JSON.stringify({
+        date: day,
+        limit: localState.limit,
+        remaining,
+        updatedAt: localState.updatedAt,
+      }), { EX: COUNTER_TTL_SECONDS });
+    }
+  } catch (err) {
+    logger.warn({ err }, 'Failed to record API Football quota usage');
+  }
+}
+
+/**
+ * Reads the current API-Football budget.
+ * The remaining budget comes from the latest response headers of the day; when
+ * none were seen yet it falls back to `API_FOOTBALL_DAILY_LIMIT - used`.
+ *
+ * @async
+ * @function getApiFootballQuota
+ * @returns {Promise<Object>} `{ date, used, limit, remaining, reserve, updatedAt, source, backgroundAllowed }`
+ */
+export async function getApiFootballQuota() {
+  const day = quotaDay();
+  rollLocalState(day);
+
+  if (redisClient.isOpen) {
+    try {
+      const [used, snapshotRaw] = await Promise.all([
+        redisClient.get(`${COUNTER_KEY_PREFIX}${day}`),
+        redisClient.get(SNAPSHOT_KEY),
+      ]);
+      localState.used = Number.parseInt(used ?? '0', 10) || 0;
+      const snapshot = snapshotRaw ? JSON.parse(snapshotRaw) : null;
+      // Yesterday's headers say nothing about today's budget
+      if (snapshot?.date === day) {
+        Object.assign(localState, {
+          limit: snapshot.limit,
+          remaining: snapshot.remaining,
+          updatedAt: snapshot.updatedAt,
+        });
+      }
+    } catch (err) {
+      logger.warn({ err }, 'Failed to read API Football quota usage');
+    }
+  }
+
+  let { limit, remaining } = localState;
+  let source = 'headers';
+  if (remaining === null) {
+    limit = configuredDailyLimit > 0 ? configuredDailyLimit : null;
+    remaining = limit !== null ? Math.max(0, limit - localState.used) : null;
+    source = limit !== null ? 'config' : 'unknown';
+  }
+
+  return {
+    date: day,
+    used: localState.used,
+    limit,
+    remaining,
+    reserve: quotaReserve,
+    updatedAt: localState.updatedAt,
+    source,
+    backgroundAllowed: remaining === null || remaining > quotaReserve,
+  };
+}
+
+/**
+ * Milliseconds to wait before the next call so the per-minute limit is respected.
+ * Returns 0 unless the last response reported no requests left in the current minute.
+ *
+ * @function getRateLimitWaitMs
+ * @returns {number} Wait in milliseconds
+ */
+export function getRateLimitWaitMs() {
+  if (minuteWindow.remaining !== 0) {
+    return 0;
+  }
+  return Math.max(0, minuteWindow.seenAt + 60 * 1000 - Date.now());
+}
+
+/**
+ * Import job gate: defers background jobs while the remaining budget is at or
+ * below the reserve. Registered with `addImportJobGate` by the apiFootball module;
+ * the worker checks it before a job starts and between the pages of long imports.
+ *
+ * @async
+ * @function checkBackgroundBudget
+ * @returns {Promise<{allowed: boolean, delay?: number, reason?: string}>} Gate decision
+ */
+export async function checkBackgroundBudget() {
+  const quota = await getApiFootballQuota();
+  if (quota.backgroundAllowed) {
+    return { allowed: true };
+  }
+  return {
+    allowed: false,
+    delay: quotaDeferMs,
+    reason: `API-Football budget low (${quota.remaining} remaining, reserve ${quota.reserve})`,
+  };
+}
+
+// Prometheus gauges, refreshed on every /metrics scrape
+new Gauge({
+  name: 'kickoffhub_api_football_requests_used_today',
+  help: 'API-Football requests made today (UTC), counted across instances in Redis',
+  async collect() {
+    const quota = await getApiFootballQuota();
+    this.set(quota.used);
+  },
+});
+
+new Gauge({
+  name: 'kickoffhub_api_football_requests_remaining',
+  help: 'API-Football requests remaining today (-1 when unknown)',
+  async collect() {
+    const quota = await getApiFootballQuota();
+    this.set(quota.remaining ?? -1);
+  },
+});
+
+new Gauge({
+  name: 'kickoffhub_api_football_requests_limit',
+  help: 'API-Football daily request limit (-1 when unknown)',
+  async collect() {
+    const quota = await getApiFootballQuota();
+    this.set(quota.limit ?? -1);
+  },
+});
+
+new Gauge({
+  name: 'kickoffhub_api_football_requests_reserve',
+  help: 'API-Football requests reserved for interactive traffic',
+  collect() {
+    this.set(quotaReserve);
+  },
+});
@@ -0,0 +1,63 @@
+import ApiResponse from '../../../common/response.js';
+import { AppException } from '../../../common/exceptions/index.js';
+import toAppException from '../../../common/controllerError.js';
+import {
+  getCoachDetails,
+  getTeamCoach,
+  importCoachesFromApi,
+  CoachesServiceError,
+} from '../services/coaches.service.js';
+
+function mapCoachesError(error, fallbackMessage, fallbackCode, fallbackStatus = 500) {
+  if (error instanceof AppException) {
+    return error;
+  }
+
+  if (error instanceof CoachesServiceError) {
+    return new AppException(error.message, fallbackCode, error.statusCode ?? 400);
+  }
+
+  if (error?.response) {
+    const status = error.response.status ?? fallbackStatus;
+    return new AppException('Error from API Football', fallbackCode, status, {
+      response: error.response.data ?? null,
+    });
+  }
+
+  if (error?.code === 'ECONNABORTED') {
+    return new AppException('Timeout when connecting to API Football', 'API_FOOTBALL_TIMEOUT', 504);
+  }
+
+  return toAppException(error, fallbackMessage, fallbackCode, fallbackStatus);
+}
+
+class CoachesController {
+  static async getCoachById(req, res, next) {
+    try {
+      const coach = await getCoachDetails(req.params.id, req.query);
+      return ApiResponse.success(res, coach, 'Coach retrieved successfully');
+    } catch (error) {
+      next(mapCoachesError(error, 'Error retrieving coach information', 'COACH_FETCH_FAILED'));
+    }
+  }
+
+  static async getCoachByTeam(req, res, next) {
+    try {
+      const coach = await getTeamCoach(req.params.id);
+      return ApiResponse.success(res, coach, 'Team coach retrieved successfully');
+    } catch (error) {
+      next(mapCoachesError(error, 'Error retrieving team coach', 'TEAM_COACH_FETCH_FAILED'));
+    }
+  }
+
+  static async importCoachesFromApiFootball(req, res, next) {
+    try {
+      const result = await importCoachesFromApi(req.query);
+      return ApiResponse.success(res, result, 'Coaches imported successfully');
+    } catch (error) {
+      next(mapCoachesError(error, 'Error importing coaches from API Football', 'COACH_IMPORT_FAILED'));
+    }
+  }
+}
+
+export default CoachesController;
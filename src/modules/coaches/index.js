@@ -0,0 +1,87 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/coaches/index.js
+ * =============================================================================
+ * 
+ * @fileoverview Coaches Module Registration
+ * 
+ * @description
+ * Module đăng ký cho Coaches feature.
+ * Xử lý thông tin huấn luyện viên, lịch sử sự nghiệp và import từ API-Football.
+ * 
+ * ## Module Structure:
+ * - models/: Sequelize Coach và CoachCareer models
+ * - repositories/: Truy vấn coaches + coach_careers
+ * - services/: Business logic với API-Football integration
+ * - controllers/: HTTP request handlers
+ * - routes/: Express route definitions
+ * 
+ * ## Dependencies:
+ * - apiFootball service: External API client
+ * 
+ * @module modules/coaches
+ * @requires contracts/tokens
+ * 
+ * =============================================================================
+ */
+
+import { publicRouter, privateRouter } from './routes/coaches.routes.js';
+import Coach from './models/coach.model.js';
+import CoachCareer from './models/coachCareer.model.js';
+import {
+  initCoachesService,
+  getCoachDetails,
+  getTeamCoach,
+  importCoachesFromApi,
+  performCoachImport,
+} from './services/coaches.service.js';
+import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
+
+// =============================================================================
+// Module Registration
+// =============================================================================
+
+/**
+ * Đăng ký Coaches module vào DI container.
+ * Initialize service với external dependencies.
+ * 
+ * @async
+ * @function registerCoachesModule
+ * @param {Object} params - Module registration parameters
+ * @param {Map} params.container - DI container
+ * @returns {Promise<Object>} Module metadata
+ */
+export default async function registerCoachesModule({ container }) {
+  // Đăng ký Coach models
+  registerIfMissing(container, TOKENS.models.Coach, Coach);
+  registerIfMissing(container, TOKENS.models.CoachCareer, CoachCareer);
+
+  // Initialize service với dependencies
+  initCoachesService({
+    apiFootball: container.get(TOKENS.services.apiFootball),
+  });
+
+  // Build services object
+  const services = {
+    getCoachDetails,
+    getTeamCoach,
+    importCoachesFromApi,
+  };
+
+  container.set(TOKENS.services.coaches, services);
+
+  return {
+    name: 'coaches',
+    basePath: '/',
+    publicRoutes: publicRouter,
+    privateRoutes: privateRouter,
+    jobs: [
+      { name: 'coaches-import', handler: performCoachImport },
+    ],
+    publicApi: {
+      Coach,
+      CoachCareer,
+      services,
+    },
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/coaches/models/coach.model.js
+ * =============================================================================
+ * 
+ * @fileoverview Sequelize Coach Model Definition
+ * 
+ * @description
+ * Định nghĩa Sequelize model cho bảng coaches.
+ * Lưu thông tin huấn luyện viên từ API-Football (`/coachs`).
+ * 
+ * ## Table: coaches
+ * | Column        | Type         | Nullable | Notes                       |
+ * |---------------|--------------|----------|-----------------------------|
+ * | id            | INT          | No       | PK, từ API-Football         |
+ * | name          | VARCHAR(255) | Yes      | Full name                   |
+ * | firstname     | VARCHAR(255) | Yes      |                             |
+ * | lastname      | VARCHAR(255) | Yes      |                             |
+ * | age           | INT          | Yes      |                             |
+ * | birth_date    | DATE         | Yes      |                             |
+ * | birth_place   | VARCHAR(255) | Yes      |                             |
+ * | birth_country | VARCHAR(255) | Yes      |                             |
+ * | nationality   | VARCHAR(255) | Yes      |                             |
+ * | height        | VARCHAR(20)  | Yes      | e.g., '180 cm'              |
+ * | weight        | VARCHAR(20)  | Yes      | e.g., '75 kg'               |
+ * | photo         | VARCHAR(1024)| Yes      | Photo URL                   |
+ * | team_id       | INT          | Yes      | Đội đang dẫn dắt            |
+ * | synced_at     | DATETIME     | No       | Lần đồng bộ gần nhất        |
+ * 
+ * @module modules/coaches/models/coach.model
+ * @requires sequelize
+ * @exports {Model} Coach - Sequelize Coach model
+ * 
+ * =============================================================================
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Team from '../../teams/models/team.model.js';
+
+// =============================================================================
+// Model Definition
+// =============================================================================
+
+/**
+ * Sequelize Coach model.
+ * 
+ * @type {import('sequelize').Model}
+ */
+const Coach = sequelize.define('Coach', {
+  /** Coach ID từ API-Football (không auto-increment) */
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+    autoIncrement: false,
+  },
+  /** Full name của huấn luyện viên */
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** Tên (first name) */
+  firstname: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** Họ (last name) */
+  lastname: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** Tuổi hiện tại */
+  age: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  /** Ngày sinh */
+  birth_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  /** Nơi sinh */
+  birth_place: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** Quốc gia sinh */
+  birth_country: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** Quốc tịch */
+  nationality: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** Chiều cao (e.g., '180 cm') */
+  height: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  /** Cân nặng (e.g., '75 kg') */
+  weight: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  /** URL ảnh huấn luyện viên */
+  photo: {
+    type: DataTypes.STRING(1024),
+    allowNull: true,
+  },
+  /** Đội đang dẫn dắt theo API-Football, null nếu đang tự do */
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  /** Thời điểm đồng bộ gần nhất */
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'coaches',
+  underscored: true,    // Chuyển camelCase sang snake_case
+  timestamps: false,    // Không có created_at/updated_at
+  indexes: [
+    { fields: ['team_id'] },
+  ],
+});
+
+// Quan hệ chỉ dùng để join hiển thị; đội có thể chưa được import
+Coach.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+
+export default Coach;
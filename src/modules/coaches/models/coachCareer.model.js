@@ -0,0 +1,91 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/coaches/models/coachCareer.model.js
+ * =============================================================================
+ * 
+ * @fileoverview Sequelize CoachCareer Model Definition
+ * 
+ * @description
+ * Định nghĩa Sequelize model cho bảng coach_careers.
+ * Mỗi dòng là một giai đoạn huấn luyện viên dẫn dắt một đội,
+ * lấy từ trường `career` của API-Football `/coachs`.
+ * 
+ * ## Table: coach_careers
+ * | Column     | Type          | Nullable | Notes                          |
+ * |------------|---------------|----------|--------------------------------|
+ * | id         | INT           | No       | PK, auto-increment             |
+ * | coach_id   | INT           | No       |                                |
+ * | team_id    | INT           | Yes      | Null nếu API không trả về đội  |
+ * | team_name  | VARCHAR(255)  | Yes      | Tên đội tại thời điểm import   |
+ * | team_logo  | VARCHAR(1024) | Yes      |                                |
+ * | start_date | DATE          | Yes      |                                |
+ * | end_date   | DATE          | Yes      | Null nếu vẫn đang dẫn dắt      |
+ * 
+ * @module modules/coaches/models/coachCareer.model
+ * @requires sequelize
+ * @exports {Model} CoachCareer - Sequelize CoachCareer model
+ * 
+ * =============================================================================
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Coach from './coach.model.js';
+import Team from '../../teams/models/team.model.js';
+
+// =============================================================================
+// Model Definition
+// =============================================================================
+
+/**
+ * Sequelize CoachCareer model.
+ * 
+ * @type {import('sequelize').Model}
+ */
+const CoachCareer = sequelize.define('CoachCareer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  coach_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  /** Tên và logo đội được lưu lại vì đội có thể chưa có trong bảng teams */
+  team_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  team_logo: {
+    type: DataTypes.STRING(1024),
+    allowNull: true,
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  /** Null khi huấn luyện viên vẫn đang dẫn dắt đội */
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+}, {
+  tableName: 'coach_careers',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['coach_id'] },
+    { fields: ['team_id'] },
+  ],
+});
+
+Coach.hasMany(CoachCareer, { foreignKey: 'coach_id', as: 'career', constraints: false });
+CoachCareer.belongsTo(Coach, { foreignKey: 'coach_id', as: 'coach', constraints: false });
+CoachCareer.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+
+export default CoachCareer;
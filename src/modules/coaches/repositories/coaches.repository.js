@@ -0,0 +1,64 @@
+import sequelize from '../../../common/db.js';
+import Coach from '../models/coach.model.js';
+import CoachCareer from '../models/coachCareer.model.js';
+import Team from '../../teams/models/team.model.js';
+
+const TEAM_ATTRIBUTES = ['id', 'name', 'code', 'logo'];
+
+const COACH_INCLUDES = [
+  { model: Team, as: 'team', attributes: TEAM_ATTRIBUTES, required: false },
+  {
+    model: CoachCareer,
+    as: 'career',
+    attributes: ['team_id', 'team_name', 'team_logo', 'start_date', 'end_date'],
+    required: false,
+  },
+];
+
+const CAREER_ORDER = [[{ model: CoachCareer, as: 'career' }, 'start_date', 'DESC']];
+
+export function findCoachById(id) {
+  return Coach.findByPk(id, {
+    include: COACH_INCLUDES,
+    order: CAREER_ORDER,
+  });
+}
+
+export function findCoachesByTeam(teamId) {
+  return Coach.findAll({
+    where: { team_id: teamId },
+    include: COACH_INCLUDES,
+    order: CAREER_ORDER,
+  });
+}
+
+export function upsertCoachesWithCareers(coachPayloads, careerPayloads) {
+  return sequelize.transaction(async (transaction) => {
+    await Coach.bulkCreate(coachPayloads, {
+      updateOnDuplicate: [
+        'name',
+        'firstname',
+        'lastname',
+        'age',
+        'birth_date',
+        'birth_place',
+        'birth_country',
+        'nationality',
+        'height',
+        'weight',
+        'photo',
+        'team_id',
+        'synced_at',
+      ],
+      transaction,
+    });
+    // Career history is replaced as a whole: API-Football returns the full list every time
+    await CoachCareer.destroy({
+      where: { coach_id: coachPayloads.map((payload) => payload.id) },
+      transaction,
+    });
+    if (careerPayloads.length) {
+      await CoachCareer.bulkCreate(careerPayloads, { transaction });
+    }
+  });
+}
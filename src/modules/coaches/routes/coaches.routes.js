@@ -0,0 +1,235 @@
+import express from 'express';
+import auth from '../../../common/authMiddleware.js';
+import coachesController from '../controllers/coaches.controller.js';
+
+const publicRouter = express.Router();
+const privateRouter = express.Router();
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Coach:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         firstname:
+ *           type: string
+ *           nullable: true
+ *         lastname:
+ *           type: string
+ *           nullable: true
+ *         age:
+ *           type: integer
+ *           nullable: true
+ *         birth_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         nationality:
+ *           type: string
+ *           nullable: true
+ *         photo:
+ *           type: string
+ *           nullable: true
+ *         team_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Team currently coached according to API-Football.
+ *         synced_at:
+ *           type: string
+ *           format: date-time
+ *         team:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             logo:
+ *               type: string
+ *         career:
+ *           type: array
+ *           description: Coaching spells, most recent first. end_date is null for the current spell.
+ *           items:
+ *             type: object
+ *             properties:
+ *               team_id:
+ *                 type: integer
+ *                 nullable: true
+ *               team_name:
+ *                 type: string
+ *                 nullable: true
+ *               team_logo:
+ *                 type: string
+ *                 nullable: true
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ */
+
+/**
+ * @openapi
+ * /api/coaches/{id}:
+ *   get:
+ *     summary: Get coach details
+ *     description: Returns a coach with their career history. The coach is imported from API-Football `/coachs` when missing locally or older than COACHES_MAX_AGE_HOURS (default 168). Trophies and sidelined periods are added on request and synced when older than PROFILE_HISTORY_MAX_AGE_HOURS.
+ *     tags:
+ *       - Coaches
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: API-Football coach identifier.
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           example: trophies,sidelined
+ *         description: Comma-separated extras to include (trophies, sidelined).
+ *     responses:
+ *       200:
+ *         description: Coach retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Coach'
+ *             example:
+ *               success: true
+ *               message: "Coach retrieved successfully"
+ *               data:
+ *                 id: 4
+ *                 name: "Pep Guardiola"
+ *                 nationality: "Spain"
+ *                 team_id: 50
+ *                 team:
+ *                   id: 50
+ *                   name: "Manchester City"
+ *                 career:
+ *                   - team_id: 50
+ *                     team_name: "Manchester City"
+ *                     start_date: "2016-07-01"
+ *                     end_date: null
+ *       400:
+ *         description: Invalid coach ID.
+ *       404:
+ *         description: Coach not found locally or on API-Football.
+ *       500:
+ *         description: Internal error when contacting API Football or reading data.
+ */
+publicRouter.get('/coaches/:id', coachesController.getCoachById);
+
+/**
+ * @openapi
+ * /api/teams/{id}/coach:
+ *   get:
+ *     summary: Get the current coach of a team
+ *     description: Returns the coach currently in charge of the team, with career history. All coaches of the team are imported from API-Football `/coachs?team=` when none is stored or the stored one is older than COACHES_MAX_AGE_HOURS.
+ *     tags:
+ *       - Coaches
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Team identifier.
+ *     responses:
+ *       200:
+ *         description: Team coach retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Coach'
+ *       400:
+ *         description: Invalid team ID.
+ *       404:
+ *         description: No current coach found for the team.
+ *       500:
+ *         description: Internal error when contacting API Football or reading data.
+ */
+publicRouter.get('/teams/:id/coach', coachesController.getCoachByTeam);
+
+/**
+ * @openapi
+ * /api/coaches/import:
+ *   post:
+ *     summary: Import coaches from API Football
+ *     description: Imports coaches and their full career history from API-Football `/coachs`. At least one of `id`, `team` or `search` is required; the stored career of every returned coach is replaced.
+ *     tags:
+ *       - Coaches
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Coach identifier.
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Import every coach who has managed this team.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           minLength: 3
+ *         description: Coach name.
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Coaches imported successfully"
+ *               data:
+ *                 imported: 3
+ *                 careers: 17
+ *                 coachIds: [4, 2407, 1993]
+ *       400:
+ *         description: Missing or invalid query parameters.
+ *       401:
+ *         description: Unauthorized – missing or invalid token.
+ *       500:
+ *         description: Internal error when contacting API Football or storing data.
+ */
+privateRouter.post('/coaches/import', auth, coachesController.importCoachesFromApiFootball);
+
+export { publicRouter, privateRouter };
@@ -0,0 +1,332 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/coaches/services/coaches.service.js
+ * =============================================================================
+ *
+ * @fileoverview Coaches Business Logic Service
+ *
+ * @description
+ * Service layer xử lý business logic cho huấn luyện viên.
+ * Dữ liệu lấy từ API-Football (`/coachs`) và lưu vào coaches + coach_careers;
+ * các endpoint đọc từ DB và chỉ gọi API khi thiếu dữ liệu hoặc dữ liệu đã cũ
+ * (COACHES_MAX_AGE_HOURS).
+ *
+ * ## Features:
+ * - Import huấn luyện viên theo id, team hoặc search (kèm lịch sử sự nghiệp)
+ * - Chi tiết huấn luyện viên kèm sự nghiệp (và danh hiệu / vắng mặt qua `include`)
+ * - Huấn luyện viên hiện tại của một đội
+ *
+ * ## Dependencies:
+ * - apiFootball service: External API client
+ *
+ * ## Error Handling:
+ * - CoachesServiceError với custom status codes
+ *
+ * @module modules/coaches/services/coaches.service
+ * @requires modules/coaches/repositories/coaches.repository
+ * @requires modules/players/services/profileHistory.service
+ *
+ * =============================================================================
+ */
+
+import { logger } from '../../../common/logger.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+import {
+  findCoachById,
+  findCoachesByTeam,
+  upsertCoachesWithCareers,
+} from '../repositories/coaches.repository.js';
+import {
+  PROFILE_HISTORY_KINDS,
+  loadProfileHistory,
+  parseProfileHistoryInclude,
+} from '../../players/services/profileHistory.service.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * Đọc cấu hình tuổi tối đa (giờ) từ biến môi trường và đổi sang ms.
+ * Giá trị thiếu, không phải số hoặc không dương sẽ dùng mặc định.
+ */
+function readMaxAgeMs(name, fallbackHours) {
+  const parsed = Number.parseInt(process.env[name] ?? '', 10);
+  const hours = Number.isInteger(parsed) && parsed > 0 ? parsed : fallbackHours;
+  return hours * 60 * 60 * 1000;
+}
+
+/** Tuổi tối đa (ms) của dữ liệu huấn luyện viên trước khi đồng bộ lại */
+const COACHES_MAX_AGE_MS = readMaxAgeMs('COACHES_MAX_AGE_HOURS', 168);
+
+/** API-Football yêu cầu từ khóa search tối thiểu 3 ký tự */
+const MIN_SEARCH_LENGTH = 3;
+
+let apiFootballService;
+
+export class CoachesServiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+export function initCoachesService({ apiFootball }) {
+  apiFootballService = apiFootball;
+}
+
+function ensureApiFootball() {
+  if (!apiFootballService || typeof apiFootballService.apiFootballGet !== 'function') {
+    throw new CoachesServiceError('API Football service is not configured', 500);
+  }
+  return apiFootballService;
+}
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function validateId(rawId) {
+  const parsed = Number.parseInt(rawId, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function parseApiInteger(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+function normalizeStringField(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+function isStale(coach) {
+  return !coach.synced_at || Date.now() - new Date(coach.synced_at).getTime() > COACHES_MAX_AGE_MS;
+}
+
+function buildCoachPayloads(apiCoach, syncedAt) {
+  const coachId = parseApiInteger(apiCoach?.id);
+  if (!coachId || coachId <= 0) {
+    return null;
+  }
+
+  const coachPayload = {
+    id: coachId,
+    name: normalizeStringField(apiCoach.name),
+    firstname: normalizeStringField(apiCoach.firstname),
+    lastname: normalizeStringField(apiCoach.lastname),
+    age: parseApiInteger(apiCoach.age),
+    birth_date: apiCoach.birth?.date || null,
+    birth_place: normalizeStringField(apiCoach.birth?.place),
+    birth_country: normalizeStringField(apiCoach.birth?.country),
+    nationality: normalizeStringField(apiCoach.nationality),
+    height: normalizeStringField(apiCoach.height),
+    weight: normalizeStringField(apiCoach.weight),
+    photo: normalizeStringField(apiCoach.photo),
+    team_id: parseApiInteger(apiCoach.team?.id),
+    synced_at: syncedAt,
+  };
+
+  const careerPayloads = (Array.isArray(apiCoach.career) ? apiCoach.career : []).map((entry) => ({
+    coach_id: coachId,
+    team_id: parseApiInteger(entry?.team?.id),
+    team_name: normalizeStringField(entry?.team?.name),
+    team_logo: normalizeStringField(entry?.team?.logo),
+    start_date: entry?.start || null,
+    end_date: entry?.end || null,
+  }));
+
+  return { coachPayload, careerPayloads };
+}
+
+// Huấn luyện viên hiện tại: giai đoạn chưa kết thúc tại đội, bắt đầu gần nhất
+function pickCurrentCoach(coaches, teamId) {
+  let current = null;
+  let currentStart = '';
+  coaches.forEach((coach) => {
+    const openSpell = (coach.career ?? []).find((spell) => spell.team_id === teamId && !spell.end_date);
+    const start = openSpell?.start_date ?? '';
+    if (!current || start > currentStart) {
+      current = coach;
+      currentStart = start;
+    }
+  });
+  return current;
+}
+
+// =============================================================================
+// Service Functions
+// =============================================================================
+
+/**
+ * Import huấn luyện viên từ API-Football `/coachs` kèm lịch sử sự nghiệp.
+ * Cần ít nhất một trong `id`, `team`, `search`.
+ *
+ * @async
+ * @function importCoachesFromApi
+ * @param {Object} [query={}] - Tham số import
+ * @param {string|number} [query.id] - Coach ID
+ * @param {string|number} [query.team] - Team ID (tất cả huấn luyện viên từng dẫn dắt đội)
+ * @param {string} [query.search] - Tên huấn luyện viên (tối thiểu 3 ký tự)
+ * @param {boolean|string} [query.background=false] - Đưa vào import queue thay vì chạy ngay
+ * @returns {Promise<Object>} `{ imported, careers, coachIds }`, hoặc `{ queued: true, jobId, ... }`
+ * @throws {CoachesServiceError} Nếu tham số không hợp lệ
+ */
+export async function importCoachesFromApi(query = {}) {
+  const apiParams = {};
+  if (query.id !== undefined && query.id !== '') {
+    const id = validateId(query.id);
+    if (!id) {
+      throw new CoachesServiceError('id must be a positive integer', 400);
+    }
+    apiParams.id = id;
+  }
+  if (query.team !== undefined && query.team !== '') {
+    const team = validateId(query.team);
+    if (!team) {
+      throw new CoachesServiceError('team must be a positive integer', 400);
+    }
+    apiParams.team = team;
+  }
+  if (query.search !== undefined && query.search !== '') {
+    const search = normalizeStringField(query.search);
+    if (!search || search.length < MIN_SEARCH_LENGTH) {
+      throw new CoachesServiceError(`search must contain at least ${MIN_SEARCH_LENGTH} characters`, 400);
+    }
+    apiParams.search = search;
+  }
+  if (!Object.keys(apiParams).length) {
+    throw new CoachesServiceError('One of id, team or search is required', 400);
+  }
+
+  if (isBackgroundRequested(query.background)) {
+    const queued = await enqueueImportJob('coaches-import', apiParams);
+    return { ...queued, message: 'Import job queued', ...apiParams };
+  }
+
+  return performCoachImport(apiParams);
+}
+
+/**
+ * Gọi API-Football `/coachs` và lưu coaches + sự nghiệp.
+ * Được gọi trực tiếp hoặc bởi import worker (`coaches-import`).
+ *
+ * @async
+ * @function performCoachImport
+ * @param {Object} apiParams - `id`, `team` và/hoặc `search` (đã validate)
+ * @returns {Promise<Object>} `{ imported, careers, coachIds }`
+ */
+export async function performCoachImport(apiParams) {
+  const { apiFootballGet } = ensureApiFootball();
+  const apiData = await apiFootballGet('/coachs', apiParams);
+  const apiCoaches = Array.isArray(apiData?.response) ? apiData.response : [];
+
+  const syncedAt = new Date();
+  const entries = apiCoaches
+    .map((apiCoach) => buildCoachPayloads(apiCoach, syncedAt))
+    .filter(Boolean);
+
+  if (!entries.length) {
+    return { imported: 0, careers: 0, coachIds: [], message: 'No coaches found' };
+  }
+
+  const coachPayloads = entries.map((entry) => entry.coachPayload);
+  const careerPayloads = entries.flatMap((entry) => entry.careerPayloads);
+  await upsertCoachesWithCareers(coachPayloads, careerPayloads);
+
+  return {
+    imported: coachPayloads.length,
+    careers: careerPayloads.length,
+    coachIds: coachPayloads.map((payload) => payload.id),
+  };
+}
+
+/**
+ * Lấy chi tiết huấn luyện viên kèm sự nghiệp (mới nhất trước).
+ * Import từ API-Football nếu chưa có hoặc đã cũ; lỗi khi làm mới thì trả dữ liệu cũ.
+ * `include=trophies,sidelined` bổ sung danh hiệu và các giai đoạn vắng mặt.
+ *
+ * @async
+ * @function getCoachDetails
+ * @param {string|number} rawId - Coach ID
+ * @param {Object} [query={}] - Query parameters
+ * @param {string|string[]} [query.include] - Danh sách phân tách bởi dấu phẩy: trophies, sidelined
+ * @returns {Promise<Object>} Coach kèm `team`, `career` và các phần được yêu cầu
+ * @throws {CoachesServiceError} 400 nếu tham số không hợp lệ, 404 nếu không tìm thấy
+ */
+export async function getCoachDetails(rawId, query = {}) {
+  const coachId = validateId(rawId);
+  if (!coachId) {
+    throw new CoachesServiceError('Invalid coach ID', 400);
+  }
+  const include = parseProfileHistoryInclude(query.include);
+  if (!include) {
+    throw new CoachesServiceError(`include must be a comma-separated list of: ${PROFILE_HISTORY_KINDS.join(', ')}`, 400);
+  }
+
+  let coach = await findCoachById(coachId);
+  if (!coach || isStale(coach)) {
+    try {
+      await importCoachesFromApi({ id: coachId });
+      coach = await findCoachById(coachId);
+    } catch (error) {
+      if (!coach) {
+        throw error;
+      }
+      logger.warn({ err: error, coachId }, 'Failed to refresh coach, serving stale data');
+    }
+  }
+
+  if (!coach) {
+    throw new CoachesServiceError('Coach not found', 404);
+  }
+  if (!include.length) {
+    return coach;
+  }
+  const history = await loadProfileHistory({
+    apiFootballGet: ensureApiFootball().apiFootballGet,
+    subjectType: 'coach',
+    subjectId: coachId,
+    kinds: include,
+  });
+  return { ...coach.toJSON(), ...history };
+}
+
+/**
+ * Lấy huấn luyện viên hiện tại của một đội.
+ * Import toàn bộ huấn luyện viên của đội từ API-Football nếu chưa có hoặc đã cũ.
+ *
+ * @async
+ * @function getTeamCoach
+ * @param {string|number} rawTeamId - Team ID
+ * @returns {Promise<Object>} Coach kèm `team` và `career`
+ * @throws {CoachesServiceError} 400 nếu ID không hợp lệ, 404 nếu đội không có huấn luyện viên
+ */
+export async function getTeamCoach(rawTeamId) {
+  const teamId = validateId(rawTeamId);
+  if (!teamId) {
+    throw new CoachesServiceError('Invalid team ID', 400);
+  }
+
+  let coach = pickCurrentCoach(await findCoachesByTeam(teamId), teamId);
+  if (!coach || isStale(coach)) {
+    try {
+      await importCoachesFromApi({ team: teamId });
+      coach = pickCurrentCoach(await findCoachesByTeam(teamId), teamId);
+    } catch (error) {
+      if (!coach) {
+        throw error;
+      }
+      logger.warn({ err: error, teamId }, 'Failed to refresh team coach, serving stale data');
+    }
+  }
+
+  if (!coach) {
+    throw new CoachesServiceError('No coach found for this team', 404);
+  }
+  return coach;
+}
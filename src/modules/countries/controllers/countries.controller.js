@@ -27,6 +27,7 @@ import {
   deleteCountry,
   getCountryById,
   getCountriesCount,
+  importCountriesFromApi,
   listCountries,
   listPopularCountries,
   searchCountriesByName,
@@ -228,6 +229,32 @@ const CountriesController = {
     }
   },
 
+  /**
+   * Import quốc gia từ API-Football (yêu cầu authentication).
+   * 
+   * @async
+   * @function importFromApiFootball
+   * @memberof CountriesController
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} Trả về response với số quốc gia created/updated/unchanged
+   * 
+   * @example
+   * // POST /api/countries/import
+   * // Response: { success: true, data: { total: 165, created: 12, updated: 3, unchanged: 150 } }
+   */
+  async importFromApiFootball(req, res, next) {
+    try {
+      const summary = await importCountriesFromApi({
+        background: req.body?.background ?? req.query.background,
+      });
+      return ApiResponse.success(res, summary, 'Countries imported');
+    } catch (error) {
+      next(mapCountryError(error, 'Error importing countries from API Football', 'COUNTRY_IMPORT_FAILED'));
+    }
+  },
+
   /**
    * Get the total count of countries in the database.
    * 
@@ -56,6 +56,10 @@ export default async function registerCountriesModule({ container }) {
     basePath: '/',
     publicRoutes: publicRouter,
     privateRoutes: privateRouter,
+    // Import job chạy bởi import worker (background=true)
+    jobs: [
+      { name: 'countries-import', handler: CountriesService.performCountryImport },
+    ],
     // Public API cho phép các module khác truy cập Country model và services
     publicApi: {
       Country,
@@ -686,6 +686,60 @@ publicRouter.get('/countries/:id', CountriesController.detail);
  */
 privateRouter.post('/countries', auth, CountriesController.create);
 
+/**
+ * @openapi
+ * /api/countries/import:
+ *   post:
+ *     summary: Import countries from API-Football
+ *     description: Upserts every API-Football country by name (case-insensitive). New countries are created; existing ones only get `code`/`flag` filled or corrected. Manually set `is_popular` flags are never changed. Requires authentication.
+ *     tags:
+ *       - Countries
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     unchanged:
+ *                       type: integer
+ *             example:
+ *               success: true
+ *               message: "Countries imported"
+ *               data:
+ *                 total: 165
+ *                 created: 12
+ *                 updated: 3
+ *                 unchanged: 150
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       502:
+ *         description: API-Football request failed.
+ */
+privateRouter.post('/countries/import', auth, CountriesController.importFromApiFootball);
+
 /**
  * @openapi
  * /api/countries/{id}:
@@ -9,17 +9,22 @@
  * - Tạo mới quốc gia
  * - Cập nhật thông tin quốc gia
  * - Xóa quốc gia
+ * - Import quốc gia từ API-Football (đối chiếu theo tên, bổ sung code/flag)
  * 
  * @module modules/countries/services/countries.service
  * @requires sequelize
  * @requires ../models/country.model.js
+ * @requires ../../../utils/fetchApiFootball.js
  * 
  * @author KickOffHub Team
  * @version 1.0.0
  */
 
 import { Op, fn, col, where } from 'sequelize';
+import sequelize from '../../../common/db.js';
 import Country from '../models/country.model.js';
+import { fetchCountries } from '../../../utils/fetchApiFootball.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
 
 /**
  * Danh sách các thuộc tính được phép trả về cho client.
@@ -503,3 +508,126 @@ export async function deleteCountry(id) {
   }
   return true;
 }
+
+/**
+ * Chuẩn hóa một trường chuỗi từ API-Football.
+ * 
+ * @private
+ * @param {*} value - Giá trị cần chuẩn hóa
+ * @param {number} maxLength - Độ dài tối đa của cột tương ứng
+ * @returns {string|null} Chuỗi đã trim, null nếu rỗng hoặc vượt quá độ dài cột
+ */
+function normalizeApiString(value, maxLength) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed && trimmed.length <= maxLength ? trimmed : null;
+}
+
+/**
+ * Import toàn bộ quốc gia từ API-Football (`/countries`).
+ * 
+ * Quốc gia được đối chiếu theo tên (không phân biệt hoa thường):
+ * - Chưa có: tạo mới với `is_popular = false`
+ * - Đã có: chỉ cập nhật `code`/`flag` khi API trả về giá trị khác (giá trị null từ API không ghi đè)
+ * - `is_popular` và tên đã lưu không bao giờ bị thay đổi
+ * 
+ * Với `background=true`, import được đưa vào import queue (job `countries-import`).
+ * 
+ * @async
+ * @function importCountriesFromApi
+ * @param {Object} [options={}] - Tùy chọn import
+ * @param {boolean|string} [options.background=false] - Chạy nền thay vì chờ kết quả
+ * @returns {Promise<Object>} Tóm tắt import, hoặc `{ queued: true, jobId, jobName, message }`
+ * @returns {number} returns.total - Số quốc gia API-Football trả về (sau khi loại trùng)
+ * @returns {number} returns.created - Số quốc gia tạo mới
+ * @returns {number} returns.updated - Số quốc gia được cập nhật code/flag
+ * @returns {number} returns.unchanged - Số quốc gia không thay đổi
+ * @throws {CountryInputError} Nếu gọi API-Football thất bại (code: API_FOOTBALL_FAILED, status: 502)
+ * 
+ * @example
+ * const summary = await importCountriesFromApi();
+ * // { total: 165, created: 12, updated: 3, unchanged: 150 }
+ */
+export async function importCountriesFromApi(options = {}) {
+  if (isBackgroundRequested(options.background)) {
+    const queued = await enqueueImportJob('countries-import');
+    return { ...queued, message: 'Tác vụ import đã được đưa vào hàng đợi' };
+  }
+  return performCountryImport();
+}
+
+/**
+ * Thực hiện import quốc gia từ API-Football.
+ * Được gọi trực tiếp hoặc bởi import worker (job `countries-import`).
+ * 
+ * @async
+ * @function performCountryImport
+ * @returns {Promise<Object>} `{ total, created, updated, unchanged }`
+ * @throws {CountryInputError} Nếu gọi API-Football thất bại (code: API_FOOTBALL_FAILED, status: 502)
+ */
+export async function performCountryImport() {
+  let apiCountries;
+  try {
+    apiCountries = await fetchCountries();
+  } catch (error) {
+    throw createInputError('API_FOOTBALL_FAILED', error.message, 502);
+  }
+
+  // Loại trùng theo tên, giữ bản ghi đầu tiên
+  const incoming = new Map();
+  (Array.isArray(apiCountries) ? apiCountries : []).forEach((item) => {
+    const name = normalizeApiString(item?.name, 255);
+    if (name && !incoming.has(name.toLowerCase())) {
+      incoming.set(name.toLowerCase(), {
+        name,
+        code: normalizeApiString(item.code, 10),
+        flag: normalizeApiString(item.flag, 255),
+      });
+    }
+  });
+
+  const existing = await Country.findAll({ attributes: ['id', 'name', 'code', 'flag'] });
+  const existingByName = new Map(existing.map((country) => [country.name.toLowerCase(), country]));
+
+  const toCreate = [];
+  const toUpdate = [];
+  let unchanged = 0;
+
+  incoming.forEach((apiCountry, key) => {
+    const current = existingByName.get(key);
+    if (!current) {
+      toCreate.push({ ...apiCountry, is_popular: false });
+      return;
+    }
+    const changes = {};
+    if (apiCountry.code && apiCountry.code !== current.code) {
+      changes.code = apiCountry.code;
+    }
+    if (apiCountry.flag && apiCountry.flag !== current.flag) {
+      changes.flag = apiCountry.flag;
+    }
+    if (Object.keys(changes).length) {
+      toUpdate.push({ id: current.id, changes });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  await sequelize.transaction(async (transaction) => {
+    if (toCreate.length) {
+      await Country.bulkCreate(toCreate, { transaction });
+    }
+    for (const { id, changes } of toUpdate) {
+      await Country.update(changes, { where: { id }, transaction });
+    }
+  });
+
+  return {
+    total: incoming.size,
+    created: toCreate.length,
+    updated: toUpdate.length,
+    unchanged,
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * @file Fixtures Controller
+ * @description HTTP request handlers for fixture endpoints. Delegates to the
+ * fixtures service and formats responses with ApiResponse.
+ * @module modules/fixtures/controllers/fixtures
+ */
+
+import ApiResponse from '../../../common/response.js';
+import { AppException } from '../../../common/exceptions/index.js';
+import toAppException from '../../../common/controllerError.js';
+import {
+  listFixtures,
+  getFixture,
+  importFixtures,
+} from '../services/fixtures.service.js';
+import {
+  getFixtureEvents,
+  getFixtureLineups,
+  getFixturePlayerStats,
+  importFixtureDetails,
+} from '../services/fixtureDetails.service.js';
+
+/**
+ * Reads a value from the request body, falling back to the query string.
+ * @function readRequestValue
+ * @param {import('express').Request} req - Express request object
+ * @param {string} key - Key to read
+ * @returns {*} Value from body or query, undefined if absent
+ * @private
+ */
+function readRequestValue(req, key) {
+  if (req.body && Object.prototype.hasOwnProperty.call(req.body, key)) {
+    return req.body[key];
+  }
+  return req.query ? req.query[key] : undefined;
+}
+
+/**
+ * Maps service, upstream and unknown errors to an AppException.
+ * @function mapFixturesError
+ * @param {Error} err - Error thrown by the service layer
+ * @param {string} fallbackMessage - Message used when the error cannot be mapped
+ * @param {string} fallbackCode - Error code used when the error cannot be mapped
+ * @param {number} [fallbackStatus=500] - HTTP status used when the error cannot be mapped
+ * @returns {AppException} Normalized exception
+ * @private
+ */
+function mapFixturesError(err, fallbackMessage, fallbackCode, fallbackStatus = 500) {
+  if (err instanceof AppException) {
+    return err;
+  }
+
+  if (err?.code && err?.status) {
+    return new AppException(err.message, err.code, err.status, err.details);
+  }
+
+  if (err?.code === 'ECONNABORTED') {
+    return new AppException('Hết thời gian chờ khi gọi API-Football', 'API_FOOTBALL_TIMEOUT', 504);
+  }
+
+  if (err?.response && err.response.data) {
+    const status = err.response.status || fallbackStatus;
+    return new AppException(fallbackMessage, fallbackCode, status, { response: err.response.data });
+  }
+
+  return toAppException(err, fallbackMessage, fallbackCode, fallbackStatus);
+}
+
+/**
+ * Controller object containing fixture endpoint handlers.
+ * @namespace FixturesController
+ */
+const FixturesController = {
+  /**
+   * Lists fixtures with filters and pagination.
+   * @async
+   * @function getAllFixtures
+   * @memberof FixturesController
+   * @param {import('express').Request} req - Express request (query: league, season, team, from, to, status, page, limit)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with fixtures and pagination
+   */
+  async getAllFixtures(req, res, next) {
+    try {
+      const payload = await listFixtures(req.query);
+      return ApiResponse.success(res, payload, 'Fixtures retrieved');
+    } catch (err) {
+      next(mapFixturesError(err, 'Lỗi khi lấy danh sách trận đấu', 'FIXTURES_LIST_FAILED'));
+    }
+  },
+
+  /**
+   * Retrieves a single fixture by ID.
+   * @async
+   * @function getFixtureById
+   * @memberof FixturesController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with fixture data
+   */
+  async getFixtureById(req, res, next) {
+    try {
+      const fixture = await getFixture(req.params.id);
+      return ApiResponse.success(res, fixture, 'Fixture retrieved');
+    } catch (err) {
+      next(mapFixturesError(err, 'Lỗi khi lấy thông tin trận đấu', 'FIXTURE_FETCH_FAILED'));
+    }
+  },
+
+  /**
+   * Imports fixtures from API-Football for a league and season.
+   * Responds with 202 when the import was queued, 200 otherwise.
+   * @async
+   * @function importFixturesFromApiFootball
+   * @memberof FixturesController
+   * @param {import('express').Request} req - Express request (league, season, team, from, to, background in body or query)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the import summary
+   */
+  async importFixturesFromApiFootball(req, res, next) {
+    try {
+      const result = await importFixtures({
+        league: readRequestValue(req, 'league'),
+        season: readRequestValue(req, 'season'),
+        team: readRequestValue(req, 'team'),
+        from: readRequestValue(req, 'from'),
+        to: readRequestValue(req, 'to'),
+        background: readRequestValue(req, 'background'),
+      });
+
+      const { queued, ...payload } = result;
+      const status = queued ? 202 : 200;
+      const message = queued ? 'Tác vụ import đã được đưa vào hàng đợi' : 'Import fixtures thành công';
+      return ApiResponse.success(res, payload, message, status);
+    } catch (err) {
+      next(mapFixturesError(err, 'Lỗi khi import trận đấu từ API Football', 'FIXTURE_IMPORT_FAILED'));
+    }
+  },
+
+  /**
+   * Lists the timeline events (goals, cards, substitutions, VAR) of a fixture.
+   * @async
+   * @function getEvents
+   * @memberof FixturesController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with events
+   */
+  async getEvents(req, res, next) {
+    try {
+      const events = await getFixtureEvents(req.params.id);
+      return ApiResponse.success(res, events, 'Fixture events retrieved');
+    } catch (err) {
+      next(mapFixturesError(err, 'Lỗi khi lấy diễn biến trận đấu', 'FIXTURE_EVENTS_FAILED'));
+    }
+  },
+
+  /**
+   * Lists the lineups (formation, coach, starting XI, bench) of a fixture.
+   * @async
+   * @function getLineups
+   * @memberof FixturesController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with lineups
+   */
+  async getLineups(req, res, next) {
+    try {
+      const lineups = await getFixtureLineups(req.params.id);
+      return ApiResponse.success(res, lineups, 'Fixture lineups retrieved');
+    } catch (err) {
+      next(mapFixturesError(err, 'Lỗi khi lấy đội hình trận đấu', 'FIXTURE_LINEUPS_FAILED'));
+    }
+  },
+
+  /**
+   * Lists per-player match statistics and ratings of a fixture.
+   * @async
+   * @function getPlayerStats
+   * @memberof FixturesController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with player statistics grouped by team
+   */
+  async getPlayerStats(req, res, next) {
+    try {
+      const stats = await getFixturePlayerStats(req.params.id);
+      return ApiResponse.success(res, stats, 'Fixture player statistics retrieved');
+    } catch (err) {
+      next(mapFixturesError(err, 'Lỗi khi lấy thống kê cầu thủ trong trận', 'FIXTURE_PLAYERS_FAILED'));
+    }
+  },
+
+  /**
+   * Imports events, lineups and player statistics of a fixture from API-Football.
+   * @async
+   * @function importDetails
+   * @memberof FixturesController
+   * @param {import('express').Request} req - Express request (params.id, include in body or query)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with counts per section
+   */
+  async importDetails(req, res, next) {
+    try {
+      const summary = await importFixtureDetails(req.params.id, {
+        include: readRequestValue(req, 'include'),
+        background: readRequestValue(req, 'background'),
+      });
+      return ApiResponse.success(res, summary, 'Import chi tiết trận đấu thành công');
+    } catch (err) {
+      next(mapFixturesError(err, 'Lỗi khi import chi tiết trận đấu từ API Football', 'FIXTURE_DETAILS_IMPORT_FAILED'));
+    }
+  },
+};
+
+export default FixturesController;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Fixtures Module Registration
+ * @description Entry point for the fixtures module. Registers the Fixture model,
+ * match detail models (events, lineups, player statistics), service layer and
+ * import job, and exposes public/private routes for fixtures.
+ * @module modules/fixtures
+ */
+
+import { publicRouter, privateRouter } from './routes/fixtures.routes.js';
+import Fixture from './models/fixture.model.js';
+import FixtureEvent from './models/fixtureEvent.model.js';
+import FixtureLineup, { FixtureLineupPlayer } from './models/fixtureLineup.model.js';
+import FixturePlayerStat from './models/fixturePlayerStat.model.js';
+import * as FixturesService from './services/fixtures.service.js';
+import * as FixtureDetailsService from './services/fixtureDetails.service.js';
+import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
+
+/**
+ * Registers the fixtures module with the application container.
+ *
+ * @async
+ * @function registerFixturesModule
+ * @param {Object} options - Registration options
+ * @param {Object} options.container - Dependency injection container
+ * @returns {Promise<Object>} Module configuration object
+ * @returns {string} returns.name - Module identifier ('fixtures')
+ * @returns {string} returns.basePath - Base URL path for routes
+ * @returns {Router} returns.publicRoutes - Express router for public endpoints
+ * @returns {Router} returns.privateRoutes - Express router for authenticated endpoints
+ * @returns {Object} returns.publicApi - Exposed API for inter-module communication
+ */
+export default async function registerFixturesModule({ container }) {
+  registerIfMissing(container, TOKENS.models.Fixture, Fixture);
+  registerIfMissing(container, TOKENS.models.FixtureEvent, FixtureEvent);
+  registerIfMissing(container, TOKENS.models.FixtureLineup, FixtureLineup);
+  registerIfMissing(container, TOKENS.models.FixtureLineupPlayer, FixtureLineupPlayer);
+  registerIfMissing(container, TOKENS.models.FixturePlayerStat, FixturePlayerStat);
+  container.set(TOKENS.services.fixtures, FixturesService);
+  container.set(TOKENS.services.fixtureDetails, FixtureDetailsService);
+
+  return {
+    name: 'fixtures',
+    basePath: '/',
+    publicRoutes: publicRouter,
+    privateRoutes: privateRouter,
+    jobs: [
+      { name: 'fixtures-import', handler: FixturesService.performFixtureImport },
+      { name: 'fixture-details-import', handler: FixtureDetailsService.performFixtureDetailsImport },
+    ],
+    publicApi: {
+      Fixture,
+      FixtureEvent,
+      FixtureLineup,
+      FixtureLineupPlayer,
+      FixturePlayerStat,
+      services: FixturesService,
+      detailsService: FixtureDetailsService,
+    },
+  };
+}
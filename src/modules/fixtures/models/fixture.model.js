@@ -0,0 +1,173 @@
+/**
+ * @file Fixture Model Definition
+ * @description Sequelize model for the fixtures table. Represents a single match
+ * synced from API-Football, including kickoff time, status, venue, round, score
+ * and both participating teams.
+ * @module modules/fixtures/models/fixture
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Team from '../../teams/models/team.model.js';
+
+/**
+ * Fixture model representing a football match.
+ * @typedef {Object} Fixture
+ * @property {number} id - Primary key (fixture ID from API-Football)
+ * @property {number} league_id - League identifier
+ * @property {number} season - Season year
+ * @property {string|null} round - Round label (e.g., 'Regular Season - 1')
+ * @property {string|null} referee - Referee name
+ * @property {string|null} timezone - Timezone used by API-Football for the kickoff date
+ * @property {Date} kickoff_at - Kickoff date/time
+ * @property {string|null} status_short - Short status code (NS, 1H, HT, FT, AET, PEN, PST, ...)
+ * @property {string|null} status_long - Human readable status
+ * @property {number|null} elapsed - Minutes played so far
+ * @property {number|null} venue_id - Venue identifier (not enforced as a foreign key)
+ * @property {string|null} venue_name - Venue name as reported for this match
+ * @property {string|null} venue_city - Venue city as reported for this match
+ * @property {number} home_team_id - Home team identifier
+ * @property {number} away_team_id - Away team identifier
+ * @property {number|null} home_goals - Current/final home goals
+ * @property {number|null} away_goals - Current/final away goals
+ * @property {number|null} halftime_home - Home goals at half time
+ * @property {number|null} halftime_away - Away goals at half time
+ * @property {number|null} fulltime_home - Home goals at full time
+ * @property {number|null} fulltime_away - Away goals at full time
+ * @property {number|null} extratime_home - Home goals in extra time
+ * @property {number|null} extratime_away - Away goals in extra time
+ * @property {number|null} penalty_home - Home penalties scored in a shootout
+ * @property {number|null} penalty_away - Away penalties scored in a shootout
+ * @property {Date} created_at - Timestamp when the record was created
+ * @property {Date} updated_at - Timestamp when the record was last updated
+ */
+const Fixture = sequelize.define('Fixture', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: false,
+    allowNull: false,
+  },
+  league_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  season: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  round: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  referee: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  timezone: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  kickoff_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  status_short: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+  },
+  status_long: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  elapsed: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  venue_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  venue_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  venue_city: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  home_team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  away_team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  home_goals: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  away_goals: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  halftime_home: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  halftime_away: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  fulltime_home: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  fulltime_away: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  extratime_home: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  extratime_away: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  penalty_home: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  penalty_away: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+}, {
+  tableName: 'fixtures',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['league_id', 'season'] },
+    { fields: ['home_team_id'] },
+    { fields: ['away_team_id'] },
+    { fields: ['kickoff_at'] },
+  ],
+});
+
+// Teams are joined for display only; fixtures may be synced before their teams
+// are imported, so no foreign key constraint is created.
+Fixture.belongsTo(Team, {
+  foreignKey: 'home_team_id',
+  as: 'homeTeam',
+  constraints: false,
+});
+
+Fixture.belongsTo(Team, {
+  foreignKey: 'away_team_id',
+  as: 'awayTeam',
+  constraints: false,
+});
+
+export default Fixture;
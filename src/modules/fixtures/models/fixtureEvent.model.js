@@ -0,0 +1,102 @@
+/**
+ * @file Fixture Event Model Definition
+ * @description Sequelize model for the fixture_events table. Stores the match
+ * timeline imported from API-Football `/fixtures/events`: goals, cards,
+ * substitutions and VAR decisions.
+ * @module modules/fixtures/models/fixtureEvent
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Fixture from './fixture.model.js';
+import Team from '../../teams/models/team.model.js';
+import Player from '../../players/models/player.model.js';
+
+/**
+ * Timeline event of a fixture.
+ * @typedef {Object} FixtureEvent
+ * @property {number} id - Auto-increment primary key
+ * @property {number} fixture_id - Fixture identifier
+ * @property {number} sequence - Position of the event in the API-Football timeline
+ * @property {number|null} team_id - Team the event belongs to
+ * @property {number|null} player_id - Main player (scorer, booked player, player coming off)
+ * @property {string|null} player_name - Player name as reported by API-Football
+ * @property {number|null} assist_id - Assisting player, or player coming on for substitutions
+ * @property {string|null} assist_name - Assist name as reported by API-Football
+ * @property {number|null} elapsed - Minute of the event
+ * @property {number|null} extra - Added time minute
+ * @property {string} type - Event type ('Goal', 'Card', 'subst', 'Var')
+ * @property {string|null} detail - Event detail (e.g., 'Normal Goal', 'Yellow Card', 'Goal cancelled')
+ * @property {string|null} comments - Extra comment (e.g., 'Foul')
+ */
+const FixtureEvent = sequelize.define('FixtureEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  fixture_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  player_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  player_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  assist_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  assist_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  elapsed: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  extra: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  detail: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  comments: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+}, {
+  tableName: 'fixture_events',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['fixture_id', 'sequence'] },
+    { fields: ['player_id'] },
+  ],
+});
+
+// Players and teams may not be imported yet, so joins are display-only.
+FixtureEvent.belongsTo(Fixture, { foreignKey: 'fixture_id', as: 'fixture', constraints: false });
+FixtureEvent.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+FixtureEvent.belongsTo(Player, { foreignKey: 'player_id', as: 'player', constraints: false });
+FixtureEvent.belongsTo(Player, { foreignKey: 'assist_id', as: 'assist', constraints: false });
+
+export default FixtureEvent;
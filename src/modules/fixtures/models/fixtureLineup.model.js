@@ -0,0 +1,111 @@
+/**
+ * @file Fixture Lineup Model Definition
+ * @description Sequelize models for the fixture_lineups and fixture_lineup_players
+ * tables. Store the formation, coach, starting XI and bench of each team for a
+ * fixture, imported from API-Football `/fixtures/lineups`.
+ * @module modules/fixtures/models/fixtureLineup
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Team from '../../teams/models/team.model.js';
+import Player from '../../players/models/player.model.js';
+
+/**
+ * Lineup of one team in a fixture.
+ * @typedef {Object} FixtureLineup
+ * @property {number} fixture_id - Fixture identifier (composite primary key)
+ * @property {number} team_id - Team identifier (composite primary key)
+ * @property {string|null} formation - Formation (e.g., '4-3-3')
+ * @property {number|null} coach_id - Coach identifier
+ * @property {string|null} coach_name - Coach name
+ */
+const FixtureLineup = sequelize.define('FixtureLineup', {
+  fixture_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  formation: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  coach_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  coach_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+}, {
+  tableName: 'fixture_lineups',
+  underscored: true,
+  timestamps: true,
+});
+
+/**
+ * Player listed in a team lineup.
+ * @typedef {Object} FixtureLineupPlayer
+ * @property {number} fixture_id - Fixture identifier (composite primary key)
+ * @property {number} team_id - Team identifier (composite primary key)
+ * @property {number} player_id - Player identifier (composite primary key)
+ * @property {string|null} player_name - Player name as reported by API-Football
+ * @property {number|null} number - Shirt number
+ * @property {string|null} position - Position code (G, D, M, F)
+ * @property {string|null} grid - Grid position on the pitch (e.g., '2:3')
+ * @property {boolean} is_starter - True for the starting XI, false for the bench
+ */
+const FixtureLineupPlayer = sequelize.define('FixtureLineupPlayer', {
+  fixture_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  player_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  player_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  number: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  position: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+  },
+  grid: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+  },
+  is_starter: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+}, {
+  tableName: 'fixture_lineup_players',
+  underscored: true,
+  timestamps: true,
+});
+
+FixtureLineup.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+FixtureLineupPlayer.belongsTo(Player, { foreignKey: 'player_id', as: 'player', constraints: false });
+
+export { FixtureLineupPlayer };
+export default FixtureLineup;
@@ -0,0 +1,230 @@
+/**
+ * @file Fixture Player Statistic Model Definition
+ * @description Sequelize model for the fixture_player_stats table. Stores per-match
+ * player statistics and ratings imported from API-Football `/fixtures/players`.
+ * @module modules/fixtures/models/fixturePlayerStat
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Team from '../../teams/models/team.model.js';
+import Player from '../../players/models/player.model.js';
+
+/**
+ * Statistic columns filled from the API-Football statistics block.
+ * @constant {string[]}
+ */
+export const PLAYER_STAT_COLUMNS = [
+  'minutes',
+  'goals',
+  'assists',
+  'conceded',
+  'saves',
+  'shots_total',
+  'shots_on',
+  'passes_total',
+  'passes_key',
+  'passes_accuracy',
+  'tackles',
+  'interceptions',
+  'duels_total',
+  'duels_won',
+  'dribbles_attempts',
+  'dribbles_success',
+  'fouls_drawn',
+  'fouls_committed',
+  'yellow_cards',
+  'red_cards',
+  'penalty_scored',
+  'penalty_missed',
+  'penalty_saved',
+  'offsides',
+];
+
+/**
+ * Statistics of one player in one fixture.
+ * @typedef {Object} FixturePlayerStat
+ * @property {number} fixture_id - Fixture identifier (composite primary key)
+ * @property {number} player_id - Player identifier (composite primary key)
+ * @property {number} team_id - Team the player played for
+ * @property {string|null} player_name - Player name as reported by API-Football
+ * @property {number|null} number - Shirt number
+ * @property {string|null} position - Position code (G, D, M, F)
+ * @property {number|null} rating - Match rating (e.g., 7.3)
+ * @property {boolean} captain - Whether the player captained the team
+ * @property {boolean} substitute - Whether the player started on the bench
+ * @property {number|null} minutes - Minutes played
+ * @property {number|null} goals - Goals scored
+ * @property {number|null} assists - Assists
+ * @property {number|null} conceded - Goals conceded (goalkeepers)
+ * @property {number|null} saves - Saves (goalkeepers)
+ * @property {number|null} shots_total - Total shots
+ * @property {number|null} shots_on - Shots on target
+ * @property {number|null} passes_total - Total passes
+ * @property {number|null} passes_key - Key passes
+ * @property {number|null} passes_accuracy - Accurate passes
+ * @property {number|null} tackles - Tackles
+ * @property {number|null} interceptions - Interceptions
+ * @property {number|null} duels_total - Duels contested
+ * @property {number|null} duels_won - Duels won
+ * @property {number|null} dribbles_attempts - Dribbles attempted
+ * @property {number|null} dribbles_success - Successful dribbles
+ * @property {number|null} fouls_drawn - Fouls drawn
+ * @property {number|null} fouls_committed - Fouls committed
+ * @property {number|null} yellow_cards - Yellow cards
+ * @property {number|null} red_cards - Red cards
+ * @property {number|null} penalty_scored - Penalties scored
+ * @property {number|null} penalty_missed - Penalties missed
+ * @property {number|null} penalty_saved - Penalties saved
+ * @property {number|null} offsides - Offsides
+ */
+const FixturePlayerStat = sequelize.define('FixturePlayerStat', {
+  fixture_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  player_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  player_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  number: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  position: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+  },
+  rating: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: true,
+  },
+  captain: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  substitute: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  goals: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  assists: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  conceded: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  saves: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  shots_total: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  shots_on: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  passes_total: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  passes_key: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  passes_accuracy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  tackles: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  interceptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  duels_total: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  duels_won: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  dribbles_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  dribbles_success: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  fouls_drawn: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  fouls_committed: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  yellow_cards: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  red_cards: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  penalty_scored: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  penalty_missed: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  penalty_saved: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  offsides: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+}, {
+  tableName: 'fixture_player_stats',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['player_id'] },
+  ],
+});
+
+FixturePlayerStat.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+FixturePlayerStat.belongsTo(Player, { foreignKey: 'player_id', as: 'player', constraints: false });
+
+export default FixturePlayerStat;
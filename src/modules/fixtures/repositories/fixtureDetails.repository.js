@@ -0,0 +1,80 @@
+import sequelize from '../../../common/db.js';
+import FixtureEvent from '../models/fixtureEvent.model.js';
+import FixtureLineup, { FixtureLineupPlayer } from '../models/fixtureLineup.model.js';
+import FixturePlayerStat from '../models/fixturePlayerStat.model.js';
+import Team from '../../teams/models/team.model.js';
+import Player from '../../players/models/player.model.js';
+
+const TEAM_ATTRIBUTES = ['id', 'name', 'code', 'logo'];
+const PLAYER_ATTRIBUTES = ['id', 'name', 'photo'];
+
+export function findEventsByFixture(fixtureId) {
+  return FixtureEvent.findAll({
+    where: { fixture_id: fixtureId },
+    include: [
+      { model: Team, as: 'team', attributes: TEAM_ATTRIBUTES, required: false },
+      { model: Player, as: 'player', attributes: PLAYER_ATTRIBUTES, required: false },
+      { model: Player, as: 'assist', attributes: PLAYER_ATTRIBUTES, required: false },
+    ],
+    order: [['sequence', 'ASC']],
+  });
+}
+
+export function findLineupsByFixture(fixtureId) {
+  return FixtureLineup.findAll({
+    where: { fixture_id: fixtureId },
+    include: [{ model: Team, as: 'team', attributes: TEAM_ATTRIBUTES, required: false }],
+  });
+}
+
+export function findLineupPlayersByFixture(fixtureId) {
+  return FixtureLineupPlayer.findAll({
+    where: { fixture_id: fixtureId },
+    include: [{ model: Player, as: 'player', attributes: PLAYER_ATTRIBUTES, required: false }],
+    order: [['team_id', 'ASC'], ['is_starter', 'DESC'], ['grid', 'ASC'], ['number', 'ASC']],
+  });
+}
+
+export function findPlayerStatsByFixture(fixtureId) {
+  return FixturePlayerStat.findAll({
+    where: { fixture_id: fixtureId },
+    include: [
+      { model: Team, as: 'team', attributes: TEAM_ATTRIBUTES, required: false },
+      { model: Player, as: 'player', attributes: PLAYER_ATTRIBUTES, required: false },
+    ],
+    order: [['team_id', 'ASC'], ['substitute', 'ASC'], ['minutes', 'DESC']],
+  });
+}
+
+// Each import replaces the fixture's rows: upstream corrects events (VAR,
+// scorer changes) and the old rows must not linger.
+export function replaceFixtureEvents(fixtureId, rows) {
+  return sequelize.transaction(async (transaction) => {
+    await FixtureEvent.destroy({ where: { fixture_id: fixtureId }, transaction });
+    if (rows.length) {
+      await FixtureEvent.bulkCreate(rows, { transaction });
+    }
+  });
+}
+
+export function replaceFixtureLineups(fixtureId, lineups, players) {
+  return sequelize.transaction(async (transaction) => {
+    await FixtureLineupPlayer.destroy({ where: { fixture_id: fixtureId }, transaction });
+    await FixtureLineup.destroy({ where: { fixture_id: fixtureId }, transaction });
+    if (lineups.length) {
+      await FixtureLineup.bulkCreate(lineups, { transaction });
+    }
+    if (players.length) {
+      await FixtureLineupPlayer.bulkCreate(players, { transaction });
+    }
+  });
+}
+
+export function replaceFixturePlayerStats(fixtureId, rows) {
+  return sequelize.transaction(async (transaction) => {
+    await FixturePlayerStat.destroy({ where: { fixture_id: fixtureId }, transaction });
+    if (rows.length) {
+      await FixturePlayerStat.bulkCreate(rows, { transaction });
+    }
+  });
+}
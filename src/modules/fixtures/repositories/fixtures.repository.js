@@ -0,0 +1,103 @@
+import { Op } from 'sequelize';
+import Fixture from '../models/fixture.model.js';
+import Team from '../../teams/models/team.model.js';
+
+const FIXTURE_TEAM_ATTRIBUTES = ['id', 'name', 'code', 'logo'];
+
+const FIXTURE_INCLUDES = [
+  { model: Team, as: 'homeTeam', attributes: FIXTURE_TEAM_ATTRIBUTES, required: false },
+  { model: Team, as: 'awayTeam', attributes: FIXTURE_TEAM_ATTRIBUTES, required: false },
+];
+
+function buildFixtureWhere({ leagueId, season, teamId, from, to, status } = {}) {
+  const where = {};
+  if (leagueId !== undefined) {
+    where.league_id = leagueId;
+  }
+  if (season !== undefined) {
+    where.season = season;
+  }
+  if (teamId !== undefined) {
+    where[Op.or] = [{ home_team_id: teamId }, { away_team_id: teamId }];
+  }
+  if (from || to) {
+    where.kickoff_at = {};
+    if (from) {
+      where.kickoff_at[Op.gte] = from;
+    }
+    if (to) {
+      where.kickoff_at[Op.lt] = to;
+    }
+  }
+  if (status && status.length) {
+    where.status_short = { [Op.in]: status };
+  }
+  return where;
+}
+
+export function paginateFixtures(filters, { limit, offset }) {
+  return Fixture.findAndCountAll({
+    where: buildFixtureWhere(filters),
+    include: FIXTURE_INCLUDES,
+    order: [['kickoff_at', 'ASC'], ['id', 'ASC']],
+    limit,
+    offset,
+    distinct: true,
+  });
+}
+
+export function findFixtures(filters, options = {}) {
+  return Fixture.findAll({
+    where: buildFixtureWhere(filters),
+    order: [['kickoff_at', 'ASC'], ['id', 'ASC']],
+    ...options,
+  });
+}
+
+export function findHeadToHeadFixtures(teamId, otherTeamId) {
+  return Fixture.findAll({
+    where: {
+      [Op.or]: [
+        { home_team_id: teamId, away_team_id: otherTeamId },
+        { home_team_id: otherTeamId, away_team_id: teamId },
+      ],
+    },
+    order: [['kickoff_at', 'DESC'], ['id', 'DESC']],
+  });
+}
+
+export function findFixtureById(id) {
+  return Fixture.findByPk(id, { include: FIXTURE_INCLUDES });
+}
+
+export function bulkUpsertFixtures(payloads) {
+  return Fixture.bulkCreate(payloads, {
+    updateOnDuplicate: [
+      'league_id',
+      'season',
+      'round',
+      'referee',
+      'timezone',
+      'kickoff_at',
+      'status_short',
+      'status_long',
+      'elapsed',
+      'venue_id',
+      'venue_name',
+      'venue_city',
+      'home_team_id',
+      'away_team_id',
+      'home_goals',
+      'away_goals',
+      'halftime_home',
+      'halftime_away',
+      'fulltime_home',
+      'fulltime_away',
+      'extratime_home',
+      'extratime_away',
+      'penalty_home',
+      'penalty_away',
+      'updated_at',
+    ],
+  });
+}
@@ -0,0 +1,484 @@
+/**
+ * @file Fixtures Routes
+ * @description Express routers for fixtures and their events, lineups and player
+ * statistics. Read endpoints are public; importing from API-Football requires
+ * authentication.
+ * @module modules/fixtures/routes/fixtures
+ */
+
+import express from 'express';
+import auth from '../../../common/authMiddleware.js';
+import FixturesController from '../controllers/fixtures.controller.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
+
+/**
+ * Router for public endpoints (no authentication required).
+ * @type {express.Router}
+ */
+const publicRouter = express.Router();
+
+/**
+ * Router for private endpoints (JWT required).
+ * @type {express.Router}
+ */
+const privateRouter = express.Router();
+
+/**
+ * @openapi
+ * /api/fixtures:
+ *   get:
+ *     summary: List fixtures
+ *     description: Returns fixtures stored locally, ordered by kickoff time. All filters are optional and can be combined.
+ *     tags:
+ *       - Fixtures
+ *     parameters:
+ *       - in: query
+ *         name: league
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: League identifier.
+ *       - in: query
+ *         name: season
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Season year (e.g., 2023).
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Team identifier, matched as either home or away side.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive start date (YYYY-MM-DD, UTC).
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive end date (YYYY-MM-DD, UTC).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma separated short status codes (e.g., "FT,AET,PEN").
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Fixtures retrieved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         additionalProperties: true
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         totalItems:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *             example:
+ *               success: true
+ *               message: "Fixtures retrieved"
+ *               data:
+ *                 data:
+ *                   - id: 1035037
+ *                     league_id: 39
+ *                     season: 2023
+ *                     round: "Regular Season - 1"
+ *                     kickoff_at: "2023-08-11T19:00:00.000Z"
+ *                     status_short: "FT"
+ *                     home_goals: 0
+ *                     away_goals: 3
+ *                     homeTeam:
+ *                       id: 44
+ *                       name: "Burnley"
+ *                     awayTeam:
+ *                       id: 50
+ *                       name: "Manchester City"
+ *                 pagination:
+ *                   totalItems: 380
+ *                   totalPages: 19
+ *                   page: 1
+ *                   limit: 20
+ *       400:
+ *         description: Invalid filter or pagination parameters.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *             example:
+ *               success: false
+ *               message: "Ngày phải có định dạng YYYY-MM-DD"
+ *               data: null
+ *       500:
+ *         description: Unexpected error while listing fixtures.
+ */
+publicRouter.get('/fixtures', resolveSeasonParam(), FixturesController.getAllFixtures); // GET /api/fixtures
+
+/**
+ * @openapi
+ * /api/fixtures/{id}:
+ *   get:
+ *     summary: Get fixture detail
+ *     tags:
+ *       - Fixtures
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: API-Football fixture identifier.
+ *     responses:
+ *       200:
+ *         description: Fixture retrieved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   additionalProperties: true
+ *       400:
+ *         description: Invalid fixture identifier.
+ *       404:
+ *         description: Fixture not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *             example:
+ *               success: false
+ *               message: "Fixture không tồn tại"
+ *               data: null
+ *       500:
+ *         description: Unexpected error while fetching the fixture.
+ */
+publicRouter.get('/fixtures/:id', FixturesController.getFixtureById); // GET /api/fixtures/:id
+
+/**
+ * @openapi
+ * /api/fixtures/{id}/events:
+ *   get:
+ *     summary: Fixture events
+ *     description: Goals, cards, substitutions and VAR decisions in match order. For substitutions `player` is the player coming off and `assist` the player coming on.
+ *     tags:
+ *       - Fixtures
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Fixture events retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Fixture events retrieved"
+ *               data:
+ *                 - sequence: 1
+ *                   elapsed: 23
+ *                   extra: null
+ *                   type: "Goal"
+ *                   detail: "Normal Goal"
+ *                   team_id: 50
+ *                   player_id: 1100
+ *                   player_name: "E. Haaland"
+ *                   assist_id: 631
+ *                   assist_name: "Rodri"
+ *       400:
+ *         description: Invalid fixture identifier.
+ *       500:
+ *         description: Unexpected error.
+ */
+publicRouter.get('/fixtures/:id/events', FixturesController.getEvents); // GET /api/fixtures/:id/events
+
+/**
+ * @openapi
+ * /api/fixtures/{id}/lineups:
+ *   get:
+ *     summary: Fixture lineups
+ *     description: Formation, coach, starting XI and bench of each team.
+ *     tags:
+ *       - Fixtures
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Fixture lineups retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Fixture lineups retrieved"
+ *               data:
+ *                 - team_id: 50
+ *                   formation: "4-3-3"
+ *                   coach:
+ *                     id: 4
+ *                     name: "Pep Guardiola"
+ *                   startXI:
+ *                     - player_id: 617
+ *                       number: 31
+ *                       position: "G"
+ *                       grid: "1:1"
+ *                       is_starter: true
+ *                   substitutes: []
+ *       400:
+ *         description: Invalid fixture identifier.
+ *       500:
+ *         description: Unexpected error.
+ */
+publicRouter.get('/fixtures/:id/lineups', FixturesController.getLineups); // GET /api/fixtures/:id/lineups
+
+/**
+ * @openapi
+ * /api/fixtures/{id}/players:
+ *   get:
+ *     summary: Fixture player statistics
+ *     description: Per-player match statistics and ratings, grouped by team.
+ *     tags:
+ *       - Fixtures
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Fixture player statistics retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Fixture player statistics retrieved"
+ *               data:
+ *                 - team_id: 50
+ *                   players:
+ *                     - player_id: 1100
+ *                       minutes: 90
+ *                       rating: "8.40"
+ *                       goals: 2
+ *                       assists: 0
+ *                       yellow_cards: 0
+ *       400:
+ *         description: Invalid fixture identifier.
+ *       500:
+ *         description: Unexpected error.
+ */
+publicRouter.get('/fixtures/:id/players', FixturesController.getPlayerStats); // GET /api/fixtures/:id/players
+
+/**
+ * @openapi
+ * /api/fixtures/import:
+ *   post:
+ *     summary: Import fixtures from API-Football
+ *     description: Fetches fixtures for a league and season from API-Football and upserts them into the fixtures table. Set background=true to queue the import.
+ *     tags:
+ *       - Fixtures
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: league
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: API-Football league identifier.
+ *       - in: query
+ *         name: season
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Season year (e.g., 2023).
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only import fixtures involving this team.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive start date (YYYY-MM-DD).
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive end date (YYYY-MM-DD).
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     imported:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     league:
+ *                       type: integer
+ *                     season:
+ *                       type: integer
+ *             example:
+ *               success: true
+ *               message: "Import fixtures thành công"
+ *               data:
+ *                 imported: 380
+ *                 skipped: 0
+ *                 league: 39
+ *                 season: 2023
+ *                 team: null
+ *       202:
+ *         description: Import queued.
+ *       400:
+ *         description: Missing or invalid parameters.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+privateRouter.post('/fixtures/import', auth, resolveSeasonParam(), FixturesController.importFixturesFromApiFootball); // POST /api/fixtures/import
+
+/**
+ * @openapi
+ * /api/fixtures/{id}/details/import:
+ *   post:
+ *     summary: Import fixture details from API-Football
+ *     description: Imports events, lineups and per-player statistics of a stored fixture. Each imported section replaces the stored rows; a section for which API-Football returned nothing or an error keeps its stored rows and is listed under `skipped`.
+ *     tags:
+ *       - Fixtures
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *         description: Comma separated sections (events, lineups, players). Defaults to all.
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Import chi tiết trận đấu thành công"
+ *               data:
+ *                 fixture: 1035037
+ *                 events: 14
+ *                 lineups: 2
+ *                 lineupPlayers: 40
+ *                 skipped:
+ *                   players:
+ *                     reason: "empty-response"
+ *       400:
+ *         description: Invalid fixture identifier or include value.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: Fixture not stored locally; import it first.
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+privateRouter.post('/fixtures/:id/details/import', auth, FixturesController.importDetails); // POST /api/fixtures/:id/details/import
+
+export { publicRouter, privateRouter };
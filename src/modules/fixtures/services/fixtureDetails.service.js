@@ -0,0 +1,474 @@
+/**
+ * @file Fixture Details Service
+ * @description Business logic for match detail data: timeline events, lineups
+ * and per-player match statistics. Imports from API-Football `/fixtures/events`,
+ * `/fixtures/lineups` and `/fixtures/players` and serves the stored copy.
+ * @module modules/fixtures/services/fixtureDetails
+ */
+
+import { apiFootballGet, getApiFootballErrors } from '../../apiFootball/services/apiFootball.service.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+import { getFixture } from './fixtures.service.js';
+import {
+  findEventsByFixture,
+  findLineupsByFixture,
+  findLineupPlayersByFixture,
+  findPlayerStatsByFixture,
+  replaceFixtureEvents,
+  replaceFixtureLineups,
+  replaceFixturePlayerStats,
+} from '../repositories/fixtureDetails.repository.js';
+
+/**
+ * Detail sections that can be imported for a fixture.
+ * @constant {string[]}
+ */
+export const FIXTURE_DETAIL_SECTIONS = ['events', 'lineups', 'players'];
+
+/**
+ * Error messages for fixture detail operations.
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_FIXTURE_ID: 'ID fixture không hợp lệ',
+  INVALID_INCLUDE: `include chỉ chấp nhận: ${FIXTURE_DETAIL_SECTIONS.join(', ')}`,
+};
+
+/**
+ * Creates a standardized error with code and status.
+ * @function createError
+ * @param {string} code - Error code key from ERROR_MESSAGES or custom message
+ * @param {number} [status=400] - HTTP status code
+ * @param {*} [details] - Additional error details
+ * @returns {Error} Error object with code, status, and optional details
+ * @private
+ */
+function createError(code, status = 400, details) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Validates a fixture ID.
+ * @function parseFixtureId
+ * @param {*} rawId - Raw fixture ID
+ * @returns {number} Fixture ID
+ * @throws {Error} INVALID_FIXTURE_ID if the value is not a positive integer
+ * @private
+ */
+function parseFixtureId(rawId) {
+  const parsed = Number.parseInt(rawId, 10);
+  if (!Number.isInteger(parsed) || parsed < 1 || String(parsed) !== String(rawId).trim()) {
+    throw createError('INVALID_FIXTURE_ID');
+  }
+  return parsed;
+}
+
+/**
+ * Parses an API value to an integer.
+ * @function parseApiInteger
+ * @param {*} value - Value from the API response
+ * @returns {number|null} Parsed integer or null
+ * @private
+ */
+function parseApiInteger(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+/**
+ * Parses an API value to a decimal number.
+ * @function parseApiDecimal
+ * @param {*} value - Value from the API response
+ * @returns {number|null} Parsed number or null
+ * @private
+ */
+function parseApiDecimal(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Normalizes a string field by trimming whitespace.
+ * @function normalizeStringField
+ * @param {*} value - Value to normalize
+ * @returns {string|null} Trimmed string or null if empty
+ * @private
+ */
+function normalizeStringField(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Parses the `include` option into a list of sections.
+ * @function parseIncludeSections
+ * @param {string|string[]} [include] - Comma separated sections; all sections when empty
+ * @returns {string[]} Sections to import
+ * @throws {Error} INVALID_INCLUDE if an unknown section is requested
+ * @private
+ */
+function parseIncludeSections(include) {
+  if (include === undefined || include === null || include === '') {
+    return FIXTURE_DETAIL_SECTIONS;
+  }
+  const sections = (Array.isArray(include) ? include : String(include).split(','))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = sections.filter((section) => !FIXTURE_DETAIL_SECTIONS.includes(section));
+  if (unknown.length) {
+    throw createError('INVALID_INCLUDE', 400, { unknown });
+  }
+  return sections.length ? [...new Set(sections)] : FIXTURE_DETAIL_SECTIONS;
+}
+
+/**
+ * Maps `/fixtures/events` entries to fixture_events rows.
+ * @function buildEventRows
+ * @param {number} fixtureId - Fixture ID
+ * @param {Object[]} entries - API-Football events
+ * @returns {Object[]} Rows ordered as in the upstream timeline
+ * @private
+ */
+function buildEventRows(fixtureId, entries) {
+  return entries
+    .filter((entry) => normalizeStringField(entry?.type))
+    .map((entry, index) => ({
+      fixture_id: fixtureId,
+      sequence: index + 1,
+      team_id: parseApiInteger(entry.team?.id),
+      player_id: parseApiInteger(entry.player?.id),
+      player_name: normalizeStringField(entry.player?.name),
+      assist_id: parseApiInteger(entry.assist?.id),
+      assist_name: normalizeStringField(entry.assist?.name),
+      elapsed: parseApiInteger(entry.time?.elapsed),
+      extra: parseApiInteger(entry.time?.extra),
+      type: normalizeStringField(entry.type),
+      detail: normalizeStringField(entry.detail),
+      comments: normalizeStringField(entry.comments),
+    }));
+}
+
+/**
+ * Maps `/fixtures/lineups` entries to lineup and lineup player rows.
+ * @function buildLineupRows
+ * @param {number} fixtureId - Fixture ID
+ * @param {Object[]} entries - API-Football lineups (one per team)
+ * @returns {{lineups: Object[], players: Object[]}} Rows for both tables
+ * @private
+ */
+function buildLineupRows(fixtureId, entries) {
+  const lineups = [];
+  const players = [];
+
+  entries.forEach((entry) => {
+    const teamId = parseApiInteger(entry?.team?.id);
+    if (!teamId) {
+      return;
+    }
+    lineups.push({
+      fixture_id: fixtureId,
+      team_id: teamId,
+      formation: normalizeStringField(entry.formation),
+      coach_id: parseApiInteger(entry.coach?.id),
+      coach_name: normalizeStringField(entry.coach?.name),
+    });
+
+    const seen = new Set();
+    const pushPlayers = (list, isStarter) => {
+      (Array.isArray(list) ? list : []).forEach((item) => {
+        const playerId = parseApiInteger(item?.player?.id);
+        if (!playerId || seen.has(playerId)) {
+          return;
+        }
+        seen.add(playerId);
+        players.push({
+          fixture_id: fixtureId,
+          team_id: teamId,
+          player_id: playerId,
+          player_name: normalizeStringField(item.player.name),
+          number: parseApiInteger(item.player.number),
+          position: normalizeStringField(item.player.pos),
+          grid: normalizeStringField(item.player.grid),
+          is_starter: isStarter,
+        });
+      });
+    };
+    pushPlayers(entry.startXI, true);
+    pushPlayers(entry.substitutes, false);
+  });
+
+  return { lineups, players };
+}
+
+/**
+ * Maps `/fixtures/players` entries to fixture_player_stats rows.
+ * @function buildPlayerStatRows
+ * @param {number} fixtureId - Fixture ID
+ * @param {Object[]} entries - API-Football players block (one per team)
+ * @returns {Object[]} Rows, one per player
+ * @private
+ */
+function buildPlayerStatRows(fixtureId, entries) {
+  const rows = new Map();
+
+  entries.forEach((entry) => {
+    const teamId = parseApiInteger(entry?.team?.id);
+    if (!teamId || !Array.isArray(entry.players)) {
+      return;
+    }
+    entry.players.forEach((item) => {
+      const playerId = parseApiInteger(item?.player?.id);
+      if (!playerId || rows.has(playerId)) {
+        return;
+      }
+      const stats = Array.isArray(item.statistics) ? item.statistics[0] ?? {} : {};
+      rows.set(playerId, {
+        fixture_id: fixtureId,
+        player_id: playerId,
+        team_id: teamId,
+        player_name: normalizeStringField(item.player.name),
+        number: parseApiInteger(stats.games?.number),
+        position: normalizeStringField(stats.games?.position),
+        rating: parseApiDecimal(stats.games?.rating),
+        captain: Boolean(stats.games?.captain),
+        substitute: Boolean(stats.games?.substitute),
+        minutes: parseApiInteger(stats.games?.minutes),
+        goals: parseApiInteger(stats.goals?.total),
+        assists: parseApiInteger(stats.goals?.assists),
+        conceded: parseApiInteger(stats.goals?.conceded),
+        saves: parseApiInteger(stats.goals?.saves),
+        shots_total: parseApiInteger(stats.shots?.total),
+        shots_on: parseApiInteger(stats.shots?.on),
+        passes_total: parseApiInteger(stats.passes?.total),
+        passes_key: parseApiInteger(stats.passes?.key),
+        passes_accuracy: parseApiInteger(stats.passes?.accuracy),
+        tackles: parseApiInteger(stats.tackles?.total),
+        interceptions: parseApiInteger(stats.tackles?.interceptions),
+        duels_total: parseApiInteger(stats.duels?.total),
+        duels_won: parseApiInteger(stats.duels?.won),
+        dribbles_attempts: parseApiInteger(stats.dribbles?.attempts),
+        dribbles_success: parseApiInteger(stats.dribbles?.success),
+        fouls_drawn: parseApiInteger(stats.fouls?.drawn),
+        fouls_committed: parseApiInteger(stats.fouls?.committed),
+        yellow_cards: parseApiInteger(stats.cards?.yellow),
+        red_cards: parseApiInteger(stats.cards?.red),
+        penalty_scored: parseApiInteger(stats.penalty?.scored),
+        penalty_missed: parseApiInteger(stats.penalty?.missed),
+        penalty_saved: parseApiInteger(stats.penalty?.saved),
+        offsides: parseApiInteger(stats.offsides),
+      });
+    });
+  });
+
+  return [...rows.values()];
+}
+
+/**
+ * Groups rows by team, keeping the first-seen team order.
+ * @function groupByTeam
+ * @param {Object[]} rows - Rows with a team_id attribute
+ * @returns {Map<number, Object[]>} Rows keyed by team ID
+ * @private
+ */
+function groupByTeam(rows) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!groups.has(row.team_id)) {
+      groups.set(row.team_id, []);
+    }
+    groups.get(row.team_id).push(row);
+  });
+  return groups;
+}
+
+/**
+ * Lists the timeline events of a fixture in match order.
+ * @async
+ * @function getFixtureEvents
+ * @param {number|string} rawId - Fixture ID
+ * @returns {Promise<Object[]>} Events with team, player and assist
+ * @throws {Error} INVALID_FIXTURE_ID (400)
+ */
+export async function getFixtureEvents(rawId) {
+  const fixtureId = parseFixtureId(rawId);
+  return findEventsByFixture(fixtureId);
+}
+
+/**
+ * Lists both lineups of a fixture, splitting starting XI and bench.
+ * @async
+ * @function getFixtureLineups
+ * @param {number|string} rawId - Fixture ID
+ * @returns {Promise<Object[]>} One entry per team: team, formation, coach, startXI, substitutes
+ * @throws {Error} INVALID_FIXTURE_ID (400)
+ */
+export async function getFixtureLineups(rawId) {
+  const fixtureId = parseFixtureId(rawId);
+  const [lineups, players] = await Promise.all([
+    findLineupsByFixture(fixtureId),
+    findLineupPlayersByFixture(fixtureId),
+  ]);
+  const playersByTeam = groupByTeam(players);
+
+  return lineups.map((lineup) => {
+    const teamPlayers = playersByTeam.get(lineup.team_id) ?? [];
+    return {
+      team_id: lineup.team_id,
+      team: lineup.team,
+      formation: lineup.formation,
+      coach: lineup.coach_id || lineup.coach_name
+        ? { id: lineup.coach_id, name: lineup.coach_name }
+        : null,
+      startXI: teamPlayers.filter((player) => player.is_starter),
+      substitutes: teamPlayers.filter((player) => !player.is_starter),
+    };
+  });
+}
+
+/**
+ * Lists per-player match statistics of a fixture, grouped by team.
+ * @async
+ * @function getFixturePlayerStats
+ * @param {number|string} rawId - Fixture ID
+ * @returns {Promise<Object[]>} One entry per team: team_id, team, players
+ * @throws {Error} INVALID_FIXTURE_ID (400)
+ */
+export async function getFixturePlayerStats(rawId) {
+  const fixtureId = parseFixtureId(rawId);
+  const rows = await findPlayerStatsByFixture(fixtureId);
+  return [...groupByTeam(rows).entries()].map(([teamId, players]) => ({
+    team_id: teamId,
+    team: players[0].team,
+    players,
+  }));
+}
+
+/**
+ * Imports events, lineups and/or player statistics of a stored fixture from API-Football.
+ * Each requested section replaces the stored rows for the fixture, unless API-Football
+ * returned nothing or an error for it (see performFixtureDetailsImport).
+ * @async
+ * @function importFixtureDetails
+ * @param {number|string} rawId - Fixture ID
+ * @param {Object} [options={}] - Import options
+ * @param {string|string[]} [options.include] - Sections to import (events, lineups, players); all by default
+ * @param {boolean|string} [options.background=false] - Queue the import instead of running it
+ * @returns {Promise<Object>} Counts per imported section, or `{ queued: true, jobId, ... }` when queued
+ * @throws {Error} INVALID_FIXTURE_ID / INVALID_INCLUDE (400) or FIXTURE_NOT_FOUND (404)
+ */
+export async function importFixtureDetails(rawId, { include, background } = {}) {
+  const fixtureId = parseFixtureId(rawId);
+  const sections = parseIncludeSections(include);
+  await getFixture(fixtureId);
+
+  if (isBackgroundRequested(background)) {
+    const queued = await enqueueImportJob('fixture-details-import', { fixtureId, sections });
+    return {
+      ...queued,
+      message: 'Tác vụ import đã được đưa vào hàng đợi',
+      fixture: fixtureId,
+      sections,
+    };
+  }
+
+  return performFixtureDetailsImport({ fixtureId, sections });
+}
+
+/**
+ * Reads one detail section from API-Football.
+ * @async
+ * @function fetchSection
+ * @param {string} path - API-Football endpoint
+ * @param {number} fixtureId - Fixture ID
+ * @returns {Promise<{items: Object[], skipped: Object|null}>} The `response` items, and why the
+ *   section must not replace the stored rows (`{ reason, errors? }`) or null
+ * @private
+ */
+async function fetchSection(path, fixtureId) {
+  const data = await apiFootballGet(path, { fixture: fixtureId });
+  const errors = getApiFootballErrors(data);
+  if (errors) {
+    return { items: [], skipped: { reason: 'api-error', errors } };
+  }
+  const items = Array.isArray(data?.response) ? data.response : [];
+  return { items, skipped: items.length ? null : { reason: 'empty-response' } };
+}
+
+/**
+ * Replaces the requested detail sections of a fixture. Called directly or by the import worker,
+ * which passes `reportProgress` to publish one step per section.
+ * A section whose upstream response is empty or carries `errors` keeps its stored rows and is
+ * listed in `summary.skipped` instead, so a failed call never wipes the data of a finished match.
+ * @async
+ * @function performFixtureDetailsImport
+ * @param {Object} params - Import parameters
+ * @param {number} params.fixtureId - Fixture ID
+ * @param {string[]} params.sections - Sections to import (events, lineups, players)
+ * @param {Object} [context={}] - Job context
+ * @param {Function} [context.reportProgress] - Progress callback from the import worker
+ * @returns {Promise<Object>} Counts per imported section, and `skipped` (`{ section: { reason, errors? } }`)
+ */
+export async function performFixtureDetailsImport({ fixtureId, sections }, { reportProgress } = {}) {
+  const summary = { fixture: fixtureId, skipped: {} };
+  let done = 0;
+  const sectionDone = async (section) => {
+    done += 1;
+    if (reportProgress) {
+      await reportProgress({ done, total: sections.length, section });
+    }
+  };
+
+  if (sections.includes('events')) {
+    const { items, skipped } = await fetchSection('/fixtures/events', fixtureId);
+    if (skipped) {
+      summary.skipped.events = skipped;
+    } else {
+      const rows = buildEventRows(fixtureId, items);
+      await replaceFixtureEvents(fixtureId, rows);
+      summary.events = rows.length;
+    }
+    await sectionDone('events');
+  }
+
+  if (sections.includes('lineups')) {
+    const { items, skipped } = await fetchSection('/fixtures/lineups', fixtureId);
+    if (skipped) {
+      summary.skipped.lineups = skipped;
+    } else {
+      const { lineups, players } = buildLineupRows(fixtureId, items);
+      await replaceFixtureLineups(fixtureId, lineups, players);
+      summary.lineups = lineups.length;
+      summary.lineupPlayers = players.length;
+    }
+    await sectionDone('lineups');
+  }
+
+  if (sections.includes('players')) {
+    const { items, skipped } = await fetchSection('/fixtures/players', fixtureId);
+    if (skipped) {
+      summary.skipped.players = skipped;
+    } else {
+      const rows = buildPlayerStatRows(fixtureId, items);
+      await replaceFixturePlayerStats(fixtureId, rows);
+      summary.players = rows.length;
+    }
+    await sectionDone('players');
+  }
+
+  return summary;
+}
@@ -0,0 +1,475 @@
+/**
+ * @file Fixtures Service
+ * @description Business logic layer for fixtures (matches). Handles listing with
+ * filters, fixture lookup, and importing fixtures from API-Football so the
+ * frontend no longer has to query the upstream API directly.
+ * @module modules/fixtures/services/fixtures
+ */
+
+import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import {
+  paginateFixtures,
+  findFixtureById,
+  bulkUpsertFixtures,
+} from '../repositories/fixtures.repository.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+
+/**
+ * Default page number for pagination.
+ * @constant {number}
+ */
+const DEFAULT_PAGE = 1;
+
+/**
+ * Default number of fixtures per page.
+ * @constant {number}
+ */
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Maximum number of fixtures per page.
+ * @constant {number}
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * API-Football short status codes of matches that have finished.
+ * @constant {string[]}
+ */
+export const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+/**
+ * Error messages for fixture operations.
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_PAGE: 'Giá trị page phải là số nguyên dương',
+  INVALID_LIMIT: `Giá trị limit phải nằm trong khoảng 1-${MAX_LIMIT}`,
+  INVALID_FIXTURE_ID: 'ID fixture không hợp lệ',
+  FIXTURE_NOT_FOUND: 'Fixture không tồn tại',
+  INVALID_LEAGUE_ID: 'league không hợp lệ',
+  INVALID_SEASON: 'season không hợp lệ',
+  INVALID_TEAM_ID: 'team không hợp lệ',
+  INVALID_DATE: 'Ngày phải có định dạng YYYY-MM-DD',
+  INVALID_DATE_RANGE: 'from phải nhỏ hơn hoặc bằng to',
+  MISSING_LEAGUE: 'league là bắt buộc',
+  MISSING_SEASON: 'season là bắt buộc',
+};
+
+/**
+ * Creates a standardized error with code and status.
+ * @function createError
+ * @param {string} code - Error code key from ERROR_MESSAGES or custom message
+ * @param {number} [status=400] - HTTP status code
+ * @param {*} [details] - Additional error details
+ * @returns {Error} Error object with code, status, and optional details
+ * @private
+ */
+function createError(code, status = 400, details) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Parses a value to a positive integer, returning a default for empty input.
+ * @function parsePositiveIntOrDefault
+ * @param {*} value - Value to parse
+ * @param {*} defaultValue - Value returned when input is empty
+ * @returns {number|null|*} Parsed integer, defaultValue if empty, null if invalid
+ * @private
+ */
+function parsePositiveIntOrDefault(value, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    return defaultValue;
+  }
+  const parsed = Number.parseInt(trimmed, 10);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Parses a required positive integer.
+ * @function parseRequiredPositiveInt
+ * @param {*} value - Value to parse
+ * @param {string} missingCode - Error code if value is empty
+ * @param {string} invalidCode - Error code if value is invalid
+ * @returns {number} Parsed integer
+ * @throws {Error} If value is missing or invalid
+ * @private
+ */
+function parseRequiredPositiveInt(value, missingCode, invalidCode) {
+  const parsed = parsePositiveIntOrDefault(value, undefined);
+  if (parsed === undefined) {
+    throw createError(missingCode);
+  }
+  if (parsed === null) {
+    throw createError(invalidCode);
+  }
+  return parsed;
+}
+
+/**
+ * Parses an optional positive integer.
+ * @function parseOptionalPositiveInt
+ * @param {*} value - Value to parse
+ * @param {string} invalidCode - Error code if value is present but invalid
+ * @returns {number|undefined} Parsed integer or undefined if empty
+ * @throws {Error} If value is present but invalid
+ * @private
+ */
+function parseOptionalPositiveInt(value, invalidCode) {
+  const parsed = parsePositiveIntOrDefault(value, undefined);
+  if (parsed === null) {
+    throw createError(invalidCode);
+  }
+  return parsed;
+}
+
+/**
+ * Parses an optional YYYY-MM-DD date string.
+ * @function parseOptionalDate
+ * @param {*} value - Raw date value
+ * @returns {string|undefined} Normalized date string or undefined if empty
+ * @throws {Error} INVALID_DATE if the value is not a valid calendar date
+ * @private
+ */
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  const trimmed = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed) || Number.isNaN(Date.parse(`${trimmed}T00:00:00Z`))) {
+    throw createError('INVALID_DATE');
+  }
+  return trimmed;
+}
+
+/**
+ * Parses a comma separated list of status codes.
+ * @function parseStatusList
+ * @param {*} value - Raw status value (e.g., 'FT,AET')
+ * @returns {string[]|undefined} Upper-cased status codes or undefined if empty
+ * @private
+ */
+function parseStatusList(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const statuses = String(value)
+    .split(/[,-]/)
+    .map((item) => item.trim().toUpperCase())
+    .filter(Boolean);
+  return statuses.length ? statuses : undefined;
+}
+
+/**
+ * Parses an API value to an integer.
+ * @function parseApiInteger
+ * @param {*} value - Value to parse from API response
+ * @returns {number|null} Parsed integer or null if invalid
+ * @private
+ */
+function parseApiInteger(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  if (trimmed === '') {
+    return null;
+  }
+  const parsed = Number.parseInt(trimmed, 10);
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+/**
+ * Normalizes a string field by trimming whitespace.
+ * @function normalizeStringField
+ * @param {*} value - Value to normalize
+ * @returns {string|null} Trimmed string or null if empty/undefined
+ * @private
+ */
+function normalizeStringField(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Builds a fixture database payload from an API-Football /fixtures entry.
+ * @function buildFixturePayloadFromApi
+ * @param {Object} entry - Entry from the API-Football response
+ * @param {Object} entry.fixture - Fixture details (id, date, status, venue, ...)
+ * @param {Object} entry.league - League details (id, season, round)
+ * @param {Object} entry.teams - Home and away teams
+ * @param {Object} entry.goals - Current goals
+ * @param {Object} entry.score - Halftime/fulltime/extratime/penalty scores
+ * @returns {Object|null} Normalized fixture payload or null if invalid
+ * @private
+ */
+function buildFixturePayloadFromApi(entry) {
+  const fixture = entry?.fixture;
+  const fixtureId = parseApiInteger(fixture?.id);
+  if (!fixtureId) {
+    return null;
+  }
+
+  const kickoff = fixture.date ? new Date(fixture.date) : null;
+  const homeTeamId = parseApiInteger(entry?.teams?.home?.id);
+  const awayTeamId = parseApiInteger(entry?.teams?.away?.id);
+  const leagueId = parseApiInteger(entry?.league?.id);
+  const season = parseApiInteger(entry?.league?.season);
+
+  if (!kickoff || Number.isNaN(kickoff.getTime()) || !homeTeamId || !awayTeamId || !leagueId || !season) {
+    return null;
+  }
+
+  const score = entry?.score ?? {};
+  return {
+    id: fixtureId,
+    league_id: leagueId,
+    season,
+    round: normalizeStringField(entry.league.round),
+    referee: normalizeStringField(fixture.referee),
+    timezone: normalizeStringField(fixture.timezone),
+    kickoff_at: kickoff,
+    status_short: normalizeStringField(fixture.status?.short),
+    status_long: normalizeStringField(fixture.status?.long),
+    elapsed: parseApiInteger(fixture.status?.elapsed),
+    venue_id: parseApiInteger(fixture.venue?.id),
+    venue_name: normalizeStringField(fixture.venue?.name),
+    venue_city: normalizeStringField(fixture.venue?.city),
+    home_team_id: homeTeamId,
+    away_team_id: awayTeamId,
+    home_goals: parseApiInteger(entry?.goals?.home),
+    away_goals: parseApiInteger(entry?.goals?.away),
+    halftime_home: parseApiInteger(score.halftime?.home),
+    halftime_away: parseApiInteger(score.halftime?.away),
+    fulltime_home: parseApiInteger(score.fulltime?.home),
+    fulltime_away: parseApiInteger(score.fulltime?.away),
+    extratime_home: parseApiInteger(score.extratime?.home),
+    extratime_away: parseApiInteger(score.extratime?.away),
+    penalty_home: parseApiInteger(score.penalty?.home),
+    penalty_away: parseApiInteger(score.penalty?.away),
+  };
+}
+
+/**
+ * Converts an inclusive YYYY-MM-DD range into kickoff bounds.
+ * @function buildKickoffRange
+ * @param {string} [from] - Inclusive start date
+ * @param {string} [to] - Inclusive end date
+ * @returns {{from: (Date|undefined), to: (Date|undefined)}} Lower bound and exclusive upper bound
+ * @throws {Error} INVALID_DATE_RANGE if from is after to
+ * @private
+ */
+function buildKickoffRange(from, to) {
+  if (from && to && from > to) {
+    throw createError('INVALID_DATE_RANGE');
+  }
+  const lower = from ? new Date(`${from}T00:00:00Z`) : undefined;
+  let upper;
+  if (to) {
+    upper = new Date(`${to}T00:00:00Z`);
+    upper.setUTCDate(upper.getUTCDate() + 1);
+  }
+  return { from: lower, to: upper };
+}
+
+/**
+ * Lists fixtures with optional filters and pagination.
+ * @async
+ * @function listFixtures
+ * @param {Object} [query={}] - Query parameters
+ * @param {number|string} [query.league] - League ID filter
+ * @param {number|string} [query.season] - Season year filter
+ * @param {number|string} [query.team] - Team ID filter (home or away)
+ * @param {string} [query.from] - Inclusive start date (YYYY-MM-DD)
+ * @param {string} [query.to] - Inclusive end date (YYYY-MM-DD)
+ * @param {string} [query.status] - Comma separated short status codes (e.g., 'FT,AET')
+ * @param {number|string} [query.page=1] - Page number
+ * @param {number|string} [query.limit=20] - Items per page (max 100)
+ * @returns {Promise<Object>} Fixtures and pagination metadata
+ * @throws {Error} If any filter or pagination value is invalid
+ */
+export async function listFixtures(query = {}) {
+  const page = parsePositiveIntOrDefault(query.page, DEFAULT_PAGE);
+  if (page === null) {
+    throw createError('INVALID_PAGE');
+  }
+  const limit = parsePositiveIntOrDefault(query.limit, DEFAULT_LIMIT);
+  if (limit === null || limit > MAX_LIMIT) {
+    throw createError('INVALID_LIMIT');
+  }
+
+  const from = parseOptionalDate(query.from);
+  const to = parseOptionalDate(query.to);
+  const range = buildKickoffRange(from, to);
+
+  const filters = {
+    leagueId: parseOptionalPositiveInt(query.league, 'INVALID_LEAGUE_ID'),
+    season: parseOptionalPositiveInt(query.season, 'INVALID_SEASON'),
+    teamId: parseOptionalPositiveInt(query.team, 'INVALID_TEAM_ID'),
+    from: range.from,
+    to: range.to,
+    status: parseStatusList(query.status),
+  };
+
+  const { rows, count } = await paginateFixtures(filters, {
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  return {
+    data: rows,
+    pagination: {
+      totalItems: count,
+      totalPages: Math.ceil(count / limit),
+      page,
+      limit,
+    },
+  };
+}
+
+/**
+ * Retrieves a fixture by its ID, including both teams.
+ * @async
+ * @function getFixture
+ * @param {number|string} rawId - Fixture ID
+ * @returns {Promise<Object>} Fixture instance
+ * @throws {Error} INVALID_FIXTURE_ID (400) or FIXTURE_NOT_FOUND (404)
+ */
+export async function getFixture(rawId) {
+  const fixtureId = parsePositiveIntOrDefault(rawId, null);
+  if (!fixtureId) {
+    throw createError('INVALID_FIXTURE_ID');
+  }
+  const fixture = await findFixtureById(fixtureId);
+  if (!fixture) {
+    throw createError('FIXTURE_NOT_FOUND', 404);
+  }
+  return fixture;
+}
+
+/**
+ * Imports fixtures from API-Football, synchronously or through the import queue.
+ * @async
+ * @function importFixtures
+ * @param {Object} [params={}] - Import parameters
+ * @param {number|string} params.league - League ID (required)
+ * @param {number|string} params.season - Season year (required)
+ * @param {number|string} [params.team] - Restrict to one team
+ * @param {string} [params.from] - Inclusive start date (YYYY-MM-DD)
+ * @param {string} [params.to] - Inclusive end date (YYYY-MM-DD)
+ * @param {boolean|string} [params.background=false] - Queue the import instead of running it
+ * @returns {Promise<Object>} Import summary, or `{ queued: true, ... }` when queued
+ */
+export async function importFixtures(params = {}) {
+  const leagueId = parseRequiredPositiveInt(params.league, 'MISSING_LEAGUE', 'INVALID_LEAGUE_ID');
+  const season = parseRequiredPositiveInt(params.season, 'MISSING_SEASON', 'INVALID_SEASON');
+  const teamId = parseOptionalPositiveInt(params.team, 'INVALID_TEAM_ID');
+  const from = parseOptionalDate(params.from);
+  const to = parseOptionalDate(params.to);
+  buildKickoffRange(from, to);
+
+  const jobPayload = { leagueId, season, teamId, from, to };
+
+  if (isBackgroundRequested(params.background)) {
+    const queued = await enqueueImportJob('fixtures-import', jobPayload);
+    return {
+      ...queued,
+      message: 'Tác vụ import đã được đưa vào hàng đợi',
+      league: leagueId,
+      season,
+    };
+  }
+
+  return performFixtureImport(jobPayload);
+}
+
+/**
+ * Fetches fixtures from API-Football and upserts them. Called directly or by the import worker.
+ * @async
+ * @function performFixtureImport
+ * @param {Object} params - Import parameters
+ * @param {number|string} params.leagueId - League ID
+ * @param {number|string} params.season - Season year
+ * @param {number|string} [params.teamId] - Team ID filter
+ * @param {string} [params.from] - Inclusive start date (YYYY-MM-DD)
+ * @param {string} [params.to] - Inclusive end date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Import summary
+ * @returns {number} returns.imported - Number of fixtures upserted
+ * @returns {number} returns.skipped - Number of API entries that could not be mapped
+ */
+export async function performFixtureImport({ leagueId, season, teamId, from, to }) {
+  const leagueValue = parseRequiredPositiveInt(leagueId, 'MISSING_LEAGUE', 'INVALID_LEAGUE_ID');
+  const seasonValue = parseRequiredPositiveInt(season, 'MISSING_SEASON', 'INVALID_SEASON');
+  const teamValue = parseOptionalPositiveInt(teamId, 'INVALID_TEAM_ID');
+
+  const apiParams = { league: leagueValue, season: seasonValue };
+  if (teamValue) {
+    apiParams.team = teamValue;
+  }
+  if (from) {
+    apiParams.from = from;
+  }
+  if (to) {
+    apiParams.to = to;
+  }
+
+  const data = await apiFootballGet('/fixtures', apiParams);
+  const apiFixtures = Array.isArray(data?.response) ? data.response : [];
+
+  const summary = {
+    imported: 0,
+    skipped: 0,
+    league: leagueValue,
+    season: seasonValue,
+    team: teamValue ?? null,
+  };
+
+  if (apiFixtures.length === 0) {
+    return { ...summary, message: 'Không có trận đấu nào được trả về từ API-Football' };
+  }
+
+  const { imported, skipped } = await storeApiFixtures(apiFixtures);
+
+  if (imported === 0) {
+    return { ...summary, skipped, message: 'Không có trận đấu hợp lệ để lưu' };
+  }
+
+  return { ...summary, imported, skipped };
+}
+
+/**
+ * Maps raw API-Football fixture entries and upserts the valid ones.
+ * Used by every import that receives `/fixtures`-shaped entries
+ * (league imports, head-to-head lookups).
+ * @async
+ * @function storeApiFixtures
+ * @param {Object[]} apiFixtures - Entries from an API-Football fixtures response
+ * @returns {Promise<{imported: number, skipped: number}>} Number of upserted and unmappable entries
+ */
+export async function storeApiFixtures(apiFixtures) {
+  const payloads = apiFixtures
+    .map((entry) => buildFixturePayloadFromApi(entry))
+    .filter((payload) => payload !== null);
+
+  if (payloads.length > 0) {
+    await bulkUpsertFixtures(payloads);
+  }
+
+  return { imported: payloads.length, skipped: apiFixtures.length - payloads.length };
+}
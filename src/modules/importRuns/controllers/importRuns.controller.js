@@ -0,0 +1,121 @@
+/**
+ * @file Import Runs Controller
+ * @description HTTP request handlers for import provenance endpoints.
+ * Delegates to the import runs service and formats responses with ApiResponse.
+ * @module modules/importRuns/controllers/importRuns
+ */
+
+import ApiResponse from '../../../common/response.js';
+import { AppException } from '../../../common/exceptions/index.js';
+import toAppException from '../../../common/controllerError.js';
+import {
+  listImportRuns,
+  getImportRun,
+  listImportRunChanges,
+  listEntityImportChanges,
+} from '../services/importRuns.service.js';
+
+/**
+ * Maps service and unknown errors to an AppException.
+ * @function mapImportRunsError
+ * @param {Error} err - Error thrown by the service layer
+ * @param {string} fallbackMessage - Message used when the error cannot be mapped
+ * @param {string} fallbackCode - Error code used when the error cannot be mapped
+ * @returns {AppException} Normalized exception
+ * @private
+ */
+function mapImportRunsError(err, fallbackMessage, fallbackCode) {
+  if (err instanceof AppException) {
+    return err;
+  }
+
+  if (err?.code && err?.status) {
+    return new AppException(err.message, err.code, err.status, err.details);
+  }
+
+  return toAppException(err, fallbackMessage, fallbackCode);
+}
+
+/**
+ * Controller object containing import provenance endpoint handlers.
+ * @namespace ImportRunsController
+ */
+const ImportRunsController = {
+  /**
+   * Lists import runs, newest first.
+   * @async
+   * @function listImportRuns
+   * @memberof ImportRunsController
+   * @param {import('express').Request} req - Express request (query.type, query.status, query.page, query.limit)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the run page
+   */
+  async listImportRuns(req, res, next) {
+    try {
+      const payload = await listImportRuns(req.query);
+      return ApiResponse.success(res, payload, 'Import runs retrieved');
+    } catch (err) {
+      next(mapImportRunsError(err, 'Lỗi khi lấy danh sách import run', 'IMPORT_RUNS_FETCH_FAILED'));
+    }
+  },
+
+  /**
+   * Retrieves one import run.
+   * @async
+   * @function getImportRun
+   * @memberof ImportRunsController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the run and its counts
+   */
+  async getImportRun(req, res, next) {
+    try {
+      const run = await getImportRun(req.params.id);
+      return ApiResponse.success(res, run, 'Import run retrieved');
+    } catch (err) {
+      next(mapImportRunsError(err, 'Lỗi khi lấy thông tin import run', 'IMPORT_RUN_FETCH_FAILED'));
+    }
+  },
+
+  /**
+   * Lists the row changes of one import run.
+   * @async
+   * @function listImportRunChanges
+   * @memberof ImportRunsController
+   * @param {import('express').Request} req - Express request (params.id, query.action, query.entityType, query.entityId, query.page, query.limit)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the change page
+   */
+  async listImportRunChanges(req, res, next) {
+    try {
+      const payload = await listImportRunChanges(req.params.id, req.query);
+      return ApiResponse.success(res, payload, 'Import changes retrieved');
+    } catch (err) {
+      next(mapImportRunsError(err, 'Lỗi khi lấy thay đổi của import run', 'IMPORT_CHANGES_FETCH_FAILED'));
+    }
+  },
+
+  /**
+   * Lists the import history of one team or player.
+   * @async
+   * @function listEntityImportChanges
+   * @memberof ImportRunsController
+   * @param {import('express').Request} req - Express request (query.entityType, query.entityId, query.action, query.page, query.limit)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the change page
+   */
+  async listEntityImportChanges(req, res, next) {
+    try {
+      const payload = await listEntityImportChanges(req.query);
+      return ApiResponse.success(res, payload, 'Import changes retrieved');
+    } catch (err) {
+      next(mapImportRunsError(err, 'Lỗi khi lấy lịch sử import', 'IMPORT_CHANGES_FETCH_FAILED'));
+    }
+  },
+};
+
+export default ImportRunsController;
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Import Runs Module Registration
+ * @description Entry point for the import provenance module. Registers the
+ * ImportRun and ImportChange models and exposes the endpoints to browse import
+ * runs and the field-level changes they made to teams and players.
+ * @module modules/importRuns
+ */
+
+import router from './routes/importRuns.routes.js';
+import ImportRun from './models/importRun.model.js';
+import ImportChange from './models/importChange.model.js';
+import * as ImportRunsService from './services/importRuns.service.js';
+import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
+
+/**
+ * Registers the import runs module with the application container.
+ *
+ * @async
+ * @function registerImportRunsModule
+ * @param {Object} options - Registration options
+ * @param {Object} options.container - Dependency injection container
+ * @returns {Promise<Object>} Module configuration object
+ */
+export default async function registerImportRunsModule({ container }) {
+  registerIfMissing(container, TOKENS.models.ImportRun, ImportRun);
+  registerIfMissing(container, TOKENS.models.ImportChange, ImportChange);
+  container.set(TOKENS.services.importRuns, ImportRunsService);
+
+  return {
+    name: 'importRuns',
+    basePath: '/',
+    routes: router,
+    publicApi: {
+      ImportRun,
+      ImportChange,
+      services: ImportRunsService,
+    },
+  };
+}
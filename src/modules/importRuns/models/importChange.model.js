@@ -0,0 +1,76 @@
+/**
+ * @file Import Change Model Definition
+ * @description Sequelize model for the import_changes table. One row per
+ * team or player touched by an import run, with the field-level before/after
+ * values of updated rows.
+ * @module modules/importRuns/models/importChange
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import ImportRun from './importRun.model.js';
+
+/**
+ * Entity types tracked by import runs.
+ * @constant {string[]}
+ */
+export const IMPORT_ENTITY_TYPES = ['team', 'player'];
+
+/**
+ * What an import did to a row.
+ * @constant {string[]}
+ */
+export const IMPORT_CHANGE_ACTIONS = ['created', 'updated', 'unchanged'];
+
+/**
+ * ImportChange model representing what one import run did to one row.
+ * @typedef {Object} ImportChange
+ * @property {number} id - Auto-increment primary key
+ * @property {number} run_id - Import run (import_runs.id)
+ * @property {string} entity_type - One of IMPORT_ENTITY_TYPES
+ * @property {number} entity_id - Team or player ID
+ * @property {string} action - One of IMPORT_CHANGE_ACTIONS
+ * @property {Object|null} changes - `{ field: { before, after } }`; all imported fields
+ * for created rows, only the changed ones for updated rows, null when unchanged
+ * @property {Date} created_at - Time the change was recorded
+ */
+const ImportChange = sequelize.define('ImportChange', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  run_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  entity_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+  },
+  entity_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  action: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+}, {
+  tableName: 'import_changes',
+  underscored: true,
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['run_id', 'action'] },
+    { fields: ['entity_type', 'entity_id'] },
+  ],
+});
+
+ImportChange.belongsTo(ImportRun, { foreignKey: 'run_id', as: 'run', constraints: false });
+
+export default ImportChange;
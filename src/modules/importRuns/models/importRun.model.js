@@ -0,0 +1,95 @@
+/**
+ * @file Import Run Model Definition
+ * @description Sequelize model for the import_runs table. Each row is one
+ * execution of an import that upserts teams or players, with its counts of
+ * created, updated and unchanged rows. The row-level changes are stored in
+ * import_changes.
+ * @module modules/importRuns/models/importRun
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+
+/**
+ * Statuses of an import run.
+ * @constant {string[]}
+ */
+export const IMPORT_RUN_STATUSES = ['running', 'completed', 'failed'];
+
+/**
+ * ImportRun model representing one import execution.
+ * @typedef {Object} ImportRun
+ * @property {number} id - Auto-increment primary key
+ * @property {string} type - Import type (e.g., 'teams-import', 'players-import')
+ * @property {Object|null} params - Import parameters (league, season, team, ...)
+ * @property {string|null} job_id - Background job ID (import_job_runs.id) when run by the worker
+ * @property {string} status - One of IMPORT_RUN_STATUSES
+ * @property {number} created_count - Rows inserted
+ * @property {number} updated_count - Rows with at least one changed field
+ * @property {number} unchanged_count - Rows already up to date
+ * @property {string|null} error - Error message of a failed run
+ * @property {Date} started_at - Start of the run
+ * @property {Date|null} finished_at - End of the run
+ */
+const ImportRun = sequelize.define('ImportRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+  },
+  params: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  job_id: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'running',
+  },
+  created_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  updated_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  unchanged_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'import_runs',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['type', 'status'] },
+    { fields: ['job_id'] },
+    { fields: ['created_at'] },
+  ],
+});
+
+export default ImportRun;
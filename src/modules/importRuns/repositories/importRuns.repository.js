@@ -0,0 +1,63 @@
+import ImportRun from '../models/importRun.model.js';
+import ImportChange from '../models/importChange.model.js';
+
+const RUN_ATTRIBUTES = ['id', 'type', 'params', 'job_id', 'status', 'started_at', 'finished_at'];
+
+export function createImportRun(payload) {
+  return ImportRun.create(payload);
+}
+
+export function updateImportRun(id, payload) {
+  return ImportRun.update(payload, { where: { id } });
+}
+
+export function incrementImportRunCounts(id, counts) {
+  return ImportRun.increment(counts, { where: { id } });
+}
+
+export function findImportRunById(id) {
+  return ImportRun.findByPk(id);
+}
+
+export function findImportRuns({ type, status, limit, offset } = {}) {
+  const where = {};
+  if (type !== undefined) {
+    where.type = type;
+  }
+  if (status !== undefined) {
+    where.status = status;
+  }
+  return ImportRun.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset,
+  });
+}
+
+export function bulkInsertImportChanges(payloads) {
+  return ImportChange.bulkCreate(payloads);
+}
+
+export function findImportChanges({ runId, entityType, entityId, action, limit, offset, includeRun = false } = {}) {
+  const where = {};
+  if (runId !== undefined) {
+    where.run_id = runId;
+  }
+  if (entityType !== undefined) {
+    where.entity_type = entityType;
+  }
+  if (entityId !== undefined) {
+    where.entity_id = entityId;
+  }
+  if (action !== undefined) {
+    where.action = action;
+  }
+  return ImportChange.findAndCountAll({
+    where,
+    include: includeRun ? [{ model: ImportRun, as: 'run', attributes: RUN_ATTRIBUTES }] : [],
+    order: [['id', 'DESC']],
+    limit,
+    offset,
+  });
+}
@@ -0,0 +1,241 @@
+/**
+ * @file Import Runs Routes
+ * @description Express router for import provenance: import runs and the
+ * field-level changes they made to teams and players. All endpoints require
+ * authentication.
+ * @module modules/importRuns/routes/importRuns
+ */
+
+import express from 'express';
+import auth from '../../../common/authMiddleware.js';
+import ImportRunsController from '../controllers/importRuns.controller.js';
+
+/**
+ * Router for import provenance endpoints (JWT required).
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/import-runs:
+ *   get:
+ *     summary: List import runs
+ *     description: Runs of the teams, players and squad imports, newest first, with counts of created, updated and unchanged rows.
+ *     tags:
+ *       - Imports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Import type (teams-import, players-import, squad-import).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Import runs retrieved.
+ *       400:
+ *         description: Invalid status or pagination.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: Unexpected error.
+ */
+router.get('/import-runs', auth, ImportRunsController.listImportRuns); // GET /api/import-runs
+
+/**
+ * @openapi
+ * /api/import-runs/{id}:
+ *   get:
+ *     summary: Get an import run
+ *     tags:
+ *       - Imports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Import run retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Import run retrieved"
+ *               data:
+ *                 id: 128
+ *                 type: "players-import"
+ *                 params:
+ *                   league: 39
+ *                   team: 33
+ *                   season: 2023
+ *                 job_id: "0b6c0a52-6f1e-4c3b-9a53-2f1d9c1f7e10"
+ *                 status: "completed"
+ *                 created_count: 2
+ *                 updated_count: 5
+ *                 unchanged_count: 21
+ *                 error: null
+ *                 started_at: "2024-05-01T02:00:01.000Z"
+ *                 finished_at: "2024-05-01T02:00:09.000Z"
+ *       400:
+ *         description: Invalid run ID.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: Import run not found.
+ */
+router.get('/import-runs/:id', auth, ImportRunsController.getImportRun); // GET /api/import-runs/:id
+
+/**
+ * @openapi
+ * /api/import-runs/{id}/changes:
+ *   get:
+ *     summary: List the changes of an import run
+ *     description: "One entry per team or player the run wrote. `changes` holds `{ field: { before, after } }` for the changed fields of updated rows, every imported field of created rows, and null for unchanged rows."
+ *     tags:
+ *       - Imports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [created, updated, unchanged]
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [team, player]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Import changes retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Import changes retrieved"
+ *               data:
+ *                 data:
+ *                   - id: 5012
+ *                     run_id: 128
+ *                     entity_type: "player"
+ *                     entity_id: 276
+ *                     action: "updated"
+ *                     changes:
+ *                       number:
+ *                         before: 9
+ *                         after: 10
+ *                     created_at: "2024-05-01T02:00:04.000Z"
+ *                 pagination:
+ *                   totalItems: 1
+ *                   totalPages: 1
+ *                   page: 1
+ *                   limit: 20
+ *                   hasNextPage: false
+ *                   hasPrevPage: false
+ *       400:
+ *         description: Invalid run ID, filter or pagination.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: Import run not found.
+ */
+router.get('/import-runs/:id/changes', auth, ImportRunsController.listImportRunChanges); // GET /api/import-runs/:id/changes
+
+/**
+ * @openapi
+ * /api/import-changes:
+ *   get:
+ *     summary: Import history of a team or player
+ *     description: Created and updated entries for one team or player across all import runs, newest first, each with its run (type, params, job, time). Pass action=unchanged to list the runs that left it untouched.
+ *     tags:
+ *       - Imports
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [team, player]
+ *       - in: query
+ *         name: entityId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [created, updated, unchanged]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Import changes retrieved.
+ *       400:
+ *         description: Missing or invalid entityType/entityId, action or pagination.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ */
+router.get('/import-changes', auth, ImportRunsController.listEntityImportChanges); // GET /api/import-changes
+
+export default router;
@@ -0,0 +1,444 @@
+/**
+ * @file Import Runs Service
+ * @description Import provenance. Imports that upsert teams or players open an
+ * import run, diff the rows they are about to write against the stored ones and
+ * record which rows were created, updated (with field-level before/after) or left
+ * unchanged. The runs and changes can then be browsed to explain why a field changed.
+ * Import dry runs use the same diff to preview the inserts and updates.
+ * @module modules/importRuns/services/importRuns
+ */
+
+import { IMPORT_RUN_STATUSES } from '../models/importRun.model.js';
+import { IMPORT_ENTITY_TYPES, IMPORT_CHANGE_ACTIONS } from '../models/importChange.model.js';
+import {
+  createImportRun,
+  updateImportRun,
+  incrementImportRunCounts,
+  findImportRunById,
+  findImportRuns,
+  bulkInsertImportChanges,
+  findImportChanges,
+} from '../repositories/importRuns.repository.js';
+
+/**
+ * Default page size for runs and changes.
+ * @constant {number}
+ */
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Maximum page size for runs and changes.
+ * @constant {number}
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Error messages for import run operations.
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_RUN_ID: 'ID import run không hợp lệ',
+  RUN_NOT_FOUND: 'Không tìm thấy import run',
+  INVALID_RUN_STATUS: `status phải là một trong: ${IMPORT_RUN_STATUSES.join(', ')}`,
+  INVALID_ENTITY_TYPE: `entityType phải là một trong: ${IMPORT_ENTITY_TYPES.join(', ')}`,
+  INVALID_ENTITY_ID: 'entityId phải là số nguyên dương',
+  MISSING_ENTITY: 'Cần truyền entityType và entityId',
+  INVALID_ACTION: `action phải là một trong: ${IMPORT_CHANGE_ACTIONS.join(', ')}`,
+  INVALID_PAGE: 'page phải là số nguyên dương',
+  INVALID_LIMIT: `limit phải là số nguyên từ 1 đến ${MAX_LIMIT}`,
+};
+
+/**
+ * Creates a standardized error with code and status.
+ * @function createError
+ * @param {string} code - Error code key from ERROR_MESSAGES or custom message
+ * @param {number} [status=400] - HTTP status code
+ * @returns {Error} Error object with code and status
+ * @private
+ */
+function createError(code, status = 400) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parses an optional positive integer, falling back to a default.
+ * @function parsePositiveIntOrDefault
+ * @param {*} value - Value to parse
+ * @param {number|undefined} fallback - Value used when empty
+ * @param {string} invalidCode - Error code if value is present but invalid
+ * @returns {number|undefined} Parsed integer or fallback
+ * @throws {Error} If value is present but invalid
+ * @private
+ */
+function parsePositiveIntOrDefault(value, fallback, invalidCode) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(String(value).trim(), 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createError(invalidCode);
+  }
+  return parsed;
+}
+
+/**
+ * Parses an optional enum query value.
+ * @function parseOptionalEnum
+ * @param {*} value - Raw query value
+ * @param {string[]} allowed - Allowed values
+ * @param {string} invalidCode - Error code if value is not allowed
+ * @returns {string|undefined} Lower-case value or undefined when empty
+ * @throws {Error} If value is not allowed
+ * @private
+ */
+function parseOptionalEnum(value, allowed, invalidCode) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return undefined;
+  }
+  const normalized = value.trim().toLowerCase();
+  if (!allowed.includes(normalized)) {
+    throw createError(invalidCode);
+  }
+  return normalized;
+}
+
+/**
+ * Parses page and limit query values.
+ * @function parsePagination
+ * @param {Object} query - Query parameters
+ * @returns {{page: number, limit: number}} Pagination values
+ * @throws {Error} INVALID_PAGE or INVALID_LIMIT (400)
+ * @private
+ */
+function parsePagination(query) {
+  const page = parsePositiveIntOrDefault(query.page, 1, 'INVALID_PAGE');
+  const limit = parsePositiveIntOrDefault(query.limit, DEFAULT_LIMIT, 'INVALID_LIMIT');
+  if (limit > MAX_LIMIT) {
+    throw createError('INVALID_LIMIT');
+  }
+  return { page, limit };
+}
+
+/**
+ * Builds the list response in the shared `{ data, pagination }` shape.
+ * @function buildPage
+ * @param {Object[]} rows - Page rows
+ * @param {number} count - Total rows
+ * @param {number} page - Page number
+ * @param {number} limit - Page size
+ * @returns {Object} `{ data, pagination }`
+ * @private
+ */
+function buildPage(rows, count, page, limit) {
+  const totalPages = Math.ceil(count / limit);
+  return {
+    data: rows,
+    pagination: {
+      totalItems: count,
+      totalPages,
+      page,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Loads an import run or throws RUN_NOT_FOUND.
+ * @async
+ * @function requireImportRun
+ * @param {*} rawId - Raw run ID
+ * @returns {Promise<import('../models/importRun.model.js').default>} Import run
+ * @throws {Error} INVALID_RUN_ID (400) or RUN_NOT_FOUND (404)
+ * @private
+ */
+async function requireImportRun(rawId) {
+  const id = parsePositiveIntOrDefault(rawId, undefined, 'INVALID_RUN_ID');
+  if (id === undefined) {
+    throw createError('INVALID_RUN_ID');
+  }
+  const run = await findImportRunById(id);
+  if (!run) {
+    throw createError('RUN_NOT_FOUND', 404);
+  }
+  return run;
+}
+
+/**
+ * Normalizes a column value for storage in `changes`.
+ * @function toStoredValue
+ * @param {*} value - Column or payload value
+ * @returns {*} Value with undefined mapped to null and dates to ISO strings
+ * @private
+ */
+function toStoredValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Compares a stored value with an imported one. MySQL returns booleans as 0/1
+ * and numbers may come back as strings, so values are compared as strings.
+ * @function isSameValue
+ * @param {*} before - Stored value (normalized)
+ * @param {*} after - Imported value (normalized)
+ * @returns {boolean} True when the import does not change the value
+ * @private
+ */
+function isSameValue(before, after) {
+  if (before === null || after === null) {
+    return before === after;
+  }
+  const comparable = (value) => (typeof value === 'boolean' ? Number(value) : value);
+  return String(comparable(before)) === String(comparable(after));
+}
+
+/**
+ * Works out what upserting `payloads` does to the stored rows.
+ * When a payload lists the same ID twice the last one wins, as in the upsert.
+ * @function diffImportRows
+ * @param {Object[]} existingRows - Stored rows (instances or plain objects) with `id` and `fields`
+ * @param {Object[]} payloads - Rows about to be upserted
+ * @param {string[]} fields - Columns written by the upsert
+ * @returns {Array<{entityId: number, action: string, changes: Object|null}>} One entry per upserted ID
+ */
+export function diffImportRows(existingRows, payloads, fields) {
+  const existingById = new Map(existingRows.map((row) => {
+    const plain = typeof row.get === 'function' ? row.get({ plain: true }) : row;
+    return [Number(plain.id), plain];
+  }));
+  const payloadsById = new Map(payloads.map((payload) => [Number(payload.id), payload]));
+
+  return [...payloadsById.entries()].map(([entityId, payload]) => {
+    const before = existingById.get(entityId);
+    if (!before) {
+      const changes = Object.fromEntries(fields.map((field) => [
+        field,
+        { before: null, after: toStoredValue(payload[field]) },
+      ]));
+      return { entityId, action: 'created', changes };
+    }
+
+    const changes = {};
+    fields.forEach((field) => {
+      const beforeValue = toStoredValue(before[field]);
+      const afterValue = toStoredValue(payload[field]);
+      if (!isSameValue(beforeValue, afterValue)) {
+        changes[field] = { before: beforeValue, after: afterValue };
+      }
+    });
+    return Object.keys(changes).length
+      ? { entityId, action: 'updated', changes }
+      : { entityId, action: 'unchanged', changes: null };
+  });
+}
+
+/**
+ * Describes what upserting `payloads` would do without writing anything (import dry runs).
+ * @function previewImportRows
+ * @param {Object[]} existingRows - Stored rows (instances or plain objects) with `id` and `fields`
+ * @param {Object[]} payloads - Rows the import would upsert
+ * @param {string[]} fields - Columns written by the upsert
+ * @returns {{created: number, updated: number, unchanged: number, inserts: Object[], updates: Array<{id: number, changes: Object}>}}
+ *   Counts, the rows that would be inserted and the field-level changes of the rows that would be updated
+ */
+export function previewImportRows(existingRows, payloads, fields) {
+  const payloadsById = new Map(payloads.map((payload) => [Number(payload.id), payload]));
+  const preview = {
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    inserts: [],
+    updates: [],
+  };
+  diffImportRows(existingRows, payloads, fields).forEach((diff) => {
+    preview[diff.action] += 1;
+    if (diff.action === 'created') {
+      preview.inserts.push(payloadsById.get(diff.entityId));
+    } else if (diff.action === 'updated') {
+      preview.updates.push({ id: diff.entityId, changes: diff.changes });
+    }
+  });
+  return preview;
+}
+
+/**
+ * Opens an import run.
+ * @async
+ * @function startImportRun
+ * @param {string} type - Import type (e.g., 'teams-import')
+ * @param {Object} params - Import parameters
+ * @param {Object} [options={}] - Run options
+ * @param {string} [options.jobId] - Background job ID when run by the import worker
+ * @returns {Promise<number>} Import run ID
+ */
+export async function startImportRun(type, params, { jobId } = {}) {
+  const run = await createImportRun({
+    type,
+    params,
+    job_id: jobId ?? null,
+    status: 'running',
+    started_at: new Date(),
+  });
+  return run.id;
+}
+
+/**
+ * Records what an upsert did to each row of an import run.
+ * Call it with the rows read before the upsert.
+ * @async
+ * @function recordImportChanges
+ * @param {number} runId - Import run ID
+ * @param {string} entityType - One of IMPORT_ENTITY_TYPES
+ * @param {Object[]} existingRows - Stored rows read before the upsert
+ * @param {Object[]} payloads - Upserted rows
+ * @param {string[]} fields - Columns written by the upsert
+ * @returns {Promise<{created: number, updated: number, unchanged: number}>} Counts for these rows
+ */
+export async function recordImportChanges(runId, entityType, existingRows, payloads, fields) {
+  const diffs = diffImportRows(existingRows, payloads, fields);
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  diffs.forEach((diff) => {
+    counts[diff.action] += 1;
+  });
+  if (!diffs.length) {
+    return counts;
+  }
+
+  await bulkInsertImportChanges(diffs.map((diff) => ({
+    run_id: runId,
+    entity_type: entityType,
+    entity_id: diff.entityId,
+    action: diff.action,
+    changes: diff.changes,
+  })));
+  await incrementImportRunCounts(runId, {
+    created_count: counts.created,
+    updated_count: counts.updated,
+    unchanged_count: counts.unchanged,
+  });
+  return counts;
+}
+
+/**
+ * Closes an import run.
+ * @async
+ * @function finishImportRun
+ * @param {number} runId - Import run ID
+ * @param {Error} [error] - Error that stopped the import; the run is then marked failed
+ * @returns {Promise<void>}
+ */
+export async function finishImportRun(runId, error) {
+  await updateImportRun(runId, {
+    status: error ? 'failed' : 'completed',
+    error: error ? (error.message ?? String(error)) : null,
+    finished_at: new Date(),
+  });
+}
+
+/**
+ * Lists import runs, newest first.
+ * @async
+ * @function listImportRuns
+ * @param {Object} [query={}] - Query parameters
+ * @param {string} [query.type] - Import type (e.g., 'players-import')
+ * @param {string} [query.status] - running | completed | failed
+ * @param {number|string} [query.page=1] - Page number
+ * @param {number|string} [query.limit=20] - Page size (max 100)
+ * @returns {Promise<Object>} `{ data, pagination }`
+ * @throws {Error} INVALID_RUN_STATUS, INVALID_PAGE or INVALID_LIMIT (400)
+ */
+export async function listImportRuns(query = {}) {
+  const type = typeof query.type === 'string' && query.type.trim() !== '' ? query.type.trim() : undefined;
+  const status = parseOptionalEnum(query.status, IMPORT_RUN_STATUSES, 'INVALID_RUN_STATUS');
+  const { page, limit } = parsePagination(query);
+
+  const { rows, count } = await findImportRuns({ type, status, limit, offset: (page - 1) * limit });
+  return buildPage(rows, count, page, limit);
+}
+
+/**
+ * Retrieves one import run with its counts.
+ * @async
+ * @function getImportRun
+ * @param {number|string} rawId - Import run ID
+ * @returns {Promise<Object>} Import run
+ * @throws {Error} INVALID_RUN_ID (400) or RUN_NOT_FOUND (404)
+ */
+export async function getImportRun(rawId) {
+  return requireImportRun(rawId);
+}
+
+/**
+ * Lists the row changes of one import run.
+ * @async
+ * @function listImportRunChanges
+ * @param {number|string} rawId - Import run ID
+ * @param {Object} [query={}] - Query parameters
+ * @param {string} [query.action] - created | updated | unchanged
+ * @param {string} [query.entityType] - team | player
+ * @param {number|string} [query.entityId] - Team or player ID
+ * @param {number|string} [query.page=1] - Page number
+ * @param {number|string} [query.limit=20] - Page size (max 100)
+ * @returns {Promise<Object>} `{ data, pagination }`
+ * @throws {Error} INVALID_RUN_ID, INVALID_ACTION, INVALID_ENTITY_TYPE, INVALID_ENTITY_ID,
+ * INVALID_PAGE or INVALID_LIMIT (400), RUN_NOT_FOUND (404)
+ */
+export async function listImportRunChanges(rawId, query = {}) {
+  const run = await requireImportRun(rawId);
+  const action = parseOptionalEnum(query.action, IMPORT_CHANGE_ACTIONS, 'INVALID_ACTION');
+  const entityType = parseOptionalEnum(query.entityType, IMPORT_ENTITY_TYPES, 'INVALID_ENTITY_TYPE');
+  const entityId = parsePositiveIntOrDefault(query.entityId, undefined, 'INVALID_ENTITY_ID');
+  const { page, limit } = parsePagination(query);
+
+  const { rows, count } = await findImportChanges({
+    runId: run.id,
+    action,
+    entityType,
+    entityId,
+    limit,
+    offset: (page - 1) * limit,
+  });
+  return buildPage(rows, count, page, limit);
+}
+
+/**
+ * Lists the import history of one team or player, newest first, with the run of each change.
+ * Unchanged rows are left out unless `action=unchanged` is asked for.
+ * @async
+ * @function listEntityImportChanges
+ * @param {Object} [query={}] - Query parameters
+ * @param {string} query.entityType - team | player
+ * @param {number|string} query.entityId - Team or player ID
+ * @param {string} [query.action] - created | updated | unchanged
+ * @param {number|string} [query.page=1] - Page number
+ * @param {number|string} [query.limit=20] - Page size (max 100)
+ * @returns {Promise<Object>} `{ data, pagination }`
+ * @throws {Error} MISSING_ENTITY, INVALID_ENTITY_TYPE, INVALID_ENTITY_ID, INVALID_ACTION,
+ * INVALID_PAGE or INVALID_LIMIT (400)
+ */
+export async function listEntityImportChanges(query = {}) {
+  const entityType = parseOptionalEnum(query.entityType, IMPORT_ENTITY_TYPES, 'INVALID_ENTITY_TYPE');
+  const entityId = parsePositiveIntOrDefault(query.entityId, undefined, 'INVALID_ENTITY_ID');
+  if (entityType === undefined || entityId === undefined) {
+    throw createError('MISSING_ENTITY');
+  }
+  const action = parseOptionalEnum(query.action, IMPORT_CHANGE_ACTIONS, 'INVALID_ACTION');
+  const { page, limit } = parsePagination(query);
+
+  const { rows, count } = await findImportChanges({
+    entityType,
+    entityId,
+    action: action ?? ['created', 'updated'],
+    limit,
+    offset: (page - 1) * limit,
+    includeRun: true,
+  });
+  return buildPage(rows, count, page, limit);
+}
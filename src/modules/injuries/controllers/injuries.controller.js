@@ -0,0 +1,115 @@
+/**
+ * @file Injuries Controller
+ * @description HTTP request handlers for injury endpoints. Delegates to the
+ * injuries service and formats responses with ApiResponse.
+ * @module modules/injuries/controllers/injuries
+ */
+
+import ApiResponse from '../../../common/response.js';
+import { AppException } from '../../../common/exceptions/index.js';
+import toAppException from '../../../common/controllerError.js';
+import { getTeamInjuries, importInjuries } from '../services/injuries.service.js';
+
+/**
+ * Reads a value from the request body, falling back to the query string.
+ * @function readRequestValue
+ * @param {import('express').Request} req - Express request object
+ * @param {string} key - Key to read
+ * @returns {*} Value from body or query, undefined if absent
+ * @private
+ */
+function readRequestValue(req, key) {
+  if (req.body && Object.prototype.hasOwnProperty.call(req.body, key)) {
+    return req.body[key];
+  }
+  return req.query ? req.query[key] : undefined;
+}
+
+/**
+ * Maps service, upstream and unknown errors to an AppException.
+ * @function mapInjuriesError
+ * @param {Error} err - Error thrown by the service layer
+ * @param {string} fallbackMessage - Message used when the error cannot be mapped
+ * @param {string} fallbackCode - Error code used when the error cannot be mapped
+ * @param {number} [fallbackStatus=500] - HTTP status used when the error cannot be mapped
+ * @returns {AppException} Normalized exception
+ * @private
+ */
+function mapInjuriesError(err, fallbackMessage, fallbackCode, fallbackStatus = 500) {
+  if (err instanceof AppException) {
+    return err;
+  }
+
+  if (err?.code && err?.status) {
+    return new AppException(err.message, err.code, err.status, err.details);
+  }
+
+  if (err?.code === 'ECONNABORTED') {
+    return new AppException('Hết thời gian chờ khi gọi API-Football', 'API_FOOTBALL_TIMEOUT', 504);
+  }
+
+  if (err?.response && err.response.data) {
+    const status = err.response.status || fallbackStatus;
+    return new AppException(fallbackMessage, fallbackCode, status, { response: err.response.data });
+  }
+
+  return toAppException(err, fallbackMessage, fallbackCode, fallbackStatus);
+}
+
+/**
+ * Controller object containing injury endpoint handlers.
+ * @namespace InjuriesController
+ */
+const InjuriesController = {
+  /**
+   * Retrieves a team's injuries and suspensions.
+   * @async
+   * @function getTeamInjuries
+   * @memberof InjuriesController
+   * @param {import('express').Request} req - Express request (params.id, query.season, query.upcoming)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the team's injuries
+   */
+  async getTeamInjuries(req, res, next) {
+    try {
+      const payload = await getTeamInjuries(req.params.id, req.query);
+      return ApiResponse.success(res, payload, 'Team injuries retrieved');
+    } catch (err) {
+      next(mapInjuriesError(err, 'Lỗi khi lấy danh sách chấn thương của đội', 'TEAM_INJURIES_FAILED'));
+    }
+  },
+
+  /**
+   * Imports injuries from API-Football.
+   * Responds with 202 when the import was queued, 200 otherwise.
+   * @async
+   * @function importInjuriesFromApiFootball
+   * @memberof InjuriesController
+   * @param {import('express').Request} req - Express request (fixture, team, league, player, season, background in body or query)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the import summary
+   */
+  async importInjuriesFromApiFootball(req, res, next) {
+    try {
+      const result = await importInjuries({
+        fixture: readRequestValue(req, 'fixture'),
+        team: readRequestValue(req, 'team'),
+        league: readRequestValue(req, 'league'),
+        player: readRequestValue(req, 'player'),
+        season: readRequestValue(req, 'season'),
+        background: readRequestValue(req, 'background'),
+      });
+
+      const { queued, ...payload } = result;
+      const status = queued ? 202 : 200;
+      const message = queued ? 'Tác vụ import đã được đưa vào hàng đợi' : 'Import chấn thương thành công';
+      return ApiResponse.success(res, payload, message, status);
+    } catch (err) {
+      next(mapInjuriesError(err, 'Lỗi khi import chấn thương từ API Football', 'INJURY_IMPORT_FAILED'));
+    }
+  },
+};
+
+export default InjuriesController;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Injuries Module Registration
+ * @description Entry point for the injuries module. Registers the Injury model,
+ * service layer and import job, and exposes public/private routes for team
+ * injuries and suspensions.
+ * @module modules/injuries
+ */
+
+import { publicRouter, privateRouter } from './routes/injuries.routes.js';
+import Injury from './models/injury.model.js';
+import * as InjuriesService from './services/injuries.service.js';
+import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
+
+/**
+ * Registers the injuries module with the application container.
+ *
+ * @async
+ * @function registerInjuriesModule
+ * @param {Object} options - Registration options
+ * @param {Object} options.container - Dependency injection container
+ * @returns {Promise<Object>} Module configuration object
+ */
+export default async function registerInjuriesModule({ container }) {
+  registerIfMissing(container, TOKENS.models.Injury, Injury);
+  container.set(TOKENS.services.injuries, InjuriesService);
+
+  return {
+    name: 'injuries',
+    basePath: '/',
+    publicRoutes: publicRouter,
+    privateRoutes: privateRouter,
+    jobs: [
+      { name: 'injuries-import', handler: InjuriesService.performInjuryImport },
+    ],
+    publicApi: {
+      Injury,
+      services: InjuriesService,
+    },
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * @file Injury Model Definition
+ * @description Sequelize model for the injuries table. Each row records a player
+ * who is out (or doubtful) for a fixture, as reported by API-Football `/injuries`.
+ * @module modules/injuries/models/injury
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Player from '../../players/models/player.model.js';
+import Team from '../../teams/models/team.model.js';
+import Fixture from '../../fixtures/models/fixture.model.js';
+
+/**
+ * Injury model representing a player's absence for one fixture.
+ * @typedef {Object} Injury
+ * @property {number} player_id - Player identifier (composite primary key)
+ * @property {number} fixture_id - Fixture identifier (composite primary key)
+ * @property {string|null} player_name - Player name as reported with the injury
+ * @property {string|null} player_photo - Player photo URL
+ * @property {number} team_id - Team identifier
+ * @property {number|null} league_id - League identifier
+ * @property {number|null} season - Season year
+ * @property {Date|null} fixture_date - Kickoff of the fixture the player misses
+ * @property {string|null} type - 'Missing Fixture' or 'Questionable'
+ * @property {string|null} reason - Reason reported by API-Football (e.g., 'Knee Injury', 'Suspended')
+ * @property {Date} synced_at - Last time the row was synced
+ */
+const Injury = sequelize.define('Injury', {
+  player_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  fixture_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  player_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  player_photo: {
+    type: DataTypes.STRING(1024),
+    allowNull: true,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  league_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  season: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  fixture_date: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'injuries',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['team_id', 'fixture_date'] },
+    { fields: ['fixture_id'] },
+  ],
+});
+
+// Display-only joins: injuries may be synced before the player, team or fixture.
+Injury.belongsTo(Player, { foreignKey: 'player_id', as: 'player', constraints: false });
+Injury.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+Injury.belongsTo(Fixture, { foreignKey: 'fixture_id', as: 'fixture', constraints: false });
+
+export default Injury;
@@ -0,0 +1,36 @@
+import { Op } from 'sequelize';
+import Injury from '../models/injury.model.js';
+import Player from '../../players/models/player.model.js';
+
+const PLAYER_ATTRIBUTES = ['id', 'name', 'photo', 'number', 'position'];
+
+export function findInjuriesByTeam(teamId, { season, from } = {}) {
+  const where = { team_id: teamId };
+  if (season !== undefined) {
+    where.season = season;
+  }
+  if (from) {
+    where.fixture_date = { [Op.gte]: from };
+  }
+  return Injury.findAll({
+    where,
+    include: [{ model: Player, as: 'player', attributes: PLAYER_ATTRIBUTES, required: false }],
+    order: [['fixture_date', 'DESC'], ['player_id', 'ASC']],
+  });
+}
+
+export function bulkUpsertInjuries(payloads) {
+  return Injury.bulkCreate(payloads, {
+    updateOnDuplicate: [
+      'player_name',
+      'player_photo',
+      'team_id',
+      'league_id',
+      'season',
+      'fixture_date',
+      'type',
+      'reason',
+      'synced_at',
+    ],
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * @file Injuries Routes
+ * @description Express routers for team injuries and suspensions. Read endpoints
+ * are public; importing from API-Football requires authentication.
+ * @module modules/injuries/routes/injuries
+ */
+
+import express from 'express';
+import auth from '../../../common/authMiddleware.js';
+import InjuriesController from '../controllers/injuries.controller.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
+
+/**
+ * Router for public endpoints (no authentication required).
+ * @type {express.Router}
+ */
+const publicRouter = express.Router();
+
+/**
+ * Router for private endpoints (JWT required).
+ * @type {express.Router}
+ */
+const privateRouter = express.Router();
+
+/**
+ * @openapi
+ * /api/teams/{id}/injuries:
+ *   get:
+ *     summary: Team injuries and suspensions
+ *     description: Players reported missing or doubtful for the team's fixtures, latest fixture first. Import them first with POST /api/injuries/import.
+ *     tags:
+ *       - Injuries
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: season
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Season year (e.g., 2023).
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only absences for fixtures that have not kicked off yet.
+ *     responses:
+ *       200:
+ *         description: Team injuries retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Team injuries retrieved"
+ *               data:
+ *                 teamId: 50
+ *                 season: 2023
+ *                 upcoming: false
+ *                 total: 1
+ *                 injuries:
+ *                   - player_id: 629
+ *                     fixture_id: 1035480
+ *                     player_name: "K. De Bruyne"
+ *                     fixture_date: "2023-08-19T19:00:00.000Z"
+ *                     type: "Missing Fixture"
+ *                     reason: "Hamstring Injury"
+ *       400:
+ *         description: Invalid team identifier or season.
+ *       500:
+ *         description: Unexpected error.
+ */
+publicRouter.get('/teams/:id/injuries', resolveSeasonParam({ leagueKeys: [] }), InjuriesController.getTeamInjuries); // GET /api/teams/:id/injuries
+
+/**
+ * @openapi
+ * /api/injuries/import:
+ *   post:
+ *     summary: Import injuries from API-Football
+ *     description: Imports injuries and suspensions and upserts them by player and fixture. Pass either a fixture, or a season together with a team, league or player. Set background=true to queue the import.
+ *     tags:
+ *       - Injuries
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fixture
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: league
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: player
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: season
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Required unless fixture is given.
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Import chấn thương thành công"
+ *               data:
+ *                 imported: 42
+ *                 skipped: 0
+ *       202:
+ *         description: Import queued.
+ *       400:
+ *         description: Missing or invalid parameters.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+privateRouter.post('/injuries/import', auth, resolveSeasonParam(), InjuriesController.importInjuriesFromApiFootball); // POST /api/injuries/import
+
+export { publicRouter, privateRouter };
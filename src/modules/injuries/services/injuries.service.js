@@ -0,0 +1,244 @@
+/**
+ * @file Injuries Service
+ * @description Business logic layer for player injuries and suspensions.
+ * Injuries are imported from API-Football `/injuries` and served from the
+ * injuries table.
+ * @module modules/injuries/services/injuries
+ */
+
+import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import { findInjuriesByTeam, bulkUpsertInjuries } from '../repositories/injuries.repository.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+import { parseBooleanFlag } from '../../../common/booleanFlags.js';
+
+/**
+ * Error messages for injury operations.
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_TEAM_ID: 'ID team không hợp lệ',
+  INVALID_LEAGUE_ID: 'league không hợp lệ',
+  INVALID_PLAYER_ID: 'ID cầu thủ không hợp lệ',
+  INVALID_FIXTURE_ID: 'ID fixture không hợp lệ',
+  INVALID_SEASON: 'season không hợp lệ',
+  MISSING_SEASON: 'season là bắt buộc khi import theo team, league hoặc player',
+  MISSING_IMPORT_TARGET: 'Cần truyền fixture, hoặc season cùng team/league/player để import chấn thương',
+};
+
+/**
+ * Creates a standardized error with code and status.
+ * @function createError
+ * @param {string} code - Error code key from ERROR_MESSAGES or custom message
+ * @param {number} [status=400] - HTTP status code
+ * @returns {Error} Error object with code and status
+ * @private
+ */
+function createError(code, status = 400) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parses an optional positive integer.
+ * @function parseOptionalPositiveInt
+ * @param {*} value - Value to parse
+ * @param {string} invalidCode - Error code if value is present but invalid
+ * @returns {number|undefined} Parsed integer or undefined if empty
+ * @throws {Error} If value is present but invalid
+ * @private
+ */
+function parseOptionalPositiveInt(value, invalidCode) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  const parsed = Number.parseInt(String(value).trim(), 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createError(invalidCode);
+  }
+  return parsed;
+}
+
+/**
+ * Parses an API value to a positive integer.
+ * @function parseApiId
+ * @param {*} value - Value from the API response
+ * @returns {number|null} Parsed integer or null
+ * @private
+ */
+function parseApiId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Normalizes a string field by trimming whitespace.
+ * @function normalizeStringField
+ * @param {*} value - Value to normalize
+ * @returns {string|null} Trimmed string or null if empty
+ * @private
+ */
+function normalizeStringField(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Maps an API-Football `/injuries` entry to an injuries row.
+ * @function buildInjuryPayload
+ * @param {Object} entry - Entry with `player`, `team`, `fixture` and `league`
+ * @param {Date} syncedAt - Sync timestamp
+ * @returns {Object|null} Injury row or null if the entry cannot be keyed
+ * @private
+ */
+function buildInjuryPayload(entry, syncedAt) {
+  const playerId = parseApiId(entry?.player?.id);
+  const fixtureId = parseApiId(entry?.fixture?.id);
+  const teamId = parseApiId(entry?.team?.id);
+  if (!playerId || !fixtureId || !teamId) {
+    return null;
+  }
+  const fixtureDate = entry.fixture.date ? new Date(entry.fixture.date) : null;
+  return {
+    player_id: playerId,
+    fixture_id: fixtureId,
+    player_name: normalizeStringField(entry.player.name),
+    player_photo: normalizeStringField(entry.player.photo),
+    team_id: teamId,
+    league_id: parseApiId(entry?.league?.id),
+    season: parseApiId(entry?.league?.season),
+    fixture_date: fixtureDate && !Number.isNaN(fixtureDate.getTime()) ? fixtureDate : null,
+    type: normalizeStringField(entry.player.type),
+    reason: normalizeStringField(entry.player.reason),
+    synced_at: syncedAt,
+  };
+}
+
+/**
+ * Retrieves a team's injuries and suspensions, latest fixture first.
+ * @async
+ * @function getTeamInjuries
+ * @param {number|string} rawTeamId - Team ID
+ * @param {Object} [query={}] - Query parameters
+ * @param {number|string} [query.season] - Season year filter
+ * @param {boolean|string} [query.upcoming=false] - Only absences for fixtures that have not kicked off yet
+ * @returns {Promise<Object>} `{ teamId, season, upcoming, total, injuries }`
+ * @throws {Error} INVALID_TEAM_ID or INVALID_SEASON (400)
+ */
+export async function getTeamInjuries(rawTeamId, query = {}) {
+  const teamId = parseOptionalPositiveInt(rawTeamId, 'INVALID_TEAM_ID');
+  if (!teamId) {
+    throw createError('INVALID_TEAM_ID');
+  }
+  const season = parseOptionalPositiveInt(query.season, 'INVALID_SEASON');
+  const upcoming = parseBooleanFlag(query.upcoming);
+
+  const injuries = await findInjuriesByTeam(teamId, {
+    season,
+    from: upcoming ? new Date() : undefined,
+  });
+
+  return {
+    teamId,
+    season: season ?? null,
+    upcoming,
+    total: injuries.length,
+    injuries,
+  };
+}
+
+/**
+ * Imports injuries from API-Football, synchronously or through the import queue.
+ * API-Football needs either a fixture, or a season combined with a team, league or player.
+ * @async
+ * @function importInjuries
+ * @param {Object} [params={}] - Import parameters
+ * @param {number|string} [params.fixture] - Fixture ID
+ * @param {number|string} [params.team] - Team ID
+ * @param {number|string} [params.league] - League ID
+ * @param {number|string} [params.player] - Player ID
+ * @param {number|string} [params.season] - Season year
+ * @param {boolean|string} [params.background=false] - Queue the import instead of running it
+ * @returns {Promise<Object>} Import summary, or `{ queued: true, ... }` when queued
+ * @throws {Error} MISSING_IMPORT_TARGET, MISSING_SEASON or INVALID_* (400)
+ */
+export async function importInjuries(params = {}) {
+  const jobPayload = {
+    fixtureId: parseOptionalPositiveInt(params.fixture, 'INVALID_FIXTURE_ID'),
+    teamId: parseOptionalPositiveInt(params.team, 'INVALID_TEAM_ID'),
+    leagueId: parseOptionalPositiveInt(params.league, 'INVALID_LEAGUE_ID'),
+    playerId: parseOptionalPositiveInt(params.player, 'INVALID_PLAYER_ID'),
+    season: parseOptionalPositiveInt(params.season, 'INVALID_SEASON'),
+  };
+
+  const hasScope = jobPayload.teamId || jobPayload.leagueId || jobPayload.playerId;
+  if (!jobPayload.fixtureId && !hasScope) {
+    throw createError('MISSING_IMPORT_TARGET');
+  }
+  if (!jobPayload.fixtureId && !jobPayload.season) {
+    throw createError('MISSING_SEASON');
+  }
+
+  if (isBackgroundRequested(params.background)) {
+    const queued = await enqueueImportJob('injuries-import', jobPayload);
+    return {
+      ...queued,
+      message: 'Tác vụ import đã được đưa vào hàng đợi',
+      ...jobPayload,
+    };
+  }
+
+  return performInjuryImport(jobPayload);
+}
+
+/**
+ * Fetches injuries from API-Football and upserts them. Called directly or by the import worker.
+ * @async
+ * @function performInjuryImport
+ * @param {Object} params - Import parameters
+ * @param {number} [params.fixtureId] - Fixture ID
+ * @param {number} [params.teamId] - Team ID
+ * @param {number} [params.leagueId] - League ID
+ * @param {number} [params.playerId] - Player ID
+ * @param {number} [params.season] - Season year
+ * @returns {Promise<Object>} `{ imported, skipped }`
+ */
+export async function performInjuryImport({ fixtureId, teamId, leagueId, playerId, season }) {
+  const apiParams = {};
+  if (fixtureId) {
+    apiParams.fixture = fixtureId;
+  }
+  if (teamId) {
+    apiParams.team = teamId;
+  }
+  if (leagueId) {
+    apiParams.league = leagueId;
+  }
+  if (playerId) {
+    apiParams.player = playerId;
+  }
+  if (season) {
+    apiParams.season = season;
+  }
+
+  const data = await apiFootballGet('/injuries', apiParams);
+  const entries = Array.isArray(data?.response) ? data.response : [];
+
+  const syncedAt = new Date();
+  const payloads = entries
+    .map((entry) => buildInjuryPayload(entry, syncedAt))
+    .filter((payload) => payload !== null);
+
+  if (payloads.length) {
+    await bulkUpsertInjuries(payloads);
+  }
+
+  return {
+    imported: payloads.length,
+    skipped: entries.length - payloads.length,
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * @file Jobs Controller
+ * @description HTTP request handlers for background import job endpoints.
+ * Delegates to the jobs service and formats responses with ApiResponse.
+ * @module modules/jobs/controllers/jobs
+ */
+
+import ApiResponse from '../../../common/response.js';
+import { AppException } from '../../../common/exceptions/index.js';
+import toAppException from '../../../common/controllerError.js';
+import { getJob, listJobs, retryJob, cancelJob } from '../services/jobs.service.js';
+
+/**
+ * Maps service and unknown errors to an AppException.
+ * @function mapJobsError
+ * @param {Error} err - Error thrown by the service layer
+ * @param {string} fallbackMessage - Message used when the error cannot be mapped
+ * @param {string} fallbackCode - Error code used when the error cannot be mapped
+ * @returns {AppException} Normalized exception
+ * @private
+ */
+function mapJobsError(err, fallbackMessage, fallbackCode) {
+  if (err instanceof AppException) {
+    return err;
+  }
+
+  if (err?.code && err?.status) {
+    return new AppException(err.message, err.code, err.status, err.details);
+  }
+
+  return toAppException(err, fallbackMessage, fallbackCode);
+}
+
+/**
+ * Controller object containing job endpoint handlers.
+ * @namespace JobsController
+ */
+const JobsController = {
+  /**
+   * Lists import jobs, newest first.
+   * @async
+   * @function listJobs
+   * @memberof JobsController
+   * @param {import('express').Request} req - Express request (query.type, query.status, query.page, query.limit)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the job history page
+   */
+  async listJobs(req, res, next) {
+    try {
+      const payload = await listJobs(req.query);
+      return ApiResponse.success(res, payload, 'Jobs retrieved');
+    } catch (err) {
+      next(mapJobsError(err, 'Lỗi khi lấy danh sách job', 'JOBS_FETCH_FAILED'));
+    }
+  },
+
+  /**
+   * Retrieves the status of one import job.
+   * @async
+   * @function getJob
+   * @memberof JobsController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the job state, progress and result
+   */
+  async getJob(req, res, next) {
+    try {
+      const job = await getJob(req.params.id);
+      return ApiResponse.success(res, job, 'Job retrieved');
+    } catch (err) {
+      next(mapJobsError(err, 'Lỗi khi lấy thông tin job', 'JOB_FETCH_FAILED'));
+    }
+  },
+
+  /**
+   * Queues a failed or cancelled job again.
+   * @async
+   * @function retryJob
+   * @memberof JobsController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} 202 JSON response with the new job ID
+   */
+  async retryJob(req, res, next) {
+    try {
+      const { queued, ...payload } = await retryJob(req.params.id);
+      return ApiResponse.success(res, payload, 'Tác vụ import đã được đưa vào hàng đợi', 202);
+    } catch (err) {
+      next(mapJobsError(err, 'Lỗi khi chạy lại job', 'JOB_RETRY_FAILED'));
+    }
+  },
+
+  /**
+   * Cancels a job that is still waiting in the queue.
+   * @async
+   * @function cancelJob
+   * @memberof JobsController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the cancelled job
+   */
+  async cancelJob(req, res, next) {
+    try {
+      const job = await cancelJob(req.params.id);
+      return ApiResponse.success(res, job, 'Job cancelled');
+    } catch (err) {
+      next(mapJobsError(err, 'Lỗi khi hủy job', 'JOB_CANCEL_FAILED'));
+    }
+  },
+};
+
+export default JobsController;
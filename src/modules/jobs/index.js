@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Jobs Module Registration
+ * @description Entry point for the jobs module. Registers the ImportJobRun model,
+ * records import job lifecycle events in MySQL and exposes the job status,
+ * history, retry and cancel endpoints.
+ * @module modules/jobs
+ */
+
+import router from './routes/jobs.routes.js';
+import ImportJobRun from './models/importJobRun.model.js';
+import * as JobsService from './services/jobs.service.js';
+import { addImportJobListener } from '../../pipelines/importJobs.js';
+import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
+
+/**
+ * Registers the jobs module with the application container.
+ *
+ * @async
+ * @function registerJobsModule
+ * @param {Object} options - Registration options
+ * @param {Object} options.container - Dependency injection container
+ * @returns {Promise<Object>} Module configuration object
+ */
+export default async function registerJobsModule({ container }) {
+  registerIfMissing(container, TOKENS.models.ImportJobRun, ImportJobRun);
+  container.set(TOKENS.services.jobs, JobsService);
+
+  // Runs in the API server and in the import worker, which both load the modules.
+  addImportJobListener(JobsService.recordJobEvent);
+
+  return {
+    name: 'jobs',
+    basePath: '/',
+    routes: router,
+    publicApi: {
+      ImportJobRun,
+      services: JobsService,
+    },
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * @file Import Job Run Model Definition
+ * @description Sequelize model for the import_job_runs table. Each row is the
+ * persisted history of one background import job (see pipelines/importJobs),
+ * so job state and results survive Redis eviction.
+ * @module modules/jobs/models/importJobRun
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+
+/**
+ * Lifecycle states of an import job run.
+ * @constant {string[]}
+ */
+export const JOB_STATES = ['queued', 'deferred', 'active', 'retrying', 'completed', 'failed', 'cancelled'];
+
+/**
+ * ImportJobRun model representing one background import job.
+ * @typedef {Object} ImportJobRun
+ * @property {string} id - BullMQ job ID (UUID, primary key)
+ * @property {string} name - Job type (e.g., 'teams-import')
+ * @property {string} state - One of JOB_STATES
+ * @property {Object} payload - Validated job payload passed to the handler
+ * @property {Object|null} progress - Last reported progress (`done`, `total`, `percent`, ...)
+ * @property {Object|null} result - Import summary returned by the handler
+ * @property {string|null} failed_reason - Error message of the last failed attempt
+ * @property {number} attempts_made - Attempts run so far
+ * @property {number|null} max_attempts - Maximum attempts configured for the job
+ * @property {string|null} retry_of - ID of the job this run retries
+ * @property {Date|null} deferred_until - When a deferred job will be tried again
+ * @property {string|null} deferred_reason - Why the job was deferred (e.g., low API-Football budget)
+ * @property {Date|null} started_at - Start of the last attempt
+ * @property {Date|null} finished_at - Time the job completed, failed for good or was cancelled
+ */
+const ImportJobRun = sequelize.define('ImportJobRun', {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+  },
+  state: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'queued',
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  progress: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  failed_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  attempts_made: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  retry_of: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+  },
+  deferred_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  deferred_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  tableName: 'import_job_runs',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['name', 'state'] },
+    { fields: ['state'] },
+    { fields: ['created_at'] },
+  ],
+});
+
+export default ImportJobRun;
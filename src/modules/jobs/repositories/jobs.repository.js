@@ -0,0 +1,29 @@
+import ImportJobRun from '../models/importJobRun.model.js';
+
+export function findJobRunById(id) {
+  return ImportJobRun.findByPk(id);
+}
+
+export function findJobRuns({ name, state, limit, offset } = {}) {
+  const where = {};
+  if (name !== undefined) {
+    where.name = name;
+  }
+  if (state !== undefined) {
+    where.state = state;
+  }
+  return ImportJobRun.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'ASC']],
+    limit,
+    offset,
+  });
+}
+
+export function insertJobRunIfMissing(payload) {
+  return ImportJobRun.bulkCreate([payload], { ignoreDuplicates: true });
+}
+
+export function upsertJobRun(payload) {
+  return ImportJobRun.upsert(payload);
+}
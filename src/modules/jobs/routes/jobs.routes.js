@@ -0,0 +1,178 @@
+/**
+ * @file Jobs Routes
+ * @description Express router for background import jobs: status, history,
+ * retry and cancel. All endpoints require authentication.
+ * @module modules/jobs/routes/jobs
+ */
+
+import express from 'express';
+import auth from '../../../common/authMiddleware.js';
+import JobsController from '../controllers/jobs.controller.js';
+
+/**
+ * Router for job endpoints (JWT required).
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/jobs:
+ *   get:
+ *     summary: List background import jobs
+ *     description: Job history persisted in MySQL, newest first. Jobs are created by imports called with background=true.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Job type (e.g., teams-import, players-import).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, deferred, active, retrying, completed, failed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved.
+ *       400:
+ *         description: Invalid type, status or pagination.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: Unexpected error.
+ */
+router.get('/jobs', auth, JobsController.listJobs); // GET /api/jobs
+
+/**
+ * @openapi
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a background import job
+ *     description: Returns the job state, progress, result summary and failure reason.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID returned when the import was queued.
+ *     responses:
+ *       200:
+ *         description: Job retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Job retrieved"
+ *               data:
+ *                 id: "0b6c0a52-6f1e-4c3b-9a53-2f1d9c1f7e10"
+ *                 name: "teams-import"
+ *                 state: "completed"
+ *                 payload:
+ *                   leagueId: 39
+ *                   season: 2023
+ *                 progress:
+ *                   done: 1
+ *                   total: 1
+ *                   percent: 100
+ *                 result:
+ *                   imported: 20
+ *                   mappingErrors: []
+ *                 failed_reason: null
+ *                 attempts_made: 1
+ *                 max_attempts: 3
+ *                 retry_of: null
+ *                 deferred_until: null
+ *                 deferred_reason: null
+ *                 started_at: "2024-05-01T10:00:01.000Z"
+ *                 finished_at: "2024-05-01T10:00:04.000Z"
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: Job not found.
+ */
+router.get('/jobs/:id', auth, JobsController.getJob); // GET /api/jobs/:id
+
+/**
+ * @openapi
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a failed or cancelled job
+ *     description: Queues a new job with the same type and payload. The new job references the original through retry_of.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Retry queued.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: Job is not failed or cancelled, or its type is no longer registered.
+ *       503:
+ *         description: Redis is not configured.
+ */
+router.post('/jobs/:id/retry', auth, JobsController.retryJob); // POST /api/jobs/:id/retry
+
+/**
+ * @openapi
+ * /api/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a queued job
+ *     description: Removes a job that has not started yet, including deferred jobs and jobs waiting for a retry. Running jobs cannot be cancelled.
+ *     tags:
+ *       - Jobs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: Job not found.
+ *       409:
+ *         description: Job is running or already finished.
+ *       503:
+ *         description: Redis is not configured.
+ */
+router.post('/jobs/:id/cancel', auth, JobsController.cancelJob); // POST /api/jobs/:id/cancel
+
+export default router;
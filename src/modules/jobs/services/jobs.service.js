@@ -0,0 +1,321 @@
+/**
+ * @file Jobs Service
+ * @description Business logic layer for background import jobs. Records the
+ * lifecycle events emitted by pipelines/importJobs in MySQL and exposes job
+ * status, history, retry and cancel on top of that history.
+ * @module modules/jobs/services/jobs
+ */
+
+import {
+  enqueueImportJob,
+  cancelQueuedImportJob,
+  getImportJob,
+  listImportJobs,
+  emitImportJobEvent,
+} from '../../../pipelines/importJobs.js';
+import { JOB_STATES } from '../models/importJobRun.model.js';
+import {
+  findJobRunById,
+  findJobRuns,
+  insertJobRunIfMissing,
+  upsertJobRun,
+} from '../repositories/jobs.repository.js';
+
+/**
+ * Default page size for job history.
+ * @constant {number}
+ */
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Maximum page size for job history.
+ * @constant {number}
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * States from which a job can be retried.
+ * @constant {string[]}
+ */
+const RETRYABLE_STATES = ['failed', 'cancelled'];
+
+/**
+ * States in which a job is still waiting in the queue and can be cancelled.
+ * @constant {string[]}
+ */
+const CANCELLABLE_STATES = ['queued', 'deferred', 'retrying'];
+
+/**
+ * Error messages for job operations.
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_JOB_ID: 'ID job không hợp lệ',
+  JOB_NOT_FOUND: 'Không tìm thấy job',
+  INVALID_JOB_TYPE: 'type không hợp lệ',
+  INVALID_JOB_STATUS: `status phải là một trong: ${JOB_STATES.join(', ')}`,
+  INVALID_PAGE: 'page phải là số nguyên dương',
+  INVALID_LIMIT: `limit phải là số nguyên từ 1 đến ${MAX_LIMIT}`,
+  JOB_NOT_RETRYABLE: 'Chỉ có thể chạy lại job đã thất bại hoặc đã bị hủy',
+  JOB_NOT_CANCELLABLE: 'Chỉ có thể hủy job đang chờ trong hàng đợi',
+  JOB_TYPE_UNAVAILABLE: 'Loại job này không còn được hỗ trợ',
+};
+
+/**
+ * Creates a standardized error with code and status.
+ * @function createError
+ * @param {string} code - Error code key from ERROR_MESSAGES or custom message
+ * @param {number} [status=400] - HTTP status code
+ * @param {Object} [details] - Extra details for the client
+ * @returns {Error} Error object with code and status
+ * @private
+ */
+function createError(code, status = 400, details) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Parses an optional positive integer, falling back to a default.
+ * @function parsePositiveIntOrDefault
+ * @param {*} value - Value to parse
+ * @param {number} fallback - Value used when empty
+ * @param {string} invalidCode - Error code if value is present but invalid
+ * @returns {number} Parsed integer or fallback
+ * @throws {Error} If value is present but invalid
+ * @private
+ */
+function parsePositiveIntOrDefault(value, fallback, invalidCode) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(String(value).trim(), 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createError(invalidCode);
+  }
+  return parsed;
+}
+
+/**
+ * Validates a job ID from the request path.
+ * @function parseJobId
+ * @param {*} value - Raw job ID
+ * @returns {string} Trimmed job ID
+ * @throws {Error} INVALID_JOB_ID (400)
+ * @private
+ */
+function parseJobId(value) {
+  const id = typeof value === 'string' ? value.trim() : '';
+  if (!id || id.length > 36) {
+    throw createError('INVALID_JOB_ID');
+  }
+  return id;
+}
+
+/**
+ * Loads a job run or throws JOB_NOT_FOUND.
+ * @async
+ * @function requireJobRun
+ * @param {*} rawId - Raw job ID
+ * @returns {Promise<import('../models/importJobRun.model.js').default>} Job run
+ * @throws {Error} INVALID_JOB_ID (400) or JOB_NOT_FOUND (404)
+ * @private
+ */
+async function requireJobRun(rawId) {
+  const jobRun = await findJobRunById(parseJobId(rawId));
+  if (!jobRun) {
+    throw createError('JOB_NOT_FOUND', 404);
+  }
+  return jobRun;
+}
+
+/**
+ * Persists one import job lifecycle event. Registered as an import job listener
+ * by the jobs module, so it runs in both the API server and the import worker.
+ * @async
+ * @function recordJobEvent
+ * @param {string} event - queued | deferred | active | progress | completed | failed | cancelled
+ * @param {Object} details - Event details from pipelines/importJobs
+ * @returns {Promise<void>}
+ */
+export async function recordJobEvent(event, details) {
+  const base = {
+    id: details.jobId,
+    name: details.name,
+    payload: details.data ?? {},
+  };
+  if (details.maxAttempts !== undefined) {
+    base.max_attempts = details.maxAttempts;
+  }
+
+  switch (event) {
+    case 'queued':
+      // The worker may already have picked the job up; never overwrite its state.
+      await insertJobRunIfMissing({ ...base, state: 'queued', retry_of: details.retryOf ?? null });
+      return;
+    case 'deferred':
+      await upsertJobRun({
+        ...base,
+        state: 'deferred',
+        deferred_until: details.runAt,
+        deferred_reason: details.reason,
+      });
+      return;
+    case 'active':
+      await upsertJobRun({
+        ...base,
+        state: 'active',
+        attempts_made: details.attemptsMade ?? 0,
+        deferred_until: null,
+        deferred_reason: null,
+        started_at: new Date(),
+        finished_at: null,
+      });
+      return;
+    case 'progress':
+      await upsertJobRun({ ...base, state: 'active', progress: details.progress });
+      return;
+    case 'completed':
+      await upsertJobRun({
+        ...base,
+        state: 'completed',
+        attempts_made: details.attemptsMade,
+        progress: details.progress,
+        result: details.result ?? null,
+        failed_reason: null,
+        finished_at: new Date(),
+      });
+      return;
+    case 'failed':
+      await upsertJobRun({
+        ...base,
+        state: details.willRetry ? 'retrying' : 'failed',
+        attempts_made: details.attemptsMade,
+        failed_reason: details.error?.message ?? String(details.error),
+        finished_at: details.willRetry ? null : new Date(),
+      });
+      return;
+    case 'cancelled':
+      await upsertJobRun({ ...base, state: 'cancelled', finished_at: new Date() });
+      return;
+    default:
+  }
+}
+
+/**
+ * Retrieves the status of one import job.
+ * @async
+ * @function getJob
+ * @param {string} rawId - Job ID
+ * @returns {Promise<Object>} Job run (state, progress, result, failed_reason, ...)
+ * @throws {Error} INVALID_JOB_ID (400) or JOB_NOT_FOUND (404)
+ */
+export async function getJob(rawId) {
+  return requireJobRun(rawId);
+}
+
+/**
+ * Lists import jobs, newest first.
+ * @async
+ * @function listJobs
+ * @param {Object} [query={}] - Query parameters
+ * @param {string} [query.type] - Job type (e.g., 'teams-import')
+ * @param {string} [query.status] - Job state (see JOB_STATES)
+ * @param {number|string} [query.page=1] - Page number
+ * @param {number|string} [query.limit=20] - Page size (max 100)
+ * @returns {Promise<Object>} `{ data, pagination }`
+ * @throws {Error} INVALID_JOB_TYPE, INVALID_JOB_STATUS, INVALID_PAGE or INVALID_LIMIT (400)
+ */
+export async function listJobs(query = {}) {
+  const type = typeof query.type === 'string' && query.type.trim() !== '' ? query.type.trim() : undefined;
+  const knownTypes = listImportJobs().map((job) => job.name);
+  if (type !== undefined && !knownTypes.includes(type)) {
+    throw createError('INVALID_JOB_TYPE', 400, { allowed: knownTypes });
+  }
+
+  const status = typeof query.status === 'string' && query.status.trim() !== ''
+    ? query.status.trim().toLowerCase()
+    : undefined;
+  if (status !== undefined && !JOB_STATES.includes(status)) {
+    throw createError('INVALID_JOB_STATUS');
+  }
+
+  const page = parsePositiveIntOrDefault(query.page, 1, 'INVALID_PAGE');
+  const limit = parsePositiveIntOrDefault(query.limit, DEFAULT_LIMIT, 'INVALID_LIMIT');
+  if (limit > MAX_LIMIT) {
+    throw createError('INVALID_LIMIT');
+  }
+
+  const { rows, count } = await findJobRuns({
+    name: type,
+    state: status,
+    limit,
+    offset: (page - 1) * limit,
+  });
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    data: rows,
+    pagination: {
+      totalItems: count,
+      totalPages,
+      page,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Queues a failed or cancelled job again with the same payload.
+ * The retry is a new job whose `retry_of` points at the original.
+ * @async
+ * @function retryJob
+ * @param {string} rawId - Job ID
+ * @returns {Promise<Object>} `{ queued: true, jobId, jobName, retryOf }`
+ * @throws {Error} INVALID_JOB_ID (400), JOB_NOT_FOUND (404), JOB_NOT_RETRYABLE or JOB_TYPE_UNAVAILABLE (409)
+ */
+export async function retryJob(rawId) {
+  const jobRun = await requireJobRun(rawId);
+  if (!RETRYABLE_STATES.includes(jobRun.state)) {
+    throw createError('JOB_NOT_RETRYABLE', 409, { state: jobRun.state });
+  }
+  if (!getImportJob(jobRun.name)) {
+    throw createError('JOB_TYPE_UNAVAILABLE', 409, { type: jobRun.name });
+  }
+
+  const queued = await enqueueImportJob(jobRun.name, jobRun.payload ?? {}, { retryOf: jobRun.id });
+  return { ...queued, retryOf: jobRun.id };
+}
+
+/**
+ * Cancels a job that is still waiting in the queue.
+ * Running jobs cannot be interrupted and are rejected with JOB_NOT_CANCELLABLE.
+ * @async
+ * @function cancelJob
+ * @param {string} rawId - Job ID
+ * @returns {Promise<Object>} Updated job run
+ * @throws {Error} INVALID_JOB_ID (400), JOB_NOT_FOUND (404) or JOB_NOT_CANCELLABLE (409)
+ */
+export async function cancelJob(rawId) {
+  const jobRun = await requireJobRun(rawId);
+  if (!CANCELLABLE_STATES.includes(jobRun.state)) {
+    throw createError('JOB_NOT_CANCELLABLE', 409, { state: jobRun.state });
+  }
+
+  const outcome = await cancelQueuedImportJob(jobRun.id);
+  if (outcome === 'missing') {
+    // Evicted from Redis: nothing left to remove, only the history needs closing.
+    await emitImportJobEvent('cancelled', { jobId: jobRun.id, name: jobRun.name, data: jobRun.payload });
+  } else if (outcome !== 'removed') {
+    throw createError('JOB_NOT_CANCELLABLE', 409, { state: outcome });
+  }
+
+  return requireJobRun(jobRun.id);
+}
@@ -7,6 +7,7 @@
 
 import { Router } from 'express';
 import { validateSchema } from '../../../middlewares/validateSchema.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
 import LeagueTeamSeasonController from '../controllers/leagueTeamSeason.controller.js';
 import {
   leagueSeasonParamsSchema,
@@ -112,7 +113,7 @@ const router = Router();
  *               message: "Failed to list league-team-season mappings"
  *               data: null
  */
-router.get('/leagues_teams_season', validateSchema(listQuerySchema), LeagueTeamSeasonController.list);
+router.get('/leagues_teams_season', resolveSeasonParam(), validateSchema(listQuerySchema), LeagueTeamSeasonController.list);
 
 /**
  * @openapi
@@ -215,6 +216,7 @@ router.get('/leagues_teams_season', validateSchema(listQuerySchema), LeagueTeamS
  */
 router.get(
   '/leagues_teams_season/teams/leagues/:leagueId/seasons/:season',
+  resolveSeasonParam(),
   validateSchema(leagueSeasonParamsSchema),
   LeagueTeamSeasonController.listTeams,
 );
@@ -15,6 +15,9 @@ import {
   searchLeagues,
   updateLeague,
 } from '../services/leagues.service.js';
+import { getLeaders, importLeaders } from '../services/leagueLeaders.service.js';
+import { importLeaguesFromApi } from '../services/leagueImport.service.js';
+import { getCurrentLeagueSeason, listLeagueSeasons } from '../services/leagueSeasons.service.js';
 
 /**
  * Controller class for handling league-related HTTP requests.
@@ -151,6 +154,111 @@ class LeaguesController {
       next(toAppException(err, 'Error searching leagues', 'LEAGUES_SEARCH_FAILED'));
     }
   }
+
+  /**
+   * Lists the seasons of a league with dates, current flag and coverage.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {string} req.params.id - League ID
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the league and its seasons
+   */
+  static async seasons(req, res, next) {
+    try {
+      const payload = await listLeagueSeasons(req.params.id);
+      return ApiResponse.success(res, payload, 'League seasons retrieved');
+    } catch (err) {
+      next(toAppException(err, 'Error retrieving league seasons', 'LEAGUE_SEASONS_FETCH_FAILED'));
+    }
+  }
+
+  /**
+   * Retrieves the current season of a league.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {string} req.params.id - League ID
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the current league season
+   */
+  static async currentSeason(req, res, next) {
+    try {
+      const season = await getCurrentLeagueSeason(req.params.id);
+      return ApiResponse.success(res, season, 'Current league season retrieved');
+    } catch (err) {
+      next(toAppException(err, 'Error retrieving current league season', 'LEAGUE_CURRENT_SEASON_FETCH_FAILED'));
+    }
+  }
+
+  /**
+   * Imports leagues, their countries and season metadata from API-Football.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {Object} req.query - Import filters (id, country, season, current, type, search)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the import summary
+   */
+  static async importFromApiFootball(req, res, next) {
+    try {
+      const summary = await importLeaguesFromApi(req.query);
+      return ApiResponse.success(res, summary, 'Leagues imported');
+    } catch (err) {
+      next(toAppException(err, 'Error importing leagues from API Football', 'LEAGUE_IMPORT_FAILED'));
+    }
+  }
+
+  /**
+   * Retrieves a leaderboard (goals, assists, yellow or red cards) for a league season.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {string} req.params.id - League ID
+   * @param {string} req.params.season - Season year
+   * @param {string} [req.query.type] - Leaderboard type (default: goals)
+   * @param {number} [req.query.limit] - Number of entries (max 20)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the leaderboard
+   */
+  static async leaders(req, res, next) {
+    try {
+      const payload = await getLeaders(req.params.id, req.params.season, {
+        type: req.query.type,
+        limit: req.query.limit,
+      });
+      return ApiResponse.success(res, payload, 'League leaders retrieved');
+    } catch (err) {
+      next(toAppException(err, 'Error retrieving league leaders', 'LEAGUE_LEADERS_FETCH_FAILED'));
+    }
+  }
+
+  /**
+   * Forces a leaderboard refresh from API-Football.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {string} req.params.id - League ID
+   * @param {string} req.params.season - Season year
+   * @param {string} [req.query.type] - Leaderboard type (default: goals)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the import summary
+   */
+  static async importLeaders(req, res, next) {
+    try {
+      const summary = await importLeaders(req.params.id, req.params.season, req.query.type, {
+        background: req.query.background,
+      });
+      return ApiResponse.success(res, summary, 'League leaders imported');
+    } catch (err) {
+      next(toAppException(err, 'Error importing league leaders', 'LEAGUE_LEADERS_IMPORT_FAILED'));
+    }
+  }
 }
 
 export default LeaguesController;
@@ -1,13 +1,20 @@
 /**
  * @fileoverview Leagues Module Registration
- * @description Entry point for the leagues module. Registers the League model,
- * service layer, and exposes public/private routes for league management.
+ * @description Entry point for the leagues module. Registers the League,
+ * LeagueSeason and LeagueLeader models, service layer, and exposes public/private
+ * routes for league management, API-Football import and leaderboards.
  * @module modules/leagues
  */
 
 import { publicRouter, privateRouter } from './routes/leagues.routes.js';
 import League from './models/league.model.js';
+import LeagueLeader from './models/leagueLeader.model.js';
+import LeagueSeason from './models/leagueSeason.model.js';
 import * as LeaguesService from './services/leagues.service.js';
+import * as LeagueLeadersService from './services/leagueLeaders.service.js';
+import * as LeagueImportService from './services/leagueImport.service.js';
+import * as LeagueSeasonsService from './services/leagueSeasons.service.js';
+import { resolveSeasonParam } from './middlewares/resolveSeason.js';
 import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
 
 /**
@@ -29,17 +36,42 @@ import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
 export default async function registerLeaguesModule({ container }) {
   // Register League model if not already registered
   registerIfMissing(container, TOKENS.models.League, League);
-  // Register leagues service in the container
+  registerIfMissing(container, TOKENS.models.LeagueLeader, LeagueLeader);
+  registerIfMissing(container, TOKENS.models.LeagueSeason, LeagueSeason);
+  // Register leagues services in the container
   container.set(TOKENS.services.leagues, LeaguesService);
+  container.set(TOKENS.services.leagueLeaders, LeagueLeadersService);
+  container.set(TOKENS.services.leagueImport, LeagueImportService);
+  container.set(TOKENS.services.leagueSeasons, LeagueSeasonsService);
 
   return {
     name: 'leagues',
     basePath: '/',
     publicRoutes: publicRouter,
     privateRoutes: privateRouter,
+    jobs: [
+      { name: 'leagues-import', handler: LeagueImportService.performLeagueImport },
+      { name: 'league-leaders-import', handler: LeagueLeadersService.performLeadersImport },
+    ],
+    schedules: [
+      // Keeps the is_current flags behind season=current up to date
+      {
+        id: 'leagues-current-daily',
+        cron: '0 4 * * *',
+        job: 'leagues-import',
+        payload: { current: true },
+        jitter: 10 * 60 * 1000,
+      },
+    ],
     publicApi: {
       League,
+      LeagueLeader,
+      LeagueSeason,
       services: LeaguesService,
+      leadersService: LeagueLeadersService,
+      importService: LeagueImportService,
+      seasonsService: LeagueSeasonsService,
+      resolveSeasonParam,
     },
   };
 }
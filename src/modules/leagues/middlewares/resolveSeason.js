@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Season Resolver Middleware
+ * @description Replaces `season=current` in the route params, query string or
+ * body with the resolved season year, so controllers, services and validation
+ * schemas only ever see numeric seasons.
+ * @module modules/leagues/middlewares/resolveSeason
+ */
+
+import toAppException from '../../../common/controllerError.js';
+import { isCurrentSeasonKeyword, resolveSeason } from '../services/leagueSeasons.service.js';
+
+/**
+ * Request parts searched, in order, for the season and league values.
+ * @constant {string[]}
+ */
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Returns the first value found for one of the keys.
+ * @private
+ * @param {import('express').Request} req - Express request object
+ * @param {string[]} keys - Candidate keys
+ * @returns {*} Value or undefined
+ */
+function readFirst(req, keys) {
+  for (const part of REQUEST_PARTS) {
+    const source = req[part];
+    if (!source || typeof source !== 'object') {
+      continue;
+    }
+    const key = keys.find((candidate) => source[candidate] !== undefined && source[candidate] !== '');
+    if (key) {
+      return source[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Creates a middleware resolving `season=current`.
+ * Place it before validateSchema so schemas expecting a numeric season still pass.
+ * @function resolveSeasonParam
+ * @param {Object} [options={}] - Resolver options
+ * @param {string[]} [options.leagueKeys=['leagueId', 'league']] - Keys holding the league the season belongs to
+ * @param {string} [options.seasonKey='season'] - Key holding the season
+ * @returns {import('express').RequestHandler} Express middleware
+ *
+ * @example
+ * router.get('/leagues/:id/seasons/:season/standings', resolveSeasonParam({ leagueKeys: ['id'] }), handler);
+ */
+export function resolveSeasonParam({ leagueKeys = ['leagueId', 'league'], seasonKey = 'season' } = {}) {
+  return async (req, _res, next) => {
+    const targets = REQUEST_PARTS.filter((part) => isCurrentSeasonKeyword(req[part]?.[seasonKey]));
+    if (!targets.length) {
+      return next();
+    }
+    try {
+      const season = await resolveSeason(req[targets[0]][seasonKey], readFirst(req, leagueKeys));
+      targets.forEach((part) => {
+        // Params and query values are strings everywhere else, keep them that way
+        req[part][seasonKey] = part === 'body' ? season : String(season);
+      });
+      return next();
+    } catch (err) {
+      return next(toAppException(err, 'Error resolving current season', 'SEASON_RESOLVE_FAILED'));
+    }
+  };
+}
+
+export default resolveSeasonParam;
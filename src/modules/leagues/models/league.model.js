@@ -7,14 +7,16 @@
 
 import { DataTypes } from 'sequelize';
 import sequelize from '../../../common/db.js';
+import Country from '../../countries/models/country.model.js';
 
 /**
  * League Model
  * @typedef {Object} LeagueAttributes
  * @property {number} id - Unique league identifier (primary key)
- * @property {string} name - League name (unique)
+ * @property {string} name - League name (not unique: API-Football reuses names across countries)
  * @property {string|null} type - League type (e.g., 'League', 'Cup')
  * @property {string|null} logo - URL to the league's logo image
+ * @property {number|null} country_id - Country the league belongs to
  * @property {Date} created_at - Record creation timestamp
  * @property {Date} updated_at - Record last update timestamp
  */
@@ -34,13 +36,12 @@ const League = sequelize.define('League', {
     allowNull: false,
   },
   /**
-   * Name of the league (must be unique)
+   * Name of the league (e.g., 'Premier League' exists in several countries)
    * @type {string}
    */
   name: {
     type: DataTypes.STRING,
     allowNull: false,
-    unique: true,
   },
   /**
    * Type of competition (e.g., 'League', 'Cup', 'Super Cup')
@@ -58,11 +59,24 @@ const League = sequelize.define('League', {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  /**
+   * Country the league belongs to (set by the API-Football import)
+   * @type {number|null}
+   */
+  country_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
 }, {
   tableName: 'leagues',
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['name'] },
+  ],
 });
 
+League.belongsTo(Country, { foreignKey: 'country_id', as: 'country', constraints: false });
+
 export default League;
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview League Leader Model Definition
+ * @description Sequelize model for the league_leaders table. Stores the
+ * top scorers, assists, yellow card and red card leaderboards of a league
+ * season as returned by API-Football.
+ * @module modules/leagues/models/leagueLeader
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import League from './league.model.js';
+import Player from '../../players/models/player.model.js';
+import Team from '../../teams/models/team.model.js';
+
+/**
+ * Supported leaderboard types.
+ * @constant {string[]}
+ */
+export const LEADER_TYPES = ['goals', 'assists', 'yellow', 'red'];
+
+/**
+ * League Leader Model
+ * @typedef {Object} LeagueLeaderAttributes
+ * @property {number} league_id - League identifier (composite primary key)
+ * @property {number} season - Season year (composite primary key)
+ * @property {string} type - Leaderboard type (composite primary key)
+ * @property {number} player_id - Player identifier (composite primary key)
+ * @property {number} rank - Position in the upstream leaderboard
+ * @property {string|null} player_name - Player name as reported by API-Football
+ * @property {number|null} team_id - Team the player represents in this league
+ * @property {string|null} team_name - Team name as reported by API-Football
+ * @property {number} value - Goals, assists, yellow or red cards depending on type
+ * @property {number|null} appearances - Appearances in the league season
+ * @property {number|null} minutes - Minutes played in the league season
+ * @property {Date} synced_at - Last synchronization with API-Football
+ */
+
+/**
+ * Sequelize model representing one leaderboard entry.
+ * @type {import('sequelize').Model<LeagueLeaderAttributes>}
+ */
+const LeagueLeader = sequelize.define('LeagueLeader', {
+  league_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  season: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  type: {
+    type: DataTypes.ENUM(...LEADER_TYPES),
+    primaryKey: true,
+    allowNull: false,
+  },
+  player_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  player_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  team_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  value: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  appearances: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'league_leaders',
+  timestamps: false,
+});
+
+// Display-only joins: leaderboards can be stored before players/teams are imported.
+LeagueLeader.belongsTo(League, { foreignKey: 'league_id', as: 'league', constraints: false });
+LeagueLeader.belongsTo(Player, { foreignKey: 'player_id', as: 'player', constraints: false });
+LeagueLeader.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+
+export default LeagueLeader;
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview League Season Model Definition
+ * @description Sequelize model for the league_seasons table. Stores the
+ * per-season metadata API-Football `/leagues` reports for a league: start and
+ * end dates, whether the season is current, and which data is covered.
+ * @module modules/leagues/models/leagueSeason
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import League from './league.model.js';
+
+/**
+ * League Season Model
+ * @typedef {Object} LeagueSeasonAttributes
+ * @property {number} league_id - League identifier (composite primary key)
+ * @property {number} season - Season year (composite primary key)
+ * @property {string|null} start_date - First day of the season (YYYY-MM-DD)
+ * @property {string|null} end_date - Last day of the season (YYYY-MM-DD)
+ * @property {boolean} is_current - Whether API-Football flags this season as current
+ * @property {boolean} coverage_standings - Standings are available
+ * @property {boolean} coverage_events - Fixture events are available
+ * @property {boolean} coverage_lineups - Fixture lineups are available
+ * @property {boolean} coverage_statistics - Fixture statistics are available
+ * @property {Date} synced_at - Last synchronization with API-Football
+ */
+
+/**
+ * Sequelize model representing one season of a league.
+ * @type {import('sequelize').Model<LeagueSeasonAttributes>}
+ */
+const LeagueSeason = sequelize.define('LeagueSeason', {
+  league_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  season: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  is_current: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  coverage_standings: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  coverage_events: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  coverage_lineups: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  coverage_statistics: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'league_seasons',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['season'] },
+  ],
+});
+
+League.hasMany(LeagueSeason, { foreignKey: 'league_id', as: 'seasons', constraints: false });
+LeagueSeason.belongsTo(League, { foreignKey: 'league_id', as: 'league', constraints: false });
+
+export default LeagueSeason;
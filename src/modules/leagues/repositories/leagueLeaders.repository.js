@@ -0,0 +1,25 @@
+import sequelize from '../../../common/db.js';
+import LeagueLeader from '../models/leagueLeader.model.js';
+import Player from '../../players/models/player.model.js';
+import Team from '../../teams/models/team.model.js';
+
+export function findLeaders(leagueId, season, type, limit) {
+  return LeagueLeader.findAll({
+    where: { league_id: leagueId, season, type },
+    include: [
+      { model: Player, as: 'player', attributes: ['id', 'name', 'photo', 'nationality', 'position'], required: false },
+      { model: Team, as: 'team', attributes: ['id', 'name', 'logo'], required: false },
+    ],
+    order: [['rank', 'ASC']],
+    limit,
+  });
+}
+
+export function replaceLeaders(leagueId, season, type, rows) {
+  return sequelize.transaction(async (transaction) => {
+    await LeagueLeader.destroy({ where: { league_id: leagueId, season, type }, transaction });
+    if (rows.length) {
+      await LeagueLeader.bulkCreate(rows, { transaction });
+    }
+  });
+}
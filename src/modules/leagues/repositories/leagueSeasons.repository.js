@@ -0,0 +1,58 @@
+import { Op } from 'sequelize';
+import LeagueSeason from '../models/leagueSeason.model.js';
+
+const LEAGUE_SEASON_ATTRIBUTES = [
+  'season',
+  'start_date',
+  'end_date',
+  'is_current',
+  'coverage_standings',
+  'coverage_events',
+  'coverage_lineups',
+  'coverage_statistics',
+  'synced_at',
+];
+
+export function findLeagueSeasons(leagueId) {
+  return LeagueSeason.findAll({
+    where: { league_id: leagueId },
+    attributes: LEAGUE_SEASON_ATTRIBUTES,
+    order: [['season', 'DESC']],
+  });
+}
+
+export function findFlaggedCurrentLeagueSeason(leagueId) {
+  return LeagueSeason.findOne({
+    where: { league_id: leagueId, is_current: true },
+    attributes: LEAGUE_SEASON_ATTRIBUTES,
+    order: [['season', 'DESC']],
+  });
+}
+
+export function findLeagueSeasonCoveringDate(leagueId, date) {
+  return LeagueSeason.findOne({
+    where: {
+      league_id: leagueId,
+      start_date: { [Op.lte]: date },
+      end_date: { [Op.gte]: date },
+    },
+    attributes: LEAGUE_SEASON_ATTRIBUTES,
+    order: [['season', 'DESC']],
+  });
+}
+
+// API-Football flags one current season per league; clear the flag left on
+// the previous season after a rollover.
+export function clearOtherCurrentSeasons(leagueId, currentSeason, options = {}) {
+  return LeagueSeason.update({ is_current: false }, {
+    where: { league_id: leagueId, is_current: true, season: { [Op.ne]: currentSeason } },
+    ...options,
+  });
+}
+
+export function bulkUpsertLeagueSeasons(payloads, options = {}) {
+  return LeagueSeason.bulkCreate(payloads, {
+    updateOnDuplicate: LEAGUE_SEASON_ATTRIBUTES.filter((attribute) => attribute !== 'season'),
+    ...options,
+  });
+}
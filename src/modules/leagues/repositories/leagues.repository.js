@@ -17,6 +17,17 @@ export function updateLeagueRecord(id, payload) {
   return League.update(payload, { where: { id } });
 }
 
+export function findLeaguesByIds(ids, attributes) {
+  return League.findAll({ where: { id: ids }, attributes });
+}
+
+export function bulkUpsertLeagues(payloads, options = {}) {
+  return League.bulkCreate(payloads, {
+    updateOnDuplicate: ['name', 'type', 'logo', 'country_id', 'updated_at'],
+    ...options,
+  });
+}
+
 export function deleteLeagueById(id) {
   return League.destroy({ where: { id } });
 }
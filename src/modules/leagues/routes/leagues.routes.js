@@ -12,9 +12,13 @@ import { Router } from 'express';
 import auth from '../../../common/authMiddleware.js';
 import { validateSchema } from '../../../middlewares/validateSchema.js';
 import LeaguesController from '../controllers/leagues.controller.js';
+import { resolveSeasonParam } from '../middlewares/resolveSeason.js';
 import {
   createLeagueSchema,
+  importLeagueLeadersSchema,
+  importLeaguesSchema,
   leagueIdParamSchema,
+  leagueLeadersSchema,
   searchLeaguesSchema,
   updateLeagueSchema,
 } from '../validation/leagues.validation.js';
@@ -290,6 +294,326 @@ publicRouter.get('/leagues/search', validateSchema(searchLeaguesSchema), Leagues
  */
 publicRouter.get('/leagues/:id', validateSchema(leagueIdParamSchema), LeaguesController.detail);
 
+/**
+ * @openapi
+ * /api/leagues/{id}/seasons:
+ *   get:
+ *     summary: List the seasons of a league
+ *     description: Seasons stored by the league import, newest first, with start/end dates, the current flag and coverage flags.
+ *     tags:
+ *       - Leagues
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: League seasons retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "League seasons retrieved"
+ *               data:
+ *                 league:
+ *                   id: 39
+ *                   name: "Premier League"
+ *                   type: "League"
+ *                   country_id: 5
+ *                 seasons:
+ *                   - season: 2023
+ *                     start_date: "2023-08-11"
+ *                     end_date: "2024-05-19"
+ *                     is_current: true
+ *                     coverage_standings: true
+ *                     coverage_events: true
+ *                     coverage_lineups: true
+ *                     coverage_statistics: true
+ *       400:
+ *         description: Invalid league identifier.
+ *       404:
+ *         description: League not found.
+ */
+publicRouter.get('/leagues/:id/seasons', validateSchema(leagueIdParamSchema), LeaguesController.seasons);
+
+/**
+ * @openapi
+ * /api/leagues/{id}/seasons/current:
+ *   get:
+ *     summary: Get the current season of a league
+ *     description: Returns the season API-Football flags as current, or else the season whose start/end dates contain today. Every endpoint taking a season also accepts `season=current`, resolved the same way; the request must then name the league (400 CURRENT_SEASON_LEAGUE_REQUIRED otherwise).
+ *     tags:
+ *       - Leagues
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Current league season retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Current league season retrieved"
+ *               data:
+ *                 season: 2023
+ *                 start_date: "2023-08-11"
+ *                 end_date: "2024-05-19"
+ *                 is_current: true
+ *                 coverage_standings: true
+ *                 coverage_events: true
+ *                 coverage_lineups: true
+ *                 coverage_statistics: true
+ *       400:
+ *         description: Invalid league identifier.
+ *       404:
+ *         description: No current season stored for this league (run POST /api/leagues/import).
+ */
+publicRouter.get('/leagues/:id/seasons/current', validateSchema(leagueIdParamSchema), LeaguesController.currentSeason);
+
+/**
+ * @openapi
+ * /api/leagues/import:
+ *   post:
+ *     summary: Import leagues from API-Football
+ *     description: Upserts leagues from API-Football `/leagues`, links each one to a country (created when missing), stores per-season metadata (dates, current flag, coverage) and adds every season year to the seasons table. Without filters all leagues are imported.
+ *     tags:
+ *       - Leagues
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Country name (e.g., England).
+ *       - in: query
+ *         name: season
+ *         schema:
+ *           type: integer
+ *         description: Only import this season of each league.
+ *       - in: query
+ *         name: current
+ *         schema:
+ *           type: boolean
+ *         description: Only leagues with a current season.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [league, cup]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           minLength: 3
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Leagues imported"
+ *               data:
+ *                 total: 35
+ *                 created: 30
+ *                 updated: 5
+ *                 leagueSeasons: 412
+ *                 seasonsAdded: [2010, 2011]
+ *                 countriesCreated: 1
+ *       400:
+ *         description: Invalid filters.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+privateRouter.post(
+  '/leagues/import',
+  auth,
+  resolveSeasonParam({ leagueKeys: ['id'] }),
+  validateSchema(importLeaguesSchema),
+  LeaguesController.importFromApiFootball,
+);
+
+/**
+ * @openapi
+ * /api/leagues/{id}/seasons/{season}/leaders:
+ *   get:
+ *     summary: League season leaderboard
+ *     description: Top scorers, assists, yellow cards or red cards of a league season, joined to local player and team rows. Served from the local copy; it is (re)imported from API-Football when missing or older than LEAGUE_LEADERS_MAX_AGE_HOURS (default 12).
+ *     tags:
+ *       - Leagues
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: path
+ *         name: season
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [goals, assists, yellow, red]
+ *           default: goals
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Leaderboard retrieved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     league:
+ *                       type: integer
+ *                     season:
+ *                       type: integer
+ *                     type:
+ *                       type: string
+ *                     syncedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     leaders:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         additionalProperties: true
+ *             example:
+ *               success: true
+ *               message: "League leaders retrieved"
+ *               data:
+ *                 league: 39
+ *                 season: 2023
+ *                 type: "goals"
+ *                 syncedAt: "2024-05-20T08:00:00.000Z"
+ *                 leaders:
+ *                   - rank: 1
+ *                     player_id: 1100
+ *                     player_name: "E. Haaland"
+ *                     team_id: 50
+ *                     team_name: "Manchester City"
+ *                     value: 27
+ *                     appearances: 31
+ *                     player:
+ *                       id: 1100
+ *                       name: "Erling Haaland"
+ *                     team:
+ *                       id: 50
+ *                       name: "Manchester City"
+ *       400:
+ *         description: Invalid league, season, type or limit.
+ *       500:
+ *         description: Unexpected error while retrieving the leaderboard.
+ */
+publicRouter.get(
+  '/leagues/:id/seasons/:season/leaders',
+  resolveSeasonParam({ leagueKeys: ['id'] }),
+  validateSchema(leagueLeadersSchema),
+  LeaguesController.leaders,
+);
+
+/**
+ * @openapi
+ * /api/leagues/{id}/seasons/{season}/leaders/import:
+ *   post:
+ *     summary: Refresh a league season leaderboard
+ *     description: "Re-imports one leaderboard from API-Football and replaces the stored copy. When API-Football returns an error or no entries, the stored copy is kept and `skipped` gives the reason (`{ reason, errors }`)."
+ *     tags:
+ *       - Leagues
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: path
+ *         name: season
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [goals, assists, yellow, red]
+ *           default: goals
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Leaderboard imported.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "League leaders imported"
+ *               data:
+ *                 league: 39
+ *                 season: 2023
+ *                 type: "assists"
+ *                 imported: 20
+ *       400:
+ *         description: Invalid league, season or type.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+privateRouter.post(
+  '/leagues/:id/seasons/:season/leaders/import',
+  auth,
+  resolveSeasonParam({ leagueKeys: ['id'] }),
+  validateSchema(importLeagueLeadersSchema),
+  LeaguesController.importLeaders,
+);
+
 /**
  * @openapi
  * /api/leagues:
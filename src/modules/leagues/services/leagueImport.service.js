@@ -0,0 +1,233 @@
+/**
+ * @fileoverview League Import Service Layer
+ * @description Imports leagues from API-Football `/leagues`. Each league is linked
+ * to a Country (created when missing), its per-season metadata is stored in
+ * league_seasons and every season year is added to the seasons table.
+ * @module modules/leagues/services/leagueImport
+ */
+
+import sequelize from '../../../common/db.js';
+import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+import Country from '../../countries/models/country.model.js';
+import { insertMissingSeasons } from '../../seasons/repositories/seasons.repository.js';
+import { bulkUpsertLeagues, findLeaguesByIds } from '../repositories/leagues.repository.js';
+import { bulkUpsertLeagueSeasons, clearOtherCurrentSeasons } from '../repositories/leagueSeasons.repository.js';
+
+/**
+ * Parses a value to a positive integer.
+ * @private
+ * @param {*} value - Value to parse
+ * @returns {number|null} Parsed positive integer or null if invalid
+ */
+function parsePositiveInt(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Trims a string from an API payload.
+ * @private
+ * @param {*} value - Value to normalize
+ * @returns {string|null} Trimmed string or null when empty
+ */
+function toTrimmedOrNull(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Keeps a date only when it is a plain YYYY-MM-DD value.
+ * @private
+ * @param {*} value - Value from the API payload
+ * @returns {string|null} Date string or null
+ */
+function toDateOrNull(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value ?? '') ? value : null;
+}
+
+/**
+ * Builds the API-Football query from the import filters.
+ * @private
+ * @param {Object} query - Import filters
+ * @returns {Object} API-Football query parameters
+ */
+function buildApiParams({ id, country, season, current, type, search } = {}) {
+  const params = {};
+  if (id !== undefined) {
+    params.id = id;
+  }
+  if (country !== undefined) {
+    params.country = country;
+  }
+  if (season !== undefined) {
+    params.season = season;
+  }
+  if (current !== undefined) {
+    params.current = String(current);
+  }
+  if (type !== undefined) {
+    params.type = type;
+  }
+  if (search !== undefined) {
+    params.search = search;
+  }
+  return params;
+}
+
+/**
+ * Finds the Country of every league by name, creating the missing ones.
+ * Existing countries are left untouched (code, flag and is_popular included).
+ * @private
+ * @async
+ * @param {Object[]} apiCountries - `country` blocks of the API entries
+ * @param {import('sequelize').Transaction} transaction - Import transaction
+ * @returns {Promise<{idsByName: Map<string, number>, created: number}>} Country ids keyed by lower-case name
+ */
+async function resolveCountries(apiCountries, transaction) {
+  const incoming = new Map();
+  apiCountries.forEach((country) => {
+    const name = toTrimmedOrNull(country?.name);
+    if (name && !incoming.has(name.toLowerCase())) {
+      incoming.set(name.toLowerCase(), {
+        name,
+        code: toTrimmedOrNull(country.code),
+        flag: toTrimmedOrNull(country.flag),
+      });
+    }
+  });
+
+  const existing = await Country.findAll({ attributes: ['id', 'name'], transaction });
+  const idsByName = new Map(existing.map((country) => [country.name.toLowerCase(), country.id]));
+
+  const missing = [...incoming.entries()]
+    .filter(([key]) => !idsByName.has(key))
+    .map(([, country]) => ({ ...country, is_popular: false }));
+  if (missing.length) {
+    const created = await Country.bulkCreate(missing, { transaction });
+    created.forEach((country) => idsByName.set(country.name.toLowerCase(), country.id));
+  }
+
+  return { idsByName, created: missing.length };
+}
+
+/**
+ * Maps one API-Football season block to a league_seasons row.
+ * @private
+ * @param {number} leagueId - League ID
+ * @param {Object} season - Season block (`year`, `start`, `end`, `current`, `coverage`)
+ * @param {Date} syncedAt - Sync timestamp
+ * @returns {Object|null} Row or null when the year is missing
+ */
+function buildLeagueSeasonPayload(leagueId, season, syncedAt) {
+  const year = parsePositiveInt(season?.year);
+  if (!year) {
+    return null;
+  }
+  const coverage = season.coverage ?? {};
+  return {
+    league_id: leagueId,
+    season: year,
+    start_date: toDateOrNull(season.start),
+    end_date: toDateOrNull(season.end),
+    is_current: season.current === true,
+    coverage_standings: coverage.standings === true,
+    coverage_events: coverage.fixtures?.events === true,
+    coverage_lineups: coverage.fixtures?.lineups === true,
+    coverage_statistics: coverage.fixtures?.statistics_fixtures === true,
+    synced_at: syncedAt,
+  };
+}
+
+/**
+ * Imports leagues from API-Football `/leagues`.
+ * Without filters every league API-Football knows about is imported.
+ * @async
+ * @function importLeaguesFromApi
+ * @param {Object} [query={}] - Import filters, passed through to API-Football
+ * @param {number} [query.id] - League ID
+ * @param {string} [query.country] - Country name
+ * @param {number} [query.season] - Only this season (other seasons are not returned)
+ * @param {boolean} [query.current] - Only leagues with a current season
+ * @param {string} [query.type] - 'league' or 'cup'
+ * @param {string} [query.search] - League or country name (min. 3 characters)
+ * @param {boolean|string} [query.background=false] - Queue the import instead of running it
+ * @returns {Promise<Object>} `{ total, created, updated, leagueSeasons, seasonsAdded, countriesCreated }`,
+ * or `{ queued: true, jobId, ... }` when queued
+ */
+export async function importLeaguesFromApi({ background, ...query } = {}) {
+  if (isBackgroundRequested(background)) {
+    const queued = await enqueueImportJob('leagues-import', query);
+    return { ...queued, message: 'Import job queued', ...query };
+  }
+  return performLeagueImport(query);
+}
+
+/**
+ * Fetches leagues from API-Football and stores them. Called directly or by the import worker.
+ * @async
+ * @function performLeagueImport
+ * @param {Object} [query={}] - Validated import filters (see importLeaguesFromApi)
+ * @returns {Promise<Object>} `{ total, created, updated, leagueSeasons, seasonsAdded, countriesCreated }`
+ */
+export async function performLeagueImport(query = {}) {
+  const data = await apiFootballGet('/leagues', buildApiParams(query));
+  const entries = (Array.isArray(data?.response) ? data.response : [])
+    .filter((entry) => parsePositiveInt(entry?.league?.id) && toTrimmedOrNull(entry.league.name));
+
+  if (!entries.length) {
+    return {
+      total: 0,
+      created: 0,
+      updated: 0,
+      leagueSeasons: 0,
+      seasonsAdded: [],
+      countriesCreated: 0,
+    };
+  }
+
+  const syncedAt = new Date();
+  return sequelize.transaction(async (transaction) => {
+    const { idsByName, created: countriesCreated } = await resolveCountries(
+      entries.map((entry) => entry.country),
+      transaction,
+    );
+
+    const leaguePayloads = entries.map((entry) => ({
+      id: parsePositiveInt(entry.league.id),
+      name: toTrimmedOrNull(entry.league.name),
+      type: toTrimmedOrNull(entry.league.type),
+      logo: toTrimmedOrNull(entry.league.logo),
+      country_id: idsByName.get(toTrimmedOrNull(entry.country?.name)?.toLowerCase()) ?? null,
+    }));
+    const leagueIds = leaguePayloads.map((payload) => payload.id);
+    const existing = await findLeaguesByIds(leagueIds, ['id']);
+    await bulkUpsertLeagues(leaguePayloads, { transaction });
+
+    const seasonPayloads = entries.flatMap((entry) => (Array.isArray(entry.seasons) ? entry.seasons : [])
+      .map((season) => buildLeagueSeasonPayload(parsePositiveInt(entry.league.id), season, syncedAt))
+      .filter(Boolean));
+    if (seasonPayloads.length) {
+      await bulkUpsertLeagueSeasons(seasonPayloads, { transaction });
+      // A `current=true` import only returns the new season: unflag the league's previous one
+      for (const { league_id: leagueId, season } of seasonPayloads.filter((payload) => payload.is_current)) {
+        await clearOtherCurrentSeasons(leagueId, season, { transaction });
+      }
+    }
+    const seasonsAdded = seasonPayloads.length
+      ? await insertMissingSeasons(seasonPayloads.map((payload) => payload.season), { transaction })
+      : [];
+
+    return {
+      total: leaguePayloads.length,
+      created: leaguePayloads.length - existing.length,
+      updated: existing.length,
+      leagueSeasons: seasonPayloads.length,
+      seasonsAdded: seasonsAdded.sort((a, b) => a - b),
+      countriesCreated,
+    };
+  });
+}
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview League Leaders Service Layer
+ * @description Business logic for league-season leaderboards (top scorers,
+ * assists, yellow cards, red cards). Leaderboards are imported from API-Football
+ * and served from the league_leaders table, refreshed once they are older than
+ * LEAGUE_LEADERS_MAX_AGE_HOURS.
+ * @module modules/leagues/services/leagueLeaders
+ */
+
+import { apiFootballGet, getApiFootballErrors } from '../../apiFootball/services/apiFootball.service.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+import { logger } from '../../../common/logger.js';
+import { LEADER_TYPES } from '../models/leagueLeader.model.js';
+import { findLeaders, replaceLeaders } from '../repositories/leagueLeaders.repository.js';
+
+/**
+ * API-Football endpoint and statistic extractor per leaderboard type.
+ * @constant {Object.<string, {path: string, pick: Function}>}
+ */
+const LEADER_SOURCES = {
+  goals: { path: '/players/topscorers', pick: (stats) => stats?.goals?.total },
+  assists: { path: '/players/topassists', pick: (stats) => stats?.goals?.assists },
+  yellow: { path: '/players/topyellowcards', pick: (stats) => stats?.cards?.yellow },
+  red: { path: '/players/topredcards', pick: (stats) => stats?.cards?.red },
+};
+
+/** @constant {number} DEFAULT_LEADERS_LIMIT - Default number of entries returned */
+const DEFAULT_LEADERS_LIMIT = 20;
+
+/** @constant {number} MAX_LEADERS_LIMIT - API-Football returns at most 20 entries per leaderboard */
+const MAX_LEADERS_LIMIT = 20;
+
+/**
+ * Reads a max-age setting in hours and converts it to milliseconds.
+ * Falls back to the default when the value is missing, not a number or not positive.
+ * @private
+ * @param {string} name - Environment variable name
+ * @param {number} fallbackHours - Default age in hours
+ * @returns {number} Max age in milliseconds
+ */
+function readMaxAgeMs(name, fallbackHours) {
+  const parsed = Number.parseInt(process.env[name] ?? '', 10);
+  const hours = Number.isInteger(parsed) && parsed > 0 ? parsed : fallbackHours;
+  return hours * 60 * 60 * 1000;
+}
+
+/** @constant {number} LEADERS_MAX_AGE_MS - Age after which a stored leaderboard is refreshed */
+const LEADERS_MAX_AGE_MS = readMaxAgeMs('LEAGUE_LEADERS_MAX_AGE_HOURS', 12);
+
+/**
+ * Builds an Error carrying an HTTP status code.
+ * @private
+ * @param {string} code - Error code used as message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode set
+ */
+function buildError(code, statusCode) {
+  const error = new Error(code);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parses a value to a positive integer.
+ * @private
+ * @param {*} value - Value to parse
+ * @returns {number|null} Parsed positive integer or null if invalid
+ */
+function parsePositiveInt(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Parses an integer from an API payload.
+ * @private
+ * @param {*} value - Value to parse
+ * @returns {number|null} Parsed integer or null
+ */
+function toIntOrNull(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) ? parsed : null;
+}
+
+/**
+ * Validates league, season and leaderboard type.
+ * @private
+ * @param {*} rawLeagueId - Raw league ID
+ * @param {*} rawSeason - Raw season year
+ * @param {*} rawType - Raw leaderboard type
+ * @returns {{leagueId: number, season: number, type: string}} Normalized values
+ * @throws {Error} LEAGUE_ID_INVALID, SEASON_INVALID or LEADER_TYPE_INVALID (statusCode: 400)
+ */
+function normalizeLeaderParams(rawLeagueId, rawSeason, rawType) {
+  const leagueId = parsePositiveInt(rawLeagueId);
+  if (!leagueId) {
+    throw buildError('LEAGUE_ID_INVALID', 400);
+  }
+  const season = parsePositiveInt(rawSeason);
+  if (!season) {
+    throw buildError('SEASON_INVALID', 400);
+  }
+  const type = typeof rawType === 'string' && rawType.trim() ? rawType.trim().toLowerCase() : 'goals';
+  if (!LEADER_TYPES.includes(type)) {
+    throw buildError('LEADER_TYPE_INVALID', 400);
+  }
+  return { leagueId, season, type };
+}
+
+/**
+ * Maps API-Football leaderboard entries to league_leaders rows.
+ * @private
+ * @param {Object[]} entries - Upstream response entries ({ player, statistics })
+ * @param {number} leagueId - League ID
+ * @param {number} season - Season year
+ * @param {string} type - Leaderboard type
+ * @returns {Object[]} Rows ranked in upstream order
+ */
+function buildLeaderRows(entries, leagueId, season, type) {
+  const { pick } = LEADER_SOURCES[type];
+  const syncedAt = new Date();
+  const seen = new Set();
+  const rows = [];
+
+  entries.forEach((entry) => {
+    const playerId = parsePositiveInt(entry?.player?.id);
+    if (!playerId || seen.has(playerId)) {
+      return;
+    }
+    seen.add(playerId);
+    const statistics = Array.isArray(entry.statistics) ? entry.statistics : [];
+    // Prefer the statistics block of this league; players who moved mid-season have several
+    const stats = statistics.find((item) => toIntOrNull(item?.league?.id) === leagueId) ?? statistics[0] ?? {};
+    rows.push({
+      league_id: leagueId,
+      season,
+      type,
+      player_id: playerId,
+      rank: rows.length + 1,
+      player_name: entry.player.name ?? null,
+      team_id: parsePositiveInt(stats.team?.id),
+      team_name: stats.team?.name ?? null,
+      value: toIntOrNull(pick(stats)) ?? 0,
+      appearances: toIntOrNull(stats.games?.appearences),
+      minutes: toIntOrNull(stats.games?.minutes),
+      synced_at: syncedAt,
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Imports one leaderboard from API-Football and replaces the stored copy.
+ * @async
+ * @function importLeaders
+ * @param {string|number} rawLeagueId - League ID
+ * @param {string|number} rawSeason - Season year
+ * @param {string} [rawType='goals'] - Leaderboard type (goals, assists, yellow, red)
+ * @param {Object} [options={}] - Import options
+ * @param {boolean|string} [options.background=false] - Queue the import instead of running it
+ * @returns {Promise<Object>} `{ league, season, type, imported }`, or `{ queued: true, jobId, ... }` when queued
+ * @throws {Error} LEAGUE_ID_INVALID, SEASON_INVALID or LEADER_TYPE_INVALID (statusCode: 400)
+ */
+export async function importLeaders(rawLeagueId, rawSeason, rawType, { background } = {}) {
+  const params = normalizeLeaderParams(rawLeagueId, rawSeason, rawType);
+  if (isBackgroundRequested(background)) {
+    const queued = await enqueueImportJob('league-leaders-import', params);
+    return {
+      ...queued,
+      message: 'Import job queued',
+      league: params.leagueId,
+      season: params.season,
+      type: params.type,
+    };
+  }
+  return performLeadersImport(params);
+}
+
+/**
+ * Fetches one leaderboard and replaces the stored copy. Called directly or by the import worker.
+ * API-Football answers quota and parameter errors with HTTP 200, an `errors` object and an
+ * empty `response`; in that case, or when no entry is returned, the stored copy is kept.
+ * @async
+ * @function performLeadersImport
+ * @param {Object} params - Validated `{ leagueId, season, type }`
+ * @returns {Promise<Object>} `{ league, season, type, imported }`, plus `skipped` (`{ reason, errors? }`)
+ *   when the stored copy was kept
+ */
+export async function performLeadersImport({ leagueId, season, type }) {
+  const data = await apiFootballGet(LEADER_SOURCES[type].path, { league: leagueId, season });
+  const result = {
+    league: leagueId,
+    season,
+    type,
+    imported: 0,
+  };
+
+  const errors = getApiFootballErrors(data);
+  if (errors) {
+    return { ...result, skipped: { reason: 'api-error', errors } };
+  }
+  const entries = Array.isArray(data?.response) ? data.response : [];
+  const rows = buildLeaderRows(entries, leagueId, season, type);
+  if (!rows.length) {
+    return { ...result, skipped: { reason: 'empty-response' } };
+  }
+
+  await replaceLeaders(leagueId, season, type, rows);
+  return { ...result, imported: rows.length };
+}
+
+/**
+ * Retrieves a leaderboard, importing it first when nothing is stored or the
+ * stored copy is stale. A failed refresh falls back to the stale copy.
+ * @async
+ * @function getLeaders
+ * @param {string|number} rawLeagueId - League ID
+ * @param {string|number} rawSeason - Season year
+ * @param {Object} [options={}] - Query options
+ * @param {string} [options.type='goals'] - Leaderboard type (goals, assists, yellow, red)
+ * @param {number|string} [options.limit=20] - Number of entries (max 20)
+ * @returns {Promise<Object>} `{ league, season, type, syncedAt, leaders }`
+ * @throws {Error} LEAGUE_ID_INVALID, SEASON_INVALID, LEADER_TYPE_INVALID or LEADERS_LIMIT_INVALID (statusCode: 400)
+ */
+export async function getLeaders(rawLeagueId, rawSeason, { type: rawType, limit: rawLimit } = {}) {
+  const { leagueId, season, type } = normalizeLeaderParams(rawLeagueId, rawSeason, rawType);
+  const limit = rawLimit === undefined ? DEFAULT_LEADERS_LIMIT : parsePositiveInt(rawLimit);
+  if (!limit || limit > MAX_LEADERS_LIMIT) {
+    throw buildError('LEADERS_LIMIT_INVALID', 400);
+  }
+
+  let leaders = await findLeaders(leagueId, season, type, limit);
+  const syncedAt = leaders.length ? new Date(leaders[0].synced_at) : null;
+  const isStale = !syncedAt || Date.now() - syncedAt.getTime() > LEADERS_MAX_AGE_MS;
+
+  if (isStale) {
+    try {
+      const { skipped } = await importLeaders(leagueId, season, type);
+      if (skipped) {
+        logger.warn({ leagueId, season, type, skipped }, 'League leaders refresh returned no data, serving stored copy');
+      } else {
+        leaders = await findLeaders(leagueId, season, type, limit);
+      }
+    } catch (err) {
+      if (!leaders.length) {
+        throw err;
+      }
+      logger.warn({ err, leagueId, season, type }, 'Failed to refresh league leaders, serving stale data');
+    }
+  }
+
+  return {
+    league: leagueId,
+    season,
+    type,
+    syncedAt: leaders.length ? leaders[0].synced_at : null,
+    leaders,
+  };
+}
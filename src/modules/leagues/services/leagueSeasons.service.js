@@ -0,0 +1,127 @@
+/**
+ * @fileoverview League Seasons Service Layer
+ * @description Reads the per-league seasons stored by the league import and
+ * resolves `season=current` to a season year for every endpoint taking a season.
+ * @module modules/leagues/services/leagueSeasons
+ */
+
+import { findLeagueById } from '../repositories/leagues.repository.js';
+import {
+  findFlaggedCurrentLeagueSeason,
+  findLeagueSeasonCoveringDate,
+  findLeagueSeasons,
+} from '../repositories/leagueSeasons.repository.js';
+
+/** @constant {string} CURRENT_SEASON - Keyword accepted wherever a season year is expected */
+export const CURRENT_SEASON = 'current';
+
+/**
+ * Builds an Error carrying an HTTP status code.
+ * @private
+ * @param {string} code - Error code used as message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode set
+ */
+function buildError(code, statusCode) {
+  const error = new Error(code);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parses a value to a positive integer.
+ * @private
+ * @param {*} value - Value to parse
+ * @returns {number|null} Parsed positive integer or null if invalid
+ */
+function parsePositiveInt(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Validates a league ID.
+ * @private
+ * @param {*} rawLeagueId - Raw league ID
+ * @returns {number} League ID
+ * @throws {Error} LEAGUE_ID_INVALID (statusCode: 400)
+ */
+function normalizeLeagueId(rawLeagueId) {
+  const leagueId = parsePositiveInt(rawLeagueId);
+  if (!leagueId) {
+    throw buildError('LEAGUE_ID_INVALID', 400);
+  }
+  return leagueId;
+}
+
+/**
+ * Checks whether a raw season value is the `current` keyword.
+ * @function isCurrentSeasonKeyword
+ * @param {*} value - Raw season value
+ * @returns {boolean} True for 'current' (case-insensitive)
+ */
+export function isCurrentSeasonKeyword(value) {
+  return typeof value === 'string' && value.trim().toLowerCase() === CURRENT_SEASON;
+}
+
+/**
+ * Lists the seasons stored for a league, newest first, with coverage flags.
+ * @async
+ * @function listLeagueSeasons
+ * @param {string|number} rawLeagueId - League ID
+ * @returns {Promise<Object>} `{ league, seasons }`
+ * @throws {Error} LEAGUE_ID_INVALID (statusCode: 400) or LEAGUE_NOT_FOUND (statusCode: 404)
+ */
+export async function listLeagueSeasons(rawLeagueId) {
+  const leagueId = normalizeLeagueId(rawLeagueId);
+  const league = await findLeagueById(leagueId, ['id', 'name', 'type', 'logo', 'country_id']);
+  if (!league) {
+    throw buildError('LEAGUE_NOT_FOUND', 404);
+  }
+  const seasons = await findLeagueSeasons(leagueId);
+  return { league, seasons };
+}
+
+/**
+ * Finds the current season of a league: the season API-Football flags as current,
+ * otherwise the season whose start/end dates contain today.
+ * @async
+ * @function getCurrentLeagueSeason
+ * @param {string|number} rawLeagueId - League ID
+ * @returns {Promise<Object>} League season (season, start_date, end_date, is_current, coverage flags)
+ * @throws {Error} LEAGUE_ID_INVALID (statusCode: 400) or CURRENT_SEASON_NOT_FOUND (statusCode: 404)
+ */
+export async function getCurrentLeagueSeason(rawLeagueId) {
+  const leagueId = normalizeLeagueId(rawLeagueId);
+  const today = new Date().toISOString().slice(0, 10);
+  const season = await findFlaggedCurrentLeagueSeason(leagueId)
+    ?? await findLeagueSeasonCoveringDate(leagueId, today);
+  if (!season) {
+    throw buildError('CURRENT_SEASON_NOT_FOUND', 404);
+  }
+  return season;
+}
+
+/**
+ * Resolves a season value that may be the `current` keyword to the league's current season.
+ * Leagues do not share a calendar (August–May vs. calendar-year seasons), so `current`
+ * needs a league.
+ * Values other than `current` are returned unchanged (validation stays with the caller).
+ * @async
+ * @function resolveSeason
+ * @param {*} rawSeason - Raw season value
+ * @param {*} [rawLeagueId] - League the season belongs to
+ * @returns {Promise<*>} Season year, or the raw value when it is not `current`
+ * @throws {Error} CURRENT_SEASON_LEAGUE_REQUIRED or LEAGUE_ID_INVALID (statusCode: 400)
+ * @throws {Error} CURRENT_SEASON_NOT_FOUND (statusCode: 404)
+ */
+export async function resolveSeason(rawSeason, rawLeagueId) {
+  if (!isCurrentSeasonKeyword(rawSeason)) {
+    return rawSeason;
+  }
+  if (rawLeagueId === undefined || rawLeagueId === null || rawLeagueId === '') {
+    throw buildError('CURRENT_SEASON_LEAGUE_REQUIRED', 400);
+  }
+  const { season } = await getCurrentLeagueSeason(rawLeagueId);
+  return season;
+}
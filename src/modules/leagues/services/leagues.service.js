@@ -15,7 +15,7 @@ import {
 } from '../repositories/leagues.repository.js';
 
 /** @constant {string[]} LEAGUE_ATTRIBUTES - Attributes to include in league queries */
-const LEAGUE_ATTRIBUTES = ['id', 'name', 'type', 'logo'];
+const LEAGUE_ATTRIBUTES = ['id', 'name', 'type', 'logo', 'country_id'];
 
 /** @constant {number} DEFAULT_SEARCH_LIMIT - Default number of results per search page */
 const DEFAULT_SEARCH_LIMIT = 20;
@@ -75,7 +75,7 @@ function validateName(name) {
  * Retrieves all leagues from the database.
  * @async
  * @function listLeagues
- * @returns {Promise<Array<Object>>} Array of league objects with id, name, type, and logo
+ * @returns {Promise<Array<Object>>} Array of league objects with id, name, type, logo, and country_id
  */
 export async function listLeagues() {
   return findAllLeagues(LEAGUE_ATTRIBUTES);
@@ -42,3 +42,37 @@ export const searchLeaguesSchema = z.object({
     page: z.coerce.number().int().min(1).optional(),
   }),
 });
+
+const leagueSeasonParams = leagueIdParams.extend({
+  season: z.string().regex(/^[1-9]\d*$/, 'Season must be a positive integer'),
+});
+
+const leaderTypeQuery = z.enum(['goals', 'assists', 'yellow', 'red']).optional();
+
+export const leagueLeadersSchema = z.object({
+  params: leagueSeasonParams,
+  query: z.object({
+    type: leaderTypeQuery,
+    limit: z.coerce.number().int().min(1).max(20).optional(),
+  }),
+});
+
+export const importLeagueLeadersSchema = z.object({
+  params: leagueSeasonParams,
+  query: z.object({
+    type: leaderTypeQuery,
+    background: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+export const importLeaguesSchema = z.object({
+  query: z.object({
+    id: z.coerce.number().int().positive().optional(),
+    country: z.string().trim().min(1).optional(),
+    season: z.coerce.number().int().min(1900).max(2100).optional(),
+    current: z.enum(['true', 'false']).optional(),
+    type: z.enum(['league', 'cup']).optional(),
+    search: z.string().trim().min(3, 'search must contain at least 3 characters').optional(),
+    background: z.enum(['true', 'false']).optional(),
+  }),
+});
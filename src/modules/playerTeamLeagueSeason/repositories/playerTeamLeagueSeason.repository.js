@@ -5,6 +5,10 @@ export function upsertMapping(payload) {
   return PlayerTeamLeagueSeason.upsert(payload);
 }
 
+export function bulkInsertMappings(payloads) {
+  return PlayerTeamLeagueSeason.bulkCreate(payloads, { ignoreDuplicates: true });
+}
+
 export function findMappingByIdentifiers(identifiers) {
   return PlayerTeamLeagueSeason.findOne({ where: identifiers });
 }
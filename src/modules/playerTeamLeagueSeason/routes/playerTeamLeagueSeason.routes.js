@@ -7,6 +7,7 @@
 
 import { Router } from 'express';
 import { validateSchema } from '../../../middlewares/validateSchema.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
 import PlayerTeamLeagueSeasonController from '../controllers/playerTeamLeagueSeason.controller.js';
 import {
   createMappingSchema,
@@ -238,6 +239,7 @@ router.post(
  */
 router.get(
   '/player-team-league-season/players',
+  resolveSeasonParam(),
   validateSchema(listPlayersQuerySchema),
   PlayerTeamLeagueSeasonController.findPlayersByTeamLeagueSeason,
 );
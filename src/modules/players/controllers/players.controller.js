@@ -11,6 +11,7 @@ import {
   listPopularPlayers,
   importPlayersFromApi,
   getPlayerStats,
+  getPlayerSeasonStats,
   getPlayersCount,
   PlayersServiceError,
 } from '../services/players.service.js';
@@ -50,7 +51,7 @@ class PlayersController {
 
   static async getPlayerById(req, res, next) {
     try {
-      const player = await getPlayerDetails(req.params.id);
+      const player = await getPlayerDetails(req.params.id, req.query);
       return ApiResponse.success(res, player, 'Player retrieved successfully');
     } catch (error) {
       next(mapPlayersError(error, 'Error retrieving player information', 'PLAYER_FETCH_FAILED'));
@@ -109,7 +110,8 @@ class PlayersController {
   static async importPlayersFromApiFootball(req, res, next) {
     try {
       const result = await importPlayersFromApi(req.query);
-      return ApiResponse.success(res, result, 'Players imported successfully');
+      const message = result.dryRun ? 'Players import preview (dry run), nothing written' : 'Players imported successfully';
+      return ApiResponse.success(res, result, message);
     } catch (error) {
       next(mapPlayersError(error, 'Error importing players from API Football', 'PLAYER_IMPORT_FAILED'));
     }
@@ -117,7 +119,18 @@ class PlayersController {
 
   static async getPlayerStatsWithFilters(req, res, next) {
     try {
-      const data = await getPlayerStats(req.query);
+      const { data, freshness } = await getPlayerStats(req.query);
+      res.set('X-Data-Freshness', freshness);
+      return ApiResponse.success(res, data, 'Player statistics retrieved successfully');
+    } catch (error) {
+      next(mapPlayersError(error, 'Error getting player statistics', 'PLAYER_STATS_FAILED'));
+    }
+  }
+
+  static async getPlayerSeasonStatsById(req, res, next) {
+    try {
+      const data = await getPlayerSeasonStats(req.params.id, req.query);
+      res.set('X-Data-Freshness', data.freshness);
       return ApiResponse.success(res, data, 'Player statistics retrieved successfully');
     } catch (error) {
       next(mapPlayersError(error, 'Error getting player statistics', 'PLAYER_STATS_FAILED'));
@@ -27,6 +27,10 @@
 
 import router from './routes/players.routes.js';
 import Player from './models/player.model.js';
+import PlayerSeasonStat from './models/playerSeasonStat.model.js';
+import Trophy from './models/trophy.model.js';
+import SidelinedPeriod from './models/sidelinedPeriod.model.js';
+import ProfileHistorySync from './models/profileHistorySync.model.js';
 import {
   initPlayersService,
   listPlayers,
@@ -37,7 +41,9 @@ import {
   removePlayerRecord,
   listPopularPlayers,
   importPlayersFromApi,
+  performPlayerImport,
   getPlayerStats,
+  getPlayerSeasonStats,
 } from './services/players.service.js';
 import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
 
@@ -58,6 +64,10 @@ import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
 export default async function registerPlayersModule({ container }) {
   // Đăng ký Player model
   registerIfMissing(container, TOKENS.models.Player, Player);
+  registerIfMissing(container, TOKENS.models.PlayerSeasonStat, PlayerSeasonStat);
+  registerIfMissing(container, TOKENS.models.Trophy, Trophy);
+  registerIfMissing(container, TOKENS.models.SidelinedPeriod, SidelinedPeriod);
+  registerIfMissing(container, TOKENS.models.ProfileHistorySync, ProfileHistorySync);
   
   // Lấy dependencies từ container
   const apiFootballService = container.get(TOKENS.services.apiFootball);
@@ -88,6 +98,7 @@ export default async function registerPlayersModule({ container }) {
     listPopularPlayers,
     importPlayersFromApi,
     getPlayerStats,
+    getPlayerSeasonStats,
   };
 
   container.set(TOKENS.services.players, services);
@@ -96,8 +107,14 @@ export default async function registerPlayersModule({ container }) {
     name: 'players',
     basePath: '/',
     routes: router,
+    jobs: [
+      { name: 'players-import', handler: performPlayerImport },
+    ],
     publicApi: {
       Player,
+      PlayerSeasonStat,
+      Trophy,
+      SidelinedPeriod,
       services,
     },
   };
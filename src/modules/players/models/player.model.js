@@ -27,6 +27,7 @@
  * | position      | VARCHAR(100) | Yes      | GK/DF/MF/FW        |
  * | photo         | VARCHAR(1024)| Yes      | Photo URL          |
  * | isPopular     | BOOLEAN      | No       | Featured flag      |
+ * | locked_fields | JSON         | Yes      | Manually edited    |
  * 
  * @module modules/players/models/player.model
  * @requires sequelize
@@ -127,6 +128,11 @@ const Player = sequelize.define('Player', {
     defaultValue: false,
     field: 'isPopular',
   },
+  /** Các trường được sửa thủ công qua PUT, import không ghi đè (trừ khi force=true) */
+  locked_fields: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
 }, {
   tableName: 'players',
   underscored: true,    // Chuyển camelCase sang snake_case
@@ -0,0 +1,145 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/players/models/playerSeasonStat.model.js
+ * =============================================================================
+ *
+ * @fileoverview Sequelize PlayerSeasonStat Model Definition
+ *
+ * @description
+ * Định nghĩa Sequelize model cho bảng player_season_stats.
+ * Lưu thống kê mùa giải của cầu thủ theo từng league/team/season,
+ * được ghi khi import cầu thủ từ API-Football (`/players`).
+ *
+ * ## Table: player_season_stats
+ * | Column          | Type         | Nullable | Notes                         |
+ * |-----------------|--------------|----------|-------------------------------|
+ * | player_id       | INT          | No       | PK                            |
+ * | league_id       | INT          | No       | PK                            |
+ * | team_id         | INT          | No       | PK                            |
+ * | season          | INT          | No       | PK                            |
+ * | position        | VARCHAR(100) | Yes      | Vị trí trong mùa giải         |
+ * | appearances     | INT          | No       | Số trận ra sân                |
+ * | lineups         | INT          | No       | Số trận đá chính              |
+ * | minutes         | INT          | No       | Số phút thi đấu               |
+ * | rating          | DECIMAL(6,3) | Yes      | Điểm trung bình               |
+ * | goals           | INT          | No       |                               |
+ * | assists         | INT          | No       |                               |
+ * | yellow_cards    | INT          | No       |                               |
+ * | yellowred_cards | INT          | No       | Thẻ vàng thứ hai              |
+ * | red_cards       | INT          | No       |                               |
+ * | synced_at       | DATETIME     | No       | Lần đồng bộ gần nhất          |
+ *
+ * @module modules/players/models/playerSeasonStat.model
+ * @requires sequelize
+ * @exports {Model} PlayerSeasonStat - Sequelize PlayerSeasonStat model
+ *
+ * =============================================================================
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Player from './player.model.js';
+import Team from '../../teams/models/team.model.js';
+import League from '../../leagues/models/league.model.js';
+
+// =============================================================================
+// Model Definition
+// =============================================================================
+
+/**
+ * Sequelize PlayerSeasonStat model.
+ *
+ * @type {import('sequelize').Model}
+ */
+const PlayerSeasonStat = sequelize.define('PlayerSeasonStat', {
+  player_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  league_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  season: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  position: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  appearances: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  lineups: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  /** Điểm trung bình do API-Football tính, null khi chưa có */
+  rating: {
+    type: DataTypes.DECIMAL(6, 3),
+    allowNull: true,
+  },
+  goals: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  assists: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  yellow_cards: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  yellowred_cards: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  red_cards: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  /** Thời điểm đồng bộ gần nhất, dùng để xác định dữ liệu cũ */
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'player_season_stats',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['league_id', 'season'] },
+    { fields: ['team_id', 'season'] },
+  ],
+});
+
+// Quan hệ chỉ dùng để join hiển thị; thống kê có thể được ghi trước khi team/league tồn tại
+PlayerSeasonStat.belongsTo(Player, { foreignKey: 'player_id', as: 'player', constraints: false });
+PlayerSeasonStat.belongsTo(Team, { foreignKey: 'team_id', as: 'team', constraints: false });
+PlayerSeasonStat.belongsTo(League, { foreignKey: 'league_id', as: 'league', constraints: false });
+
+export default PlayerSeasonStat;
@@ -0,0 +1,67 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/players/models/profileHistorySync.model.js
+ * =============================================================================
+ *
+ * @fileoverview Sequelize ProfileHistorySync Model Definition
+ *
+ * @description
+ * Định nghĩa Sequelize model cho bảng profile_history_syncs.
+ * Ghi lại lần đồng bộ gần nhất danh hiệu / giai đoạn vắng mặt của một cầu thủ
+ * hoặc huấn luyện viên, để phân biệt "chưa đồng bộ" với "không có dữ liệu".
+ *
+ * ## Table: profile_history_syncs
+ * | Column       | Type        | Nullable | Notes                        |
+ * |--------------|-------------|----------|------------------------------|
+ * | subject_type | VARCHAR(10) | No       | PK, 'player' hoặc 'coach'    |
+ * | subject_id   | INT         | No       | PK                           |
+ * | kind         | VARCHAR(20) | No       | PK, 'trophies' / 'sidelined' |
+ * | synced_at    | DATETIME    | No       | Lần đồng bộ gần nhất         |
+ *
+ * @module modules/players/models/profileHistorySync.model
+ * @requires sequelize
+ * @exports {Model} ProfileHistorySync - Sequelize ProfileHistorySync model
+ *
+ * =============================================================================
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+
+// =============================================================================
+// Model Definition
+// =============================================================================
+
+/**
+ * Sequelize ProfileHistorySync model.
+ *
+ * @type {import('sequelize').Model}
+ */
+const ProfileHistorySync = sequelize.define('ProfileHistorySync', {
+  subject_type: {
+    type: DataTypes.STRING(10),
+    primaryKey: true,
+    allowNull: false,
+  },
+  subject_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  kind: {
+    type: DataTypes.STRING(20),
+    primaryKey: true,
+    allowNull: false,
+  },
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'profile_history_syncs',
+  underscored: true,
+  timestamps: false,
+});
+
+export default ProfileHistorySync;
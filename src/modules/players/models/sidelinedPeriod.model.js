@@ -0,0 +1,77 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/players/models/sidelinedPeriod.model.js
+ * =============================================================================
+ *
+ * @fileoverview Sequelize SidelinedPeriod Model Definition
+ *
+ * @description
+ * Định nghĩa Sequelize model cho bảng sidelined_periods.
+ * Các giai đoạn cầu thủ hoặc huấn luyện viên vắng mặt (chấn thương, treo giò...),
+ * lấy từ API-Football `/sidelined`.
+ *
+ * ## Table: sidelined_periods
+ * | Column       | Type         | Nullable | Notes                          |
+ * |--------------|--------------|----------|--------------------------------|
+ * | id           | INT          | No       | PK, auto-increment             |
+ * | subject_type | VARCHAR(10)  | No       | 'player' hoặc 'coach'          |
+ * | subject_id   | INT          | No       | Player ID hoặc Coach ID        |
+ * | type         | VARCHAR(255) | Yes      | e.g., 'Knee Injury'            |
+ * | start_date   | DATE         | Yes      |                                |
+ * | end_date     | DATE         | Yes      |                                |
+ *
+ * @module modules/players/models/sidelinedPeriod.model
+ * @requires sequelize
+ * @exports {Model} SidelinedPeriod - Sequelize SidelinedPeriod model
+ *
+ * =============================================================================
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+
+// =============================================================================
+// Model Definition
+// =============================================================================
+
+/**
+ * Sequelize SidelinedPeriod model.
+ *
+ * @type {import('sequelize').Model}
+ */
+const SidelinedPeriod = sequelize.define('SidelinedPeriod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  subject_type: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+  },
+  subject_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  type: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  end_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+}, {
+  tableName: 'sidelined_periods',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['subject_type', 'subject_id'] },
+  ],
+});
+
+export default SidelinedPeriod;
@@ -0,0 +1,83 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/players/models/trophy.model.js
+ * =============================================================================
+ *
+ * @fileoverview Sequelize Trophy Model Definition
+ *
+ * @description
+ * Định nghĩa Sequelize model cho bảng trophies.
+ * Danh hiệu của cầu thủ hoặc huấn luyện viên, lấy từ API-Football `/trophies`.
+ * Một bảng dùng chung cho cả hai, phân biệt bằng subject_type.
+ *
+ * ## Table: trophies
+ * | Column       | Type         | Nullable | Notes                          |
+ * |--------------|--------------|----------|--------------------------------|
+ * | id           | INT          | No       | PK, auto-increment             |
+ * | subject_type | VARCHAR(10)  | No       | 'player' hoặc 'coach'          |
+ * | subject_id   | INT          | No       | Player ID hoặc Coach ID        |
+ * | league       | VARCHAR(255) | Yes      | Tên giải đấu / cúp             |
+ * | country      | VARCHAR(255) | Yes      |                                |
+ * | season       | VARCHAR(50)  | Yes      | e.g., '2022/2023' hoặc '2022'  |
+ * | place        | VARCHAR(100) | Yes      | e.g., 'Winner', '2nd Place'    |
+ *
+ * @module modules/players/models/trophy.model
+ * @requires sequelize
+ * @exports {Model} Trophy - Sequelize Trophy model
+ *
+ * =============================================================================
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+
+// =============================================================================
+// Model Definition
+// =============================================================================
+
+/**
+ * Sequelize Trophy model.
+ *
+ * @type {import('sequelize').Model}
+ */
+const Trophy = sequelize.define('Trophy', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  subject_type: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+  },
+  subject_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  league: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  country: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  /** API-Football trả season dạng chuỗi ('2022/2023' hoặc '2022') */
+  season: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  place: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+}, {
+  tableName: 'trophies',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['subject_type', 'subject_id'] },
+  ],
+});
+
+export default Trophy;
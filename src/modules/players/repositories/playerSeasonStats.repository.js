@@ -0,0 +1,33 @@
+import PlayerSeasonStat from '../models/playerSeasonStat.model.js';
+import Team from '../../teams/models/team.model.js';
+import League from '../../leagues/models/league.model.js';
+
+export function findPlayerSeasonStats(where, options = {}) {
+  return PlayerSeasonStat.findAll({
+    where,
+    include: [
+      { model: Team, as: 'team', attributes: ['id', 'name', 'logo'], required: false },
+      { model: League, as: 'league', attributes: ['id', 'name', 'logo'], required: false },
+    ],
+    order: [['season', 'DESC'], ['league_id', 'ASC'], ['team_id', 'ASC']],
+    ...options,
+  });
+}
+
+export function bulkUpsertPlayerSeasonStats(payloads) {
+  return PlayerSeasonStat.bulkCreate(payloads, {
+    updateOnDuplicate: [
+      'position',
+      'appearances',
+      'lineups',
+      'minutes',
+      'rating',
+      'goals',
+      'assists',
+      'yellow_cards',
+      'yellowred_cards',
+      'red_cards',
+      'synced_at',
+    ],
+  });
+}
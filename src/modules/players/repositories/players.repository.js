@@ -30,23 +30,35 @@ export function countPlayers() {
   return Player.count();
 }
 
+export const PLAYER_IMPORT_FIELDS = [
+  'name',
+  'firstname',
+  'lastname',
+  'age',
+  'birth_date',
+  'birth_place',
+  'birth_country',
+  'nationality',
+  'height',
+  'weight',
+  'number',
+  'position',
+  'photo',
+];
+
 export function bulkUpsertPlayers(payloads) {
   return Player.bulkCreate(payloads, {
-    updateOnDuplicate: [
-      'name',
-      'firstname',
-      'lastname',
-      'age',
-      'birth_date',
-      'birth_place',
-      'birth_country',
-      'nationality',
-      'height',
-      'weight',
-      'number',
-      'position',
-      'photo',
-    ],
+    updateOnDuplicate: PLAYER_IMPORT_FIELDS,
+  });
+}
+
+// /players/squads only returns a short profile, so only those columns are written
+export const SQUAD_PLAYER_FIELDS = ['name', 'age', 'number', 'position', 'photo'];
+
+export function bulkUpsertSquadPlayers(payloads) {
+  return Player.bulkCreate(payloads, {
+    fields: ['id', ...SQUAD_PLAYER_FIELDS],
+    updateOnDuplicate: SQUAD_PLAYER_FIELDS,
   });
 }
 
@@ -0,0 +1,53 @@
+import sequelize from '../../../common/db.js';
+import Trophy from '../models/trophy.model.js';
+import SidelinedPeriod from '../models/sidelinedPeriod.model.js';
+import ProfileHistorySync from '../models/profileHistorySync.model.js';
+
+const MODELS_BY_KIND = {
+  trophies: Trophy,
+  sidelined: SidelinedPeriod,
+};
+
+const ATTRIBUTES_BY_KIND = {
+  trophies: ['league', 'country', 'season', 'place'],
+  sidelined: ['type', 'start_date', 'end_date'],
+};
+
+const ORDER_BY_KIND = {
+  trophies: [['season', 'DESC'], ['league', 'ASC']],
+  sidelined: [['start_date', 'DESC']],
+};
+
+export function findProfileHistorySync(subjectType, subjectId, kind) {
+  return ProfileHistorySync.findOne({
+    where: { subject_type: subjectType, subject_id: subjectId, kind },
+  });
+}
+
+export function findProfileHistory(subjectType, subjectId, kind) {
+  return MODELS_BY_KIND[kind].findAll({
+    where: { subject_type: subjectType, subject_id: subjectId },
+    attributes: ATTRIBUTES_BY_KIND[kind],
+    order: ORDER_BY_KIND[kind],
+  });
+}
+
+export function replaceProfileHistory(subjectType, subjectId, kind, payloads, syncedAt) {
+  const Model = MODELS_BY_KIND[kind];
+  return sequelize.transaction(async (transaction) => {
+    // API-Football returns the full history every time, so it is replaced as a whole
+    await Model.destroy({
+      where: { subject_type: subjectType, subject_id: subjectId },
+      transaction,
+    });
+    if (payloads.length) {
+      await Model.bulkCreate(payloads, { transaction });
+    }
+    await ProfileHistorySync.upsert({
+      subject_type: subjectType,
+      subject_id: subjectId,
+      kind,
+      synced_at: syncedAt,
+    }, { transaction });
+  });
+}
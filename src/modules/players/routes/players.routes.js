@@ -1,5 +1,6 @@
 import express from 'express';
 import playersController from '../controllers/players.controller.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
 
 const router = express.Router();
 
@@ -423,7 +424,7 @@ router.get('/players/search', playersController.searchPlayersByName);
  * /api/players/{id}:
  *   get:
  *     summary: Get player detail
- *     description: Retrieves a single player record along with derived country metadata when the nationality matches a known country.
+ *     description: Retrieves a single player record along with derived country metadata when the nationality matches a known country. Trophies and sidelined periods can be included; they are synced from API-Football when missing or older than PROFILE_HISTORY_MAX_AGE_HOURS.
  *     tags:
  *       - Players
  *     parameters:
@@ -434,6 +435,12 @@ router.get('/players/search', playersController.searchPlayersByName);
  *           type: integer
  *           minimum: 1
  *         description: Player identifier.
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           example: trophies,sidelined
+ *         description: Comma-separated extras to include (trophies, sidelined).
  *     responses:
  *       200:
  *         description: Player found.
@@ -457,6 +464,12 @@ router.get('/players/search', playersController.searchPlayersByName);
  *                       type: string
  *                     position:
  *                       type: string
+ *                     locked_fields:
+ *                       type: array
+ *                       nullable: true
+ *                       items:
+ *                         type: string
+ *                       description: Manually edited fields that imports do not overwrite.
  *                     country:
  *                       type: object
  *                       nullable: true
@@ -470,6 +483,34 @@ router.get('/players/search', playersController.searchPlayersByName);
  *                         flag:
  *                           type: string
  *                           format: uri
+ *                     trophies:
+ *                       type: array
+ *                       description: Present when include contains trophies.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           league:
+ *                             type: string
+ *                           country:
+ *                             type: string
+ *                           season:
+ *                             type: string
+ *                           place:
+ *                             type: string
+ *                     sidelined:
+ *                       type: array
+ *                       description: Present when include contains sidelined.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                           start_date:
+ *                             type: string
+ *                             format: date
+ *                           end_date:
+ *                             type: string
+ *                             format: date
  *             example:
  *               success: true
  *               message: "Player retrieved successfully"
@@ -484,7 +525,7 @@ router.get('/players/search', playersController.searchPlayersByName);
  *                   code: "AR"
  *                   flag: "https://example.com/flags/ar.svg"
  *       400:
- *         description: Bad request – ID is not a positive integer.
+ *         description: Bad request – ID is not a positive integer or include has an unsupported value.
  *         content:
  *           application/json:
  *             schema:
@@ -726,7 +767,7 @@ router.post('/players', playersController.createPlayer);
  * /api/players/{id}:
  *   put:
  *     summary: Update player
- *     description: Authenticated clients can partially update a player. Only mutable fields in the body are updated; the ID remains fixed via the path parameter.
+ *     description: Authenticated clients can partially update a player. Only mutable fields in the body are updated; the ID remains fixed via the path parameter. Updated fields are added to `locked_fields` so later imports keep the manual values (unless run with force=true); `unlock` releases locks.
  *     tags:
  *       - Players
  *     security:
@@ -745,7 +786,7 @@ router.post('/players', playersController.createPlayer);
  *         application/json:
  *           schema:
  *             type: object
- *             description: Provide at least one field to update.
+ *             description: Provide at least one field to update or unlock.
  *             properties:
  *               name:
  *                 type: string
@@ -759,6 +800,11 @@ router.post('/players', playersController.createPlayer);
  *                 type: integer
  *               photo:
  *                 type: string
+ *               unlock:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Fields to release so imports update them again (array or comma-separated string).
  *           example:
  *             name: "Nguyễn Văn A"
  *             number: 8
@@ -786,6 +832,11 @@ router.post('/players', playersController.createPlayer);
  *                       type: integer
  *                     position:
  *                       type: string
+ *                     locked_fields:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Manually edited fields that imports do not overwrite.
  *             example:
  *               success: true
  *               message: "Player updated successfully"
@@ -794,8 +845,9 @@ router.post('/players', playersController.createPlayer);
  *                 name: "Nguyễn Văn A"
  *                 number: 8
  *                 position: "Midfielder"
+ *                 locked_fields: ["name", "number", "position"]
  *       400:
- *         description: Bad request – invalid ID or payload.
+ *         description: Bad request – invalid ID, payload or unlock field.
  *         content:
  *           application/json:
  *             schema:
@@ -1026,12 +1078,150 @@ router.put('/players/:id', playersController.updatePlayer);
  */
 router.delete('/players/:id', playersController.deletePlayer);
 
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PlayerSeasonStatsResponse:
+ *       type: object
+ *       properties:
+ *         playerId:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           enum: [local, upstream]
+ *           description: "`upstream` when the rows were refreshed from API Football during this request."
+ *         stale:
+ *           type: boolean
+ *           description: True when the rows are older than PLAYER_STATS_MAX_AGE_HOURS. A refresh then runs in the background.
+ *         freshness:
+ *           type: string
+ *           enum: [fresh, stale]
+ *           description: Same value as the `X-Data-Freshness` response header.
+ *         statistics:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               player_id:
+ *                 type: integer
+ *               league_id:
+ *                 type: integer
+ *               team_id:
+ *                 type: integer
+ *               season:
+ *                 type: integer
+ *               position:
+ *                 type: string
+ *                 nullable: true
+ *               appearances:
+ *                 type: integer
+ *               lineups:
+ *                 type: integer
+ *               minutes:
+ *                 type: integer
+ *               rating:
+ *                 type: string
+ *                 nullable: true
+ *               goals:
+ *                 type: integer
+ *               assists:
+ *                 type: integer
+ *               yellow_cards:
+ *                 type: integer
+ *               yellowred_cards:
+ *                 type: integer
+ *               red_cards:
+ *                 type: integer
+ *               synced_at:
+ *                 type: string
+ *                 format: date-time
+ *               team:
+ *                 type: object
+ *                 nullable: true
+ *               league:
+ *                 type: object
+ *                 nullable: true
+ *       example:
+ *         playerId: 276
+ *         source: "local"
+ *         stale: false
+ *         freshness: "fresh"
+ *         statistics:
+ *           - player_id: 276
+ *             league_id: 39
+ *             team_id: 50
+ *             season: 2023
+ *             appearances: 31
+ *             minutes: 2769
+ *             rating: "7.381"
+ *             goals: 27
+ *             assists: 5
+ *             yellow_cards: 1
+ *             yellowred_cards: 0
+ *             red_cards: 0
+ *
+ * /api/players/{id}/stats:
+ *   get:
+ *     summary: Get player season statistics
+ *     description: Serves statistics stored in player_season_stats (filled by player imports). When `season` is given and the matching rows are missing or older than PLAYER_STATS_MAX_AGE_HOURS (default 24), missing rows are fetched from API Football first, while stale rows are returned immediately and refreshed in the background (stale-while-revalidate, also while the API Football circuit breaker is open).
+ *     tags:
+ *       - Players
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: season
+ *         schema:
+ *           type: integer
+ *         description: Season (e.g., 2023). Required for the upstream fallback.
+ *       - in: query
+ *         name: league
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved.
+ *         headers:
+ *           X-Data-Freshness:
+ *             description: "`fresh`, or `stale` when a cached copy past its TTL is served while it is refreshed in the background."
+ *             schema:
+ *               type: string
+ *               enum: [fresh, stale]
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/PlayerSeasonStatsResponse'
+ *       400:
+ *         description: Invalid player ID or filter values.
+ *       504:
+ *         description: Timeout while refreshing from API Football with no local data.
+ *       500:
+ *         description: Internal or upstream error while fetching stats.
+ */
+router.get('/players/:id/stats', resolveSeasonParam(), playersController.getPlayerSeasonStatsById);
+
 /**
  * @openapi
  * /api/players-stats:
  *   get:
- *     summary: Get player statistics
- *     description: Proxies API Football (api-sports.io) to fetch detailed player statistics using the provided filters.
+ *     summary: Get player statistics (deprecated)
+ *     deprecated: true
+ *     description: Legacy route using `playerid`, `leagueid` and `teamid` query names. The response keeps the API-Football `/players` payload shape this route used to proxy (`get`, `parameters`, `errors`, `results`, `paging`, `response[].player`, `response[].statistics`), but it is built from the local players and player_season_stats tables, so each statistics entry only carries the stored groups (team, league, games, goals, cards). Missing or stale rows are refreshed like `GET /api/players/{id}/stats`, which new clients should use instead.
  *     tags:
  *       - Players
  *     parameters:
@@ -1059,6 +1249,12 @@ router.delete('/players/:id', playersController.deletePlayer);
  *     responses:
  *       200:
  *         description: Statistics fetched successfully.
+ *         headers:
+ *           X-Data-Freshness:
+ *             description: "`fresh`, or `stale` when a cached copy past its TTL is served while it is refreshed in the background."
+ *             schema:
+ *               type: string
+ *               enum: [fresh, stale]
  *         content:
  *           application/json:
  *             schema:
@@ -1070,17 +1266,38 @@ router.delete('/players/:id', playersController.deletePlayer);
  *                   type: string
  *                 data:
  *                   type: object
- *                   description: Raw response from API Football.
+ *                   description: API-Football `/players` payload shape, built from local data.
  *                   additionalProperties: true
  *             example:
  *               success: true
  *               message: "Player statistics retrieved successfully"
  *               data:
+ *                 get: "players"
+ *                 parameters:
+ *                   id: "874"
+ *                   season: "2023"
+ *                 errors: []
+ *                 results: 1
+ *                 paging:
+ *                   current: 1
+ *                   total: 1
  *                 response:
  *                   - player:
  *                       id: 874
  *                       name: "Cristiano Ronaldo"
- *                     statistics: []
+ *                     statistics:
+ *                       - team:
+ *                           id: 2939
+ *                           name: "Al-Nassr"
+ *                         league:
+ *                           id: 307
+ *                           season: 2023
+ *                         games:
+ *                           appearences: 31
+ *                           rating: "8.1"
+ *                         goals:
+ *                           total: 35
+ *                           assists: 11
  *       400:
  *         description: Bad request – missing player ID or invalid filter values.
  *         content:
@@ -1136,14 +1353,14 @@ router.delete('/players/:id', playersController.deletePlayer);
  *               message: "Error getting player statistics"
  *               data: null
  */
-router.get('/players-stats', playersController.getPlayerStatsWithFilters);
+router.get('/players-stats', resolveSeasonParam({ leagueKeys: ['leagueid'] }), playersController.getPlayerStatsWithFilters);
 
 /**
  * @openapi
  * /api/players/import:
  *   post:
  *     summary: Import players from API Football
- *     description: Authenticated admins can trigger a background import that reads players from API Football for the specified season, league, team, and page.
+ *     description: Authenticated admins can trigger an import that reads players from API Football for the specified season, league and team. Without `page` every result page is imported in one run and the counts are aggregated; with `page` only that page is imported. With `dryRun=true` nothing is written and the would-be inserts, updates and mapping rows are returned.
  *     tags:
  *       - Players
  *     security:
@@ -1175,11 +1392,25 @@ router.get('/players-stats', playersController.getPlayerStatsWithFilters);
  *         schema:
  *           type: integer
  *           minimum: 1
- *           default: 1
- *         description: External page to fetch (defaults to 1).
+ *         description: Only import this API Football page (all pages when omitted).
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Overwrite locked (manually edited) player fields as well. Locks are kept.
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Fetch the pages and build the payloads but write nothing (no players, stats, mappings or import run). Always runs in the request.
  *     responses:
  *       200:
- *         description: Import completed for the requested page.
+ *         description: Import completed for every page (or the requested page).
  *         content:
  *           application/json:
  *             schema:
@@ -1194,6 +1425,49 @@ router.get('/players-stats', playersController.getPlayerStatsWithFilters);
  *                   properties:
  *                     imported:
  *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                       description: Rows with at least one changed field.
+ *                     unchanged:
+ *                       type: integer
+ *                     lockedFieldsPreserved:
+ *                       type: integer
+ *                       description: Players whose locked fields kept their manual values.
+ *                     dryRun:
+ *                       type: boolean
+ *                       description: Present (true) on dry runs.
+ *                     inserts:
+ *                       type: array
+ *                       description: Dry run only. Players that would be inserted.
+ *                       items:
+ *                         type: object
+ *                     updates:
+ *                       type: array
+ *                       description: "Dry run only. Players that would change, as { id, changes: { field: { before, after } } }."
+ *                       items:
+ *                         type: object
+ *                     mappings:
+ *                       type: array
+ *                       description: Dry run only. Player-team-league-season rows that would be created.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           playerId:
+ *                             type: integer
+ *                           leagueId:
+ *                             type: integer
+ *                           teamId:
+ *                             type: integer
+ *                           season:
+ *                             type: integer
+ *                     statsRows:
+ *                       type: integer
+ *                       description: Dry run only. Season statistics rows that would be upserted.
+ *                     importRunId:
+ *                       type: integer
+ *                       description: Import run recording the field-level changes (GET /api/import-runs/{id}/changes).
  *                     mappingsInserted:
  *                       type: integer
  *                     mappingErrors:
@@ -1208,20 +1482,30 @@ router.get('/players-stats', playersController.getPlayerStatsWithFilters);
  *                       type: integer
  *                     page:
  *                       type: integer
+ *                       nullable: true
+ *                     pagesFetched:
+ *                       type: integer
  *                     totalPages:
  *                       type: integer
  *             example:
  *               success: true
  *               message: "Players imported successfully"
  *               data:
- *                 imported: 20
- *                 mappingsInserted: 20
+ *                 imported: 38
+ *                 created: 4
+ *                 updated: 6
+ *                 unchanged: 28
+ *                 lockedFieldsPreserved: 1
+ *                 importRunId: 128
+ *                 mappingsInserted: 38
  *                 mappingErrors: []
+ *                 statsUpserted: 38
+ *                 page: null
+ *                 pagesFetched: 2
+ *                 totalPages: 2
  *                 season: 2021
  *                 league: 39
  *                 team: 33
- *                 page: 1
- *                 totalPages: 40
  *       400:
  *         description: Bad request – missing or invalid query parameters.
  *         content:
@@ -1295,6 +1579,6 @@ router.get('/players-stats', playersController.getPlayerStatsWithFilters);
  *               message: "Error importing players from API Football"
  *               data: null
  */
-router.post('/players/import', playersController.importPlayersFromApiFootball);
+router.post('/players/import', resolveSeasonParam(), playersController.importPlayersFromApiFootball);
 
 export default router;
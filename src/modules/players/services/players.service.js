@@ -14,8 +14,10 @@
  * - Paginated listing với filters
  * - Search by name (case-insensitive)
  * - Popular players filtering
- * - Import từ API-Football
- * - Player statistics từ API
+ * - Import từ API-Football (kèm thống kê mùa giải vào player_season_stats), có chế độ dry run
+ * - Player statistics đọc từ DB, chỉ gọi API khi thiếu hoặc đã cũ
+ * - Danh hiệu và lịch sử vắng mặt (`include=trophies,sidelined`) trong chi tiết cầu thủ
+ * - Các trường sửa thủ công bị khóa (`locked_fields`), import không ghi đè trừ khi `force=true`
  * 
  * ## Dependencies:
  * - apiFootball service: External API client
@@ -30,11 +32,18 @@
  * @requires sequelize
  * @requires modules/countries/models/country.model
  * @requires modules/players/repositories/players.repository
+ * @requires modules/players/repositories/playerSeasonStats.repository
+ * @requires modules/players/services/profileHistory.service
+ * @requires common/fieldLocks
  * 
  * =============================================================================
  */
 
 import sequelize from '../../../common/db.js';
+import { logger } from '../../../common/logger.js';
+import { applyFieldLocks, mergeLockedFields, parseFieldList } from '../../../common/fieldLocks.js';
+import { parseBooleanFlag } from '../../../common/booleanFlags.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
 import Country from '../../countries/models/country.model.js';
 import {
   bulkUpsertPlayers,
@@ -46,7 +55,23 @@ import {
   updatePlayer,
   createPlayer,
   buildNameSearchCondition,
+  PLAYER_IMPORT_FIELDS,
 } from '../repositories/players.repository.js';
+import {
+  bulkUpsertPlayerSeasonStats,
+  findPlayerSeasonStats,
+} from '../repositories/playerSeasonStats.repository.js';
+import {
+  PROFILE_HISTORY_KINDS,
+  loadProfileHistory,
+  parseProfileHistoryInclude,
+} from './profileHistory.service.js';
+import {
+  startImportRun,
+  recordImportChanges,
+  finishImportRun,
+  previewImportRows,
+} from '../../importRuns/services/importRuns.service.js';
 
 // =============================================================================
 // Constants
@@ -72,9 +97,34 @@ const PLAYER_ATTRIBUTES = [
   'position',
   'photo',
   'isPopular',
+  'locked_fields',
 ];
 
 const COUNTRY_ATTRIBUTES = ['id', 'name', 'code', 'flag'];
+
+/**
+ * Đọc số giờ dương từ biến môi trường, dùng mặc định khi thiếu hoặc không hợp lệ.
+ * @param {string} name - Tên biến môi trường
+ * @param {number} fallback - Giá trị mặc định
+ * @returns {number} Số giờ
+ */
+function readPositiveHoursEnv(name, fallback) {
+  const parsed = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Số giờ trước khi thống kê mùa giải bị coi là cũ và cần đồng bộ lại từ API-Football.
+ * @constant {number}
+ */
+const PLAYER_STATS_MAX_AGE_HOURS = readPositiveHoursEnv('PLAYER_STATS_MAX_AGE_HOURS', 24);
+
+/**
+ * Các lần làm mới thống kê đang chạy nền trong process này, để không gọi API-Football trùng.
+ * @type {Set<string>}
+ */
+const refreshingPlayerStats = new Set();
+
 const MAX_PLAYER_LIMIT = 100;
 const paginationErrorMessages = {
   INVALID_PAGE: 'Giá trị page phải là số nguyên dương',
@@ -273,19 +323,44 @@ export async function listPlayers(query) {
   };
 }
 
-export async function getPlayerDetails(rawId) {
+/**
+ * Lấy chi tiết cầu thủ kèm quốc gia.
+ * `include=trophies,sidelined` bổ sung danh hiệu và các giai đoạn vắng mặt,
+ * đồng bộ từ API-Football khi chưa có hoặc đã cũ (PROFILE_HISTORY_MAX_AGE_HOURS).
+ *
+ * @async
+ * @param {number|string} rawId - ID cầu thủ
+ * @param {Object} [query={}] - Query parameters
+ * @param {string|string[]} [query.include] - Danh sách phân tách bởi dấu phẩy: trophies, sidelined
+ * @returns {Promise<Object>} Cầu thủ kèm `country` và các phần được yêu cầu
+ * @throws {PlayersServiceError} 400 nếu tham số không hợp lệ, 404 nếu không tìm thấy
+ */
+export async function getPlayerDetails(rawId, query = {}) {
   const playerId = validateId(rawId);
   if (!playerId) {
     throw new PlayersServiceError('Invalid player ID', 400);
   }
+  const include = parseProfileHistoryInclude(query.include);
+  if (!include) {
+    throw new PlayersServiceError(`include must be a comma-separated list of: ${PROFILE_HISTORY_KINDS.join(', ')}`, 400);
+  }
   const player = await findPlayerById(playerId, { attributes: PLAYER_ATTRIBUTES });
   if (!player) {
     throw new PlayersServiceError('Player not found', 404);
   }
   const country = await fetchCountryByName(player.nationality ?? '');
+  const history = include.length
+    ? await loadProfileHistory({
+      apiFootballGet: ensureApiFootball().apiFootballGet,
+      subjectType: 'player',
+      subjectId: playerId,
+      kinds: include,
+    })
+    : {};
   return {
     ...player.toJSON(),
     country: country ? country.toJSON() : null,
+    ...history,
   };
 }
 
@@ -336,14 +411,21 @@ export async function updatePlayerRecord(rawId, body = {}) {
   if (!playerId) {
     throw new PlayersServiceError('Invalid player ID', 400);
   }
+  const unlock = parseFieldList(body.unlock, allowedFields);
+  if (unlock === null) {
+    throw new PlayersServiceError(`unlock must only contain: ${allowedFields.join(', ')}`, 400);
+  }
   const updatePayload = buildPayload(body);
-  if (!Object.keys(updatePayload).length) {
+  if (!Object.keys(updatePayload).length && !unlock.length) {
     throw new PlayersServiceError('No data to update', 400);
   }
-  const [updatedRows] = await updatePlayer(playerId, updatePayload);
-  if (!updatedRows) {
+  const player = await findPlayerById(playerId, { attributes: ['id', 'locked_fields'] });
+  if (!player) {
     throw new PlayersServiceError('Player not found for update', 404);
   }
+  // Fields edited by hand are locked so later imports keep them
+  updatePayload.locked_fields = mergeLockedFields(player.locked_fields, Object.keys(updatePayload), unlock);
+  await updatePlayer(playerId, updatePayload);
   return findPlayerById(playerId, { attributes: PLAYER_ATTRIBUTES });
 }
 
@@ -387,6 +469,57 @@ function parseApiInteger(value) {
   return Number.isInteger(parsed) ? parsed : null;
 }
 
+function parseApiDecimal(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number.parseFloat(String(value).trim());
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Chuyển mảng statistics của API-Football thành các dòng player_season_stats.
+ * Mỗi phần tử statistics tương ứng một cặp league/team trong mùa giải.
+ *
+ * @param {number} playerId - ID cầu thủ
+ * @param {Object[]} statistics - Mảng statistics từ API-Football
+ * @param {number} [fallbackSeason] - Season dùng khi API không trả về league.season
+ * @param {Date} syncedAt - Thời điểm đồng bộ
+ * @returns {Object[]} Payloads hợp lệ (có đủ league, team, season)
+ */
+function buildSeasonStatPayloads(playerId, statistics, fallbackSeason, syncedAt) {
+  if (!Array.isArray(statistics)) {
+    return [];
+  }
+  return statistics
+    .map((stats) => {
+      const leagueId = parseApiInteger(stats?.league?.id);
+      const teamId = parseApiInteger(stats?.team?.id);
+      const season = parseApiInteger(stats?.league?.season) ?? fallbackSeason ?? null;
+      if (!leagueId || !teamId || !season) {
+        return null;
+      }
+      return {
+        player_id: playerId,
+        league_id: leagueId,
+        team_id: teamId,
+        season,
+        position: normalizeStringField(stats.games?.position) ?? null,
+        appearances: parseApiInteger(stats.games?.appearences) ?? 0,
+        lineups: parseApiInteger(stats.games?.lineups) ?? 0,
+        minutes: parseApiInteger(stats.games?.minutes) ?? 0,
+        rating: parseApiDecimal(stats.games?.rating),
+        goals: parseApiInteger(stats.goals?.total) ?? 0,
+        assists: parseApiInteger(stats.goals?.assists) ?? 0,
+        yellow_cards: parseApiInteger(stats.cards?.yellow) ?? 0,
+        yellowred_cards: parseApiInteger(stats.cards?.yellowred) ?? 0,
+        red_cards: parseApiInteger(stats.cards?.red) ?? 0,
+        synced_at: syncedAt,
+      };
+    })
+    .filter(Boolean);
+}
+
 function buildImportPayload(apiItem, leagueValue, teamValue, seasonValue) {
   const player = apiItem?.player;
   if (!player || !Number.isInteger(player.id)) {
@@ -425,6 +558,7 @@ function buildImportPayload(apiItem, leagueValue, teamValue, seasonValue) {
   return {
     playerPayload,
     mappingPayload,
+    statsPayloads: buildSeasonStatPayloads(player.id, apiItem.statistics, seasonValue, new Date()),
   };
 }
 
@@ -453,32 +587,110 @@ export async function importPlayersFromApi(query = {}) {
     throw new PlayersServiceError('team must be a positive integer', 400);
   }
 
-  const pageNumber = parsePositiveIntOrDefault(query.page, 1);
+  // Không truyền page: import tất cả các trang trong một lần
+  const pageNumber = parsePositiveIntOrDefault(query.page, undefined);
   if (pageNumber === null) {
     throw new PlayersServiceError('page must be a positive integer', 400);
   }
 
-  const apiParams = { season: seasonValue, league: leagueValue, page: pageNumber, team: teamValue };
-  const { apiFootballGet } = ensureApiFootball();
-  const apiData = await apiFootballGet('/players', apiParams);
-  const apiPlayers = Array.isArray(apiData?.response) ? apiData.response : [];
-
-  if (!apiPlayers.length) {
-    return { imported: 0, message: 'No players found' };
+  const jobPayload = {
+    season: seasonValue,
+    league: leagueValue,
+    team: teamValue,
+    page: pageNumber,
+    force: parseBooleanFlag(query.force),
+  };
+  // A dry run always runs in the request: the preview is the response
+  if (parseBooleanFlag(query.dryRun)) {
+    return performPlayerImport({ ...jobPayload, dryRun: true });
   }
+  if (isBackgroundRequested(query.background)) {
+    const queued = await enqueueImportJob('players-import', jobPayload);
+    return { ...queued, message: 'Import job queued', ...jobPayload };
+  }
+
+  return performPlayerImport(jobPayload);
+}
+
+/**
+ * Đọc các cầu thủ hiện có và giữ giá trị các trường bị khóa trong payload import.
+ *
+ * @param {Array<Object>} apiPayloads - Dòng players từ API-Football
+ * @param {boolean} force - Ghi đè cả các trường bị khóa
+ * @returns {Promise<Object>} `{ existing, playerPayloads, preserved }`
+ */
+async function applyPlayerLocks(apiPayloads, force) {
+  const existing = await findPlayers({
+    where: { id: apiPayloads.map((payload) => payload.id) },
+    attributes: ['id', ...PLAYER_IMPORT_FIELDS, 'locked_fields'],
+  });
+  const { payloads: playerPayloads, preserved } = applyFieldLocks(existing, apiPayloads, { force });
+  return { existing, playerPayloads, preserved };
+}
 
+/**
+ * Kết quả rỗng của một trang cầu thủ.
+ *
+ * @returns {Object} `{ imported, created, updated, unchanged, lockedFieldsPreserved, mappingsInserted, mappingErrors, statsUpserted }` bằng 0
+ */
+function emptyPlayerPageResult() {
+  return {
+    imported: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    lockedFieldsPreserved: 0,
+    mappingsInserted: 0,
+    mappingErrors: [],
+    statsUpserted: 0,
+  };
+}
+
+/**
+ * Lưu một trang cầu thủ từ API-Football `/players`.
+ * Khi có `preview` (dry run), chỉ gom các dòng sẽ ghi vào đó và không ghi gì.
+ *
+ * @param {Array<Object>} apiPlayers - `response` của một trang
+ * @param {Object} scope - league, team, season của lần import
+ * @param {number|null} runId - ID import run (null khi dry run)
+ * @param {Object} [options={}] - Tùy chọn
+ * @param {boolean} [options.force=false] - Ghi đè cả các trường bị khóa
+ * @param {Object} [options.preview] - `{ existing, payloads, mappings, statsRows }` gom dần cho bản xem trước
+ * @returns {Promise<Object>} `{ imported, created, updated, unchanged, lockedFieldsPreserved, mappingsInserted, mappingErrors, statsUpserted }` của trang
+ */
+async function importPlayerPage(apiPlayers, { league: leagueValue, team: teamValue, season: seasonValue }, runId, { force = false, preview = null } = {}) {
   const playerEntries = apiPlayers
     .map((item) => buildImportPayload(item, leagueValue, teamValue, seasonValue))
     .filter((entry) => entry && entry.playerPayload.name);
 
   if (!playerEntries.length) {
-    return { imported: 0, message: 'Không có cầu thủ hợp lệ để lưu' };
+    return emptyPlayerPageResult();
   }
 
-  const playerPayloads = playerEntries.map((entry) => entry.playerPayload);
   const mappingPayloads = playerEntries.map((entry) => entry.mappingPayload).filter(Boolean);
+  const statsPayloads = playerEntries.flatMap((entry) => entry.statsPayloads);
+  const { existing, playerPayloads, preserved } = await applyPlayerLocks(
+    playerEntries.map((entry) => entry.playerPayload),
+    force,
+  );
+
+  if (preview) {
+    preview.existing.push(...existing);
+    preview.payloads.push(...playerPayloads);
+    preview.mappings.push(...mappingPayloads);
+    preview.statsRows += statsPayloads.length;
+    return {
+      ...emptyPlayerPageResult(),
+      imported: playerPayloads.length,
+      lockedFieldsPreserved: preserved.length,
+    };
+  }
 
   await bulkUpsertPlayers(playerPayloads);
+  const changeCounts = await recordImportChanges(runId, 'player', existing, playerPayloads, PLAYER_IMPORT_FIELDS);
+  if (statsPayloads.length) {
+    await bulkUpsertPlayerSeasonStats(statsPayloads);
+  }
 
   const mappingService = ensurePlayerTeamLeagueSeasonService();
   let createdMappings = 0;
@@ -497,16 +709,298 @@ export async function importPlayersFromApi(query = {}) {
 
   return {
     imported: playerPayloads.length,
+    ...changeCounts,
+    lockedFieldsPreserved: preserved.length,
     mappingsInserted: createdMappings,
     mappingErrors,
-    page: pageNumber,
-    totalPages: apiData?.paging?.total ?? null,
+    statsUpserted: statsPayloads.length,
+  };
+}
+
+/**
+ * Import cầu thủ từ API-Football `/players`.
+ * Không truyền `page` thì đọc hết mọi trang và cộng dồn kết quả; truyền `page` thì chỉ import trang đó.
+ * Được gọi trực tiếp hoặc bởi import worker (`players-import`).
+ * Mỗi lần chạy được ghi vào import_runs / import_changes (xem module importRuns).
+ * Các trường bị khóa của cầu thủ được giữ nguyên trừ khi `force`.
+ * Với `dryRun`, các trang được đọc và xử lý như thường nhưng không ghi gì (kể cả import run);
+ * kết quả là bản xem trước.
+ *
+ * @param {Object} params - season, league, team, page (đã validate), force, dryRun
+ * @param {Object} [context={}] - Context từ import worker
+ * @param {Object} [context.job] - BullMQ job khi chạy nền
+ * @param {Function} [context.reportProgress] - Báo tiến độ sau mỗi trang
+ * @param {Function} [context.checkpoint] - Kiểm tra lại quota trước trang kế tiếp; ném DelayedError để hoãn job
+ * @returns {Promise<Object>} Kết quả import, kèm `importRunId`; với dryRun là
+ * `{ dryRun, imported, created, updated, unchanged, lockedFieldsPreserved, inserts, updates, mappings, statsRows, ... }`
+ */
+export async function performPlayerImport(
+  { season: seasonValue, league: leagueValue, team: teamValue, page: pageNumber, force = false, dryRun = false },
+  { job, reportProgress, checkpoint } = {},
+) {
+  const apiParams = { season: seasonValue, league: leagueValue, team: teamValue };
+  const { apiFootballPages } = ensureApiFootball();
+  const scope = { league: leagueValue, team: teamValue, season: seasonValue };
+
+  const totals = emptyPlayerPageResult();
+  let pagesFetched = 0;
+  let totalPages = null;
+
+  const preview = dryRun ? { existing: [], payloads: [], mappings: [], statsRows: 0 } : null;
+  const runId = dryRun
+    ? null
+    : await startImportRun('players-import', { ...apiParams, page: pageNumber ?? null, force }, { jobId: job?.id });
+  try {
+    const pages = apiFootballPages('/players', apiParams, {
+      startPage: pageNumber ?? 1,
+      ...(pageNumber ? { limit: 1 } : {}),
+    });
+    for await (const { page, totalPages: pageCount, data } of pages) {
+      pagesFetched += 1;
+      totalPages = pageCount;
+      const apiPlayers = Array.isArray(data?.response) ? data.response : [];
+      if (apiPlayers.length) {
+        const pageResult = await importPlayerPage(apiPlayers, scope, runId, { force, preview });
+        ['imported', 'created', 'updated', 'unchanged', 'lockedFieldsPreserved', 'mappingsInserted', 'statsUpserted'].forEach((key) => {
+          totals[key] += pageResult[key];
+        });
+        totals.mappingErrors.push(...pageResult.mappingErrors);
+      }
+      if (reportProgress) {
+        await reportProgress({
+          done: pageNumber ? 1 : page,
+          total: pageNumber ? 1 : pageCount,
+          imported: totals.imported,
+        });
+      }
+      if (checkpoint && !pageNumber && page < pageCount) {
+        await checkpoint();
+      }
+    }
+  } catch (error) {
+    if (runId) {
+      await finishImportRun(runId, error);
+    }
+    throw error;
+  }
+
+  const scopeFields = {
+    page: pageNumber ?? null,
+    pagesFetched,
+    totalPages,
     season: seasonValue,
     league: leagueValue,
     team: teamValue ?? null,
   };
+  if (preview) {
+    const rows = previewImportRows(preview.existing, preview.payloads, PLAYER_IMPORT_FIELDS);
+    return {
+      dryRun: true,
+      imported: totals.imported,
+      created: rows.created,
+      updated: rows.updated,
+      unchanged: rows.unchanged,
+      lockedFieldsPreserved: totals.lockedFieldsPreserved,
+      inserts: rows.inserts,
+      updates: rows.updates,
+      mappings: preview.mappings,
+      statsRows: preview.statsRows,
+      ...scopeFields,
+    };
+  }
+
+  await finishImportRun(runId);
+  const result = {
+    ...totals,
+    importRunId: runId,
+    ...scopeFields,
+  };
+  if (totals.imported === 0) {
+    result.message = 'No players found';
+  }
+  return result;
+}
+
+function parseOptionalFilter(value, fieldName) {
+  const parsed = parsePositiveIntOrDefault(value, undefined);
+  if (parsed === null) {
+    throw new PlayersServiceError(`${fieldName} must be a positive integer`, 400);
+  }
+  return parsed;
+}
+
+function isStale(rows) {
+  const maxAgeMs = PLAYER_STATS_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const now = Date.now();
+  return rows.some((row) => !row.synced_at || now - new Date(row.synced_at).getTime() > maxAgeMs);
+}
+
+/**
+ * Đồng bộ thống kê mùa giải của một cầu thủ từ API-Football.
+ * Chỉ ghi các dòng thống kê: thông tin cầu thủ chỉ được ghi bởi các lần import
+ * (players-import, squad-import), không phải từ các request đọc.
+ *
+ * @param {number} playerId - ID cầu thủ
+ * @param {Object} filters - season (bắt buộc với API-Football), league, team
+ * @returns {Promise<number>} Số dòng thống kê đã ghi
+ */
+async function refreshPlayerSeasonStats(playerId, { season, league, team }) {
+  const params = { id: playerId, season };
+  if (league !== undefined) {
+    params.league = league;
+  }
+  if (team !== undefined) {
+    params.team = team;
+  }
+
+  const { apiFootballGet } = ensureApiFootball();
+  const data = await apiFootballGet('/players', params);
+  const item = Array.isArray(data?.response) ? data.response[0] : null;
+  if (!item) {
+    return 0;
+  }
+
+  const entry = buildImportPayload(item, league, team, season);
+  const statsPayloads = entry?.statsPayloads ?? [];
+  if (statsPayloads.length) {
+    await bulkUpsertPlayerSeasonStats(statsPayloads);
+  }
+  return statsPayloads.length;
+}
+
+/**
+ * Làm mới thống kê ở nền (stale-while-revalidate). Bỏ qua khi circuit breaker
+ * đang mở hoặc cùng bộ lọc đang được làm mới.
+ *
+ * @param {number} playerId - ID cầu thủ
+ * @param {Object} filters - season, league, team
+ */
+function revalidatePlayerSeasonStats(playerId, filters) {
+  const key = JSON.stringify([playerId, filters.season, filters.league, filters.team]);
+  if (refreshingPlayerStats.has(key) || ensureApiFootball().apiFootballBreaker?.opened) {
+    return;
+  }
+  refreshingPlayerStats.add(key);
+  refreshPlayerSeasonStats(playerId, filters)
+    .catch((error) => logger.warn({ err: error, playerId }, 'Failed to refresh player season stats'))
+    .finally(() => refreshingPlayerStats.delete(key));
+}
+
+/**
+ * Lấy thống kê mùa giải của cầu thủ từ bảng player_season_stats.
+ *
+ * Chỉ gọi API-Football khi có `season` và dữ liệu local thiếu hoặc cũ hơn
+ * PLAYER_STATS_MAX_AGE_HOURS. Thiếu dữ liệu thì chờ API-Football; dữ liệu cũ thì
+ * được trả ngay (freshness 'stale') và làm mới ở nền.
+ *
+ * @async
+ * @param {number|string} rawId - ID cầu thủ
+ * @param {Object} [query={}] - Bộ lọc
+ * @param {number|string} [query.season] - Mùa giải
+ * @param {number|string} [query.league] - ID giải đấu
+ * @param {number|string} [query.team] - ID đội bóng
+ * @returns {Promise<Object>} { playerId, source: 'local'|'upstream', stale, freshness: 'fresh'|'stale', statistics }
+ * @throws {PlayersServiceError} 400 khi tham số không hợp lệ
+ */
+export async function getPlayerSeasonStats(rawId, query = {}) {
+  const playerId = validateId(rawId);
+  if (!playerId) {
+    throw new PlayersServiceError('Invalid player ID', 400);
+  }
+  const filters = {
+    season: parseOptionalFilter(query.season, 'season'),
+    league: parseOptionalFilter(query.league, 'league'),
+    team: parseOptionalFilter(query.team, 'team'),
+  };
+
+  const where = { player_id: playerId };
+  if (filters.season !== undefined) {
+    where.season = filters.season;
+  }
+  if (filters.league !== undefined) {
+    where.league_id = filters.league;
+  }
+  if (filters.team !== undefined) {
+    where.team_id = filters.team;
+  }
+
+  let rows = await findPlayerSeasonStats(where);
+  const stale = rows.length > 0 && isStale(rows);
+  let source = 'local';
+
+  // API-Football yêu cầu season khi lọc theo id cầu thủ
+  if (filters.season !== undefined && rows.length === 0) {
+    await refreshPlayerSeasonStats(playerId, filters);
+    rows = await findPlayerSeasonStats(where);
+    source = 'upstream';
+  } else if (filters.season !== undefined && stale) {
+    revalidatePlayerSeasonStats(playerId, filters);
+  }
+
+  return {
+    playerId,
+    source,
+    stale,
+    freshness: stale ? 'stale' : 'fresh',
+    statistics: rows,
+  };
 }
 
+/**
+ * Chuyển một dòng player_season_stats về dạng `statistics[]` của API-Football `/players`.
+ * Chỉ có các trường được lưu local; các nhóm khác (shots, passes, ...) không có.
+ *
+ * @param {Object} row - Dòng thống kê (plain object, kèm team / league)
+ * @returns {Object} Phần tử `statistics`
+ */
+function toLegacyStatistics(row) {
+  return {
+    team: { id: row.team_id, name: row.team?.name ?? null, logo: row.team?.logo ?? null },
+    league: { id: row.league_id, name: row.league?.name ?? null, logo: row.league?.logo ?? null, season: row.season },
+    games: {
+      appearences: row.appearances,
+      lineups: row.lineups,
+      minutes: row.minutes,
+      position: row.position,
+      rating: row.rating === null || row.rating === undefined ? null : String(row.rating),
+    },
+    goals: { total: row.goals, assists: row.assists },
+    cards: { yellow: row.yellow_cards, yellowred: row.yellowred_cards, red: row.red_cards },
+  };
+}
+
+/**
+ * Chuyển một cầu thủ về dạng `player` của API-Football `/players`.
+ *
+ * @param {Object} player - Cầu thủ (plain object)
+ * @returns {Object} Phần tử `player`
+ */
+function toLegacyPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    firstname: player.firstname,
+    lastname: player.lastname,
+    age: player.age,
+    birth: { date: player.birth_date, place: player.birth_place, country: player.birth_country },
+    nationality: player.nationality,
+    height: player.height,
+    weight: player.weight,
+    photo: player.photo,
+  };
+}
+
+/**
+ * Giữ lại cho route cũ `/players-stats` (playerid, season, leagueid, teamid).
+ * Response giữ nguyên dạng payload `/players` của API-Football mà route này từng proxy
+ * (`get`, `parameters`, `errors`, `results`, `paging`, `response`), nhưng được dựng từ
+ * player_season_stats và bảng players thay vì gọi API-Football mỗi lần.
+ *
+ * @deprecated Dùng getPlayerSeasonStats / GET /api/players/:id/stats
+ * @param {Object} [query={}] - playerid (bắt buộc), season, leagueid, teamid
+ * @returns {Promise<Object>} `{ data, freshness }`: data là payload dạng API-Football
+ * @throws {PlayersServiceError} 400 khi tham số không hợp lệ
+ */
 export async function getPlayerStats(query = {}) {
   const playerId = parsePositiveIntOrDefault(query.playerid, undefined);
   if (playerId === undefined) {
@@ -515,35 +1009,39 @@ export async function getPlayerStats(query = {}) {
   if (playerId === null) {
     throw new PlayersServiceError('playerid must be a positive integer', 400);
   }
-  const params = { id: playerId };
-
-  const seasonValue = parsePositiveIntOrDefault(query.season, undefined);
-  if (seasonValue !== undefined) {
-    if (seasonValue === null) {
-      throw new PlayersServiceError('season must be a positive integer', 400);
+  const parameters = { id: String(playerId) };
+  [['season', 'season'], ['leagueid', 'league'], ['teamid', 'team']].forEach(([queryKey, apiKey]) => {
+    const value = parsePositiveIntOrDefault(query[queryKey], undefined);
+    if (value === null) {
+      throw new PlayersServiceError(`${queryKey} must be a positive integer`, 400);
     }
-    params.season = seasonValue;
-  }
-
-  const leagueId = parsePositiveIntOrDefault(query.leagueid, undefined);
-  if (leagueId !== undefined) {
-    if (leagueId === null) {
-      throw new PlayersServiceError('leagueid must be a positive integer', 400);
+    if (value !== undefined) {
+      parameters[apiKey] = String(value);
     }
-    params.league = leagueId;
-  }
+  });
 
-  const teamId = parsePositiveIntOrDefault(query.teamid, undefined);
-  if (teamId !== undefined) {
-    if (teamId === null) {
-      throw new PlayersServiceError('teamid must be a positive integer', 400);
-    }
-    params.team = teamId;
-  }
+  const stats = await getPlayerSeasonStats(playerId, parameters);
+  const player = stats.statistics.length
+    ? await findPlayerById(playerId, { attributes: PLAYER_ATTRIBUTES })
+    : null;
+  const response = player
+    ? [{
+      player: toLegacyPlayer(player.get({ plain: true })),
+      statistics: stats.statistics.map((row) => toLegacyStatistics(row.get({ plain: true }))),
+    }]
+    : [];
 
-  const { apiFootballGet } = ensureApiFootball();
-  const data = await apiFootballGet('/players', params);
-  return data;
+  return {
+    data: {
+      get: 'players',
+      parameters,
+      errors: [],
+      results: response.length,
+      paging: { current: 1, total: 1 },
+      response,
+    },
+    freshness: stats.freshness,
+  };
 }
 
 /**
@@ -0,0 +1,165 @@
+/**
+ * =============================================================================
+ * FILE: src/modules/players/services/profileHistory.service.js
+ * =============================================================================
+ *
+ * @fileoverview Profile History Service
+ *
+ * @description
+ * Danh hiệu (`/trophies`) và các giai đoạn vắng mặt (`/sidelined`) của cầu thủ
+ * hoặc huấn luyện viên. Dữ liệu được đọc từ DB và chỉ đồng bộ lại từ API-Football
+ * khi chưa từng đồng bộ hoặc đã cũ hơn PROFILE_HISTORY_MAX_AGE_HOURS.
+ * Dùng chung cho players (getPlayerDetails) và coaches (getCoachDetails).
+ *
+ * @module modules/players/services/profileHistory.service
+ * @requires modules/players/repositories/profileHistory.repository
+ * @requires modules/apiFootball/services/apiFootball.service
+ *
+ * =============================================================================
+ */
+
+import { logger } from '../../../common/logger.js';
+import { getApiFootballErrors } from '../../apiFootball/services/apiFootball.service.js';
+import {
+  findProfileHistory,
+  findProfileHistorySync,
+  replaceProfileHistory,
+} from '../repositories/profileHistory.repository.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Các phần lịch sử có thể yêu cầu qua `include` */
+export const PROFILE_HISTORY_KINDS = ['trophies', 'sidelined'];
+
+/**
+ * Đọc cấu hình tuổi tối đa (giờ) từ biến môi trường và đổi sang ms.
+ * Giá trị thiếu, không phải số hoặc không dương sẽ dùng mặc định.
+ */
+function readMaxAgeMs(name, fallbackHours) {
+  const parsed = Number.parseInt(process.env[name] ?? '', 10);
+  const hours = Number.isInteger(parsed) && parsed > 0 ? parsed : fallbackHours;
+  return hours * 60 * 60 * 1000;
+}
+
+/** Tuổi tối đa (ms) của danh hiệu / lịch sử vắng mặt trước khi đồng bộ lại */
+const PROFILE_HISTORY_MAX_AGE_MS = readMaxAgeMs('PROFILE_HISTORY_MAX_AGE_HOURS', 168);
+
+/** Endpoint API-Football tương ứng với từng phần lịch sử */
+const API_PATHS = {
+  trophies: '/trophies',
+  sidelined: '/sidelined',
+};
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function normalizeStringField(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+function normalizeDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value ?? '') ? value : null;
+}
+
+function buildPayload(kind, subjectType, subjectId, entry) {
+  if (kind === 'trophies') {
+    return {
+      subject_type: subjectType,
+      subject_id: subjectId,
+      league: normalizeStringField(entry?.league),
+      country: normalizeStringField(entry?.country),
+      season: normalizeStringField(entry?.season),
+      place: normalizeStringField(entry?.place),
+    };
+  }
+  return {
+    subject_type: subjectType,
+    subject_id: subjectId,
+    type: normalizeStringField(entry?.type),
+    start_date: normalizeDate(entry?.start),
+    end_date: normalizeDate(entry?.end),
+  };
+}
+
+async function syncProfileHistory(apiFootballGet, subjectType, subjectId, kind) {
+  const data = await apiFootballGet(API_PATHS[kind], { [subjectType]: subjectId });
+  // Lỗi quota / tham số trả về HTTP 200 với `errors` và `response` rỗng: không được xóa dữ liệu đã lưu
+  const errors = getApiFootballErrors(data);
+  if (errors) {
+    const error = new Error(`API-Football ${API_PATHS[kind]} returned errors`);
+    error.statusCode = 502;
+    error.details = errors;
+    throw error;
+  }
+  const entries = Array.isArray(data?.response) ? data.response : [];
+  const payloads = entries.map((entry) => buildPayload(kind, subjectType, subjectId, entry));
+  await replaceProfileHistory(subjectType, subjectId, kind, payloads, new Date());
+}
+
+async function loadKind(apiFootballGet, subjectType, subjectId, kind) {
+  const sync = await findProfileHistorySync(subjectType, subjectId, kind);
+  if (!sync || Date.now() - new Date(sync.synced_at).getTime() > PROFILE_HISTORY_MAX_AGE_MS) {
+    try {
+      await syncProfileHistory(apiFootballGet, subjectType, subjectId, kind);
+    } catch (error) {
+      if (!sync) {
+        throw error;
+      }
+      logger.warn({ err: error, subjectType, subjectId, kind }, 'Failed to refresh profile history, serving stale data');
+    }
+  }
+  return findProfileHistory(subjectType, subjectId, kind);
+}
+
+// =============================================================================
+// Service Functions
+// =============================================================================
+
+/**
+ * Parse tham số `include` (chuỗi phân tách bởi dấu phẩy hoặc mảng).
+ *
+ * @function parseProfileHistoryInclude
+ * @param {string|string[]|undefined} rawInclude - Giá trị `include` từ query
+ * @returns {string[]|null} Danh sách phần lịch sử (không trùng), null nếu có giá trị không hỗ trợ
+ */
+export function parseProfileHistoryInclude(rawInclude) {
+  if (rawInclude === undefined || rawInclude === null) {
+    return [];
+  }
+  const values = (Array.isArray(rawInclude) ? rawInclude : [rawInclude])
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  if (values.some((value) => !PROFILE_HISTORY_KINDS.includes(value))) {
+    return null;
+  }
+  return [...new Set(values)];
+}
+
+/**
+ * Lấy danh hiệu và/hoặc giai đoạn vắng mặt của một cầu thủ hoặc huấn luyện viên.
+ * Đồng bộ từ API-Football nếu chưa có hoặc đã cũ; lỗi khi làm mới thì trả dữ liệu cũ.
+ *
+ * @async
+ * @function loadProfileHistory
+ * @param {Object} params - Tham số
+ * @param {Function} params.apiFootballGet - Client API-Football của module gọi
+ * @param {('player'|'coach')} params.subjectType - Loại đối tượng
+ * @param {number} params.subjectId - Player ID hoặc Coach ID
+ * @param {string[]} params.kinds - Các phần cần lấy (xem PROFILE_HISTORY_KINDS)
+ * @returns {Promise<Object>} `{ trophies?, sidelined? }` theo `kinds`
+ */
+export async function loadProfileHistory({ apiFootballGet, subjectType, subjectId, kinds }) {
+  const history = {};
+  for (const kind of kinds) {
+    history[kind] = await loadKind(apiFootballGet, subjectType, subjectId, kind);
+  }
+  return history;
+}
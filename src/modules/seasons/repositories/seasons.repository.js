@@ -11,6 +11,17 @@ export function findOrCreateSeason(seasonValue) {
   });
 }
 
+export async function insertMissingSeasons(seasonValues, options = {}) {
+  // The seasons table has no unique key in every deployment, so existing rows are filtered out first
+  const existing = await Season.findAll({ where: { season: seasonValues }, ...options });
+  const known = new Set(existing.map((row) => row.season));
+  const missing = [...new Set(seasonValues)].filter((value) => !known.has(value));
+  if (missing.length) {
+    await Season.bulkCreate(missing.map((season) => ({ season })), options);
+  }
+  return missing;
+}
+
 export function deleteSeason(seasonValue) {
   return Season.destroy({ where: { season: seasonValue } });
 }
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Standings Controller
+ * @description HTTP request handlers for league table endpoints. Delegates to the
+ * standings service and formats API responses.
+ * @module modules/standings/controllers/standings
+ */
+
+import ApiResponse from '../../../common/response.js';
+import toAppException from '../../../common/controllerError.js';
+import {
+  getStandings,
+  importStandings,
+  recomputeStandings,
+} from '../services/standings.service.js';
+
+/**
+ * Controller class for handling standings-related HTTP requests.
+ * All methods are static and follow Express middleware signature (req, res, next).
+ * @class StandingsController
+ */
+class StandingsController {
+  /**
+   * Retrieves the stored table for a league and season.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {string} req.params.id - League ID
+   * @param {string} req.params.season - Season year
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the league table
+   */
+  static async list(req, res, next) {
+    try {
+      const payload = await getStandings(req.params.id, req.params.season);
+      return ApiResponse.success(res, payload, 'Standings retrieved');
+    } catch (err) {
+      next(toAppException(err, 'Error retrieving standings', 'STANDINGS_FETCH_FAILED'));
+    }
+  }
+
+  /**
+   * Imports the standings snapshot from API-Football.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {string} req.params.id - League ID
+   * @param {string} req.params.season - Season year
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the import summary
+   */
+  static async import(req, res, next) {
+    try {
+      const summary = await importStandings(req.params.id, req.params.season, {
+        background: req.query.background,
+      });
+      return ApiResponse.success(res, summary, 'Standings imported');
+    } catch (err) {
+      next(toAppException(err, 'Error importing standings', 'STANDINGS_IMPORT_FAILED'));
+    }
+  }
+
+  /**
+   * Rebuilds the table from locally stored finished fixtures.
+   * @static
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {string} req.params.id - League ID
+   * @param {string} req.params.season - Season year
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the recompute summary
+   */
+  static async recompute(req, res, next) {
+    try {
+      const summary = await recomputeStandings(req.params.id, req.params.season);
+      return ApiResponse.success(res, summary, 'Standings recomputed');
+    } catch (err) {
+      next(toAppException(err, 'Error recomputing standings', 'STANDINGS_RECOMPUTE_FAILED'));
+    }
+  }
+}
+
+export default StandingsController;
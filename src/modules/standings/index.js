@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Standings Module Registration
+ * @description Entry point for the standings module. Registers the Standing model
+ * and service layer, and exposes public/private routes for league tables.
+ * @module modules/standings
+ */
+
+import { publicRouter, privateRouter } from './routes/standings.routes.js';
+import Standing from './models/standing.model.js';
+import * as StandingsService from './services/standings.service.js';
+import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
+
+/**
+ * Registers the standings module with the application container.
+ *
+ * @async
+ * @function registerStandingsModule
+ * @param {Object} options - Registration options
+ * @param {Object} options.container - Dependency injection container
+ * @returns {Promise<Object>} Module configuration object
+ * @returns {string} returns.name - Module identifier ('standings')
+ * @returns {string} returns.basePath - Base URL path for routes
+ * @returns {Router} returns.publicRoutes - Express router for public endpoints
+ * @returns {Router} returns.privateRoutes - Express router for authenticated endpoints
+ * @returns {Object} returns.publicApi - Exposed API for inter-module communication
+ */
+export default async function registerStandingsModule({ container }) {
+  registerIfMissing(container, TOKENS.models.Standing, Standing);
+  container.set(TOKENS.services.standings, StandingsService);
+
+  return {
+    name: 'standings',
+    basePath: '/',
+    publicRoutes: publicRouter,
+    privateRoutes: privateRouter,
+    jobs: [
+      { name: 'standings-import', handler: StandingsService.performStandingsImport },
+    ],
+    publicApi: {
+      Standing,
+      services: StandingsService,
+    },
+  };
+}
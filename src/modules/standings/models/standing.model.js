@@ -0,0 +1,212 @@
+/**
+ * @file Standing Model Definition
+ * @description Sequelize model for the standings table. Each row is one team's
+ * position in a league table for a season, including overall totals and
+ * home/away splits. Rows are either imported from API-Football or recomputed
+ * from locally stored finished fixtures.
+ * @module modules/standings/models/standing
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Team from '../../teams/models/team.model.js';
+
+/**
+ * Origin of a standings snapshot.
+ * @constant {string[]}
+ */
+export const STANDING_SOURCES = ['api', 'computed'];
+
+/**
+ * Standing model representing one row of a league table.
+ * @typedef {Object} Standing
+ * @property {number} league_id - League identifier (composite primary key)
+ * @property {number} season - Season year (composite primary key)
+ * @property {number} team_id - Team identifier (composite primary key)
+ * @property {string|null} group_name - Group label for multi-group competitions
+ * @property {number} rank - Position in the table
+ * @property {number} points - Points earned
+ * @property {number} goals_diff - Goal difference
+ * @property {string|null} form - Recent results (e.g., 'WWDLW')
+ * @property {string|null} status - Movement indicator reported by API-Football (up/down/same)
+ * @property {string|null} description - Qualification/relegation note
+ * @property {number} played - Matches played
+ * @property {number} win - Matches won
+ * @property {number} draw - Matches drawn
+ * @property {number} lose - Matches lost
+ * @property {number} goals_for - Goals scored
+ * @property {number} goals_against - Goals conceded
+ * @property {number} home_played - Home matches played
+ * @property {number} home_win - Home matches won
+ * @property {number} home_draw - Home matches drawn
+ * @property {number} home_lose - Home matches lost
+ * @property {number} home_goals_for - Home goals scored
+ * @property {number} home_goals_against - Home goals conceded
+ * @property {number} away_played - Away matches played
+ * @property {number} away_win - Away matches won
+ * @property {number} away_draw - Away matches drawn
+ * @property {number} away_lose - Away matches lost
+ * @property {number} away_goals_for - Away goals scored
+ * @property {number} away_goals_against - Away goals conceded
+ * @property {string} source - 'api' when imported, 'computed' when rebuilt from fixtures
+ * @property {Date} created_at - Timestamp when the record was created
+ * @property {Date} updated_at - Timestamp when the record was last updated
+ */
+const Standing = sequelize.define('Standing', {
+  league_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  season: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  group_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  goals_diff: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  form: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  played: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  win: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  draw: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  lose: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  goals_for: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  goals_against: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  home_played: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  home_win: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  home_draw: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  home_lose: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  home_goals_for: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  home_goals_against: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  away_played: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  away_win: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  away_draw: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  away_lose: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  away_goals_for: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  away_goals_against: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  source: {
+    type: DataTypes.ENUM(...STANDING_SOURCES),
+    allowNull: false,
+    defaultValue: 'api',
+  },
+}, {
+  tableName: 'standings',
+  underscored: true,
+  timestamps: true,
+  indexes: [
+    { fields: ['league_id', 'season', 'rank'] },
+  ],
+});
+
+// Teams are joined for display only; standings may be imported before teams.
+Standing.belongsTo(Team, {
+  foreignKey: 'team_id',
+  as: 'team',
+  constraints: false,
+});
+
+export default Standing;
@@ -0,0 +1,23 @@
+import sequelize from '../../../common/db.js';
+import Standing from '../models/standing.model.js';
+import Team from '../../teams/models/team.model.js';
+
+export function findStandings(leagueId, season) {
+  return Standing.findAll({
+    where: { league_id: leagueId, season },
+    include: [{ model: Team, as: 'team', attributes: ['id', 'name', 'code', 'logo'], required: false }],
+    order: [['group_name', 'ASC'], ['rank', 'ASC'], ['team_id', 'ASC']],
+  });
+}
+
+// Replaces the whole table for a league-season so teams that dropped out of
+// the upstream snapshot (or have no finished fixtures) do not linger.
+export function replaceStandings(leagueId, season, rows) {
+  return sequelize.transaction(async (transaction) => {
+    await Standing.destroy({ where: { league_id: leagueId, season }, transaction });
+    if (!rows.length) {
+      return [];
+    }
+    return Standing.bulkCreate(rows, { transaction });
+  });
+}
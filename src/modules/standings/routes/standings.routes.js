@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Standings Routes Configuration
+ * @description Express router definitions for league table endpoints. Reading a
+ * table is public; importing from API-Football and recomputing from local
+ * fixtures require authentication.
+ * @module modules/standings/routes/standings
+ *
+ * @exports publicRouter - Router for unauthenticated standings endpoints
+ * @exports privateRouter - Router for authenticated standings endpoints
+ */
+
+import { Router } from 'express';
+import auth from '../../../common/authMiddleware.js';
+import { validateSchema } from '../../../middlewares/validateSchema.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
+import StandingsController from '../controllers/standings.controller.js';
+import { leagueSeasonParamSchema } from '../validation/standings.validation.js';
+
+/** @type {import('express').Router} Public routes - no authentication required */
+const publicRouter = Router();
+
+/** @type {import('express').Router} Private routes - authentication required */
+const privateRouter = Router();
+
+/**
+ * @openapi
+ * /api/leagues/{id}/seasons/{season}/standings:
+ *   get:
+ *     summary: League table for a season
+ *     description: Returns the stored table ordered by group and rank. `source` tells whether it was imported from API-Football or recomputed from local fixtures; it is null and `standings` is empty when nothing is stored yet.
+ *     tags:
+ *       - Standings
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: path
+ *         name: season
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Standings retrieved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     league:
+ *                       type: integer
+ *                     season:
+ *                       type: integer
+ *                     source:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [api, computed]
+ *                     standings:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         additionalProperties: true
+ *             example:
+ *               success: true
+ *               message: "Standings retrieved"
+ *               data:
+ *                 league: 39
+ *                 season: 2023
+ *                 source: "api"
+ *                 standings:
+ *                   - team_id: 50
+ *                     rank: 1
+ *                     points: 91
+ *                     goals_diff: 62
+ *                     form: "WWWWW"
+ *                     played: 38
+ *                     win: 28
+ *                     draw: 7
+ *                     lose: 3
+ *                     home_win: 14
+ *                     away_win: 14
+ *                     source: "api"
+ *                     team:
+ *                       id: 50
+ *                       name: "Manchester City"
+ *       400:
+ *         description: Invalid league or season.
+ *       500:
+ *         description: Unexpected error while retrieving standings.
+ */
+publicRouter.get(
+  '/leagues/:id/seasons/:season/standings',
+  resolveSeasonParam({ leagueKeys: ['id'] }),
+  validateSchema(leagueSeasonParamSchema),
+  StandingsController.list,
+);
+
+/**
+ * @openapi
+ * /api/leagues/{id}/seasons/{season}/standings/import:
+ *   post:
+ *     summary: Import standings from API-Football
+ *     description: Replaces the stored table for the league-season with the current API-Football snapshot.
+ *     tags:
+ *       - Standings
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: path
+ *         name: season
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Standings imported.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Standings imported"
+ *               data:
+ *                 league: 39
+ *                 season: 2023
+ *                 imported: 20
+ *                 groups: 1
+ *       400:
+ *         description: Invalid league or season.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: API-Football has no table for this league-season (STANDINGS_NOT_AVAILABLE).
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+privateRouter.post(
+  '/leagues/:id/seasons/:season/standings/import',
+  auth,
+  resolveSeasonParam({ leagueKeys: ['id'] }),
+  validateSchema(leagueSeasonParamSchema),
+  StandingsController.import,
+);
+
+/**
+ * @openapi
+ * /api/leagues/{id}/seasons/{season}/standings/recompute:
+ *   post:
+ *     summary: Recompute standings from local fixtures
+ *     description: Rebuilds the table from finished fixtures (FT, AET, PEN) stored locally. Only league-phase rounds ('Regular Season - N', 'League Stage - N') are counted; group stages, knockout rounds and play-offs are ignored. Three points per win, one per draw; ties are broken by goal difference, then goals scored. The group name of a single-group stored table is kept. A stored table with several groups (e.g. a group stage imported from API-Football) is not replaced.
+ *     tags:
+ *       - Standings
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: path
+ *         name: season
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Standings recomputed.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Standings recomputed"
+ *               data:
+ *                 league: 39
+ *                 season: 2023
+ *                 teams: 20
+ *                 fixturesUsed: 380
+ *       400:
+ *         description: Invalid league or season.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       404:
+ *         description: No finished league-phase fixtures stored for this league-season (STANDINGS_NO_FINISHED_FIXTURES).
+ *       409:
+ *         description: The stored table has more than one group and cannot be rebuilt as a single table (STANDINGS_MULTI_GROUP).
+ *       500:
+ *         description: Unexpected error while recomputing standings.
+ */
+privateRouter.post(
+  '/leagues/:id/seasons/:season/standings/recompute',
+  auth,
+  resolveSeasonParam({ leagueKeys: ['id'] }),
+  validateSchema(leagueSeasonParamSchema),
+  StandingsController.recompute,
+);
+
+export { publicRouter, privateRouter };
@@ -0,0 +1,402 @@
+/**
+ * @fileoverview Standings Service Layer
+ * @description Business logic for league tables. Imports standings snapshots
+ * from API-Football and can rebuild a table from locally stored finished
+ * fixtures so the API does not depend on the upstream snapshot.
+ * @module modules/standings/services/standings
+ */
+
+import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+import { findFixtures } from '../../fixtures/repositories/fixtures.repository.js';
+import { FINISHED_STATUSES } from '../../fixtures/services/fixtures.service.js';
+import { findTeamIdsByLeagueAndSeason } from '../../leagueTeamSeason/repositories/leagueTeamSeason.repository.js';
+import { findStandings, replaceStandings } from '../repositories/standings.repository.js';
+
+/** @constant {number} FORM_LENGTH - Number of recent results kept in the computed form string */
+const FORM_LENGTH = 5;
+
+/** @constant {number} POINTS_PER_WIN - Points awarded for a win */
+const POINTS_PER_WIN = 3;
+
+/** @constant {number} POINTS_PER_DRAW - Points awarded for a draw */
+const POINTS_PER_DRAW = 1;
+
+/**
+ * Round label prefixes of the single-table league phase (API-Football naming, e.g. 'Regular Season - 12').
+ * Group stages, knockout rounds, play-offs and split-season rounds are left out of a recompute.
+ * @constant {string[]}
+ */
+const LEAGUE_PHASE_ROUND_PREFIXES = ['Regular Season', 'League Stage'];
+
+/**
+ * Builds an Error carrying an HTTP status code.
+ * @private
+ * @param {string} code - Error code used as message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode set
+ */
+function buildError(code, statusCode) {
+  const error = new Error(code);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parses a value to a positive integer.
+ * @private
+ * @param {*} value - Value to parse
+ * @returns {number|null} Parsed positive integer or null if invalid
+ */
+function parsePositiveInt(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Parses an integer from an API payload, defaulting to zero.
+ * @private
+ * @param {*} value - Value to parse
+ * @returns {number} Parsed integer or 0
+ */
+function toInt(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) ? parsed : 0;
+}
+
+/**
+ * Trims a string value, returning null when empty.
+ * @private
+ * @param {*} value - Value to normalize
+ * @returns {string|null} Trimmed string or null
+ */
+function toNullableString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Validates the league/season pair used by every standings operation.
+ * @private
+ * @param {*} rawLeagueId - Raw league ID
+ * @param {*} rawSeason - Raw season year
+ * @returns {{leagueId: number, season: number}} Normalized identifiers
+ * @throws {Error} LEAGUE_ID_INVALID or SEASON_INVALID (statusCode: 400)
+ */
+function normalizeLeagueSeason(rawLeagueId, rawSeason) {
+  const leagueId = parsePositiveInt(rawLeagueId);
+  if (!leagueId) {
+    throw buildError('LEAGUE_ID_INVALID', 400);
+  }
+  const season = parsePositiveInt(rawSeason);
+  if (!season) {
+    throw buildError('SEASON_INVALID', 400);
+  }
+  return { leagueId, season };
+}
+
+/**
+ * Maps one API-Football standings entry to a standings row.
+ * @private
+ * @param {Object} entry - Entry from response[0].league.standings[group][n]
+ * @param {number} leagueId - League ID
+ * @param {number} season - Season year
+ * @returns {Object|null} Standings row or null when the team is missing
+ */
+function buildStandingFromApi(entry, leagueId, season) {
+  const teamId = parsePositiveInt(entry?.team?.id);
+  if (!teamId) {
+    return null;
+  }
+  const all = entry.all ?? {};
+  const home = entry.home ?? {};
+  const away = entry.away ?? {};
+  return {
+    league_id: leagueId,
+    season,
+    team_id: teamId,
+    group_name: toNullableString(entry.group),
+    rank: toInt(entry.rank),
+    points: toInt(entry.points),
+    goals_diff: toInt(entry.goalsDiff),
+    form: toNullableString(entry.form),
+    status: toNullableString(entry.status),
+    description: toNullableString(entry.description),
+    played: toInt(all.played),
+    win: toInt(all.win),
+    draw: toInt(all.draw),
+    lose: toInt(all.lose),
+    goals_for: toInt(all.goals?.for),
+    goals_against: toInt(all.goals?.against),
+    home_played: toInt(home.played),
+    home_win: toInt(home.win),
+    home_draw: toInt(home.draw),
+    home_lose: toInt(home.lose),
+    home_goals_for: toInt(home.goals?.for),
+    home_goals_against: toInt(home.goals?.against),
+    away_played: toInt(away.played),
+    away_win: toInt(away.win),
+    away_draw: toInt(away.draw),
+    away_lose: toInt(away.lose),
+    away_goals_for: toInt(away.goals?.for),
+    away_goals_against: toInt(away.goals?.against),
+    source: 'api',
+  };
+}
+
+/**
+ * Tells whether a fixture belongs to the league phase of a competition.
+ * @private
+ * @param {string|null} round - Fixture round label
+ * @returns {boolean} True for league-phase rounds
+ */
+function isLeaguePhaseRound(round) {
+  return typeof round === 'string' && LEAGUE_PHASE_ROUND_PREFIXES.some((prefix) => round.startsWith(prefix));
+}
+
+/**
+ * Creates an empty accumulator for a team when computing a table.
+ * @private
+ * @param {number} leagueId - League ID
+ * @param {number} season - Season year
+ * @param {number} teamId - Team ID
+ * @param {string|null} groupName - Group name kept from the stored table
+ * @returns {Object} Zeroed standings row with a results list
+ */
+function createEmptyRow(leagueId, season, teamId, groupName) {
+  return {
+    league_id: leagueId,
+    season,
+    team_id: teamId,
+    group_name: groupName,
+    rank: 0,
+    points: 0,
+    goals_diff: 0,
+    form: null,
+    status: null,
+    description: null,
+    played: 0,
+    win: 0,
+    draw: 0,
+    lose: 0,
+    goals_for: 0,
+    goals_against: 0,
+    home_played: 0,
+    home_win: 0,
+    home_draw: 0,
+    home_lose: 0,
+    home_goals_for: 0,
+    home_goals_against: 0,
+    away_played: 0,
+    away_win: 0,
+    away_draw: 0,
+    away_lose: 0,
+    away_goals_for: 0,
+    away_goals_against: 0,
+    source: 'computed',
+    results: [],
+  };
+}
+
+/**
+ * Applies one match result to a team accumulator.
+ * @private
+ * @param {Object} row - Team accumulator
+ * @param {'home'|'away'} side - Side the team played on
+ * @param {number} scored - Goals scored by the team
+ * @param {number} conceded - Goals conceded by the team
+ */
+function applyResult(row, side, scored, conceded) {
+  let outcome = 'draw';
+  if (scored > conceded) {
+    outcome = 'win';
+  } else if (scored < conceded) {
+    outcome = 'lose';
+  }
+
+  row.played += 1;
+  row[outcome] += 1;
+  row.goals_for += scored;
+  row.goals_against += conceded;
+  row[`${side}_played`] += 1;
+  row[`${side}_${outcome}`] += 1;
+  row[`${side}_goals_for`] += scored;
+  row[`${side}_goals_against`] += conceded;
+  row.results.push(outcome === 'win' ? 'W' : outcome === 'draw' ? 'D' : 'L');
+}
+
+/**
+ * Orders table rows: points, goal difference, goals scored, then team ID.
+ * @private
+ * @param {Object} a - First row
+ * @param {Object} b - Second row
+ * @returns {number} Sort order
+ */
+function compareRows(a, b) {
+  return (
+    b.points - a.points
+    || b.goals_diff - a.goals_diff
+    || b.goals_for - a.goals_for
+    || a.team_id - b.team_id
+  );
+}
+
+/**
+ * Retrieves the stored table for a league and season.
+ * @async
+ * @function getStandings
+ * @param {string|number} rawLeagueId - League ID
+ * @param {string|number} rawSeason - Season year
+ * @returns {Promise<Object>} `{ league, season, source, standings }`; standings is empty when nothing is stored
+ * @throws {Error} LEAGUE_ID_INVALID or SEASON_INVALID (statusCode: 400)
+ */
+export async function getStandings(rawLeagueId, rawSeason) {
+  const { leagueId, season } = normalizeLeagueSeason(rawLeagueId, rawSeason);
+  const standings = await findStandings(leagueId, season);
+  return {
+    league: leagueId,
+    season,
+    source: standings.length ? standings[0].source : null,
+    standings,
+  };
+}
+
+/**
+ * Imports the standings snapshot from API-Football and replaces the stored table.
+ * @async
+ * @function importStandings
+ * @param {string|number} rawLeagueId - League ID
+ * @param {string|number} rawSeason - Season year
+ * @param {Object} [options={}] - Import options
+ * @param {boolean|string} [options.background=false] - Queue the import instead of running it
+ * @returns {Promise<Object>} `{ league, season, imported, groups }`, or `{ queued: true, jobId, ... }` when queued
+ * @throws {Error} LEAGUE_ID_INVALID or SEASON_INVALID (statusCode: 400)
+ * @throws {Error} STANDINGS_NOT_AVAILABLE when API-Football returns no table (statusCode: 404)
+ */
+export async function importStandings(rawLeagueId, rawSeason, { background } = {}) {
+  const params = normalizeLeagueSeason(rawLeagueId, rawSeason);
+  if (isBackgroundRequested(background)) {
+    const queued = await enqueueImportJob('standings-import', params);
+    return {
+      ...queued,
+      message: 'Import job queued',
+      league: params.leagueId,
+      season: params.season,
+    };
+  }
+  return performStandingsImport(params);
+}
+
+/**
+ * Fetches the standings snapshot and replaces the stored table. Called directly or by the import worker.
+ * @async
+ * @function performStandingsImport
+ * @param {Object} params - Validated `{ leagueId, season }`
+ * @returns {Promise<Object>} `{ league, season, imported, groups }`
+ * @throws {Error} STANDINGS_NOT_AVAILABLE when API-Football returns no table (statusCode: 404)
+ */
+export async function performStandingsImport({ leagueId, season }) {
+  const data = await apiFootballGet('/standings', { league: leagueId, season });
+  const groups = data?.response?.[0]?.league?.standings;
+  if (!Array.isArray(groups) || groups.length === 0) {
+    throw buildError('STANDINGS_NOT_AVAILABLE', 404);
+  }
+
+  // A team may appear in several groups (e.g. split-season leagues); keep the first occurrence
+  const rowsByTeam = new Map();
+  groups.flat().forEach((entry) => {
+    const row = buildStandingFromApi(entry, leagueId, season);
+    if (row && !rowsByTeam.has(row.team_id)) {
+      rowsByTeam.set(row.team_id, row);
+    }
+  });
+
+  const rows = [...rowsByTeam.values()];
+  await replaceStandings(leagueId, season, rows);
+
+  return {
+    league: leagueId,
+    season,
+    imported: rows.length,
+    groups: groups.length,
+  };
+}
+
+/**
+ * Rebuilds the table for a league and season from locally stored finished fixtures.
+ * Only league-phase rounds are counted (see LEAGUE_PHASE_ROUND_PREFIXES), so cup and
+ * knockout ties never end up in the table. A stored table with several groups is left
+ * untouched; the group name of a single-group table is kept.
+ * Teams mapped to the league-season without a finished match are listed with zero points.
+ * @async
+ * @function recomputeStandings
+ * @param {string|number} rawLeagueId - League ID
+ * @param {string|number} rawSeason - Season year
+ * @returns {Promise<Object>} `{ league, season, teams, fixturesUsed }`
+ * @throws {Error} LEAGUE_ID_INVALID or SEASON_INVALID (statusCode: 400)
+ * @throws {Error} STANDINGS_NO_FINISHED_FIXTURES when no finished league-phase fixture is stored (statusCode: 404)
+ * @throws {Error} STANDINGS_MULTI_GROUP when the stored table has more than one group (statusCode: 409)
+ */
+export async function recomputeStandings(rawLeagueId, rawSeason) {
+  const { leagueId, season } = normalizeLeagueSeason(rawLeagueId, rawSeason);
+
+  // A single flat table cannot represent group stages or split seasons
+  const storedGroups = [...new Set((await findStandings(leagueId, season)).map((row) => row.group_name))];
+  if (storedGroups.length > 1) {
+    throw buildError('STANDINGS_MULTI_GROUP', 409);
+  }
+  const groupName = storedGroups[0] ?? null;
+
+  const fixtures = await findFixtures(
+    { leagueId, season, status: FINISHED_STATUSES },
+    { attributes: ['id', 'round', 'home_team_id', 'away_team_id', 'home_goals', 'away_goals', 'kickoff_at'] },
+  );
+  const playedFixtures = fixtures.filter(
+    (fixture) => isLeaguePhaseRound(fixture.round) && fixture.home_goals !== null && fixture.away_goals !== null,
+  );
+  if (playedFixtures.length === 0) {
+    throw buildError('STANDINGS_NO_FINISHED_FIXTURES', 404);
+  }
+
+  const rowsByTeam = new Map();
+  const rowFor = (teamId) => {
+    if (!rowsByTeam.has(teamId)) {
+      rowsByTeam.set(teamId, createEmptyRow(leagueId, season, teamId, groupName));
+    }
+    return rowsByTeam.get(teamId);
+  };
+
+  const mappings = await findTeamIdsByLeagueAndSeason(leagueId, season);
+  mappings.forEach((mapping) => rowFor(mapping.teamId));
+
+  // Fixtures are ordered by kickoff, so results accumulate chronologically
+  playedFixtures.forEach((fixture) => {
+    applyResult(rowFor(fixture.home_team_id), 'home', fixture.home_goals, fixture.away_goals);
+    applyResult(rowFor(fixture.away_team_id), 'away', fixture.away_goals, fixture.home_goals);
+  });
+
+  const rows = [...rowsByTeam.values()].map(({ results, ...row }) => ({
+    ...row,
+    points: row.win * POINTS_PER_WIN + row.draw * POINTS_PER_DRAW,
+    goals_diff: row.goals_for - row.goals_against,
+    // Most recent result first, matching API-Football's form string
+    form: results.length ? results.slice(-FORM_LENGTH).reverse().join('') : null,
+  }));
+
+  rows.sort(compareRows);
+  rows.forEach((row, index) => {
+    row.rank = index + 1;
+  });
+
+  await replaceStandings(leagueId, season, rows);
+
+  return {
+    league: leagueId,
+    season,
+    teams: rows.length,
+    fixturesUsed: playedFixtures.length,
+  };
+}
@@ -0,0 +1,8 @@
+import { z } from 'zod';
+
+export const leagueSeasonParamSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[1-9]\d*$/, 'League id must be a positive integer'),
+    season: z.string().regex(/^[1-9]\d*$/, 'Season must be a positive integer'),
+  }),
+});
@@ -9,13 +9,15 @@
  * @requires ../../../common/exceptions/index.js - Custom exception classes
  * @requires ../../../common/controllerError.js - Error mapping utility
  * @requires ../services/teams.service.js - Teams business logic
+ * @requires ../services/headToHead.service.js - Head-to-head business logic
+ * @requires ../services/squad.service.js - Team squad business logic
  * 
  * @author KickOffHub Team
  * @version 1.0.0
  */
 
 import ApiResponse from '../../../common/response.js';
-import { AppException } from '../../../common/exceptions/index.js';
+import { AppException, AuthException } from '../../../common/exceptions/index.js';
 import toAppException from '../../../common/controllerError.js';
 import {
   listTeams,
@@ -29,6 +31,9 @@ import {
   importTeams,
   getTeamStats,
 } from '../services/teams.service.js';
+import { getHeadToHead } from '../services/headToHead.service.js';
+import { getTeamSquad } from '../services/squad.service.js';
+import { parseBooleanFlag } from '../../../common/booleanFlags.js';
 
 /**
  * Đọc giá trị từ request body hoặc query
@@ -139,6 +144,8 @@ const TeamsController = {
    * @param {import('express').Request} req - Express request
    * @param {Object} req.params - Route parameters
    * @param {string} req.params.id - Team ID
+   * @param {Object} req.query - Query parameters
+   * @param {string} [req.query.include] - `venue` để kèm sân nhà
    * @param {import('express').Response} res - Express response
    * @param {import('express').NextFunction} next - Express next middleware
    * 
@@ -146,7 +153,7 @@ const TeamsController = {
    */
   async getTeamById(req, res, next) {
     try {
-      const team = await getTeam(req.params.id);
+      const team = await getTeam(req.params.id, req.query);
       return ApiResponse.success(res, team, 'Team retrieved');
     } catch (err) {
       next(mapTeamsError(err, 'Lỗi khi lấy thông tin team', 'TEAM_FETCH_FAILED'));
@@ -293,6 +300,8 @@ const TeamsController = {
    * @param {number} req.body.season - Season year (bắt buộc)
    * @param {number} req.body.league - League ID (bắt buộc)
    * @param {boolean} [req.body.background=false] - Chạy trong background queue
+   * @param {boolean} [req.body.force=false] - Ghi đè cả các field bị khóa
+   * @param {boolean} [req.body.dryRun=false] - Chỉ xem trước, không ghi dữ liệu
    * @param {import('express').Response} res - Express response
    * @param {import('express').NextFunction} next - Express next middleware
    * 
@@ -304,15 +313,28 @@ const TeamsController = {
       const seasonValue = readRequestValue(req, 'season');
       const leagueValue = readRequestValue(req, 'league');
       const backgroundFlag = readRequestValue(req, 'background');
+      const forceFlag = readRequestValue(req, 'force');
+      const dryRunFlag = readRequestValue(req, 'dryRun');
       
-      const result = await importTeams({ season: seasonValue, league: leagueValue, background: backgroundFlag });
+      const result = await importTeams({
+        season: seasonValue,
+        league: leagueValue,
+        background: backgroundFlag,
+        force: forceFlag,
+        dryRun: dryRunFlag,
+      });
       
       // Destructure để loại bỏ queued flag khỏi response payload
       const { queued, ...payload } = result;
       
       // Return 202 Accepted nếu đã queue, 200 OK nếu sync
       const status = queued ? 202 : 200;
-      const message = queued ? 'Tác vụ import đã được đưa vào hàng đợi' : 'Import teams thành công';
+      let message = 'Import teams thành công';
+      if (queued) {
+        message = 'Tác vụ import đã được đưa vào hàng đợi';
+      } else if (payload.dryRun) {
+        message = 'Xem trước import teams (dry run), chưa ghi dữ liệu';
+      }
       return ApiResponse.success(res, payload, message, status);
     } catch (err) {
       next(mapTeamsError(err, 'Lỗi khi import teams từ API Football', 'TEAM_IMPORT_FAILED'));
@@ -370,11 +392,81 @@ const TeamsController = {
         leagueId: req.params.leagueId ?? req.params.leagues_id ?? req.query.league,
         season: req.params.season ?? req.query.season,
       });
+      res.set('X-Data-Freshness', stats.freshness);
       return ApiResponse.success(res, stats, 'Thống kê đội bóng');
     } catch (err) {
       next(mapTeamsError(err, 'Lỗi khi lấy thống kê đội bóng', 'TEAM_STATS_FAILED'));
     }
   },
+
+  /**
+   * Lấy dữ liệu đối đầu giữa hai đội
+   * 
+   * @async
+   * @function getHeadToHead
+   * @description GET /api/teams/:teamId/h2h/:otherTeamId - Lịch sử đối đầu, thắng/hòa/thua,
+   * bàn thắng và phong độ của cả hai đội
+   * 
+   * @param {import('express').Request} req - Express request
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.teamId - Team ID
+   * @param {string} req.params.otherTeamId - ID đội đối thủ
+   * @param {Object} req.query - Query parameters
+   * @param {number} [req.query.last=5] - Số trận gần nhất dùng để tính phong độ
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * 
+   * @returns {Promise<void>} JSON response với dữ liệu đối đầu
+   */
+  async getHeadToHead(req, res, next) {
+    try {
+      const payload = await getHeadToHead(req.params.teamId, req.params.otherTeamId, {
+        last: req.query.last,
+      });
+      return ApiResponse.success(res, payload, 'Thống kê đối đầu');
+    } catch (err) {
+      next(mapTeamsError(err, 'Lỗi khi lấy thống kê đối đầu', 'TEAM_H2H_FAILED'));
+    }
+  },
+
+  /**
+   * Lấy đội hình của team theo mùa giải
+   * 
+   * @async
+   * @function getSquad
+   * @description GET /api/teams/:id/squad?season= - Đội hình nhóm theo vị trí.
+   * import=true làm mới từ API-Football và yêu cầu đăng nhập (route dùng optionalAuth).
+   * 
+   * @param {import('express').Request} req - Express request
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Team ID
+   * @param {Object} req.query - Query parameters
+   * @param {number} req.query.season - Season year
+   * @param {number} [req.query.league] - Lọc theo giải đấu
+   * @param {string} [req.query.import] - 'true' để làm mới từ API-Football
+   * @param {Object} [req.user] - User đã đăng nhập (từ optionalAuth middleware)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * 
+   * @returns {Promise<void>} JSON response với đội hình
+   */
+  async getSquad(req, res, next) {
+    try {
+      // Parse một lần để kiểm tra đăng nhập và service dùng cùng một giá trị
+      const shouldImport = parseBooleanFlag(readRequestValue(req, 'import'));
+      if (shouldImport && !req.user) {
+        throw new AuthException('Cần đăng nhập để import đội hình', 'AUTH_REQUIRED');
+      }
+      const payload = await getTeamSquad(req.params.id, {
+        season: req.query.season,
+        league: req.query.league,
+        import: shouldImport,
+      });
+      return ApiResponse.success(res, payload, 'Đội hình');
+    } catch (err) {
+      next(mapTeamsError(err, 'Lỗi khi lấy đội hình', 'TEAM_SQUAD_FAILED'));
+    }
+  },
 };
 
 export default TeamsController;
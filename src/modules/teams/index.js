@@ -8,7 +8,8 @@
  * @requires ./routes/teams.routes.js - Express routers cho teams API
  * @requires ./models/team.model.js - Sequelize model cho Team
  * @requires ./services/teams.service.js - Business logic services
- * @requires ./queues/teamImport.queue.js - Background job queue cho việc import teams
+ * @requires ./services/headToHead.service.js - Thống kê đối đầu giữa hai đội
+ * @requires ./services/squad.service.js - Đội hình theo mùa giải
  * 
  * @author KickOffHub Team
  * @version 1.0.0
@@ -16,8 +17,10 @@
 
 import { publicRouter, privateRouter } from './routes/teams.routes.js';
 import Team from './models/team.model.js';
+import TeamHeadToHead from './models/teamHeadToHead.model.js';
 import * as TeamsService from './services/teams.service.js';
-import { teamImportQueue, enqueueTeamImportJob } from './queues/teamImport.queue.js';
+import * as HeadToHeadService from './services/headToHead.service.js';
+import * as SquadService from './services/squad.service.js';
 
 /**
  * Đăng ký Teams Module vào ứng dụng
@@ -37,9 +40,11 @@ import { teamImportQueue, enqueueTeamImportJob } from './queues/teamImport.queue
  * @returns {express.Router} returns.privateRoutes - Router cho private endpoints (cần auth)
  * @returns {Object} returns.publicApi - API công khai để các module khác sử dụng
  * @returns {Object} returns.publicApi.Team - Sequelize Team model
+ * @returns {Object} returns.publicApi.TeamHeadToHead - Sequelize model đánh dấu lần đồng bộ đối đầu
  * @returns {Object} returns.publicApi.services - Teams service functions
- * @returns {Object} returns.publicApi.queue - Bull queue instance cho team import
- * @returns {Function} returns.publicApi.enqueueTeamImportJob - Hàm thêm job vào import queue
+ * @returns {Object} returns.publicApi.headToHeadService - Head-to-head service functions
+ * @returns {Object} returns.publicApi.squadService - Squad service functions
+ * @returns {Array<Object>} returns.jobs - Import jobs của module (teams-import)
  * 
  * @example
  * // Đăng ký module trong bootstrap
@@ -49,15 +54,12 @@ import { teamImportQueue, enqueueTeamImportJob } from './queues/teamImport.queue
 export default async function registerTeamsModule({ container }) {
   // Đăng ký Team model vào container để các module khác có thể inject
   container.set('models.Team', Team);
+  container.set('models.TeamHeadToHead', TeamHeadToHead);
   
   // Đăng ký Teams service vào container
   container.set('services.teams', TeamsService);
-  
-  // Đăng ký queue và hàm enqueue cho background job processing
-  container.set('queues.teamImport', {
-    queue: teamImportQueue,
-    enqueue: enqueueTeamImportJob,
-  });
+  container.set('services.teamHeadToHead', HeadToHeadService);
+  container.set('services.teamSquad', SquadService);
 
   // Trả về cấu hình module để bootstrap đăng ký routes
   return {
@@ -65,12 +67,17 @@ export default async function registerTeamsModule({ container }) {
     basePath: '/',
     publicRoutes: publicRouter,
     privateRoutes: privateRouter,
+    // Import jobs chạy bởi import worker (background=true)
+    jobs: [
+      { name: 'teams-import', handler: TeamsService.performTeamImport },
+    ],
     // Public API cho phép các module khác truy cập trực tiếp
     publicApi: {
       Team,
+      TeamHeadToHead,
       services: TeamsService,
-      queue: teamImportQueue,
-      enqueueTeamImportJob,
+      headToHeadService: HeadToHeadService,
+      squadService: SquadService,
     },
   };
 }
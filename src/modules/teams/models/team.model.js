@@ -14,6 +14,7 @@
 
 import { DataTypes } from 'sequelize';
 import sequelize from '../../../common/db.js';
+import Venue from '../../venues/models/venue.model.js';
 
 /**
  * @typedef {Object} TeamAttributes
@@ -26,6 +27,7 @@ import sequelize from '../../../common/db.js';
  * @property {string|null} logo - URL logo đội bóng
  * @property {number|null} venue_id - ID sân vận động (foreign key đến bảng venues)
  * @property {boolean} isPopular - Đội bóng có phổ biến/nổi tiếng không
+ * @property {string[]|null} locked_fields - Các trường được sửa thủ công, import không ghi đè
  * @property {Date} created_at - Thời gian tạo record
  * @property {Date} updated_at - Thời gian cập nhật record
  */
@@ -142,6 +144,15 @@ const Team = sequelize.define('Team', {
     allowNull: false,
     defaultValue: false,
   },
+  /**
+   * Trường bị khóa
+   * @description Các trường được sửa thủ công qua PUT; import giữ nguyên giá trị
+   * của các trường này trừ khi chạy với force=true
+   */
+  locked_fields: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
 }, {
   /** Tên bảng trong database */
   tableName: 'teams',
@@ -151,4 +162,8 @@ const Team = sequelize.define('Team', {
   timestamps: true,
 });
 
+/** Sân nhà của đội (khóa ngoại venue_id đã khai báo ở trên) */
+Team.belongsTo(Venue, { foreignKey: 'venue_id', as: 'venue', constraints: false });
+Venue.hasMany(Team, { foreignKey: 'venue_id', as: 'teams', constraints: false });
+
 export default Team;
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview TeamHeadToHead Model Definition
+ * @description Định nghĩa Sequelize model cho bảng team_head_to_head.
+ * Mỗi record đánh dấu lần cuối một cặp đội được đồng bộ từ API-Football
+ * (`/fixtures/headtohead`). Bản thân các trận đấu được lưu trong bảng fixtures,
+ * bảng này chỉ cho biết dữ liệu đối đầu của cặp đội đã có sẵn và còn mới hay không.
+ *
+ * Cặp đội luôn được lưu theo thứ tự team_low_id < team_high_id để (A, B) và (B, A)
+ * dùng chung một record.
+ *
+ * @module modules/teams/models/teamHeadToHead.model
+ * @requires sequelize - ORM framework cho Node.js
+ * @requires ../../../common/db.js - Database connection instance
+ *
+ * @author KickOffHub Team
+ * @version 1.0.0
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+
+/**
+ * @typedef {Object} TeamHeadToHeadAttributes
+ * @property {number} team_low_id - ID nhỏ hơn trong cặp đội
+ * @property {number} team_high_id - ID lớn hơn trong cặp đội
+ * @property {number} meetings - Số trận API-Football trả về ở lần đồng bộ gần nhất
+ * @property {Date} synced_at - Thời điểm đồng bộ gần nhất
+ */
+
+/**
+ * Sequelize Model: TeamHeadToHead
+ *
+ * @type {import('sequelize').Model<TeamHeadToHeadAttributes>}
+ */
+const TeamHeadToHead = sequelize.define('TeamHeadToHead', {
+  team_low_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  team_high_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false,
+  },
+  meetings: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  /** Tên bảng trong database */
+  tableName: 'team_head_to_head',
+  underscored: true,
+  /** Chỉ cần synced_at, không dùng created_at/updated_at */
+  timestamps: false,
+});
+
+export default TeamHeadToHead;
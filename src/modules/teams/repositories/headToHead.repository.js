@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Head-to-Head Repository
+ * @description Repository layer cho TeamHeadToHead model: đọc và ghi thời điểm
+ * đồng bộ dữ liệu đối đầu của một cặp đội.
+ *
+ * @module modules/teams/repositories/headToHead.repository
+ * @requires ../models/teamHeadToHead.model.js - Sequelize TeamHeadToHead model
+ *
+ * @author KickOffHub Team
+ * @version 1.0.0
+ */
+
+import TeamHeadToHead from '../models/teamHeadToHead.model.js';
+
+/**
+ * Lấy record đồng bộ của một cặp đội
+ *
+ * @function findHeadToHeadSync
+ * @param {number} teamLowId - ID nhỏ hơn trong cặp đội
+ * @param {number} teamHighId - ID lớn hơn trong cặp đội
+ *
+ * @returns {Promise<TeamHeadToHead|null>} Record đồng bộ hoặc null nếu cặp đội chưa từng được đồng bộ
+ */
+export function findHeadToHeadSync(teamLowId, teamHighId) {
+  return TeamHeadToHead.findOne({
+    where: { team_low_id: teamLowId, team_high_id: teamHighId },
+  });
+}
+
+/**
+ * Tạo mới hoặc cập nhật record đồng bộ của một cặp đội
+ *
+ * @function upsertHeadToHeadSync
+ * @param {Object} payload - Dữ liệu đồng bộ
+ * @param {number} payload.team_low_id - ID nhỏ hơn trong cặp đội
+ * @param {number} payload.team_high_id - ID lớn hơn trong cặp đội
+ * @param {number} payload.meetings - Số trận API-Football trả về
+ * @param {Date} payload.synced_at - Thời điểm đồng bộ
+ *
+ * @returns {Promise<[TeamHeadToHead, boolean|null]>} Kết quả upsert của Sequelize
+ */
+export function upsertHeadToHeadSync(payload) {
+  return TeamHeadToHead.upsert(payload);
+}
@@ -11,6 +11,13 @@ export function findMappingsByLeagueAndSeason(leagueId, season) {
   });
 }
 
+export function findMappingsByTeamAndSeason(teamId, season) {
+  return LeagueTeamSeason.findAll({
+    where: { teamId, season },
+    attributes: ['teamId', 'leagueId', 'season'],
+  });
+}
+
 export function upsertLeagueTeamSeason(payload) {
   return LeagueTeamSeason.upsert(payload);
 }
@@ -14,13 +14,26 @@
 
 import { Op } from 'sequelize';
 import Team from '../models/team.model.js';
+import Venue from '../../venues/models/venue.model.js';
 
 /**
  * Danh sách các attributes mặc định khi query Team
  * @constant {string[]}
  * @description Chỉ lấy các trường cần thiết để tối ưu performance
  */
-const TEAM_ATTRIBUTES = ['id', 'name', 'code', 'country', 'founded', 'national', 'logo', 'venue_id', 'isPopular', 'created_at', 'updated_at'];
+const TEAM_ATTRIBUTES = ['id', 'name', 'code', 'country', 'founded', 'national', 'logo', 'venue_id', 'isPopular', 'locked_fields', 'created_at', 'updated_at'];
+
+/**
+ * Các trường được ghi đè khi import teams từ API-Football (bulkUpsertTeams)
+ * @constant {string[]}
+ */
+export const TEAM_IMPORT_FIELDS = ['name', 'code', 'country', 'founded', 'national', 'logo', 'venue_id'];
+
+/**
+ * Các trường venue trả về khi include=venue
+ * @constant {string[]}
+ */
+const VENUE_ATTRIBUTES = ['id', 'name', 'address', 'city', 'country', 'capacity', 'surface', 'image'];
 
 /**
  * Lấy danh sách teams với phân trang
@@ -69,6 +82,8 @@ export function paginateTeams({ page, limit, popularOnly = false }) {
  * @description Tìm một team dựa trên primary key (ID).
  * 
  * @param {number} id - ID của team cần tìm
+ * @param {Object} [options={}] - Tùy chọn truy vấn
+ * @param {boolean} [options.includeVenue=false] - Kèm thông tin sân nhà (alias `venue`)
  * 
  * @returns {Promise<Team|null>} Team instance nếu tìm thấy, null nếu không
  * 
@@ -78,8 +93,11 @@ export function paginateTeams({ page, limit, popularOnly = false }) {
  *   console.log(team.name); // 'Manchester United'
  * }
  */
-export function findTeamById(id) {
-  return Team.findByPk(id, { attributes: TEAM_ATTRIBUTES });
+export function findTeamById(id, { includeVenue = false } = {}) {
+  return Team.findByPk(id, {
+    attributes: TEAM_ATTRIBUTES,
+    include: includeVenue ? [{ model: Venue, as: 'venue', attributes: VENUE_ATTRIBUTES }] : [],
+  });
 }
 
 /**
@@ -238,6 +256,6 @@ export function deleteTeamRecord(id) {
 export function bulkUpsertTeams(teamPayloads) {
   return Team.bulkCreate(teamPayloads, {
     // Các trường sẽ được cập nhật nếu record đã tồn tại (conflict on id)
-    updateOnDuplicate: ['name', 'code', 'country', 'founded', 'national', 'logo', 'venue_id'],
+    updateOnDuplicate: TEAM_IMPORT_FIELDS,
   });
 }
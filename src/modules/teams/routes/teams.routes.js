@@ -11,6 +11,8 @@
  * - GET /api/teams/popular - Lấy danh sách teams phổ biến
  * - GET /api/teams/:id - Lấy thông tin chi tiết team
  * - GET /api/teams/:teamId/stats/:leagueId/:season - Lấy thống kê team
+ * - GET /api/teams/:teamId/h2h/:otherTeamId - Lấy thống kê đối đầu giữa hai đội
+ * - GET /api/teams/:id/squad - Lấy đội hình theo mùa giải (import=true cần đăng nhập)
  * 
  * Private Routes (yêu cầu authentication):
  * - POST /api/teams - Tạo team mới
@@ -28,8 +30,9 @@
  */
 
 import express from 'express';
-import auth from '../../../common/authMiddleware.js';
+import auth, { optionalAuth } from '../../../common/authMiddleware.js';
 import TeamsController from '../controllers/teams.controller.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
 
 /** Router cho các endpoints công khai (không cần đăng nhập) */
 const publicRouter = express.Router();
@@ -236,14 +239,14 @@ publicRouter.get('/teams', TeamsController.getAllTeams);          // GET /api/te
  *               message: "Internal Server Error"
  *               data: null
  */
-publicRouter.get('/teams/league/:leagueID', TeamsController.getTeamsByLeague); // GET /api/teams/league/:leagueID
+publicRouter.get('/teams/league/:leagueID', resolveSeasonParam({ leagueKeys: ['leagueID'] }), TeamsController.getTeamsByLeague); // GET /api/teams/league/:leagueID
 
 /**
  * @openapi
  * /api/teams/{teamId}/leagues/{leagueId}/season/{season}/stats:
  *   get:
  *     summary: Retrieve statistics for a specific team in a league for a season
- *     description: This endpoint provides statistical data for a team for a specific league and season. All parameters are required and must match API-Football requirements.
+ *     description: This endpoint provides statistical data for a team for a specific league and season. All parameters are required and must match API-Football requirements. Responses are cached with stale-while-revalidate; a stale copy is also served while the API-Football circuit breaker is open.
  *     tags:
  *       - Teams
  *     parameters:
@@ -266,11 +269,17 @@ publicRouter.get('/teams/league/:leagueID', TeamsController.getTeamsByLeague); /
  *         required: true
  *         schema:
  *           type: integer
- *         description: The season year for which to retrieve statistics (e.g., 2023)
+ *         description: The season year for which to retrieve statistics (e.g., 2023, or `current` for the league's current season)
  *         example: 2023
  *     responses:
  *       200:
  *         description: Statistics payload retrieved successfully.
+ *         headers:
+ *           X-Data-Freshness:
+ *             description: "`fresh`, or `stale` when a cached copy past its TTL is served while it is refreshed in the background."
+ *             schema:
+ *               type: string
+ *               enum: [fresh, stale]
  *         content:
  *           application/json:
  *             schema:
@@ -290,6 +299,8 @@ publicRouter.get('/teams/league/:leagueID', TeamsController.getTeamsByLeague); /
  *                 teamId: 33
  *                 leagueId: 39
  *                 season: 2023
+ *                 freshness: "fresh"
+ *                 fetchedAt: "2024-03-01T10:00:00.000Z"
  *                 payload: {}
  *       400:
  *         description: Invalid parameters supplied.
@@ -346,7 +357,272 @@ publicRouter.get('/teams/league/:leagueID', TeamsController.getTeamsByLeague); /
  *               message: "Internal Server Error"
  *               data: null
  */
-publicRouter.get('/teams/:teamId/leagues/:leagueId/season/:season/stats', TeamsController.getStatsByTeamIdAndSeasonAndLeague); // GET /api/teams/:teamId/leagues/:leagueId/season/:season/stats
+publicRouter.get('/teams/:teamId/leagues/:leagueId/season/:season/stats', resolveSeasonParam(), TeamsController.getStatsByTeamIdAndSeasonAndLeague); // GET /api/teams/:teamId/leagues/:leagueId/season/:season/stats
+
+/**
+ * @openapi
+ * /api/teams/{teamId}/h2h/{otherTeamId}:
+ *   get:
+ *     summary: Head-to-head comparison between two teams
+ *     description: Returns every stored meeting between the two teams (newest first) with win/draw/loss tallies, goals and last-N form for both sides, computed over finished matches. Meetings come from API-Football /fixtures/headtohead and are stored in the fixtures table; the pair is re-synced once it is older than TEAM_H2H_MAX_AGE_HOURS (default 24). Results use the score after extra time, so penalty shoot-outs count as draws.
+ *     tags:
+ *       - Teams
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The team the summary is written from
+ *         example: 33
+ *       - in: path
+ *         name: otherTeamId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The opponent
+ *         example: 40
+ *       - in: query
+ *         name: last
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *         description: Number of most recent finished meetings used for the form strings
+ *     responses:
+ *       200:
+ *         description: Head-to-head retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     team:
+ *                       type: object
+ *                       nullable: true
+ *                       additionalProperties: true
+ *                     opponent:
+ *                       type: object
+ *                       nullable: true
+ *                       additionalProperties: true
+ *                     summary:
+ *                       type: object
+ *                       additionalProperties: true
+ *                     meetings:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         additionalProperties: true
+ *                     syncedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *             example:
+ *               success: true
+ *               message: "Thống kê đối đầu"
+ *               data:
+ *                 team:
+ *                   id: 33
+ *                   name: "Manchester United"
+ *                 opponent:
+ *                   id: 40
+ *                   name: "Liverpool"
+ *                 summary:
+ *                   played: 10
+ *                   draws: 3
+ *                   team:
+ *                     teamId: 33
+ *                     wins: 2
+ *                     draws: 3
+ *                     losses: 5
+ *                     goalsFor: 9
+ *                     goalsAgainst: 21
+ *                     form: ["D", "L", "W", "L", "D"]
+ *                   opponent:
+ *                     teamId: 40
+ *                     wins: 5
+ *                     draws: 3
+ *                     losses: 2
+ *                     goalsFor: 21
+ *                     goalsAgainst: 9
+ *                     form: ["D", "W", "L", "W", "D"]
+ *                 meetings:
+ *                   - id: 1035326
+ *                     league_id: 39
+ *                     season: 2023
+ *                     kickoff_at: "2024-04-07T15:30:00.000Z"
+ *                     status_short: "FT"
+ *                     home_team_id: 33
+ *                     away_team_id: 40
+ *                     home_goals: 2
+ *                     away_goals: 2
+ *                 syncedAt: "2024-05-20T08:00:00.000Z"
+ *       400:
+ *         description: Invalid team identifiers, identical teams or invalid last value.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *             example:
+ *               success: false
+ *               message: "Hai đội bóng phải khác nhau"
+ *               data: null
+ *       502:
+ *         description: API-Football answered with an errors object (e.g. quota exhausted) and nothing is stored for the pair yet. Nothing is written, so the pair is synced again on the next request. When a stored copy exists it is returned instead.
+ *       500:
+ *         description: API-Football or persistence failure with nothing stored for the pair.
+ */
+publicRouter.get('/teams/:teamId/h2h/:otherTeamId', TeamsController.getHeadToHead); // GET /api/teams/:teamId/h2h/:otherTeamId
+
+/**
+ * @openapi
+ * /api/teams/{id}/squad:
+ *   get:
+ *     summary: Retrieve a team squad for a season
+ *     description: Builds the squad from the players_teams_league_season mappings joined to players, grouped by position (Goalkeeper, Defender, Midfielder, Attacker, then Unknown). With import=true the current squad is first refreshed from API-Football /players/squads and mapped to the requested season in every league the team plays that season (or only the given league); this mode requires a bearer token and is only allowed for the current season of those leagues, since /players/squads has no season. Existing mappings are never removed.
+ *     tags:
+ *       - Teams
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The unique identifier of the team
+ *         example: 33
+ *       - in: query
+ *         name: season
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Season year
+ *         example: 2024
+ *       - in: query
+ *         name: league
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Only players registered for this league
+ *       - in: query
+ *         name: import
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Refresh from API-Football /players/squads before reading (authentication required)
+ *     responses:
+ *       200:
+ *         description: Squad retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     teamId:
+ *                       type: integer
+ *                     season:
+ *                       type: integer
+ *                     league:
+ *                       type: integer
+ *                       nullable: true
+ *                     total:
+ *                       type: integer
+ *                     positions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           position:
+ *                             type: string
+ *                           players:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               additionalProperties: true
+ *                     import:
+ *                       type: object
+ *                       description: Present only when import=true
+ *                       properties:
+ *                         players:
+ *                           type: integer
+ *                         created:
+ *                           type: integer
+ *                         updated:
+ *                           type: integer
+ *                         unchanged:
+ *                           type: integer
+ *                         importRunId:
+ *                           type: integer
+ *                           description: Import run of type squad-import (see /api/import-runs/{id}/changes)
+ *                         mappings:
+ *                           type: integer
+ *                         leagues:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *             example:
+ *               success: true
+ *               message: "Đội hình"
+ *               data:
+ *                 teamId: 33
+ *                 season: 2024
+ *                 league: null
+ *                 total: 28
+ *                 positions:
+ *                   - position: "Goalkeeper"
+ *                     players:
+ *                       - id: 526
+ *                         name: "A. Onana"
+ *                         number: 24
+ *                         position: "Goalkeeper"
+ *                         leagues: [39, 2]
+ *       400:
+ *         description: Invalid team, season or league, no league could be resolved for the import, or import=true for a season that is not the league's current season.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *             example:
+ *               success: false
+ *               message: "season là bắt buộc"
+ *               data: null
+ *       401:
+ *         description: import=true without a valid bearer token.
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+publicRouter.get('/teams/:id/squad', optionalAuth, resolveSeasonParam(), TeamsController.getSquad); // GET /api/teams/:id/squad
 
 /**
  * @openapi
@@ -538,7 +814,7 @@ publicRouter.get('/teams/popular', TeamsController.getPopularTeams); // GET /api
  * /api/teams/{id}:
  *   get:
  *     summary: Retrieve a team by ID
- *     description: This endpoint fetches the details of a specific team using its unique identifier.
+ *     description: This endpoint fetches the details of a specific team using its unique identifier. With include=venue the home venue is embedded (null when the team has none).
  *     tags:
  *       - Teams
  *     parameters:
@@ -549,6 +825,13 @@ publicRouter.get('/teams/popular', TeamsController.getPopularTeams); // GET /api
  *           type: integer
  *         description: The unique identifier of the team
  *         example: 1
+ *       - in: query
+ *         name: include
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [venue]
+ *         description: Related data to embed
  *     responses:
  *       200:
  *         description: Team information.
@@ -570,8 +853,16 @@ publicRouter.get('/teams/popular', TeamsController.getPopularTeams); // GET /api
  *               data:
  *                 id: 1
  *                 name: "Manchester United"
+ *                 venue_id: 556
+ *                 locked_fields: ["name"]
+ *                 venue:
+ *                   id: 556
+ *                   name: "Old Trafford"
+ *                   city: "Manchester"
+ *                   country: "England"
+ *                   capacity: 76212
  *       400:
- *         description: Invalid team identifier.
+ *         description: Invalid team identifier or include value.
  *         content:
  *           application/json:
  *             schema:
@@ -744,7 +1035,7 @@ privateRouter.post('/teams', auth, TeamsController.createTeam);          // POST
  * /api/teams/{id}:
  *   put:
  *     summary: Update a team by ID
- *     description: This endpoint updates the information of an existing team. Provide the team ID in the URL path and the updated data in the request body.
+ *     description: This endpoint updates the information of an existing team. Provide the team ID in the URL path and the updated data in the request body. Updated fields are added to `locked_fields` so later imports keep the manual values (unless run with force=true); `unlock` releases locks.
  *     tags:
  *       - Teams
  *     security:
@@ -776,6 +1067,11 @@ privateRouter.post('/teams', auth, TeamsController.createTeam);          // POST
  *                 type: string
  *               venue_id:
  *                 type: integer
+ *               unlock:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Fields to release so imports update them again (array or comma-separated string).
  *     responses:
  *       200:
  *         description: Team updated.
@@ -791,8 +1087,16 @@ privateRouter.post('/teams', auth, TeamsController.createTeam);          // POST
  *                 data:
  *                   type: object
  *                   additionalProperties: true
+ *             example:
+ *               success: true
+ *               message: "Team updated"
+ *               data:
+ *                 id: 33
+ *                 name: "Man United"
+ *                 logo: "https://media.api-sports.io/football/teams/33.png"
+ *                 locked_fields: ["logo", "name"]
  *       400:
- *         description: Validation failed.
+ *         description: Validation failed (including unknown fields in unlock).
  *         content:
  *           application/json:
  *             schema:
@@ -982,7 +1286,7 @@ privateRouter.delete('/teams/:id', auth, TeamsController.deleteTeam);    // DELE
  * /api/teams/import:
  *   post:
  *     summary: Import teams from API-Football
- *     description: Gọi API-Football để lấy danh sách đội bóng theo league và season, sau đó lưu vào bảng teams và leagues_teams_season.
+ *     description: Gọi API-Football để lấy danh sách đội bóng theo league và season (đọc hết mọi trang kết quả), sau đó lưu vào bảng teams và leagues_teams_season. Với dryRun=true chỉ trả về bản xem trước (inserts, updates, mappings), không ghi gì.
  *     tags:
  *       - Teams
  *     security:
@@ -1002,6 +1306,16 @@ privateRouter.delete('/teams/:id', auth, TeamsController.deleteTeam);    // DELE
  *           type: integer
  *           minimum: 1
  *         description: API-Football league identifier.
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Overwrite locked (manually edited) team fields as well. Locks are kept.
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Fetch every page and build the payloads but write nothing (no teams, mappings or import run). Returns the would-be inserts, updates and mapping rows. Always runs in the request.
  *     responses:
  *       200:
  *         description: Import summary.
@@ -1019,6 +1333,44 @@ privateRouter.delete('/teams/:id', auth, TeamsController.deleteTeam);    // DELE
  *                   properties:
  *                     imported:
  *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                       description: Rows with at least one changed field.
+ *                     unchanged:
+ *                       type: integer
+ *                     lockedFieldsPreserved:
+ *                       type: integer
+ *                       description: Teams whose locked fields kept their manual values.
+ *                     dryRun:
+ *                       type: boolean
+ *                       description: Present (true) on dry runs.
+ *                     inserts:
+ *                       type: array
+ *                       description: Dry run only. Teams that would be inserted.
+ *                       items:
+ *                         type: object
+ *                     updates:
+ *                       type: array
+ *                       description: "Dry run only. Teams that would change, as { id, changes: { field: { before, after } } }."
+ *                       items:
+ *                         type: object
+ *                     mappings:
+ *                       type: array
+ *                       description: Dry run only. League-team-season rows that would be upserted.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           leagueId:
+ *                             type: integer
+ *                           teamId:
+ *                             type: integer
+ *                           season:
+ *                             type: integer
+ *                     importRunId:
+ *                       type: integer
+ *                       description: Import run recording the field-level changes (GET /api/import-runs/{id}/changes).
  *                     mappingsInserted:
  *                       type: integer
  *                     mappingErrors:
@@ -1030,10 +1382,17 @@ privateRouter.delete('/teams/:id', auth, TeamsController.deleteTeam);    // DELE
  *               message: "Import completed"
  *               data:
  *                 imported: 20
+ *                 created: 2
+ *                 updated: 3
+ *                 unchanged: 15
+ *                 lockedFieldsPreserved: 1
+ *                 importRunId: 127
  *                 mappingsInserted: 20
  *                 mappingErrors: []
  *                 season: 2023
  *                 league: 39
+ *                 pagesFetched: 1
+ *                 totalPages: 1
  *       400:
  *         description: Missing or invalid query parameters.
  *         content:
@@ -1089,6 +1448,6 @@ privateRouter.delete('/teams/:id', auth, TeamsController.deleteTeam);    // DELE
  *               message: "Internal Server Error"
  *               data: null
  */
-privateRouter.post('/teams/import', auth, TeamsController.importTeamsFromApiFootball); // POST /api/teams/import
+privateRouter.post('/teams/import', auth, resolveSeasonParam(), TeamsController.importTeamsFromApiFootball); // POST /api/teams/import
 
 export { publicRouter, privateRouter };
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Head-to-Head Service
+ * @description Business logic cho so sánh đối đầu giữa hai đội bóng.
+ * Các trận đối đầu được lấy từ API-Football (`/fixtures/headtohead`) và lưu vào
+ * bảng fixtures; những lần gọi sau đọc trực tiếp từ database cho tới khi dữ liệu
+ * cũ hơn TEAM_H2H_MAX_AGE_HOURS.
+ *
+ * @module modules/teams/services/headToHead.service
+ * @requires ../../apiFootball/services/apiFootball.service.js - Client gọi API-Football
+ * @requires ../../fixtures/services/fixtures.service.js - Lưu trận đấu từ API-Football
+ * @requires ../../fixtures/repositories/fixtures.repository.js - Truy vấn các trận đối đầu
+ * @requires ../repositories/headToHead.repository.js - Thời điểm đồng bộ của cặp đội
+ * @requires ../repositories/team.repository.js - Thông tin đội bóng
+ *
+ * @author KickOffHub Team
+ * @version 1.0.0
+ */
+
+import { apiFootballGet, getApiFootballErrors } from '../../apiFootball/services/apiFootball.service.js';
+import { FINISHED_STATUSES, storeApiFixtures } from '../../fixtures/services/fixtures.service.js';
+import { findHeadToHeadFixtures } from '../../fixtures/repositories/fixtures.repository.js';
+import { findHeadToHeadSync, upsertHeadToHeadSync } from '../repositories/headToHead.repository.js';
+import { findTeamsByIds } from '../repositories/team.repository.js';
+import { logger } from '../../../common/logger.js';
+
+/**
+ * Số trận gần nhất mặc định dùng để tính phong độ
+ * @constant {number}
+ */
+const DEFAULT_FORM_LENGTH = 5;
+
+/**
+ * Số trận tối đa dùng để tính phong độ
+ * @constant {number}
+ */
+const MAX_FORM_LENGTH = 20;
+
+/**
+ * Đọc cấu hình tuổi tối đa (giờ) từ biến môi trường và đổi sang ms.
+ * Dùng giá trị mặc định khi biến bị thiếu, không phải số hoặc không dương.
+ *
+ * @private
+ * @param {string} name - Tên biến môi trường
+ * @param {number} fallbackHours - Số giờ mặc định
+ * @returns {number} Tuổi tối đa tính bằng ms
+ */
+function readMaxAgeMs(name, fallbackHours) {
+  const parsed = Number.parseInt(process.env[name] ?? '', 10);
+  const hours = Number.isInteger(parsed) && parsed > 0 ? parsed : fallbackHours;
+  return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Tuổi tối đa (ms) của dữ liệu đối đầu trước khi đồng bộ lại từ API-Football
+ * @constant {number}
+ */
+const H2H_MAX_AGE_MS = readMaxAgeMs('TEAM_H2H_MAX_AGE_HOURS', 24);
+
+/**
+ * Bảng mã lỗi và thông báo tương ứng (tiếng Việt)
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_TEAM_ID: 'ID team không hợp lệ',
+  INVALID_OTHER_TEAM_ID: 'ID đội đối thủ không hợp lệ',
+  SAME_TEAM_IDS: 'Hai đội bóng phải khác nhau',
+  INVALID_LAST: `Giá trị last phải nằm trong khoảng 1-${MAX_FORM_LENGTH}`,
+  H2H_API_ERROR: 'API-Football trả về lỗi khi lấy dữ liệu đối đầu',
+};
+
+/**
+ * Tạo Error object với code và status
+ *
+ * @function createError
+ * @private
+ * @param {string} code - Mã lỗi (key trong ERROR_MESSAGES hoặc custom message)
+ * @param {number} [status=400] - HTTP status code
+ * @param {Object} [details] - Thông tin thêm (ví dụ `errors` của API-Football)
+ *
+ * @returns {Error} Error object với các thuộc tính code, status (và details nếu có)
+ */
+function createError(code, status = 400, details) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Parse giá trị thành số nguyên dương
+ *
+ * @function parsePositiveInt
+ * @private
+ * @param {string|number|null|undefined} value - Giá trị cần parse
+ *
+ * @returns {number|null} Số nguyên dương hoặc null nếu không hợp lệ
+ */
+function parsePositiveInt(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number.parseInt(String(value).trim(), 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Đồng bộ các trận đối đầu của một cặp đội từ API-Football
+ *
+ * @async
+ * @function syncHeadToHead
+ * @private
+ * @param {number} teamLowId - ID nhỏ hơn trong cặp đội
+ * @param {number} teamHighId - ID lớn hơn trong cặp đội
+ *
+ * @returns {Promise<Date>} Thời điểm đồng bộ
+ * @throws {Error} H2H_API_ERROR (502) - API-Football trả về `errors` (ví dụ hết quota); không ghi thời điểm đồng bộ
+ */
+async function syncHeadToHead(teamLowId, teamHighId) {
+  const data = await apiFootballGet('/fixtures/headtohead', { h2h: `${teamLowId}-${teamHighId}` });
+  const errors = getApiFootballErrors(data);
+  if (errors) {
+    throw createError('H2H_API_ERROR', 502, errors);
+  }
+  const apiFixtures = Array.isArray(data?.response) ? data.response : [];
+  const { imported } = await storeApiFixtures(apiFixtures);
+  const syncedAt = new Date();
+  await upsertHeadToHeadSync({
+    team_low_id: teamLowId,
+    team_high_id: teamHighId,
+    meetings: imported,
+    synced_at: syncedAt,
+  });
+  return syncedAt;
+}
+
+/**
+ * Kết quả của một trận đã kết thúc nhìn từ phía một đội
+ *
+ * @function resultFor
+ * @private
+ * @param {Object} fixture - Trận đấu (plain object)
+ * @param {number} teamId - Đội cần xét
+ *
+ * @returns {{result: ('W'|'D'|'L'), goalsFor: number, goalsAgainst: number}} Kết quả và tỉ số
+ */
+function resultFor(fixture, teamId) {
+  const isHome = fixture.home_team_id === teamId;
+  const goalsFor = (isHome ? fixture.home_goals : fixture.away_goals) ?? 0;
+  const goalsAgainst = (isHome ? fixture.away_goals : fixture.home_goals) ?? 0;
+  let result = 'D';
+  if (goalsFor > goalsAgainst) {
+    result = 'W';
+  } else if (goalsFor < goalsAgainst) {
+    result = 'L';
+  }
+  return { result, goalsFor, goalsAgainst };
+}
+
+/**
+ * Tổng hợp thắng/hòa/thua, bàn thắng và phong độ của một đội qua các trận đối đầu
+ *
+ * @function summarizeSide
+ * @private
+ * @param {Object[]} finished - Các trận đã kết thúc, mới nhất trước
+ * @param {number} teamId - Đội cần tổng hợp
+ * @param {number} formLength - Số trận gần nhất dùng cho phong độ
+ *
+ * @returns {Object} Tổng hợp của đội
+ */
+function summarizeSide(finished, teamId, formLength) {
+  const summary = {
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+    form: [],
+  };
+
+  finished.forEach((fixture, index) => {
+    const { result, goalsFor, goalsAgainst } = resultFor(fixture, teamId);
+    if (result === 'W') {
+      summary.wins += 1;
+    } else if (result === 'L') {
+      summary.losses += 1;
+    } else {
+      summary.draws += 1;
+    }
+    summary.goalsFor += goalsFor;
+    summary.goalsAgainst += goalsAgainst;
+    if (index < formLength) {
+      summary.form.push(result);
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Lấy dữ liệu đối đầu giữa hai đội bóng
+ *
+ * @async
+ * @function getHeadToHead
+ * @description Đọc các trận đối đầu từ bảng fixtures. Cặp đội chưa từng được đồng bộ
+ * hoặc có dữ liệu cũ hơn TEAM_H2H_MAX_AGE_HOURS sẽ được đồng bộ lại từ API-Football;
+ * nếu đồng bộ lỗi mà đã có dữ liệu cũ thì trả về dữ liệu cũ.
+ * Thắng/hòa/thua tính theo tỉ số sau hiệp phụ (trận phân định bằng luân lưu tính là hòa).
+ *
+ * @param {number|string} teamIdRaw - ID đội bóng
+ * @param {number|string} otherTeamIdRaw - ID đội đối thủ
+ * @param {Object} [options={}] - Tùy chọn
+ * @param {number|string} [options.last=5] - Số trận gần nhất dùng để tính phong độ (1-20)
+ *
+ * @returns {Promise<Object>} Dữ liệu đối đầu
+ * @returns {Object} returns.team - Thông tin đội bóng (null nếu chưa có trong database)
+ * @returns {Object} returns.opponent - Thông tin đội đối thủ (null nếu chưa có trong database)
+ * @returns {Object} returns.summary - played, draws và tổng hợp của mỗi đội (wins, losses, goalsFor, goalsAgainst, form)
+ * @returns {Object[]} returns.meetings - Tất cả các trận đối đầu, mới nhất trước
+ * @returns {Date|null} returns.syncedAt - Thời điểm đồng bộ gần nhất
+ *
+ * @throws {Error} INVALID_TEAM_ID, INVALID_OTHER_TEAM_ID, SAME_TEAM_IDS, INVALID_LAST (400)
+ *
+ * @example
+ * const h2h = await getHeadToHead(33, 40, { last: 5 });
+ */
+export async function getHeadToHead(teamIdRaw, otherTeamIdRaw, options = {}) {
+  const teamId = parsePositiveInt(teamIdRaw);
+  if (!teamId) {
+    throw createError('INVALID_TEAM_ID');
+  }
+  const otherTeamId = parsePositiveInt(otherTeamIdRaw);
+  if (!otherTeamId) {
+    throw createError('INVALID_OTHER_TEAM_ID');
+  }
+  if (teamId === otherTeamId) {
+    throw createError('SAME_TEAM_IDS');
+  }
+  const hasLast = options.last !== undefined && options.last !== null && String(options.last).trim() !== '';
+  const formLength = hasLast ? parsePositiveInt(options.last) : DEFAULT_FORM_LENGTH;
+  if (!formLength || formLength > MAX_FORM_LENGTH) {
+    throw createError('INVALID_LAST');
+  }
+
+  const teamLowId = Math.min(teamId, otherTeamId);
+  const teamHighId = Math.max(teamId, otherTeamId);
+  const sync = await findHeadToHeadSync(teamLowId, teamHighId);
+  let syncedAt = sync ? sync.synced_at : null;
+
+  if (!syncedAt || Date.now() - new Date(syncedAt).getTime() > H2H_MAX_AGE_MS) {
+    try {
+      syncedAt = await syncHeadToHead(teamLowId, teamHighId);
+    } catch (error) {
+      // Chưa có dữ liệu nào để trả về thì báo lỗi, ngược lại dùng dữ liệu cũ
+      if (!sync) {
+        throw error;
+      }
+      logger.warn({ err: error, teamId, otherTeamId }, 'Failed to refresh head-to-head, serving stale data');
+    }
+  }
+
+  const [fixtures, teams] = await Promise.all([
+    findHeadToHeadFixtures(teamId, otherTeamId),
+    findTeamsByIds([teamId, otherTeamId]),
+  ]);
+
+  const meetings = fixtures.map((fixture) => fixture.get({ plain: true }));
+  const finished = meetings.filter((fixture) => FINISHED_STATUSES.includes(fixture.status_short));
+  const teamSummary = summarizeSide(finished, teamId, formLength);
+  const opponentSummary = summarizeSide(finished, otherTeamId, formLength);
+  const teamsById = new Map(teams.map((team) => [team.id, team]));
+
+  return {
+    team: teamsById.get(teamId) ?? null,
+    opponent: teamsById.get(otherTeamId) ?? null,
+    summary: {
+      played: finished.length,
+      draws: teamSummary.draws,
+      team: { teamId, ...teamSummary },
+      opponent: { teamId: otherTeamId, ...opponentSummary },
+    },
+    meetings,
+    syncedAt,
+  };
+}
@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Team Squad Service
+ * @description Business logic cho đội hình của một đội bóng theo mùa giải.
+ * Đội hình được dựng từ bảng mapping players_teams_league_season join với Player
+ * và nhóm theo vị trí. Chế độ import làm mới dữ liệu từ API-Football (`/players/squads`).
+ *
+ * @module modules/teams/services/squad.service
+ * @requires ../../apiFootball/services/apiFootball.service.js - Client gọi API-Football
+ * @requires ../../playerTeamLeagueSeason/repositories/playerTeamLeagueSeason.repository.js - Mapping cầu thủ - đội - giải - mùa
+ * @requires ../../players/repositories/players.repository.js - Lưu thông tin cầu thủ
+ * @requires ../repositories/leagueTeamSeason.repository.js - Các giải đấu của đội trong mùa
+ * @requires ../../leagues/services/leagueSeasons.service.js - Mùa giải hiện tại của giải đấu
+ * @requires ../../importRuns/services/importRuns.service.js - Lưu lịch sử thay đổi của lần import
+ *
+ * @author KickOffHub Team
+ * @version 1.0.0
+ */
+
+import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import {
+  bulkInsertMappings,
+  findMappingsWithPlayers,
+} from '../../playerTeamLeagueSeason/repositories/playerTeamLeagueSeason.repository.js';
+import {
+  bulkUpsertSquadPlayers,
+  findPlayers,
+  SQUAD_PLAYER_FIELDS,
+} from '../../players/repositories/players.repository.js';
+import { findMappingsByTeamAndSeason } from '../repositories/leagueTeamSeason.repository.js';
+import { getCurrentLeagueSeason } from '../../leagues/services/leagueSeasons.service.js';
+import {
+  finishImportRun,
+  recordImportChanges,
+  startImportRun,
+} from '../../importRuns/services/importRuns.service.js';
+import { applyFieldLocks } from '../../../common/fieldLocks.js';
+
+/**
+ * Thứ tự hiển thị các nhóm vị trí (theo cách API-Football đặt tên)
+ * @constant {string[]}
+ */
+const POSITION_ORDER = ['Goalkeeper', 'Defender', 'Midfielder', 'Attacker'];
+
+/**
+ * Nhóm dành cho cầu thủ chưa có vị trí
+ * @constant {string}
+ */
+const UNKNOWN_POSITION = 'Unknown';
+
+/**
+ * Các trường của Player trả về trong đội hình
+ * @constant {string[]}
+ */
+const SQUAD_PLAYER_ATTRIBUTES = ['id', 'name', 'firstname', 'lastname', 'age', 'nationality', 'number', 'position', 'photo'];
+
+/**
+ * Bảng mã lỗi và thông báo tương ứng (tiếng Việt)
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_TEAM_ID: 'ID team không hợp lệ',
+  MISSING_SEASON: 'season là bắt buộc',
+  INVALID_SEASON: 'season không hợp lệ',
+  INVALID_LEAGUE_ID: 'league không hợp lệ',
+  SQUAD_LEAGUE_REQUIRED: 'Đội bóng chưa gắn với giải đấu nào trong mùa này, cần truyền league để import đội hình',
+  SQUAD_SEASON_NOT_CURRENT: 'Chỉ có thể import đội hình cho mùa giải hiện tại của giải đấu',
+};
+
+/**
+ * Tạo Error object với code và status
+ *
+ * @function createError
+ * @private
+ * @param {string} code - Mã lỗi (key trong ERROR_MESSAGES hoặc custom message)
+ * @param {number} [status=400] - HTTP status code
+ * @param {*} [details] - Chi tiết bổ sung về lỗi
+ *
+ * @returns {Error} Error object với các thuộc tính code, status, details
+ */
+function createError(code, status = 400, details) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Parse giá trị thành số nguyên dương
+ *
+ * @function parsePositiveInt
+ * @private
+ * @param {string|number|null|undefined} value - Giá trị cần parse
+ *
+ * @returns {number|null|undefined} Số nguyên dương, undefined nếu rỗng, null nếu không hợp lệ
+ */
+function parsePositiveInt(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  const parsed = Number.parseInt(String(value).trim(), 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Nhóm cầu thủ theo vị trí
+ *
+ * @function groupByPosition
+ * @private
+ * @param {Object[]} players - Danh sách cầu thủ (plain object)
+ *
+ * @returns {Array<{position: string, players: Object[]}>} Các nhóm theo POSITION_ORDER, nhóm Unknown ở cuối
+ */
+function groupByPosition(players) {
+  const groups = new Map();
+  players.forEach((player) => {
+    const position = POSITION_ORDER.includes(player.position) ? player.position : UNKNOWN_POSITION;
+    if (!groups.has(position)) {
+      groups.set(position, []);
+    }
+    groups.get(position).push(player);
+  });
+
+  return [...POSITION_ORDER, UNKNOWN_POSITION]
+    .filter((position) => groups.has(position))
+    .map((position) => ({
+      position,
+      players: groups.get(position).sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity)
+        || String(a.name).localeCompare(String(b.name))),
+    }));
+}
+
+/**
+ * Kiểm tra season là mùa giải hiện tại của mọi giải đấu sẽ được ghi mapping
+ *
+ * @async
+ * @function assertCurrentSeason
+ * @private
+ * @description `/players/squads` không có season, nên ghi đội hình hiện tại vào một mùa cũ
+ * sẽ làm sai lịch sử đội hình. Giải đấu chưa xác định được mùa hiện tại cũng bị từ chối.
+ *
+ * @param {number[]} leagueIds - Các giải đấu
+ * @param {number} season - Season được yêu cầu
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} SQUAD_SEASON_NOT_CURRENT (400) - Kèm details `{ league, currentSeason }`
+ */
+async function assertCurrentSeason(leagueIds, season) {
+  for (const league of leagueIds) {
+    let currentSeason = null;
+    try {
+      ({ season: currentSeason } = await getCurrentLeagueSeason(league));
+    } catch (error) {
+      if (error?.message !== 'CURRENT_SEASON_NOT_FOUND') {
+        throw error;
+      }
+    }
+    if (currentSeason !== season) {
+      throw createError('SQUAD_SEASON_NOT_CURRENT', 400, { league, currentSeason });
+    }
+  }
+}
+
+/**
+ * Import đội hình hiện tại của một đội từ API-Football
+ *
+ * @async
+ * @function importSquad
+ * @private
+ * @description `/players/squads` chỉ trả về đội hình hiện tại (không theo mùa), nên mapping
+ * được ghi cho season được yêu cầu và cho từng giải đấu của đội trong mùa đó
+ * (hoặc chỉ giải đấu được truyền vào). Mapping cũ không bị xóa. Các trường cầu thủ
+ * bị khóa (sửa thủ công) không bị ghi đè. Chỉ cho phép với mùa giải hiện tại của các giải đấu đó.
+ * Thay đổi của cầu thủ được ghi vào import run `squad-import` (xem module importRuns).
+ *
+ * @param {number} teamId - Team ID
+ * @param {number} season - Season year
+ * @param {number} [leagueId] - Chỉ ghi mapping cho giải đấu này
+ *
+ * @returns {Promise<Object>} Tóm tắt import: `{ players, created, updated, unchanged, importRunId, mappings, leagues }`
+ * (không có counts và importRunId khi API-Football không trả về cầu thủ nào)
+ * @throws {Error} SQUAD_LEAGUE_REQUIRED - Nếu không xác định được giải đấu
+ * @throws {Error} SQUAD_SEASON_NOT_CURRENT - Nếu season không phải mùa hiện tại của giải đấu
+ */
+async function importSquad(teamId, season, leagueId) {
+  let leagueIds = leagueId ? [leagueId] : [];
+  if (!leagueIds.length) {
+    const mappings = await findMappingsByTeamAndSeason(teamId, season);
+    leagueIds = [...new Set(mappings.map((mapping) => mapping.leagueId))];
+  }
+  if (!leagueIds.length) {
+    throw createError('SQUAD_LEAGUE_REQUIRED');
+  }
+  await assertCurrentSeason(leagueIds, season);
+
+  const data = await apiFootballGet('/players/squads', { team: teamId });
+  const entry = Array.isArray(data?.response) ? data.response[0] : null;
+  const apiPlayers = Array.isArray(entry?.players) ? entry.players : [];
+
+  const apiPayloads = apiPlayers
+    .map((player) => ({
+      id: parsePositiveInt(player?.id),
+      name: typeof player?.name === 'string' ? player.name.trim() : '',
+      age: parsePositiveInt(player?.age) ?? null,
+      number: parsePositiveInt(player?.number) ?? null,
+      position: typeof player?.position === 'string' && player.position.trim() ? player.position.trim() : null,
+      photo: typeof player?.photo === 'string' && player.photo.trim() ? player.photo.trim() : null,
+    }))
+    .filter((payload) => payload.id && payload.name);
+
+  if (!apiPayloads.length) {
+    return { players: 0, mappings: 0, leagues: leagueIds };
+  }
+
+  // Giữ nguyên các trường được sửa thủ công (locked_fields)
+  const existingPlayers = await findPlayers({
+    where: { id: apiPayloads.map((payload) => payload.id) },
+    attributes: ['id', ...SQUAD_PLAYER_FIELDS, 'locked_fields'],
+  });
+  const { payloads: playerPayloads } = applyFieldLocks(existingPlayers, apiPayloads);
+
+  const mappingPayloads = leagueIds.flatMap((league) => playerPayloads.map((player) => ({
+    playerId: player.id,
+    leagueId: league,
+    teamId,
+    season,
+  })));
+
+  const runId = await startImportRun('squad-import', { teamId, season, leagues: leagueIds });
+  let changeCounts;
+  try {
+    await bulkUpsertSquadPlayers(playerPayloads);
+    changeCounts = await recordImportChanges(runId, 'player', existingPlayers, playerPayloads, SQUAD_PLAYER_FIELDS);
+    await bulkInsertMappings(mappingPayloads);
+  } catch (error) {
+    await finishImportRun(runId, error);
+    throw error;
+  }
+  await finishImportRun(runId);
+
+  return {
+    players: playerPayloads.length,
+    ...changeCounts,
+    importRunId: runId,
+    mappings: mappingPayloads.length,
+    leagues: leagueIds,
+  };
+}
+
+/**
+ * Lấy đội hình của một đội trong một mùa giải
+ *
+ * @async
+ * @function getTeamSquad
+ * @description Join players_teams_league_season với Player, loại trùng cầu thủ xuất hiện
+ * ở nhiều giải đấu và nhóm theo vị trí. Khi `import` bật, làm mới đội hình từ
+ * API-Football trước khi đọc.
+ *
+ * @param {number|string} teamIdRaw - Team ID
+ * @param {Object} [params={}] - Query parameters
+ * @param {number|string} params.season - Season year (bắt buộc)
+ * @param {number|string} [params.league] - Chỉ lấy cầu thủ đăng ký ở giải đấu này
+ * @param {boolean} [params.import=false] - Làm mới từ API-Football `/players/squads` (chỉ khi đúng là true)
+ *
+ * @returns {Promise<Object>} Đội hình
+ * @returns {number} returns.teamId - Team ID
+ * @returns {number} returns.season - Season year
+ * @returns {number|null} returns.league - League filter
+ * @returns {number} returns.total - Tổng số cầu thủ
+ * @returns {Array<{position: string, players: Object[]}>} returns.positions - Cầu thủ theo vị trí
+ * @returns {Object} [returns.import] - Tóm tắt import khi import=true
+ *
+ * @throws {Error} INVALID_TEAM_ID, MISSING_SEASON, INVALID_SEASON, INVALID_LEAGUE_ID (400)
+ * @throws {Error} SQUAD_LEAGUE_REQUIRED (400) - import=true nhưng không xác định được giải đấu
+ * @throws {Error} SQUAD_SEASON_NOT_CURRENT (400) - import=true với season không phải mùa hiện tại
+ *
+ * @example
+ * const squad = await getTeamSquad(33, { season: 2024, import: true });
+ */
+export async function getTeamSquad(teamIdRaw, params = {}) {
+  const teamId = parsePositiveInt(teamIdRaw);
+  if (!teamId) {
+    throw createError('INVALID_TEAM_ID');
+  }
+  const season = parsePositiveInt(params.season);
+  if (season === undefined) {
+    throw createError('MISSING_SEASON');
+  }
+  if (season === null) {
+    throw createError('INVALID_SEASON');
+  }
+  const leagueId = parsePositiveInt(params.league);
+  if (leagueId === null) {
+    throw createError('INVALID_LEAGUE_ID');
+  }
+
+  const importSummary = params.import === true ? await importSquad(teamId, season, leagueId) : undefined;
+
+  const filters = { teamId, season };
+  if (leagueId) {
+    filters.leagueId = leagueId;
+  }
+  const mappings = await findMappingsWithPlayers(filters, SQUAD_PLAYER_ATTRIBUTES);
+
+  // Một cầu thủ có thể được đăng ký ở nhiều giải đấu của cùng đội
+  const players = new Map();
+  mappings.forEach((mapping) => {
+    const existing = players.get(mapping.playerId);
+    if (existing) {
+      existing.leagues.push(mapping.leagueId);
+      return;
+    }
+    players.set(mapping.playerId, { ...mapping.player.get({ plain: true }), leagues: [mapping.leagueId] });
+  });
+
+  const result = {
+    teamId,
+    season,
+    league: leagueId ?? null,
+    total: players.size,
+    positions: groupByPosition([...players.values()]),
+  };
+  if (importSummary) {
+    result.import = importSummary;
+  }
+  return result;
+}
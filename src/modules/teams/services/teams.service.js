@@ -4,20 +4,21 @@
  * Service này xử lý tất cả logic nghiệp vụ liên quan đến teams bao gồm:
  * - CRUD operations cho teams
  * - Tìm kiếm và phân trang
- * - Import teams từ API-Football
+ * - Import teams từ API-Football (kèm chế độ dry run)
  * - Lấy thống kê đội bóng
  * 
  * @module modules/teams/services/teams.service
  * @requires ../../apiFootball/services/apiFootball.service.js - Client gọi API-Football
  * @requires ../repositories/team.repository.js - Repository layer cho Team
  * @requires ../repositories/leagueTeamSeason.repository.js - Repository cho mapping league-team-season
- * @requires ../queues/teamImport.queue.js - Background job queue
+ * @requires ../../../pipelines/importJobs.js - Background import jobs
+ * @requires ../../../common/fieldLocks.js - Khóa các trường được sửa thủ công
  * 
  * @author KickOffHub Team
  * @version 1.0.0
  */
 
-import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import { apiFootballGetWithFreshness, apiFootballPages } from '../../apiFootball/services/apiFootball.service.js';
 import {
   paginateTeams,
   findTeamById,
@@ -27,12 +28,21 @@ import {
   updateTeamRecord,
   deleteTeamRecord,
   bulkUpsertTeams,
+  TEAM_IMPORT_FIELDS,
 } from '../repositories/team.repository.js';
 import {
   findMappingsByLeagueAndSeason,
   upsertLeagueTeamSeason,
 } from '../repositories/leagueTeamSeason.repository.js';
-import { enqueueTeamImportJob } from '../queues/teamImport.queue.js';
+import { enqueueImportJob } from '../../../pipelines/importJobs.js';
+import {
+  startImportRun,
+  recordImportChanges,
+  finishImportRun,
+  previewImportRows,
+} from '../../importRuns/services/importRuns.service.js';
+import { applyFieldLocks, mergeLockedFields, parseFieldList } from '../../../common/fieldLocks.js';
+import { parseBooleanFlag } from '../../../common/booleanFlags.js';
 
 /**
  * Giá trị mặc định cho page number trong pagination
@@ -73,8 +83,16 @@ const ERROR_MESSAGES = {
   INVALID_IDS: 'ID không hợp lệ',
   API_FOOTBALL_ERROR: 'Không thể lấy thống kê đội bóng từ API-Football',
   API_FOOTBALL_TIMEOUT: 'Hết thời gian chờ khi gọi API-Football',
+  INVALID_INCLUDE: 'include không hợp lệ (chỉ hỗ trợ: venue)',
+  INVALID_UNLOCK_FIELDS: `unlock không hợp lệ (chỉ hỗ trợ: ${TEAM_IMPORT_FIELDS.join(', ')})`,
 };
 
+/**
+ * Các quan hệ có thể kèm theo khi lấy chi tiết team qua `include`
+ * @constant {string[]}
+ */
+const TEAM_INCLUDES = ['venue'];
+
 /**
  * Tạo Error object với code và status
  * 
@@ -299,6 +317,29 @@ function escapeForLike(value) {
   return value.replace(/[%_]/g, '\\$&');
 }
 
+/**
+ * Parse tham số include (danh sách phân tách bằng dấu phẩy)
+ * 
+ * @function parseTeamInclude
+ * @private
+ * @description Chỉ chấp nhận các giá trị trong TEAM_INCLUDES
+ * 
+ * @param {string|undefined} value - Giá trị include từ query string
+ * 
+ * @returns {Set<string>} Tập các quan hệ cần kèm theo
+ * @throws {Error} INVALID_INCLUDE - Nếu có giá trị không được hỗ trợ
+ */
+function parseTeamInclude(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return new Set();
+  }
+  const includes = String(value).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+  if (includes.some((item) => !TEAM_INCLUDES.includes(item))) {
+    throw createError('INVALID_INCLUDE');
+  }
+  return new Set(includes);
+}
+
 /**
  * Kiểm tra flag background có phải true không
  * 
@@ -382,19 +423,23 @@ export async function listTeams(params = {}) {
  * @description Tìm và trả về thông tin team theo ID.
  * 
  * @param {number|string} teamIdRaw - ID của team cần lấy
+ * @param {Object} [query={}] - Query parameters
+ * @param {string} [query.include] - Quan hệ kèm theo, hiện hỗ trợ `venue` (sân nhà, null nếu chưa có)
  * 
  * @returns {Promise<Team>} Team object
  * 
  * @throws {Error} INVALID_TEAM_ID - Nếu ID không hợp lệ
+ * @throws {Error} INVALID_INCLUDE - Nếu include có giá trị không hỗ trợ
  * @throws {Error} TEAM_NOT_FOUND (404) - Nếu không tìm thấy team
  * 
  * @example
- * const team = await getTeam(33);
- * // { id: 33, name: 'Manchester United', ... }
+ * const team = await getTeam(33, { include: 'venue' });
+ * // { id: 33, name: 'Manchester United', venue: { id: 556, name: 'Old Trafford', ... } }
  */
-export async function getTeam(teamIdRaw) {
+export async function getTeam(teamIdRaw, query = {}) {
   const teamId = parseRequiredPositiveInt(teamIdRaw, 'INVALID_TEAM_ID');
-  const team = await findTeamById(teamId);
+  const includes = parseTeamInclude(query.include);
+  const team = await findTeamById(teamId, { includeVenue: includes.has('venue') });
   if (!team) {
     throw createError('TEAM_NOT_FOUND', 404);
   }
@@ -508,7 +553,8 @@ export async function createTeam(payload) {
  * @async
  * @function updateTeam
  * @description Cập nhật một hoặc nhiều field của team.
- * Chỉ cập nhật các field được truyền trong body.
+ * Chỉ cập nhật các field được truyền trong body. Các field được cập nhật bị khóa
+ * (`locked_fields`) để lần import sau không ghi đè; `unlock` mở khóa lại.
  * 
  * @param {number|string} teamIdRaw - ID của team cần cập nhật
  * @param {Object} body - Các field cần cập nhật
@@ -519,22 +565,37 @@ export async function createTeam(payload) {
  * @param {boolean} [body.national] - Có phải đội tuyển quốc gia
  * @param {string|null} [body.logo] - URL logo mới
  * @param {number|null} [body.venue_id] - ID venue mới
+ * @param {string[]|string} [body.unlock] - Các field cần mở khóa (mảng hoặc chuỗi phân tách bởi dấu phẩy)
  * 
  * @returns {Promise<Team>} Team object sau khi cập nhật
  * 
  * @throws {Error} INVALID_TEAM_ID - Nếu ID không hợp lệ
+ * @throws {Error} INVALID_UNLOCK_FIELDS - Nếu unlock chứa field không hợp lệ
  * @throws {Error} TEAM_NOT_FOUND (404) - Nếu không tìm thấy team
  * 
  * @example
  * const team = await updateTeam(33, { name: 'Man United', logo: 'new-logo.png' });
+ * // team.locked_fields = ['logo', 'name']
+ *
+ * @example
+ * // Cho phép import cập nhật lại logo
+ * const team = await updateTeam(33, { unlock: ['logo'] });
  */
 export async function updateTeam(teamIdRaw, body) {
   const teamId = parseRequiredPositiveInt(teamIdRaw, 'INVALID_TEAM_ID');
+  const unlock = parseFieldList(body.unlock, TEAM_IMPORT_FIELDS);
+  if (unlock === null) {
+    throw createError('INVALID_UNLOCK_FIELDS');
+  }
+
+  const team = await findTeamById(teamId);
+  if (!team) {
+    throw createError('TEAM_NOT_FOUND', 404);
+  }
 
   // Build update payload chỉ với các field được truyền vào
   const updatePayload = {};
-  const fields = ['name', 'code', 'country', 'founded', 'national', 'logo', 'venue_id'];
-  for (const field of fields) {
+  for (const field of TEAM_IMPORT_FIELDS) {
     if (Object.prototype.hasOwnProperty.call(body, field)) {
       // Convert số cho founded và venue_id
       if (field === 'founded' || field === 'venue_id') {
@@ -545,11 +606,11 @@ export async function updateTeam(teamIdRaw, body) {
     }
   }
 
+  // Khóa các field vừa sửa để import không ghi đè
+  updatePayload.locked_fields = mergeLockedFields(team.locked_fields, Object.keys(updatePayload), unlock);
+
   // Thực hiện update
-  const [updatedRows] = await updateTeamRecord(teamId, updatePayload);
-  if (updatedRows === 0) {
-    throw createError('TEAM_NOT_FOUND', 404);
-  }
+  await updateTeamRecord(teamId, updatePayload);
   
   // Return team đã cập nhật
   return findTeamById(teamId);
@@ -688,12 +749,15 @@ export async function listPopularTeams(params = {}) {
  * @async
  * @function importTeams
  * @description Import teams từ API-Football cho một league và season cụ thể.
- * Hỗ trợ chạy background (qua queue) hoặc synchronous.
+ * Hỗ trợ chạy background (qua queue) hoặc synchronous. Với `dryRun`, chỉ xem trước
+ * kết quả (luôn chạy synchronous, không ghi gì vào database).
  * 
  * @param {Object} [params={}] - Import parameters
  * @param {number|string} params.season - Season year (bắt buộc)
  * @param {number|string} params.league - League ID (bắt buộc)
  * @param {boolean|string} [params.background=false] - Chạy trong background queue
+ * @param {boolean|string} [params.force=false] - Ghi đè cả các field bị khóa (sửa thủ công)
+ * @param {boolean|string} [params.dryRun=false] - Chỉ xem trước, không ghi (xem performTeamImport)
  * 
  * @returns {Promise<Object>} Import result
  * @returns {boolean} [returns.queued] - True nếu đã đưa vào queue
@@ -713,18 +777,24 @@ export async function listPopularTeams(params = {}) {
  * @example
  * // Background import
  * const result = await importTeams({ season: 2023, league: 39, background: true });
- * // { queued: true, message: '...', season: 2023, league: 39 }
+ * // { queued: true, jobId: '42', jobName: 'teams-import', message: '...', season: 2023, league: 39 }
  */
 export async function importTeams(params = {}) {
   const seasonValue = parseRequiredPositiveInt(params.season, 'MISSING_SEASON');
   const leagueValue = parseRequiredPositiveInt(params.league, 'MISSING_LEAGUE');
   const background = isBackgroundFlagTrue(params.background);
+  const force = parseBooleanFlag(params.force);
+
+  // Dry run luôn chạy trong request vì kết quả chính là bản xem trước
+  if (parseBooleanFlag(params.dryRun)) {
+    return performTeamImport({ leagueId: leagueValue, season: seasonValue, force, dryRun: true });
+  }
 
   // Nếu background flag được set, đưa job vào queue và return ngay
   if (background) {
-    await enqueueTeamImportJob({ leagueId: leagueValue, season: seasonValue });
+    const queued = await enqueueImportJob('teams-import', { leagueId: leagueValue, season: seasonValue, force });
     return {
-      queued: true,
+      ...queued,
       message: 'Tác vụ import đã được đưa vào hàng đợi',
       season: seasonValue,
       league: leagueValue,
@@ -732,7 +802,7 @@ export async function importTeams(params = {}) {
   }
 
   // Thực hiện import synchronously
-  return performTeamImport({ leagueId: leagueValue, season: seasonValue });
+  return performTeamImport({ leagueId: leagueValue, season: seasonValue, force });
 }
 
 /**
@@ -742,29 +812,52 @@ export async function importTeams(params = {}) {
  * @function performTeamImport
  * @description Hàm thực thi việc import teams - được gọi trực tiếp hoặc từ queue worker.
  * 
- * Flow:
+ * Flow (lặp lại cho từng trang kết quả của API-Football):
  * 1. Gọi API-Football để lấy danh sách teams
- * 2. Transform và validate dữ liệu
- * 3. Bulk upsert teams vào database
+ * 2. Transform và validate dữ liệu, giữ nguyên các field bị khóa (trừ khi force)
+ * 3. Bulk upsert teams vào database, ghi lại dòng nào được tạo / cập nhật / giữ nguyên vào import run
  * 4. Tạo/update mapping league-team-season
  * 
+ * Với `dryRun`, bước 1-2 chạy như thường nhưng bỏ qua bước 3-4 và không mở import run:
+ * kết quả là bản xem trước (xem phần returns của dry run bên dưới).
+ * 
  * @param {Object} params - Import parameters
  * @param {number|string} params.leagueId - League ID
  * @param {number|string} params.season - Season year
+ * @param {boolean} [params.force=false] - Ghi đè cả các field bị khóa
+ * @param {boolean} [params.dryRun=false] - Chỉ xem trước, không ghi gì
+ * @param {Object} [context={}] - Context từ import worker
+ * @param {Object} [context.job] - BullMQ job khi chạy nền
+ * @param {Function} [context.reportProgress] - Báo tiến độ sau mỗi trang
+ * @param {Function} [context.checkpoint] - Kiểm tra lại quota trước trang kế tiếp; ném DelayedError để hoãn job
  * 
  * @returns {Promise<Object>} Import result details
- * @returns {number} returns.imported - Số teams đã import
+ * @returns {number} returns.imported - Số teams đã import (cộng dồn mọi trang)
+ * @returns {number} returns.created - Số teams mới
+ * @returns {number} returns.updated - Số teams có ít nhất một trường thay đổi
+ * @returns {number} returns.unchanged - Số teams không thay đổi
+ * @returns {number} returns.lockedFieldsPreserved - Số teams được giữ nguyên ít nhất một field bị khóa
+ * @returns {number} returns.importRunId - ID import run (xem GET /api/import-runs/:id/changes)
  * @returns {number} returns.mappingsInserted - Số mappings đã tạo thành công
  * @returns {Array<{teamId: number, reason: string}>} returns.mappingErrors - Lỗi khi tạo mappings
  * @returns {number} returns.season - Season đã import
  * @returns {number} returns.league - League ID
+ * @returns {number} returns.pagesFetched - Số trang đã đọc
  * @returns {number|null} returns.totalPages - Tổng số pages từ API
  * @returns {string} [returns.message] - Thông báo bổ sung nếu không có data
+ * @returns {boolean} [returns.dryRun] - Dry run: luôn là true; created/updated/unchanged là số teams sẽ thay đổi,
+ * không có importRunId, mappingsInserted, mappingErrors và message
+ * @returns {Array<Object>} [returns.inserts] - Dry run: các dòng teams sẽ được tạo
+ * @returns {Array<{id: number, changes: Object}>} [returns.updates] - Dry run: thay đổi từng field `{ before, after }` của teams sẽ cập nhật
+ * @returns {Array<{leagueId: number, teamId: number, season: number}>} [returns.mappings] - Dry run: mapping league-team-season sẽ được upsert
  * 
  * @throws {Error} INVALID_LEAGUE_ID - Nếu leagueId không hợp lệ
  * @throws {Error} INVALID_SEASON - Nếu season không hợp lệ
  */
-export async function performTeamImport({ leagueId, season }) {
+export async function performTeamImport(
+  { leagueId, season, force = false, dryRun = false },
+  { job, reportProgress, checkpoint } = {},
+) {
   const leagueValue = parseRequiredPositiveInt(leagueId, 'INVALID_LEAGUE_ID');
   const seasonValue = parseRequiredPositiveInt(season, 'INVALID_SEASON');
 
@@ -774,69 +867,112 @@ export async function performTeamImport({ leagueId, season }) {
     season: seasonValue,
   };
 
-  // Gọi API-Football endpoint /teams
-  const data = await apiFootballGet('/teams', apiParams);
-  const totalPages = data?.paging?.total ?? null;
-  const apiTeams = Array.isArray(data?.response) ? data.response : [];
+  let imported = 0;
+  const changeCounts = { created: 0, updated: 0, unchanged: 0 };
+  let lockedFieldsPreserved = 0;
+  let mappingsInserted = 0;
+  const mappingErrors = [];
+  let pagesFetched = 0;
+  let totalPages = null;
+
+  // Dry run: chỉ gom các dòng sẽ ghi để dựng bản xem trước
+  const preview = dryRun ? { existing: [], payloads: [], mappings: [] } : null;
+  const runId = dryRun ? null : await startImportRun('teams-import', { ...apiParams, force }, { jobId: job?.id });
+  try {
+    // Gọi API-Football endpoint /teams, đi qua tất cả các trang
+    for await (const { page, totalPages: pageCount, data } of apiFootballPages('/teams', apiParams)) {
+      pagesFetched += 1;
+      totalPages = pageCount;
+      const apiTeams = Array.isArray(data?.response) ? data.response : [];
 
-  // Handle trường hợp API trả về rỗng
-  if (apiTeams.length === 0) {
-    return {
-      imported: 0,
-      mappingsInserted: 0,
-      mappingErrors: [],
-      season: seasonValue,
-      league: leagueValue,
-      totalPages,
-      message: 'Không có đội bóng nào được trả về từ API-Football',
-    };
-  }
+      // Transform API response thành team payloads, lọc bỏ invalid entries
+      const apiPayloads = apiTeams.map((entry) => buildTeamPayloadFromApi(entry)).filter((payload) => payload !== null);
+
+      if (apiPayloads.length) {
+        // Đọc bản hiện tại trước khi ghi đè để giữ các field bị khóa và lưu thay đổi từng trường
+        const uniqueTeamIds = [...new Set(apiPayloads.map((payload) => payload.id))];
+        const existingTeams = await findTeamsByIds(uniqueTeamIds);
+        const { payloads: teamPayloads, preserved } = applyFieldLocks(existingTeams, apiPayloads, { force });
+        lockedFieldsPreserved += preserved.length;
+        imported += teamPayloads.length;
 
-  // Transform API response thành team payloads, lọc bỏ invalid entries
-  const teamPayloads = apiTeams.map((entry) => buildTeamPayloadFromApi(entry)).filter((payload) => payload !== null);
+        if (preview) {
+          preview.existing.push(...existingTeams);
+          preview.payloads.push(...teamPayloads);
+          preview.mappings.push(...uniqueTeamIds.map((teamId) => ({ leagueId: leagueValue, teamId, season: seasonValue })));
+        } else {
+          await bulkUpsertTeams(teamPayloads);
+          const pageCounts = await recordImportChanges(runId, 'team', existingTeams, teamPayloads, TEAM_IMPORT_FIELDS);
+          Object.keys(changeCounts).forEach((key) => {
+            changeCounts[key] += pageCounts[key];
+          });
+
+          // Tạo mappings league-team-season cho mỗi team
+          for (const teamId of uniqueTeamIds) {
+            try {
+              await upsertLeagueTeamSeason({ leagueId: leagueValue, teamId, season: seasonValue });
+              mappingsInserted += 1;
+            } catch (error) {
+              // Log lỗi nhưng không throw để continue với các teams khác
+              mappingErrors.push({
+                teamId,
+                reason: error?.message || 'Không xác định',
+              });
+            }
+          }
+        }
+      }
 
-  if (teamPayloads.length === 0) {
+      if (reportProgress) {
+        await reportProgress({ done: page, total: pageCount, imported });
+      }
+      if (checkpoint && page < pageCount) {
+        await checkpoint();
+      }
+    }
+  } catch (error) {
+    if (runId) {
+      await finishImportRun(runId, error);
+    }
+    throw error;
+  }
+
+  if (preview) {
+    const rows = previewImportRows(preview.existing, preview.payloads, TEAM_IMPORT_FIELDS);
     return {
-      imported: 0,
-      mappingsInserted: 0,
-      mappingErrors: [],
+      dryRun: true,
+      imported,
+      created: rows.created,
+      updated: rows.updated,
+      unchanged: rows.unchanged,
+      lockedFieldsPreserved,
+      inserts: rows.inserts,
+      updates: rows.updates,
+      mappings: preview.mappings,
       season: seasonValue,
       league: leagueValue,
+      pagesFetched,
       totalPages,
-      message: 'Không có đội bóng hợp lệ để lưu',
     };
   }
 
-  // Bulk upsert teams vào database
-  await bulkUpsertTeams(teamPayloads);
-
-  // Tạo mappings league-team-season cho mỗi team
-  const uniqueTeamIds = [...new Set(teamPayloads.map((payload) => payload.id))];
-  let mappingsInserted = 0;
-  const mappingErrors = [];
-  
-  // Xử lý từng team để tạo mapping
-  for (const teamId of uniqueTeamIds) {
-    try {
-      await upsertLeagueTeamSeason({ leagueId: leagueValue, teamId, season: seasonValue });
-      mappingsInserted += 1;
-    } catch (error) {
-      // Log lỗi nhưng không throw để continue với các teams khác
-      mappingErrors.push({
-        teamId,
-        reason: error?.message || 'Không xác định',
-      });
-    }
-  }
-
-  return {
-    imported: teamPayloads.length,
+  await finishImportRun(runId);
+  const result = {
+    imported,
+    ...changeCounts,
+    lockedFieldsPreserved,
+    importRunId: runId,
     mappingsInserted,
     mappingErrors,
     season: seasonValue,
     league: leagueValue,
+    pagesFetched,
     totalPages,
   };
+  if (imported === 0) {
+    result.message = 'Không có đội bóng hợp lệ được trả về từ API-Football';
+  }
+  return result;
 }
 
 /**
@@ -845,7 +981,8 @@ export async function performTeamImport({ leagueId, season }) {
  * @async
  * @function getTeamStats
  * @description Lấy thống kê chi tiết của một đội bóng trong một league và season cụ thể.
- * Dữ liệu được lấy real-time từ API-Football.
+ * Dữ liệu lấy từ API-Football theo kiểu stale-while-revalidate: bản cache hết hạn vẫn được
+ * trả ngay (freshness 'stale') trong khi làm mới ở nền, và cả khi circuit breaker đang mở.
  * 
  * @param {Object} [params={}] - Query parameters
  * @param {number|string} params.teamId - Team ID (bắt buộc)
@@ -858,6 +995,8 @@ export async function performTeamImport({ leagueId, season }) {
  * @returns {number} returns.season - Season year
  * @returns {number} returns.teamId - Team ID
  * @returns {string} returns.source - Nguồn dữ liệu ('API-Football')
+ * @returns {string} returns.freshness - 'fresh' hoặc 'stale'
+ * @returns {string} returns.fetchedAt - Thời điểm lấy dữ liệu từ API-Football
  * @returns {Object} returns.payload - Raw statistics data từ API
  * 
  * @throws {Error} INVALID_TEAM_ID - Nếu teamId không hợp lệ
@@ -876,7 +1015,7 @@ export async function getTeamStats(params = {}) {
 
   try {
     // Gọi API-Football endpoint /teams/statistics
-    const data = await apiFootballGet('/teams/statistics', {
+    const { data, freshness, fetchedAt } = await apiFootballGetWithFreshness('/teams/statistics', {
       league: leagueId,
       team: teamId,
       season,
@@ -888,6 +1027,8 @@ export async function getTeamStats(params = {}) {
       season,
       teamId,
       source: 'API-Football',
+      freshness,
+      fetchedAt,
       payload: data,
     };
   } catch (error) {
@@ -0,0 +1,135 @@
+/**
+ * @file Transfers Controller
+ * @description HTTP request handlers for transfer endpoints. Delegates to the
+ * transfers service and formats responses with ApiResponse.
+ * @module modules/transfers/controllers/transfers
+ */
+
+import ApiResponse from '../../../common/response.js';
+import { AppException } from '../../../common/exceptions/index.js';
+import toAppException from '../../../common/controllerError.js';
+import {
+  getPlayerTransfers,
+  getTeamTransfers,
+  importTransfers,
+} from '../services/transfers.service.js';
+
+/**
+ * Reads a value from the request body, falling back to the query string.
+ * @function readRequestValue
+ * @param {import('express').Request} req - Express request object
+ * @param {string} key - Key to read
+ * @returns {*} Value from body or query, undefined if absent
+ * @private
+ */
+function readRequestValue(req, key) {
+  if (req.body && Object.prototype.hasOwnProperty.call(req.body, key)) {
+    return req.body[key];
+  }
+  return req.query ? req.query[key] : undefined;
+}
+
+/**
+ * Maps service, upstream and unknown errors to an AppException.
+ * @function mapTransfersError
+ * @param {Error} err - Error thrown by the service layer
+ * @param {string} fallbackMessage - Message used when the error cannot be mapped
+ * @param {string} fallbackCode - Error code used when the error cannot be mapped
+ * @param {number} [fallbackStatus=500] - HTTP status used when the error cannot be mapped
+ * @returns {AppException} Normalized exception
+ * @private
+ */
+function mapTransfersError(err, fallbackMessage, fallbackCode, fallbackStatus = 500) {
+  if (err instanceof AppException) {
+    return err;
+  }
+
+  if (err?.code && err?.status) {
+    return new AppException(err.message, err.code, err.status, err.details);
+  }
+
+  if (err?.code === 'ECONNABORTED') {
+    return new AppException('Hết thời gian chờ khi gọi API-Football', 'API_FOOTBALL_TIMEOUT', 504);
+  }
+
+  if (err?.response && err.response.data) {
+    const status = err.response.status || fallbackStatus;
+    return new AppException(fallbackMessage, fallbackCode, status, { response: err.response.data });
+  }
+
+  return toAppException(err, fallbackMessage, fallbackCode, fallbackStatus);
+}
+
+/**
+ * Controller object containing transfer endpoint handlers.
+ * @namespace TransfersController
+ */
+const TransfersController = {
+  /**
+   * Retrieves a player's transfer history.
+   * @async
+   * @function getPlayerTransfers
+   * @memberof TransfersController
+   * @param {import('express').Request} req - Express request (params.id)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the player's transfers
+   */
+  async getPlayerTransfers(req, res, next) {
+    try {
+      const payload = await getPlayerTransfers(req.params.id);
+      return ApiResponse.success(res, payload, 'Player transfers retrieved');
+    } catch (err) {
+      next(mapTransfersError(err, 'Lỗi khi lấy lịch sử chuyển nhượng của cầu thủ', 'PLAYER_TRANSFERS_FAILED'));
+    }
+  },
+
+  /**
+   * Retrieves a team's arrivals and departures.
+   * @async
+   * @function getTeamTransfers
+   * @memberof TransfersController
+   * @param {import('express').Request} req - Express request (params.id, query.season)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the team's transfers
+   */
+  async getTeamTransfers(req, res, next) {
+    try {
+      const payload = await getTeamTransfers(req.params.id, req.query);
+      return ApiResponse.success(res, payload, 'Team transfers retrieved');
+    } catch (err) {
+      next(mapTransfersError(err, 'Lỗi khi lấy danh sách chuyển nhượng của đội', 'TEAM_TRANSFERS_FAILED'));
+    }
+  },
+
+  /**
+   * Imports transfers from API-Football by player or team.
+   * Responds with 202 when the import was queued, 200 otherwise.
+   * @async
+   * @function importTransfersFromApiFootball
+   * @memberof TransfersController
+   * @param {import('express').Request} req - Express request (player, team, background in body or query)
+   * @param {import('express').Response} res - Express response
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>} JSON response with the import summary
+   */
+  async importTransfersFromApiFootball(req, res, next) {
+    try {
+      const result = await importTransfers({
+        player: readRequestValue(req, 'player'),
+        team: readRequestValue(req, 'team'),
+        background: readRequestValue(req, 'background'),
+      });
+
+      const { queued, ...payload } = result;
+      const status = queued ? 202 : 200;
+      const message = queued ? 'Tác vụ import đã được đưa vào hàng đợi' : 'Import chuyển nhượng thành công';
+      return ApiResponse.success(res, payload, message, status);
+    } catch (err) {
+      next(mapTransfersError(err, 'Lỗi khi import chuyển nhượng từ API Football', 'TRANSFER_IMPORT_FAILED'));
+    }
+  },
+};
+
+export default TransfersController;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Transfers Module Registration
+ * @description Entry point for the transfers module. Registers the Transfer model,
+ * service layer and import job, and exposes public/private routes for player
+ * and team transfers.
+ * @module modules/transfers
+ */
+
+import { publicRouter, privateRouter } from './routes/transfers.routes.js';
+import Transfer from './models/transfer.model.js';
+import * as TransfersService from './services/transfers.service.js';
+import { TOKENS, registerIfMissing } from '../../contracts/tokens.js';
+
+/**
+ * Registers the transfers module with the application container.
+ *
+ * @async
+ * @function registerTransfersModule
+ * @param {Object} options - Registration options
+ * @param {Object} options.container - Dependency injection container
+ * @returns {Promise<Object>} Module configuration object
+ */
+export default async function registerTransfersModule({ container }) {
+  registerIfMissing(container, TOKENS.models.Transfer, Transfer);
+  container.set(TOKENS.services.transfers, TransfersService);
+
+  return {
+    name: 'transfers',
+    basePath: '/',
+    publicRoutes: publicRouter,
+    privateRoutes: privateRouter,
+    jobs: [
+      { name: 'transfers-import', handler: TransfersService.performTransferImport },
+    ],
+    publicApi: {
+      Transfer,
+      services: TransfersService,
+    },
+  };
+}
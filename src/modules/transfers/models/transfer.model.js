@@ -0,0 +1,97 @@
+/**
+ * @file Transfer Model Definition
+ * @description Sequelize model for the transfers table. Each row is one player
+ * move between two clubs as reported by API-Football `/transfers`.
+ * @module modules/transfers/models/transfer
+ */
+
+import { DataTypes } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Player from '../../players/models/player.model.js';
+import Team from '../../teams/models/team.model.js';
+
+/**
+ * Transfer model representing a player moving from one club to another.
+ * @typedef {Object} Transfer
+ * @property {number} id - Primary key (auto-increment)
+ * @property {number} player_id - Player identifier (API-Football)
+ * @property {string|null} player_name - Player name as reported with the transfer
+ * @property {string|null} transfer_date - Transfer date (YYYY-MM-DD)
+ * @property {string|null} type - Fee or kind of move ('€ 20M', 'Free', 'Loan', 'N/A', ...)
+ * @property {number|null} team_in_id - Destination club identifier
+ * @property {string|null} team_in_name - Destination club name
+ * @property {string|null} team_in_logo - Destination club logo URL
+ * @property {number|null} team_out_id - Origin club identifier
+ * @property {string|null} team_out_name - Origin club name
+ * @property {string|null} team_out_logo - Origin club logo URL
+ * @property {Date} synced_at - Last time the player's transfers were synced
+ */
+const Transfer = sequelize.define('Transfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  player_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  player_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  transfer_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
+  team_in_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  team_in_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  team_in_logo: {
+    type: DataTypes.STRING(1024),
+    allowNull: true,
+  },
+  team_out_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  team_out_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  team_out_logo: {
+    type: DataTypes.STRING(1024),
+    allowNull: true,
+  },
+  synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+}, {
+  tableName: 'transfers',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['player_id'] },
+    { fields: ['team_in_id', 'transfer_date'] },
+    { fields: ['team_out_id', 'transfer_date'] },
+  ],
+});
+
+// Club names and logos are stored on the row because either side may be a club
+// that was never imported; the associations are for display joins only.
+Transfer.belongsTo(Player, { foreignKey: 'player_id', as: 'player', constraints: false });
+Transfer.belongsTo(Team, { foreignKey: 'team_in_id', as: 'teamIn', constraints: false });
+Transfer.belongsTo(Team, { foreignKey: 'team_out_id', as: 'teamOut', constraints: false });
+
+export default Transfer;
@@ -0,0 +1,51 @@
+import { Op } from 'sequelize';
+import sequelize from '../../../common/db.js';
+import Transfer from '../models/transfer.model.js';
+import Player from '../../players/models/player.model.js';
+import Team from '../../teams/models/team.model.js';
+
+const TEAM_ATTRIBUTES = ['id', 'name', 'code', 'logo'];
+const PLAYER_ATTRIBUTES = ['id', 'name', 'photo', 'nationality', 'position'];
+
+const TRANSFER_ORDER = [['transfer_date', 'DESC'], ['id', 'DESC']];
+
+export function findTransfersByPlayer(playerId) {
+  return Transfer.findAll({
+    where: { player_id: playerId },
+    include: [
+      { model: Team, as: 'teamIn', attributes: TEAM_ATTRIBUTES, required: false },
+      { model: Team, as: 'teamOut', attributes: TEAM_ATTRIBUTES, required: false },
+    ],
+    order: TRANSFER_ORDER,
+  });
+}
+
+export function findTransfersByTeam(teamId, { from, to } = {}) {
+  const where = {
+    [Op.or]: [{ team_in_id: teamId }, { team_out_id: teamId }],
+  };
+  if (from || to) {
+    where.transfer_date = {};
+    if (from) {
+      where.transfer_date[Op.gte] = from;
+    }
+    if (to) {
+      where.transfer_date[Op.lte] = to;
+    }
+  }
+  return Transfer.findAll({
+    where,
+    include: [{ model: Player, as: 'player', attributes: PLAYER_ATTRIBUTES, required: false }],
+    order: TRANSFER_ORDER,
+  });
+}
+
+// API-Football always returns a player's full transfer history, so it replaces what is stored
+export function replacePlayerTransfers(playerIds, payloads) {
+  return sequelize.transaction(async (transaction) => {
+    await Transfer.destroy({ where: { player_id: playerIds }, transaction });
+    if (payloads.length) {
+      await Transfer.bulkCreate(payloads, { transaction });
+    }
+  });
+}
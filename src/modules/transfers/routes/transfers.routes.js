@@ -0,0 +1,168 @@
+/**
+ * @file Transfers Routes
+ * @description Express routers for player and team transfers. Read endpoints are
+ * public; importing from API-Football requires authentication.
+ * @module modules/transfers/routes/transfers
+ */
+
+import express from 'express';
+import auth from '../../../common/authMiddleware.js';
+import TransfersController from '../controllers/transfers.controller.js';
+import { resolveSeasonParam } from '../../leagues/middlewares/resolveSeason.js';
+
+/**
+ * Router for public endpoints (no authentication required).
+ * @type {express.Router}
+ */
+const publicRouter = express.Router();
+
+/**
+ * Router for private endpoints (JWT required).
+ * @type {express.Router}
+ */
+const privateRouter = express.Router();
+
+/**
+ * @openapi
+ * /api/players/{id}/transfers:
+ *   get:
+ *     summary: Player transfer history
+ *     description: Every stored move of the player, newest first. Import it first with POST /api/transfers/import.
+ *     tags:
+ *       - Transfers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Player transfers retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Player transfers retrieved"
+ *               data:
+ *                 playerId: 1100
+ *                 total: 2
+ *                 transfers:
+ *                   - transfer_date: "2022-07-01"
+ *                     type: "€ 60M"
+ *                     team_in_id: 50
+ *                     team_in_name: "Manchester City"
+ *                     team_out_id: 165
+ *                     team_out_name: "Borussia Dortmund"
+ *                     teamIn:
+ *                       id: 50
+ *                       name: "Manchester City"
+ *                     teamOut: null
+ *       400:
+ *         description: Invalid player identifier.
+ *       500:
+ *         description: Unexpected error.
+ */
+publicRouter.get('/players/:id/transfers', TransfersController.getPlayerTransfers); // GET /api/players/:id/transfers
+
+/**
+ * @openapi
+ * /api/teams/{id}/transfers:
+ *   get:
+ *     summary: Team transfers
+ *     description: Arrivals and departures of a team, newest first. With `season`, only transfers dated from June 1st of that year to May 31st of the next are returned (summer window plus the following winter window).
+ *     tags:
+ *       - Transfers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: season
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Season year (e.g., 2023).
+ *     responses:
+ *       200:
+ *         description: Team transfers retrieved.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Team transfers retrieved"
+ *               data:
+ *                 teamId: 50
+ *                 season: 2023
+ *                 from: "2023-06-01"
+ *                 to: "2024-05-31"
+ *                 arrivals:
+ *                   - player_id: 284324
+ *                     transfer_date: "2023-08-11"
+ *                     type: "€ 90M"
+ *                     team_out_name: "RB Leipzig"
+ *                 departures: []
+ *       400:
+ *         description: Invalid team identifier or season.
+ *       500:
+ *         description: Unexpected error.
+ */
+publicRouter.get('/teams/:id/transfers', resolveSeasonParam({ leagueKeys: [] }), TransfersController.getTeamTransfers); // GET /api/teams/:id/transfers
+
+/**
+ * @openapi
+ * /api/transfers/import:
+ *   post:
+ *     summary: Import transfers from API-Football
+ *     description: Imports the full transfer history of one player, or of every player who joined or left a team (pass exactly one of player and team), and replaces what is stored for those players. Set background=true to queue the import.
+ *     tags:
+ *       - Transfers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: player
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Player identifier. Cannot be combined with team.
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Team identifier. Cannot be combined with player.
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import instead of running it in the request.
+ *     responses:
+ *       200:
+ *         description: Import summary.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Import chuyển nhượng thành công"
+ *               data:
+ *                 players: 64
+ *                 imported: 311
+ *                 player: null
+ *                 team: 50
+ *       202:
+ *         description: Import queued.
+ *       400:
+ *         description: Missing or invalid parameters, or both player and team given.
+ *       401:
+ *         description: Missing/invalid bearer token.
+ *       500:
+ *         description: API-Football or persistence failure.
+ */
+privateRouter.post('/transfers/import', auth, TransfersController.importTransfersFromApiFootball); // POST /api/transfers/import
+
+export { publicRouter, privateRouter };
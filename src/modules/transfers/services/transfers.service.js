@@ -0,0 +1,273 @@
+/**
+ * @file Transfers Service
+ * @description Business logic layer for player transfers. Transfers are imported
+ * from API-Football `/transfers` (by player or by team) and served from the
+ * transfers table.
+ * @module modules/transfers/services/transfers
+ */
+
+import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import {
+  findTransfersByPlayer,
+  findTransfersByTeam,
+  replacePlayerTransfers,
+} from '../repositories/transfers.repository.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+
+/**
+ * Month (1-12) a season's transfer year starts in. Season 2023 covers transfers
+ * dated 2023-06-01 to 2024-05-31, i.e. the 2023 summer and the following winter window.
+ * @constant {number}
+ */
+const SEASON_START_MONTH = 6;
+
+/**
+ * Error messages for transfer operations.
+ * @constant {Object.<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_PLAYER_ID: 'ID cầu thủ không hợp lệ',
+  INVALID_TEAM_ID: 'ID team không hợp lệ',
+  INVALID_SEASON: 'season không hợp lệ',
+  MISSING_IMPORT_TARGET: 'Cần truyền player hoặc team để import chuyển nhượng',
+  CONFLICTING_IMPORT_TARGET: 'Chỉ được truyền một trong hai tham số player hoặc team',
+};
+
+/**
+ * Creates a standardized error with code and status.
+ * @function createError
+ * @param {string} code - Error code key from ERROR_MESSAGES or custom message
+ * @param {number} [status=400] - HTTP status code
+ * @returns {Error} Error object with code and status
+ * @private
+ */
+function createError(code, status = 400) {
+  const error = new Error(ERROR_MESSAGES[code] || code);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parses an optional positive integer.
+ * @function parseOptionalPositiveInt
+ * @param {*} value - Value to parse
+ * @param {string} invalidCode - Error code if value is present but invalid
+ * @returns {number|undefined} Parsed integer or undefined if empty
+ * @throws {Error} If value is present but invalid
+ * @private
+ */
+function parseOptionalPositiveInt(value, invalidCode) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  const parsed = Number.parseInt(String(value).trim(), 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createError(invalidCode);
+  }
+  return parsed;
+}
+
+/**
+ * Parses a required positive integer.
+ * @function parseRequiredPositiveInt
+ * @param {*} value - Value to parse
+ * @param {string} invalidCode - Error code if value is missing or invalid
+ * @returns {number} Parsed integer
+ * @throws {Error} If value is missing or invalid
+ * @private
+ */
+function parseRequiredPositiveInt(value, invalidCode) {
+  const parsed = parseOptionalPositiveInt(value, invalidCode);
+  if (parsed === undefined) {
+    throw createError(invalidCode);
+  }
+  return parsed;
+}
+
+/**
+ * Parses an API value to a positive integer.
+ * @function parseApiId
+ * @param {*} value - Value from the API response
+ * @returns {number|null} Parsed integer or null
+ * @private
+ */
+function parseApiId(value) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Normalizes a string field by trimming whitespace.
+ * @function normalizeStringField
+ * @param {*} value - Value to normalize
+ * @returns {string|null} Trimmed string or null if empty
+ * @private
+ */
+function normalizeStringField(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Builds the inclusive date window of a season's transfers.
+ * @function buildSeasonWindow
+ * @param {number} season - Season year
+ * @returns {{from: string, to: string}} Inclusive YYYY-MM-DD bounds
+ * @private
+ */
+function buildSeasonWindow(season) {
+  const month = String(SEASON_START_MONTH).padStart(2, '0');
+  const end = new Date(Date.UTC(season + 1, SEASON_START_MONTH - 1, 0));
+  return {
+    from: `${season}-${month}-01`,
+    to: end.toISOString().slice(0, 10),
+  };
+}
+
+/**
+ * Maps one API-Football `/transfers` entry to transfer rows.
+ * @function buildTransferPayloads
+ * @param {Object} entry - Entry with `player` and `transfers`
+ * @param {Date} syncedAt - Sync timestamp
+ * @returns {Object[]} Transfer rows (empty if the player is missing)
+ * @private
+ */
+function buildTransferPayloads(entry, syncedAt) {
+  const playerId = parseApiId(entry?.player?.id);
+  if (!playerId) {
+    return [];
+  }
+  const transfers = Array.isArray(entry.transfers) ? entry.transfers : [];
+  return transfers.map((transfer) => ({
+    player_id: playerId,
+    player_name: normalizeStringField(entry.player.name),
+    transfer_date: /^\d{4}-\d{2}-\d{2}$/.test(transfer?.date ?? '') ? transfer.date : null,
+    type: normalizeStringField(transfer?.type),
+    team_in_id: parseApiId(transfer?.teams?.in?.id),
+    team_in_name: normalizeStringField(transfer?.teams?.in?.name),
+    team_in_logo: normalizeStringField(transfer?.teams?.in?.logo),
+    team_out_id: parseApiId(transfer?.teams?.out?.id),
+    team_out_name: normalizeStringField(transfer?.teams?.out?.name),
+    team_out_logo: normalizeStringField(transfer?.teams?.out?.logo),
+    synced_at: syncedAt,
+  }));
+}
+
+/**
+ * Retrieves a player's transfer history, newest first.
+ * @async
+ * @function getPlayerTransfers
+ * @param {number|string} rawPlayerId - Player ID
+ * @returns {Promise<Object>} `{ playerId, total, transfers }`
+ * @throws {Error} INVALID_PLAYER_ID (400)
+ */
+export async function getPlayerTransfers(rawPlayerId) {
+  const playerId = parseRequiredPositiveInt(rawPlayerId, 'INVALID_PLAYER_ID');
+  const transfers = await findTransfersByPlayer(playerId);
+  return {
+    playerId,
+    total: transfers.length,
+    transfers,
+  };
+}
+
+/**
+ * Retrieves a team's arrivals and departures, newest first.
+ * @async
+ * @function getTeamTransfers
+ * @param {number|string} rawTeamId - Team ID
+ * @param {Object} [query={}] - Query parameters
+ * @param {number|string} [query.season] - Season year; limits to transfers dated within the season window
+ * @returns {Promise<Object>} `{ teamId, season, from, to, arrivals, departures }`
+ * @throws {Error} INVALID_TEAM_ID or INVALID_SEASON (400)
+ */
+export async function getTeamTransfers(rawTeamId, query = {}) {
+  const teamId = parseRequiredPositiveInt(rawTeamId, 'INVALID_TEAM_ID');
+  const season = parseOptionalPositiveInt(query.season, 'INVALID_SEASON');
+  const window = season ? buildSeasonWindow(season) : {};
+
+  const transfers = await findTransfersByTeam(teamId, window);
+  return {
+    teamId,
+    season: season ?? null,
+    from: window.from ?? null,
+    to: window.to ?? null,
+    arrivals: transfers.filter((transfer) => transfer.team_in_id === teamId),
+    departures: transfers.filter((transfer) => transfer.team_out_id === teamId),
+  };
+}
+
+/**
+ * Imports transfers from API-Football, synchronously or through the import queue.
+ * @async
+ * @function importTransfers
+ * @param {Object} [params={}] - Import parameters
+ * @param {number|string} [params.player] - Import one player's history
+ * @param {number|string} [params.team] - Import the history of every player who joined or left the team
+ *   (exactly one of `player` and `team` must be given)
+ * @param {boolean|string} [params.background=false] - Queue the import instead of running it
+ * @returns {Promise<Object>} Import summary, or `{ queued: true, ... }` when queued
+ * @throws {Error} MISSING_IMPORT_TARGET, CONFLICTING_IMPORT_TARGET, INVALID_PLAYER_ID or INVALID_TEAM_ID (400)
+ */
+export async function importTransfers(params = {}) {
+  const playerId = parseOptionalPositiveInt(params.player, 'INVALID_PLAYER_ID');
+  const teamId = parseOptionalPositiveInt(params.team, 'INVALID_TEAM_ID');
+  if (!playerId && !teamId) {
+    throw createError('MISSING_IMPORT_TARGET');
+  }
+  if (playerId && teamId) {
+    throw createError('CONFLICTING_IMPORT_TARGET');
+  }
+
+  const jobPayload = { playerId, teamId };
+
+  if (isBackgroundRequested(params.background)) {
+    const queued = await enqueueImportJob('transfers-import', jobPayload);
+    return {
+      ...queued,
+      message: 'Tác vụ import đã được đưa vào hàng đợi',
+      player: playerId ?? null,
+      team: teamId ?? null,
+    };
+  }
+
+  return performTransferImport(jobPayload);
+}
+
+/**
+ * Fetches transfers from API-Football and replaces the stored history of every
+ * returned player. Called directly or by the import worker.
+ * @async
+ * @function performTransferImport
+ * @param {Object} params - Import parameters
+ * @param {number} [params.playerId] - Player ID
+ * @param {number} [params.teamId] - Team ID
+ * @returns {Promise<Object>} `{ players, imported, player, team }`
+ */
+export async function performTransferImport({ playerId, teamId }) {
+  const apiParams = playerId ? { player: playerId } : { team: teamId };
+  const data = await apiFootballGet('/transfers', apiParams);
+  const entries = Array.isArray(data?.response) ? data.response : [];
+
+  const syncedAt = new Date();
+  const playerIds = [...new Set(entries.map((entry) => parseApiId(entry?.player?.id)).filter(Boolean))];
+  const payloads = entries.flatMap((entry) => buildTransferPayloads(entry, syncedAt));
+
+  const summary = {
+    players: playerIds.length,
+    imported: payloads.length,
+    player: playerId ?? null,
+    team: teamId ?? null,
+  };
+
+  if (!playerIds.length) {
+    return { ...summary, message: 'Không có chuyển nhượng nào được trả về từ API-Football' };
+  }
+
+  await replacePlayerTransfers(playerIds, payloads);
+  return summary;
+}
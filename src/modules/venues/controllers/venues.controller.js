@@ -11,6 +11,8 @@ import toAppException from '../../../common/controllerError.js';
 import {
   listVenues,
   getVenueById,
+  searchVenues,
+  getVenueTeams,
   createVenue,
   updateVenue,
   deleteVenue,
@@ -106,6 +108,43 @@ const VenuesController = {
     }
   },
 
+  /**
+   * Handles GET request to search venues by city, country and capacity range.
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters (city, country, minCapacity, maxCapacity, limit)
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Sends JSON response with matching venues
+   */
+  async searchVenues(req, res, next) {
+    try {
+      const payload = await searchVenues(req.query);
+      return ApiResponse.success(res, payload, 'Venues retrieved');
+    } catch (err) {
+      next(mapVenuesError(err, 'Lỗi khi tìm kiếm venues', 'VENUE_SEARCH_FAILED'));
+    }
+  },
+
+  /**
+   * Handles GET request to list the teams playing at a venue.
+   * @async
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {string} req.params.id - Venue ID
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} Sends JSON response with the venue and its teams
+   */
+  async getVenueTeams(req, res, next) {
+    try {
+      const payload = await getVenueTeams(req.params.id);
+      return ApiResponse.success(res, payload, 'Venue teams retrieved');
+    } catch (err) {
+      next(mapVenuesError(err, 'Lỗi khi lấy danh sách đội của venue', 'VENUE_TEAMS_FETCH_FAILED'));
+    }
+  },
+
   /**
    * Handles POST request to create a new venue.
    * @async
@@ -173,16 +212,25 @@ const VenuesController = {
    * @param {Object} req - Express request object
    * @param {Object} [req.body] - Request body
    * @param {number} [req.body.id] - Venue ID to import
+   * @param {string} [req.body.country] - Country whose venues are imported
    * @param {Object} [req.query] - Query parameters
    * @param {number} [req.query.id] - Venue ID to import
+   * @param {string} [req.query.country] - Country whose venues are imported
+   * @param {boolean} [req.query.dryRun] - Preview the import without writing
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    * @returns {Promise<void>} Sends JSON response with import result
    */
   async importVenuesFromApiFootball(req, res, next) {
     try {
-      const payload = await importVenuesFromApi({ id: readRequestValue(req, 'id') });
-      return ApiResponse.success(res, payload, 'Import venues thành công');
+      const payload = await importVenuesFromApi({
+        id: readRequestValue(req, 'id'),
+        country: readRequestValue(req, 'country'),
+        background: readRequestValue(req, 'background'),
+        dryRun: readRequestValue(req, 'dryRun'),
+      });
+      const message = payload.dryRun ? 'Xem trước import venues (dry run), chưa ghi dữ liệu' : 'Import venues thành công';
+      return ApiResponse.success(res, payload, message);
     } catch (err) {
       next(mapVenuesError(err, 'Lỗi khi import venues từ API Football', 'VENUE_IMPORT_FAILED'));
     }
@@ -31,6 +31,9 @@ export default async function registerVenuesModule({ container }) {
     name: 'venues',
     basePath: '/',
     routes: router,
+    jobs: [
+      { name: 'venues-import', handler: VenuesService.performVenueImport },
+    ],
     publicApi: {
       Venue,
       services: VenuesService,
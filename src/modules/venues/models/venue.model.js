@@ -15,6 +15,7 @@ import sequelize from '../../../common/db.js';
  * @property {string|null} name - Venue name
  * @property {string|null} address - Street address
  * @property {string|null} city - City where venue is located
+ * @property {string|null} country - Country name as used by API-Football (e.g., 'England')
  * @property {number|null} capacity - Seating capacity
  * @property {string|null} surface - Playing surface type (grass, artificial, etc.)
  * @property {string|null} image - URL to venue image
@@ -39,6 +40,10 @@ const Venue = sequelize.define('Venue', {
     type: DataTypes.STRING(255),
     allowNull: true,
   },
+  country: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+  },
   capacity: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -55,6 +60,9 @@ const Venue = sequelize.define('Venue', {
   tableName: 'venues',
   underscored: true,
   timestamps: true,
+  indexes: [
+    { fields: ['country', 'city'] },
+  ],
 });
 
 export default Venue;
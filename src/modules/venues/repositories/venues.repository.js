@@ -1,6 +1,11 @@
+import { Op } from 'sequelize';
 import Venue from '../models/venue.model.js';
+import Team from '../../teams/models/team.model.js';
 
-const VENUE_ATTRIBUTES = ['id', 'name', 'address', 'city', 'capacity', 'surface', 'image'];
+const VENUE_ATTRIBUTES = ['id', 'name', 'address', 'city', 'country', 'capacity', 'surface', 'image'];
+const VENUE_TEAM_ATTRIBUTES = ['id', 'name', 'code', 'country', 'founded', 'national', 'logo', 'venue_id'];
+
+export const VENUE_IMPORT_FIELDS = ['name', 'address', 'city', 'country', 'capacity', 'surface', 'image'];
 
 export function findAllVenues() {
   return Venue.findAll({ attributes: VENUE_ATTRIBUTES });
@@ -10,6 +15,43 @@ export function findVenueById(id) {
   return Venue.findByPk(id, { attributes: VENUE_ATTRIBUTES });
 }
 
+export function findVenuesByIds(ids) {
+  return Venue.findAll({ where: { id: ids }, attributes: VENUE_ATTRIBUTES });
+}
+
+export function searchVenueRecords({ city, country, minCapacity, maxCapacity, limit }) {
+  const where = {};
+  if (city) {
+    where.city = { [Op.like]: `%${city}%` };
+  }
+  if (country) {
+    where.country = { [Op.like]: `%${country}%` };
+  }
+  if (minCapacity !== undefined || maxCapacity !== undefined) {
+    where.capacity = {};
+    if (minCapacity !== undefined) {
+      where.capacity[Op.gte] = minCapacity;
+    }
+    if (maxCapacity !== undefined) {
+      where.capacity[Op.lte] = maxCapacity;
+    }
+  }
+  return Venue.findAll({
+    where,
+    attributes: VENUE_ATTRIBUTES,
+    order: [['capacity', 'DESC'], ['name', 'ASC']],
+    limit,
+  });
+}
+
+export function findTeamsByVenueId(venueId) {
+  return Team.findAll({
+    where: { venue_id: venueId },
+    attributes: VENUE_TEAM_ATTRIBUTES,
+    order: [['name', 'ASC']],
+  });
+}
+
 export function createVenueRecord(payload) {
   return Venue.create(payload);
 }
@@ -24,6 +66,6 @@ export function deleteVenueRecord(id) {
 
 export function bulkUpsertVenues(payloads) {
   return Venue.bulkCreate(payloads, {
-    updateOnDuplicate: ['name', 'address', 'city', 'capacity', 'surface', 'image'],
+    updateOnDuplicate: VENUE_IMPORT_FIELDS,
   });
 }
@@ -66,6 +66,115 @@ const router = express.Router();
  */
 router.get('/venues', VenuesController.getAllVenues);          // GET /api/venues
 
+/**
+ * @openapi
+ * /api/venues/search:
+ *   get:
+ *     summary: Search venues
+ *     description: Filters venues by city and country (substring match) and by an inclusive capacity range. At least one filter is required. Largest venues come first.
+ *     tags:
+ *       - Venues
+ *     parameters:
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         example: "London"
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         example: "England"
+ *       - in: query
+ *         name: minCapacity
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: maxCapacity
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching venues.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         additionalProperties: true
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     filters:
+ *                       type: object
+ *                       additionalProperties: true
+ *             example:
+ *               success: true
+ *               message: "Venues retrieved"
+ *               data:
+ *                 results:
+ *                   - id: 494
+ *                     name: "Emirates Stadium"
+ *                     city: "London"
+ *                     country: "England"
+ *                     capacity: 60383
+ *                 total: 1
+ *                 limit: 20
+ *                 filters:
+ *                   city: "London"
+ *                   minCapacity: 50000
+ *       400:
+ *         description: No filter given, invalid capacity bounds or limit.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *       500:
+ *         description: Unexpected error while searching venues.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ */
+router.get('/venues/search', VenuesController.searchVenues);    // GET /api/venues/search
+
 /**
  * @openapi
  * /api/venues/{id}:
@@ -154,6 +263,104 @@ router.get('/venues', VenuesController.getAllVenues);          // GET /api/venue
  */
 router.get('/venues/:id', VenuesController.getVenueById);      // GET /api/venues/:id
 
+/**
+ * @openapi
+ * /api/venues/{id}/teams:
+ *   get:
+ *     summary: List teams playing at a venue
+ *     description: Returns the venue and every team whose home venue it is (teams.venue_id).
+ *     tags:
+ *       - Venues
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Venue and its teams.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     venue:
+ *                       type: object
+ *                       additionalProperties: true
+ *                     total:
+ *                       type: integer
+ *                     teams:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         additionalProperties: true
+ *             example:
+ *               success: true
+ *               message: "Venue teams retrieved"
+ *               data:
+ *                 venue:
+ *                   id: 907
+ *                   name: "San Siro"
+ *                   city: "Milano"
+ *                 total: 2
+ *                 teams:
+ *                   - id: 489
+ *                     name: "AC Milan"
+ *                   - id: 505
+ *                     name: "Inter"
+ *       400:
+ *         description: Invalid venue identifier.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *       404:
+ *         description: Venue not found.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *       500:
+ *         description: Unexpected error while listing venue teams.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ */
+router.get('/venues/:id/teams', VenuesController.getVenueTeams); // GET /api/venues/:id/teams
+
 /**
  * @openapi
  * /api/venues:
@@ -328,16 +535,33 @@ router.put('/venues/:id', VenuesController.updateVenue);       // PUT /api/venue
  * @openapi
  * /api/venues/import:
  *   post:
- *     summary: Import venue from API-Football
+ *     summary: Import venues from API-Football
+ *     description: Imports one venue by id, or every venue of a country when only country is given. With dryRun=true the venues are fetched and compared with the stored ones but nothing is written.
  *     tags:
  *       - Venues
  *     parameters:
  *       - in: query
  *         name: id
- *         required: true
+ *         required: false
  *         schema:
  *           type: integer
  *           minimum: 1
+ *       - in: query
+ *         name: country
+ *         required: false
+ *         schema:
+ *           type: string
+ *         example: "England"
+ *       - in: query
+ *         name: background
+ *         schema:
+ *           type: boolean
+ *         description: Queue the import and return the job id instead of running it in the request.
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Fetch and build the venues but write nothing; returns the would-be inserts and updates. Always runs in the request.
  *     responses:
  *       200:
  *         description: Import completed.
@@ -357,8 +581,32 @@ router.put('/venues/:id', VenuesController.updateVenue);       // PUT /api/venue
  *                       type: integer
  *                     id:
  *                       type: integer
+ *                     country:
+ *                       type: string
+ *                     dryRun:
+ *                       type: boolean
+ *                       description: Present (true) on dry runs.
+ *                     created:
+ *                       type: integer
+ *                       description: Dry run only.
+ *                     updated:
+ *                       type: integer
+ *                       description: Dry run only.
+ *                     unchanged:
+ *                       type: integer
+ *                       description: Dry run only.
+ *                     inserts:
+ *                       type: array
+ *                       description: Dry run only. Venues that would be inserted.
+ *                       items:
+ *                         type: object
+ *                     updates:
+ *                       type: array
+ *                       description: "Dry run only. Venues that would change, as { id, changes: { field: { before, after } } }."
+ *                       items:
+ *                         type: object
  *       400:
- *         description: Missing or invalid venue id.
+ *         description: Neither id nor country given, or invalid value.
  *         content:
  *           application/json:
  *             schema:
@@ -1,18 +1,25 @@
 /**
  * @file Venues Service
  * @description Business logic layer for venue operations. Handles CRUD operations,
- * validation, and importing venue data from API-Football.
+ * validation, and importing venue data from API-Football (with a dry-run preview).
  * @module modules/venues/services/venues
  */
 
 import { apiFootballGet } from '../../apiFootball/services/apiFootball.service.js';
+import { enqueueImportJob, isBackgroundRequested } from '../../../pipelines/importJobs.js';
+import { parseBooleanFlag } from '../../../common/booleanFlags.js';
+import { previewImportRows } from '../../importRuns/services/importRuns.service.js';
 import {
   findAllVenues,
   findVenueById,
+  findVenuesByIds,
+  searchVenueRecords,
+  findTeamsByVenueId,
   createVenueRecord,
   updateVenueRecord,
   deleteVenueRecord,
   bulkUpsertVenues,
+  VENUE_IMPORT_FIELDS,
 } from '../repositories/venues.repository.js';
 
 /**
@@ -24,8 +31,26 @@ const ERROR_MESSAGES = {
   VENUE_NOT_FOUND: 'Venue không tồn tại',
   MISSING_ID: 'id là bắt buộc',
   INVALID_ID: 'id phải là số nguyên dương hợp lệ',
+  MISSING_IMPORT_TARGET: 'Cần truyền id hoặc country để import venues',
+  INVALID_COUNTRY: 'country không hợp lệ',
+  MISSING_SEARCH_FILTER: 'Cần ít nhất một điều kiện: city, country, minCapacity hoặc maxCapacity',
+  INVALID_CAPACITY: 'minCapacity/maxCapacity phải là số nguyên không âm',
+  INVALID_CAPACITY_RANGE: 'minCapacity không được lớn hơn maxCapacity',
+  INVALID_SEARCH_LIMIT: 'Giá trị limit không hợp lệ (1-100)',
 };
 
+/**
+ * Default number of venues returned by a search.
+ * @constant {number}
+ */
+const DEFAULT_SEARCH_LIMIT = 20;
+
+/**
+ * Maximum number of venues returned by a search.
+ * @constant {number}
+ */
+const MAX_SEARCH_LIMIT = 100;
+
 /**
  * Creates a standardized error with code and status.
  * @function createError
@@ -85,6 +110,34 @@ function requirePositiveInt(value, missingCode, invalidCode) {
   return parsed;
 }
 
+/**
+ * Parses an optional non-negative capacity bound.
+ * @function parseCapacityBound
+ * @param {*} value - Value to parse
+ * @returns {number|undefined} Parsed integer or undefined if empty
+ * @throws {Error} If value is present but not a non-negative integer
+ */
+function parseCapacityBound(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return undefined;
+  }
+  const trimmed = String(value).trim();
+  if (!/^\d+$/.test(trimmed)) {
+    throw createError('INVALID_CAPACITY');
+  }
+  return Number.parseInt(trimmed, 10);
+}
+
+/**
+ * Escapes LIKE wildcards in a user-supplied keyword.
+ * @function escapeForLike
+ * @param {string} value - Keyword to escape
+ * @returns {string} Escaped keyword
+ */
+function escapeForLike(value) {
+  return value.replace(/[%_]/g, '\\$&');
+}
+
 /**
  * Normalizes a string field by trimming whitespace.
  * @function normalizeStringField
@@ -125,6 +178,7 @@ function parseApiInteger(value) {
  * @param {string} venue.name - Venue name
  * @param {string} [venue.address] - Street address
  * @param {string} [venue.city] - City name
+ * @param {string} [venue.country] - Country name
  * @param {number} [venue.capacity] - Seating capacity
  * @param {string} [venue.surface] - Playing surface type
  * @param {string} [venue.image] - Image URL
@@ -143,6 +197,7 @@ function buildVenuePayloadFromApi(venue) {
     name: normalizeStringField(venue.name),
     address: normalizeStringField(venue.address),
     city: normalizeStringField(venue.city),
+    country: normalizeStringField(venue.country),
     capacity: parseApiInteger(venue.capacity),
     surface: normalizeStringField(venue.surface),
     image: normalizeStringField(venue.image),
@@ -183,6 +238,76 @@ export async function getVenueById(rawId) {
   return venue;
 }
 
+/**
+ * Searches venues by city, country and capacity range.
+ * City and country match on a substring; capacity bounds are inclusive.
+ * @async
+ * @function searchVenues
+ * @param {Object} [params={}] - Search parameters
+ * @param {string} [params.city] - City name or part of it
+ * @param {string} [params.country] - Country name or part of it
+ * @param {number|string} [params.minCapacity] - Minimum capacity
+ * @param {number|string} [params.maxCapacity] - Maximum capacity
+ * @param {number|string} [params.limit=20] - Maximum results (1-100)
+ * @returns {Promise<Object>} `{ results, total, limit, filters }`, largest venues first
+ * @throws {Error} MISSING_SEARCH_FILTER, INVALID_CAPACITY, INVALID_CAPACITY_RANGE or INVALID_SEARCH_LIMIT (400)
+ */
+export async function searchVenues(params = {}) {
+  const filters = {
+    city: normalizeStringField(params.city) ?? undefined,
+    country: normalizeStringField(params.country) ?? undefined,
+    minCapacity: parseCapacityBound(params.minCapacity),
+    maxCapacity: parseCapacityBound(params.maxCapacity),
+  };
+  if (Object.values(filters).every((value) => value === undefined)) {
+    throw createError('MISSING_SEARCH_FILTER');
+  }
+  if (filters.minCapacity !== undefined && filters.maxCapacity !== undefined
+    && filters.minCapacity > filters.maxCapacity) {
+    throw createError('INVALID_CAPACITY_RANGE');
+  }
+
+  let limit = DEFAULT_SEARCH_LIMIT;
+  if (params.limit !== undefined && String(params.limit).trim() !== '') {
+    limit = parsePositiveIntOrNull(params.limit);
+    if (limit === null || limit > MAX_SEARCH_LIMIT) {
+      throw createError('INVALID_SEARCH_LIMIT');
+    }
+  }
+
+  const results = await searchVenueRecords({
+    ...filters,
+    city: filters.city && escapeForLike(filters.city),
+    country: filters.country && escapeForLike(filters.country),
+    limit,
+  });
+
+  return {
+    results,
+    total: results.length,
+    limit,
+    filters,
+  };
+}
+
+/**
+ * Retrieves the teams playing their home matches at a venue.
+ * @async
+ * @function getVenueTeams
+ * @param {string|number} rawId - Raw venue ID
+ * @returns {Promise<Object>} `{ venue, total, teams }`
+ * @throws {Error} If ID is invalid (400) or venue not found (404)
+ */
+export async function getVenueTeams(rawId) {
+  const venue = await getVenueById(rawId);
+  const teams = await findTeamsByVenueId(venue.id);
+  return {
+    venue,
+    total: teams.length,
+    teams,
+  };
+}
+
 /**
  * Creates a new venue record.
  * @async
@@ -240,20 +365,92 @@ export async function deleteVenue(rawId) {
 }
 
 /**
- * Imports venue data from API-Football by venue ID.
+ * Imports venue data from API-Football, either one venue by ID or every venue
+ * of a country (`/venues?country=`).
  * @async
  * @function importVenuesFromApi
  * @param {Object} [params={}] - Import parameters
- * @param {number|string} params.id - Required venue ID to import
+ * @param {number|string} [params.id] - Venue ID to import
+ * @param {string} [params.country] - Country name (e.g., 'England'), used when no ID is given
+ * @param {boolean|string} [params.background=false] - Queue the import instead of running it
+ * @param {boolean|string} [params.dryRun=false] - Only preview the import (see previewVenueImport); never queued
  * @returns {Promise<Object>} Import result
  * @returns {number} returns.imported - Number of venues imported
  * @returns {number} [returns.id] - Venue ID that was imported
+ * @returns {string} [returns.country] - Country that was imported
  * @returns {string} [returns.message] - Message if no venues imported
- * @throws {Error} If ID is missing or invalid
+ * @returns {string} [returns.jobId] - Job ID when queued
+ * @throws {Error} If neither ID nor country is given, or a value is invalid
  */
 export async function importVenuesFromApi(params = {}) {
-  const idValue = requirePositiveInt(params.id, 'MISSING_ID', 'INVALID_ID');
-  const data = await apiFootballGet('/venues', { id: idValue });
+  const hasId = params.id !== undefined && params.id !== null && String(params.id).trim() !== '';
+  let apiParams;
+  if (hasId) {
+    apiParams = { id: requirePositiveInt(params.id, 'MISSING_ID', 'INVALID_ID') };
+  } else if (params.country !== undefined && params.country !== null) {
+    const country = normalizeStringField(params.country);
+    if (!country) {
+      throw createError('INVALID_COUNTRY');
+    }
+    apiParams = { country };
+  } else {
+    throw createError('MISSING_IMPORT_TARGET');
+  }
+
+  if (parseBooleanFlag(params.dryRun)) {
+    return previewVenueImport(apiParams);
+  }
+
+  if (isBackgroundRequested(params.background)) {
+    const queued = await enqueueImportJob('venues-import', apiParams);
+    return {
+      ...queued,
+      message: 'Tác vụ import đã được đưa vào hàng đợi',
+      ...apiParams,
+    };
+  }
+
+  return performVenueImport(apiParams);
+}
+
+/**
+ * Fetches venues from API-Football and builds the payloads like performVenueImport,
+ * but writes nothing: returns the venues that would be inserts and the field-level
+ * changes of the ones that would be updated.
+ * @async
+ * @function previewVenueImport
+ * @param {Object} apiParams - Validated `{ id }` or `{ country }`
+ * @returns {Promise<Object>} `{ dryRun, imported, created, updated, unchanged, inserts, updates, id | country }`
+ */
+export async function previewVenueImport(apiParams) {
+  const data = await apiFootballGet('/venues', apiParams);
+  const apiVenues = Array.isArray(data?.response) ? data.response : [];
+  const venuePayloads = apiVenues
+    .map((venue) => buildVenuePayloadFromApi(venue))
+    .filter((entry) => entry !== null);
+
+  const existingVenues = venuePayloads.length
+    ? await findVenuesByIds(venuePayloads.map((payload) => payload.id))
+    : [];
+  const preview = previewImportRows(existingVenues, venuePayloads, VENUE_IMPORT_FIELDS);
+
+  return {
+    dryRun: true,
+    imported: venuePayloads.length,
+    ...preview,
+    ...apiParams,
+  };
+}
+
+/**
+ * Fetches venues from API-Football and upserts them. Called directly or by the import worker.
+ * @async
+ * @function performVenueImport
+ * @param {Object} apiParams - Validated `{ id }` or `{ country }`
+ * @returns {Promise<Object>} `{ imported, id }` or `{ imported, country }`
+ */
+export async function performVenueImport(apiParams) {
+  const data = await apiFootballGet('/venues', apiParams);
   const apiVenues = Array.isArray(data?.response) ? data.response : [];
 
   if (apiVenues.length === 0) {
@@ -278,6 +475,6 @@ export async function importVenuesFromApi(params = {}) {
 
   return {
     imported: venuePayloads.length,
-    id: idValue,
+    ...apiParams,
   };
 }
@@ -0,0 +1,557 @@
+/**
+ * =============================================================================
+ * FILE: src/pipelines/importJobs.js
+ * =============================================================================
+ *
+ * @fileoverview Import Job Framework (BullMQ)
+ *
+ * @description
+ * Framework dùng chung cho mọi tác vụ import từ API-Football chạy nền.
+ * Tất cả jobs đi qua một queue duy nhất (`kickoffhub-imports`) và được xử lý
+ * bởi một worker duy nhất (`src/pipelines/importWorker.js`).
+ *
+ * ## Cách modules khai báo jobs:
+ *
+ * ```javascript
+ * // Trong module/index.js
+ * export default async function registerMyModule({ container }) {
+ *   return {
+ *     name: 'myModule',
+ *     jobs: [
+ *       { name: 'things-import', handler: performThingImport },
+ *       { name: 'slow-import', handler: performSlowImport, attempts: 5, backoffDelay: 30000 },
+ *     ],
+ *   };
+ * }
+ * ```
+ *
+ * Handler nhận `(payload, { job, reportProgress })` và trả về summary của import.
+ * `reportProgress({ done, total, ...details })` cập nhật tiến độ của job.
+ *
+ * ## Flow:
+ * ```
+ * Service (background=true) → enqueueImportJob → Redis → importWorker → processImportJob → handler
+ * ```
+ *
+ * Lỗi của handler được BullMQ retry với exponential backoff
+ * (`IMPORT_JOB_ATTEMPTS`, `IMPORT_JOB_BACKOFF_MS`, có thể override theo từng job).
+ *
+ * ## Lifecycle listeners:
+ * `addImportJobListener(listener)` nhận các sự kiện `queued`, `active`, `progress`,
+ * `completed`, `failed`, `cancelled` (module jobs dùng để lưu lịch sử vào MySQL).
+ * Lỗi của listener chỉ được log, không làm hỏng job.
+ *
+ * ## Gates:
+ * `addImportJobGate(gate)` cho phép hoãn job trước khi chạy (ví dụ khi quota
+ * API-Football sắp hết). Gate trả về `{ allowed: false, delay, reason }` thì job
+ * được chuyển sang delayed và sự kiện `deferred` được gửi đi.
+ * Handler nhận thêm `checkpoint()` để chạy lại các gates giữa các trang của một
+ * import dài; khi bị hoãn, job chạy lại từ đầu sau `delay`.
+ *
+ * @module pipelines/importJobs
+ * @requires bullmq
+ *
+ * =============================================================================
+ */
+
+import { randomUUID } from 'node:crypto';
+import { Queue, DelayedError } from 'bullmq';
+import { AppException } from '../common/exceptions/index.js';
+import { logger } from '../common/logger.js';
+
+/**
+ * Tên queue chung cho tất cả import jobs
+ * @constant {string}
+ */
+export const IMPORT_QUEUE_NAME = 'kickoffhub-imports';
+
+/**
+ * Đọc một số nguyên dương từ biến môi trường
+ *
+ * @function readPositiveIntEnv
+ * @private
+ * @param {string} name - Tên biến môi trường
+ * @param {number} fallback - Giá trị mặc định
+ * @returns {number} Giá trị đã parse hoặc fallback
+ */
+function readPositiveIntEnv(name, fallback) {
+  const parsed = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Số lần chạy tối đa mặc định của một job (lần đầu + retries)
+ * @constant {number}
+ */
+const DEFAULT_ATTEMPTS = readPositiveIntEnv('IMPORT_JOB_ATTEMPTS', 3);
+
+/**
+ * Delay (ms) cho lần retry đầu tiên, nhân đôi sau mỗi lần
+ * @constant {number}
+ */
+const DEFAULT_BACKOFF_MS = readPositiveIntEnv('IMPORT_JOB_BACKOFF_MS', 10000);
+
+/**
+ * Registry các job đã đăng ký, key là tên job
+ * @type {Map<string, Object>}
+ */
+const jobDefinitions = new Map();
+
+/**
+ * Các listener nhận sự kiện lifecycle của job
+ * @type {Array<Function>}
+ */
+const jobListeners = [];
+
+/**
+ * Các gate được kiểm tra trước khi chạy job
+ * @type {Array<Function>}
+ */
+const jobGates = [];
+
+/**
+ * Queue instance, khởi tạo lazy khi enqueue lần đầu
+ * @type {Queue|null}
+ */
+let importQueue = null;
+
+/**
+ * Chuyển REDIS_URL thành connection options cho BullMQ (ioredis)
+ *
+ * @function buildConnectionOptions
+ * @private
+ * @description ioredis không đọc `url` trong options object, nên URL được tách
+ * thành host/port/credentials. `maxRetriesPerRequest: null` là bắt buộc với Worker.
+ *
+ * @param {string} redisUrl - redis:// hoặc rediss:// URL
+ * @returns {Object} ioredis connection options
+ */
+function buildConnectionOptions(redisUrl) {
+  const url = new URL(redisUrl);
+  const db = Number.parseInt(url.pathname.replace('/', ''), 10);
+  return {
+    host: url.hostname,
+    port: Number.parseInt(url.port, 10) || 6379,
+    username: url.username ? decodeURIComponent(url.username) : undefined,
+    password: url.password ? decodeURIComponent(url.password) : undefined,
+    db: Number.isInteger(db) ? db : 0,
+    tls: url.protocol === 'rediss:' ? {} : undefined,
+    maxRetriesPerRequest: null,
+  };
+}
+
+/**
+ * Kiểm tra queue có khả dụng không (cần REDIS_URL)
+ *
+ * @function isImportQueueEnabled
+ * @returns {boolean} true nếu REDIS_URL đã được cấu hình
+ */
+export function isImportQueueEnabled() {
+  return Boolean(process.env.REDIS_URL);
+}
+
+/**
+ * Lấy connection options dùng chung cho Queue và Worker
+ *
+ * @function getImportQueueConnection
+ * @returns {{connection: Object}} BullMQ connection options
+ * @throws {Error} Nếu Redis bị tắt
+ */
+export function getImportQueueConnection() {
+  if (!isImportQueueEnabled()) {
+    throw new Error('Redis is disabled, so the import queue is unavailable.');
+  }
+  return { connection: buildConnectionOptions(process.env.REDIS_URL) };
+}
+
+/**
+ * Lấy queue instance (lazy singleton)
+ *
+ * @function getImportQueue
+ * @returns {Queue|null} Queue instance, null nếu Redis bị tắt
+ */
+export function getImportQueue() {
+  if (!isImportQueueEnabled()) {
+    return null;
+  }
+  if (!importQueue) {
+    importQueue = new Queue(IMPORT_QUEUE_NAME, getImportQueueConnection());
+  }
+  return importQueue;
+}
+
+/**
+ * Lỗi trả về khi cần queue nhưng Redis bị tắt
+ *
+ * @function createQueueUnavailableError
+ * @private
+ * @returns {AppException} IMPORT_QUEUE_UNAVAILABLE (503)
+ */
+function createQueueUnavailableError() {
+  return new AppException(
+    'Background imports are unavailable because Redis is not configured',
+    'IMPORT_QUEUE_UNAVAILABLE',
+    503,
+  );
+}
+
+/**
+ * Kiểm tra flag background có phải true không
+ *
+ * @function isBackgroundRequested
+ * @param {boolean|string|*} value - Giá trị `background` từ body hoặc query
+ * @returns {boolean} true nếu import cần chạy nền
+ */
+export function isBackgroundRequested(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.trim().toLowerCase() === 'true';
+  }
+  return false;
+}
+
+/**
+ * Đăng ký một import job
+ *
+ * @function registerImportJob
+ * @param {Object} definition - Định nghĩa job
+ * @param {string} definition.name - Tên job, duy nhất (ví dụ: 'teams-import')
+ * @param {Function} definition.handler - `(payload, { job, reportProgress, checkpoint }) => Promise<Object>`
+ * @param {string} [definition.module] - Module sở hữu job
+ * @param {number} [definition.attempts] - Số lần chạy tối đa
+ * @param {number} [definition.backoffDelay] - Delay (ms) retry đầu tiên
+ * @param {boolean} [definition.internal=false] - Job nội bộ (như scheduler): không gửi lifecycle events, không qua gates
+ * @returns {Object} Definition đã chuẩn hóa
+ * @throws {Error} Nếu thiếu name/handler hoặc tên job bị trùng
+ */
+export function registerImportJob({
+  name,
+  handler,
+  module = null,
+  attempts,
+  backoffDelay,
+  internal = false,
+} = {}) {
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Import job needs a name and a handler function');
+  }
+  if (jobDefinitions.has(name)) {
+    throw new Error(`Import job '${name}' is already registered`);
+  }
+  const definition = {
+    name,
+    handler,
+    module,
+    attempts: attempts ?? DEFAULT_ATTEMPTS,
+    backoffDelay: backoffDelay ?? DEFAULT_BACKOFF_MS,
+    internal,
+  };
+  jobDefinitions.set(name, definition);
+  return definition;
+}
+
+/**
+ * Đăng ký jobs từ tất cả module manifests
+ *
+ * @function registerModuleJobs
+ * @param {Array<ModuleManifest>} modules - Array of module manifests
+ * @returns {number} Số jobs đã đăng ký
+ *
+ * @example
+ * const manifests = await loadModules(container);
+ * registerModuleJobs(manifests);
+ */
+export function registerModuleJobs(modules = []) {
+  let count = 0;
+  modules.forEach((manifest) => {
+    (manifest?.jobs || []).forEach((job) => {
+      registerImportJob({ ...job, module: manifest.name });
+      count += 1;
+    });
+  });
+  return count;
+}
+
+/**
+ * Lấy definition của một job
+ *
+ * @function getImportJob
+ * @param {string} name - Tên job
+ * @returns {Object|null} Definition hoặc null nếu chưa đăng ký
+ */
+export function getImportJob(name) {
+  return jobDefinitions.get(name) ?? null;
+}
+
+/**
+ * Liệt kê tất cả jobs đã đăng ký (không kèm handler)
+ *
+ * @function listImportJobs
+ * @returns {Array<{name: string, module: string|null, attempts: number, backoffDelay: number}>}
+ */
+export function listImportJobs() {
+  return [...jobDefinitions.values()].map(({ name, module, attempts, backoffDelay }) => ({
+    name,
+    module,
+    attempts,
+    backoffDelay,
+  }));
+}
+
+/**
+ * Đăng ký listener cho sự kiện lifecycle của import jobs
+ *
+ * @function addImportJobListener
+ * @param {Function} listener - `(event, { jobId, name, data, attemptsMade, maxAttempts, progress, result, error, willRetry }) => Promise<void>`
+ * @returns {Function} Hàm hủy đăng ký listener
+ */
+export function addImportJobListener(listener) {
+  jobListeners.push(listener);
+  return () => {
+    const index = jobListeners.indexOf(listener);
+    if (index !== -1) {
+      jobListeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Đăng ký gate kiểm tra trước khi worker chạy một job
+ *
+ * @function addImportJobGate
+ * @param {Function} gate - `(job, definition) => Promise<{allowed: boolean, delay?: number, reason?: string}>`
+ * @returns {Function} Hàm hủy đăng ký gate
+ */
+export function addImportJobGate(gate) {
+  jobGates.push(gate);
+  return () => {
+    const index = jobGates.indexOf(gate);
+    if (index !== -1) {
+      jobGates.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Kiểm tra các gates, trả về quyết định hoãn đầu tiên
+ *
+ * @async
+ * @function checkImportJobGates
+ * @private
+ * @param {import('bullmq').Job} job - BullMQ job
+ * @param {Object} definition - Definition của job
+ * @returns {Promise<{delay: number, reason: string}|null>} null nếu job được phép chạy
+ */
+async function checkImportJobGates(job, definition) {
+  for (const gate of jobGates) {
+    try {
+      const decision = await gate(job, definition);
+      if (decision && decision.allowed === false) {
+        return { delay: decision.delay ?? DEFAULT_BACKOFF_MS, reason: decision.reason ?? 'Deferred' };
+      }
+    } catch (err) {
+      // Gate lỗi không được chặn import
+      logger.error({ err, jobId: job.id }, 'Import job gate failed');
+    }
+  }
+  return null;
+}
+
+/**
+ * Gửi một sự kiện lifecycle tới tất cả listeners
+ *
+ * @async
+ * @function emitImportJobEvent
+ * @param {string} event - queued | deferred | active | progress | completed | failed | cancelled
+ * @param {Object} details - Thông tin job kèm theo sự kiện
+ * @returns {Promise<void>}
+ */
+export async function emitImportJobEvent(event, details) {
+  for (const listener of jobListeners) {
+    try {
+      await listener(event, details);
+    } catch (err) {
+      logger.error({ err, event, jobId: details?.jobId }, 'Import job listener failed');
+    }
+  }
+}
+
+/**
+ * Đưa một import job vào queue
+ *
+ * @async
+ * @function enqueueImportJob
+ * @param {string} name - Tên job đã đăng ký
+ * @param {Object} [payload={}] - Dữ liệu job (đã validate), truyền nguyên cho handler
+ * @param {Object} [options={}] - Tùy chọn enqueue
+ * @param {string} [options.retryOf] - ID của job gốc khi đây là lần chạy lại
+ * @param {number} [options.delay=0] - Delay (ms) trước khi job được xử lý
+ * @returns {Promise<{queued: boolean, jobId: string, jobName: string}>} Thông tin job
+ * @throws {AppException} IMPORT_QUEUE_UNAVAILABLE (503) nếu Redis bị tắt
+ * @throws {Error} Nếu job chưa được đăng ký
+ *
+ * @example
+ * const queued = await enqueueImportJob('teams-import', { leagueId: 39, season: 2023 });
+ * // { queued: true, jobId: '0b6c0a52-…', jobName: 'teams-import' }
+ */
+export async function enqueueImportJob(name, payload = {}, { retryOf = null, delay = 0 } = {}) {
+  const definition = getImportJob(name);
+  if (!definition) {
+    throw new Error(`Unknown import job: ${name}`);
+  }
+  const queue = getImportQueue();
+  if (!queue) {
+    throw createQueueUnavailableError();
+  }
+
+  // UUID thay vì id tăng dần của BullMQ để lịch sử trong MySQL không bị trùng khi Redis bị xóa
+  const job = await queue.add(name, payload, {
+    jobId: randomUUID(),
+    delay,
+    attempts: definition.attempts,
+    backoff: { type: 'exponential', delay: definition.backoffDelay },
+    removeOnComplete: { count: 1000 },
+    removeOnFail: { count: 1000 },
+  });
+  if (!definition.internal) {
+    await emitImportJobEvent('queued', {
+      jobId: job.id,
+      name,
+      data: payload,
+      maxAttempts: definition.attempts,
+      retryOf,
+    });
+  }
+
+  return {
+    queued: true,
+    jobId: job.id,
+    jobName: name,
+  };
+}
+
+/**
+ * Xử lý một job lấy từ queue (processor của Worker)
+ *
+ * @async
+ * @function processImportJob
+ * @param {import('bullmq').Job} job - BullMQ job
+ * @param {string} [token] - Lock token của worker (cần để hoãn job)
+ * @returns {Promise<Object>} Kết quả của handler, lưu vào job.returnvalue
+ * @throws {DelayedError} Nếu một gate hoãn job (trước khi chạy hoặc qua checkpoint giữa các trang)
+ * @throws {Error} Lỗi của handler (BullMQ sẽ retry nếu còn attempts)
+ */
+export async function processImportJob(job, token) {
+  const definition = getImportJob(job.name);
+  if (!definition) {
+    throw new Error(`Unknown job name: ${job.name}`);
+  }
+
+  const details = {
+    jobId: job.id,
+    name: job.name,
+    data: job.data,
+    maxAttempts: job.opts?.attempts ?? definition.attempts,
+  };
+  const notify = (event, extra = {}) => (
+    definition.internal ? undefined : emitImportJobEvent(event, { ...details, ...extra })
+  );
+  const reportProgress = async ({ done, total, ...rest } = {}) => {
+    const percent = total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0;
+    const progress = { ...rest, done, total, percent };
+    await job.updateProgress(progress);
+    await notify('progress', { progress });
+  };
+
+  // Chạy lại các gates; nếu bị hoãn thì chuyển job sang delayed và dừng handler bằng DelayedError
+  const checkpoint = async () => {
+    const deferral = definition.internal ? null : await checkImportJobGates(job, definition);
+    if (!deferral) {
+      return;
+    }
+    const runAt = Date.now() + deferral.delay;
+    await job.moveToDelayed(runAt, token);
+    logger.warn({ jobId: job.id, name: job.name, reason: deferral.reason, runAt }, 'Import job deferred');
+    await notify('deferred', { reason: deferral.reason, runAt: new Date(runAt) });
+    throw new DelayedError(`Deferred: ${deferral.reason}`);
+  };
+
+  await checkpoint();
+
+  logger.info({ jobId: job.id, name: job.name, attempt: job.attemptsMade + 1 }, 'Import job started');
+  await notify('active', { attemptsMade: job.attemptsMade });
+
+  let result;
+  try {
+    result = await definition.handler(job.data, { job, reportProgress, checkpoint });
+  } catch (err) {
+    if (err instanceof DelayedError) {
+      // Handler bị hoãn giữa chừng qua checkpoint, sự kiện deferred đã được gửi
+      throw err;
+    }
+    const attemptsMade = job.attemptsMade + 1;
+    await notify('failed', {
+      attemptsMade,
+      error: err,
+      willRetry: attemptsMade < details.maxAttempts,
+    });
+    throw err;
+  }
+
+  const lastProgress = typeof job.progress === 'object' && job.progress !== null ? job.progress : {};
+  const progress = { ...lastProgress, done: lastProgress.total ?? lastProgress.done, percent: 100 };
+  await job.updateProgress(progress);
+  await notify('completed', {
+    attemptsMade: job.attemptsMade + 1,
+    progress,
+    result,
+  });
+  return result;
+}
+
+/**
+ * Hủy một job đang chờ trong queue
+ *
+ * @async
+ * @function cancelQueuedImportJob
+ * @description Chỉ job ở trạng thái waiting/delayed/prioritized mới bị xóa được;
+ * job đang chạy bị BullMQ khóa nên không hủy giữa chừng.
+ *
+ * @param {string} jobId - ID của job
+ * @returns {Promise<'removed'|'missing'|string>} 'removed', 'missing' nếu không còn trong Redis,
+ * hoặc trạng thái hiện tại của job nếu không thể hủy
+ * @throws {AppException} IMPORT_QUEUE_UNAVAILABLE (503) nếu Redis bị tắt
+ */
+export async function cancelQueuedImportJob(jobId) {
+  const queue = getImportQueue();
+  if (!queue) {
+    throw createQueueUnavailableError();
+  }
+  const job = await queue.getJob(jobId);
+  if (!job) {
+    return 'missing';
+  }
+  const state = await job.getState();
+  if (!['waiting', 'delayed', 'prioritized', 'waiting-children'].includes(state)) {
+    return state;
+  }
+  await job.remove();
+  await emitImportJobEvent('cancelled', { jobId, name: job.name, data: job.data });
+  return 'removed';
+}
+
+/**
+ * Đóng kết nối queue (dùng khi shutdown)
+ *
+ * @async
+ * @function closeImportQueue
+ * @returns {Promise<void>}
+ */
+export async function closeImportQueue() {
+  if (importQueue) {
+    await importQueue.close();
+    importQueue = null;
+  }
+}
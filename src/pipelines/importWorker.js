@@ -0,0 +1,98 @@
+/**
+ * =============================================================================
+ * FILE: src/pipelines/importWorker.js
+ * =============================================================================
+ *
+ * @fileoverview Import Worker Entry Point
+ *
+ * @description
+ * Process riêng xử lý tất cả import jobs trong queue `kickoffhub-imports`.
+ * Worker load các modules giống như API server để lấy danh sách jobs
+ * mà mỗi module khai báo trong manifest (`jobs`), rồi dispatch theo tên job.
+ * Job `scheduled-dispatch` do scheduler sinh ra (xem `pipelines/jobScheduler.js`)
+ * cũng được xử lý ở đây.
+ *
+ * ## Chạy worker:
+ * ```bash
+ * npm run worker
+ * ```
+ *
+ * Biến môi trường: `REDIS_URL` (bắt buộc), `IMPORT_WORKER_CONCURRENCY` (mặc định 1).
+ *
+ * @module pipelines/importWorker
+ *
+ * =============================================================================
+ */
+
+import 'dotenv/config';
+import { Worker } from 'bullmq';
+import { logger } from '../common/logger.js';
+import { connectRedis } from '../common/redisClient.js';
+import createContainer from '../bootstrap/container.js';
+import registerInfrastructure from '../bootstrap/registerInfrastructure.js';
+import loadModules from '../bootstrap/moduleLoader.js';
+import {
+  IMPORT_QUEUE_NAME,
+  getImportQueueConnection,
+  processImportJob,
+  registerModuleJobs,
+  listImportJobs,
+  closeImportQueue,
+} from './importJobs.js';
+import { registerScheduleDispatchJob } from './jobScheduler.js';
+
+// Cache API-Football và quota dùng chung Redis client với API server
+await connectRedis().catch((err) => {
+  logger.warn({ err }, 'Unable to connect to Redis; API-Football cache and quota tracking are disabled');
+});
+
+const container = createContainer();
+registerInfrastructure(container);
+registerModuleJobs(await loadModules(container));
+registerScheduleDispatchJob();
+
+const concurrency = Number.parseInt(process.env.IMPORT_WORKER_CONCURRENCY ?? '', 10) || 1;
+
+const worker = new Worker(IMPORT_QUEUE_NAME, processImportJob, {
+  ...getImportQueueConnection(),
+  concurrency,
+});
+
+worker
+  .waitUntilReady()
+  .then(() => logger.info({ jobs: listImportJobs().map((job) => job.name), concurrency }, 'Import worker is ready'))
+  .catch((err) => {
+    logger.error({ err }, 'Failed to initialize import worker');
+  });
+
+worker.on('progress', (job, progress) => {
+  logger.debug({ jobId: job.id, name: job.name, progress }, 'Import job progress');
+});
+
+worker.on('completed', (job, result) => {
+  logger.info({ jobId: job.id, name: job.name, result }, 'Import job completed');
+});
+
+worker.on('failed', (job, err) => {
+  const willRetry = job ? job.attemptsMade < (job.opts.attempts ?? 1) : false;
+  logger.error({ jobId: job?.id, name: job?.name, attempt: job?.attemptsMade, willRetry, err }, 'Import job failed');
+});
+
+/**
+ * Dừng worker sau khi các jobs đang chạy hoàn tất
+ *
+ * @async
+ * @function shutdown
+ * @private
+ * @param {string} signal - Tín hiệu nhận được
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal) {
+  await worker.close();
+  await closeImportQueue();
+  logger.info({ signal }, 'Import worker shut down gracefully');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
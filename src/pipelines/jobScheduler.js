@@ -2,79 +2,379 @@
  * =============================================================================
  * FILE: src/pipelines/jobScheduler.js
  * =============================================================================
- * 
+ *
  * @fileoverview Module Task Runner / Job Scheduler
- * 
+ *
  * @description
- * File này chạy các background tasks được định nghĩa trong các modules.
- * Tasks có thể bao gồm:
- * - Cron jobs (scheduled tasks)
- * - One-time initialization tasks
- * - Background workers setup
- * 
- * ## Cách modules định nghĩa tasks:
- * 
+ * File này chạy các startup tasks và lập lịch các import jobs định kỳ
+ * được khai báo trong module manifests.
+ *
+ * ## Cách modules khai báo schedules:
+ *
  * ```javascript
  * // Trong module/index.js
  * export default async function registerMyModule({ container }) {
  *   return {
  *     name: 'myModule',
- *     tasks: [
- *       async () => {
- *         // Setup cron job
- *         cron.schedule('0 * * * *', () => {
- *           console.log('Hourly task');
- *         });
+ *     jobs: [{ name: 'things-import', handler: performThingImport }],
+ *     schedules: [
+ *       {
+ *         id: 'things-nightly',       // ID duy nhất của schedule
+ *         cron: '0 3 * * *',          // Cron expression (có thể có giây: 6 trường)
+ *         job: 'things-import',       // Tên import job đã đăng ký
+ *         payload: { current: true }, // Payload truyền cho handler
+ *         jitter: 60000,              // Delay ngẫu nhiên tối đa (ms) trước khi chạy
+ *         tz: 'Europe/London',        // Timezone của cron (optional)
  *       },
- *       async () => {
- *         // Initialize background worker
- *         await setupWorker();
- *       }
- *     ]
+ *     ],
+ *     tasks: [
+ *       async () => { await warmUpSomething(); }, // Chạy một lần khi khởi động
+ *     ],
  *   };
  * }
  * ```
- * 
+ *
+ * ## Cơ chế:
+ * ```
+ * Leader instance → upsertJobScheduler (BullMQ) → Redis
+ *   → mỗi lần cron tới hạn: job `scheduled-dispatch` → importWorker
+ *   → enqueueImportJob(job, payload, { delay: random(0..jitter) })
+ * ```
+ *
+ * - Schedules được lưu trong Redis dưới dạng BullMQ job schedulers, nên mỗi
+ *   lần tới hạn chỉ sinh đúng một job dù có bao nhiêu API instances.
+ * - Chỉ instance giữ leader lock (`kickoffhub:scheduler:leader`) mới đồng bộ
+ *   schedules (tạo/cập nhật/xóa schedule không còn khai báo). Lock có TTL và
+ *   được gia hạn định kỳ; instance khác tự lên làm leader khi lock hết hạn.
+ * - Job thật được enqueue qua `enqueueImportJob` nên có UUID và được ghi vào
+ *   lịch sử jobs như mọi import chạy nền.
+ *
+ * Biến môi trường: `REDIS_URL` (bắt buộc), `SCHEDULER_ENABLED=false` để tắt.
+ *
  * @module pipelines/jobScheduler
- * 
+ *
  * =============================================================================
  */
 
+import { hostname } from 'node:os';
+import { randomInt, randomUUID } from 'node:crypto';
+import { logger } from '../common/logger.js';
+import {
+  getImportQueue,
+  getImportJob,
+  registerImportJob,
+  enqueueImportJob,
+} from './importJobs.js';
+
+/**
+ * Tên job nội bộ mà BullMQ sinh ra mỗi khi một schedule tới hạn
+ * @constant {string}
+ */
+export const SCHEDULE_DISPATCH_JOB = 'scheduled-dispatch';
+
+/**
+ * Redis key của leader lock
+ * @constant {string}
+ */
+const LEADER_LOCK_KEY = 'kickoffhub:scheduler:leader';
+
+/**
+ * Thời gian sống của leader lock (ms)
+ * @constant {number}
+ */
+const LEADER_LOCK_TTL_MS = 30000;
+
+/**
+ * ID của instance hiện tại, dùng làm giá trị của leader lock
+ * @constant {string}
+ */
+const instanceId = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+/**
+ * Gia hạn lock chỉ khi instance này vẫn đang giữ nó
+ * @constant {string}
+ */
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Registry các schedules đã khai báo, key là schedule ID
+ * @type {Map<string, Object>}
+ */
+const scheduleDefinitions = new Map();
+
+/**
+ * Trạng thái leader election của instance hiện tại
+ * @type {{isLeader: boolean, timer: NodeJS.Timeout|null, lastSyncedAt: Date|null}}
+ */
+const leaderState = {
+  isLeader: false,
+  timer: null,
+  lastSyncedAt: null,
+};
+
 /**
- * Chạy tất cả tasks từ các modules
- * 
+ * Kiểm tra scheduler có được bật không
+ *
+ * @function isSchedulerEnabled
+ * @returns {boolean} true nếu có REDIS_URL và SCHEDULER_ENABLED khác 'false'
+ */
+export function isSchedulerEnabled() {
+  return Boolean(process.env.REDIS_URL) && process.env.SCHEDULER_ENABLED !== 'false';
+}
+
+/**
+ * Handler của job `scheduled-dispatch`: enqueue import job thật với jitter
+ *
+ * @async
+ * @function dispatchScheduledJob
+ * @private
+ * @param {Object} data - Dữ liệu template của schedule
+ * @param {string} data.scheduleId - ID của schedule
+ * @param {string} data.job - Tên import job
+ * @param {Object} data.payload - Payload cho import job
+ * @param {number} data.jitter - Delay ngẫu nhiên tối đa (ms)
+ * @returns {Promise<Object>} `{ scheduleId, jobId, jobName, delay }`
+ */
+async function dispatchScheduledJob({ scheduleId, job, payload = {}, jitter = 0 }) {
+  const delay = jitter > 0 ? randomInt(jitter + 1) : 0;
+  const queued = await enqueueImportJob(job, payload, { delay });
+  logger.info({ scheduleId, jobId: queued.jobId, jobName: job, delay }, 'Scheduled import job queued');
+  return { scheduleId, jobId: queued.jobId, jobName: job, delay };
+}
+
+/**
+ * Đăng ký job nội bộ `scheduled-dispatch` (gọi ở cả API server và worker)
+ *
+ * @function registerScheduleDispatchJob
+ * @returns {void}
+ */
+export function registerScheduleDispatchJob() {
+  if (!getImportJob(SCHEDULE_DISPATCH_JOB)) {
+    registerImportJob({
+      name: SCHEDULE_DISPATCH_JOB,
+      handler: dispatchScheduledJob,
+      module: 'scheduler',
+      attempts: 1,
+      internal: true,
+    });
+  }
+}
+
+/**
+ * Validate và đăng ký schedules từ module manifests
+ *
+ * @function registerModuleSchedules
+ * @param {Array<ModuleManifest>} modules - Array of module manifests
+ * @returns {number} Số schedules đã đăng ký
+ * @throws {Error} Nếu schedule thiếu id/cron, trùng id, jitter không hợp lệ
+ * hoặc trỏ tới job chưa đăng ký
+ */
+export function registerModuleSchedules(modules = []) {
+  let count = 0;
+  modules.forEach((manifest) => {
+    (manifest?.schedules || []).forEach((schedule) => {
+      const { id, cron, job, payload = {}, jitter = 0, tz } = schedule ?? {};
+      if (!id || typeof cron !== 'string' || cron.trim() === '') {
+        throw new Error(`Schedule in module '${manifest.name}' needs an id and a cron expression`);
+      }
+      if (scheduleDefinitions.has(id)) {
+        throw new Error(`Schedule '${id}' is already registered`);
+      }
+      if (!getImportJob(job)) {
+        throw new Error(`Schedule '${id}' refers to unknown import job '${job}'`);
+      }
+      if (!Number.isInteger(jitter) || jitter < 0) {
+        throw new Error(`Schedule '${id}' needs a non-negative integer jitter (ms)`);
+      }
+      scheduleDefinitions.set(id, {
+        id,
+        module: manifest.name,
+        cron: cron.trim(),
+        tz: tz ?? null,
+        job,
+        payload,
+        jitter,
+      });
+      count += 1;
+    });
+  });
+  return count;
+}
+
+/**
+ * Tạo/cập nhật BullMQ job schedulers theo khai báo và xóa schedules không còn khai báo
+ *
+ * @async
+ * @function syncSchedules
+ * @private
+ * @param {import('bullmq').Queue} queue - Import queue
+ * @returns {Promise<{upserted: number, removed: string[]}>}
+ */
+async function syncSchedules(queue) {
+  for (const schedule of scheduleDefinitions.values()) {
+    await queue.upsertJobScheduler(
+      schedule.id,
+      { pattern: schedule.cron, ...(schedule.tz ? { tz: schedule.tz } : {}) },
+      {
+        name: SCHEDULE_DISPATCH_JOB,
+        data: {
+          scheduleId: schedule.id,
+          job: schedule.job,
+          payload: schedule.payload,
+          jitter: schedule.jitter,
+        },
+        opts: {
+          attempts: 1,
+          removeOnComplete: { count: 100 },
+          removeOnFail: { count: 100 },
+        },
+      },
+    );
+  }
+
+  const existing = await queue.getJobSchedulers();
+  const removed = [];
+  for (const scheduler of existing) {
+    const schedulerId = scheduler.id ?? scheduler.key;
+    if (!scheduleDefinitions.has(schedulerId)) {
+      await queue.removeJobScheduler(schedulerId);
+      removed.push(schedulerId);
+    }
+  }
+
+  leaderState.lastSyncedAt = new Date();
+  return { upserted: scheduleDefinitions.size, removed };
+}
+
+/**
+ * Giành hoặc gia hạn leader lock; leader mới sẽ đồng bộ schedules
+ *
+ * @async
+ * @function electLeader
+ * @private
+ * @param {import('bullmq').Queue} queue - Import queue
+ * @returns {Promise<void>}
+ */
+async function electLeader(queue) {
+  const client = await queue.client;
+
+  if (leaderState.isLeader) {
+    const renewed = await client.eval(RENEW_LOCK_SCRIPT, 1, LEADER_LOCK_KEY, instanceId, LEADER_LOCK_TTL_MS);
+    if (renewed === 1) {
+      return;
+    }
+    leaderState.isLeader = false;
+    logger.warn({ instanceId }, 'Lost scheduler leadership');
+  }
+
+  const acquired = await client.set(LEADER_LOCK_KEY, instanceId, 'PX', LEADER_LOCK_TTL_MS, 'NX');
+  if (acquired !== 'OK') {
+    return;
+  }
+
+  leaderState.isLeader = true;
+  const { upserted, removed } = await syncSchedules(queue);
+  logger.info({ instanceId, upserted, removed }, 'Became scheduler leader and synced schedules');
+}
+
+/**
+ * Bắt đầu leader election định kỳ cho schedules
+ *
+ * @function startScheduler
+ * @private
+ * @returns {boolean} true nếu scheduler đã được khởi động
+ */
+function startScheduler() {
+  const queue = getImportQueue();
+  if (!queue || leaderState.timer) {
+    return false;
+  }
+
+  const tick = () => electLeader(queue).catch((err) => {
+    leaderState.isLeader = false;
+    logger.error({ err }, 'Scheduler leader election failed');
+  });
+
+  tick();
+  leaderState.timer = setInterval(tick, Math.floor(LEADER_LOCK_TTL_MS / 3));
+  leaderState.timer.unref();
+  return true;
+}
+
+/**
+ * Liệt kê schedules đã khai báo kèm thời điểm chạy tiếp theo
+ *
+ * @async
+ * @function listSchedules
+ * @returns {Promise<Object>} `{ enabled, leader, schedules }`, mỗi schedule có
+ * `id, module, cron, tz, job, payload, jitter, nextRunAt, active`
+ */
+export async function listSchedules() {
+  const enabled = isSchedulerEnabled();
+  const schedulers = new Map();
+  const queue = enabled ? getImportQueue() : null;
+  if (queue) {
+    (await queue.getJobSchedulers()).forEach((scheduler) => {
+      schedulers.set(scheduler.id ?? scheduler.key, scheduler);
+    });
+  }
+
+  const schedules = [...scheduleDefinitions.values()].map((schedule) => {
+    const scheduler = schedulers.get(schedule.id);
+    return {
+      ...schedule,
+      nextRunAt: scheduler?.next ? new Date(scheduler.next).toISOString() : null,
+      active: Boolean(scheduler),
+    };
+  });
+
+  return {
+    enabled,
+    leader: {
+      instanceId,
+      isLeader: leaderState.isLeader,
+      lastSyncedAt: leaderState.lastSyncedAt,
+    },
+    schedules,
+  };
+}
+
+/**
+ * Chạy startup tasks và khởi động scheduler cho schedules của các modules
+ *
  * @async
  * @function runModuleTasks
  * @description
- * Collect tất cả tasks từ module manifests và chạy tuần tự.
- * Tasks được chạy theo thứ tự chúng được định nghĩa.
- * 
- * ## Lưu ý:
- * - Tasks chạy tuần tự, không parallel
- * - Nếu một task fail, các tasks sau vẫn có thể chạy
- * - Errors được propagate lên để caller xử lý
- * 
+ * 1. Chạy tuần tự các `tasks` (function chạy một lần khi khởi động)
+ * 2. Đăng ký `schedules` của các modules (cần gọi sau `registerModuleJobs`)
+ * 3. Nếu Redis được cấu hình, tham gia leader election để đồng bộ schedules
+ *
+ * Errors của tasks và validate schedules được propagate lên để caller xử lý.
+ *
  * @param {Array<ModuleManifest>} modules - Array of module manifests
- * @returns {Promise<number>} Số lượng tasks đã chạy
- * 
+ * @returns {Promise<{tasks: number, schedules: number, started: boolean}>}
+ *
  * @example
  * const manifests = await loadModules(container);
- * const taskCount = await runModuleTasks(manifests);
- * console.log(`Executed ${taskCount} background tasks`);
+ * registerModuleJobs(manifests);
+ * const { schedules } = await runModuleTasks(manifests);
  */
 export default async function runModuleTasks(modules = []) {
-  // Flatten tất cả tasks từ các modules thành một array
-  // Mỗi module có thể có 0 hoặc nhiều tasks
   const tasks = modules.flatMap((manifest) => manifest.tasks || []);
-  
-  // Chạy từng task tuần tự
   for (const task of tasks) {
-    // Chỉ chạy nếu task là function
     if (typeof task === 'function') {
       await task();
     }
   }
-  
-  // Trả về số lượng tasks đã chạy (cho logging/monitoring)
-  return tasks.length;
+
+  registerScheduleDispatchJob();
+  const schedules = registerModuleSchedules(modules);
+  // Khởi động cả khi không còn schedule nào để leader xóa schedules cũ trong Redis
+  const started = isSchedulerEnabled() ? startScheduler() : false;
+
+  return { tasks: tasks.length, schedules, started };
 }